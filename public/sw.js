@@ -0,0 +1,117 @@
+/**
+ * Service Worker
+ * Caches the app shell and Tehran boundary for offline use and wakes open
+ * tabs to replay queued votes (src/services/voteQueue.js) when back online
+ *
+ * The production build (serviceWorkerManifest in vite.config.js) fills in
+ * CACHE_VERSION, a hash of the built files, and BUILD_FILES, the hashed JS
+ * and CSS bundles and assets. Every deploy thus installs a new worker that
+ * precaches the new bundles and drops the caches of the old one.
+ */
+
+const CACHE_VERSION = 'dev'
+const SHELL_CACHE = `shell-${CACHE_VERSION}`
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`
+
+// Bundles emitted by the build
+const BUILD_FILES = []
+
+// Files needed to start the app offline
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/tehran_bound.geojson',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  ...BUILD_FILES
+]
+
+// Oldest entries of the runtime cache are dropped beyond this many
+const MAX_RUNTIME_ENTRIES = 60
+
+// Must match REPLAY_SYNC_TAG in src/services/voteQueue.js
+const REPLAY_SYNC_TAG = 'replay-votes'
+
+// Delete the oldest entries of a cache beyond a count (keys are in insertion order)
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Only handle same-origin GETs; tiles and API calls go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return
+  }
+
+  // Navigations: network first, keeping the cached shell current, and
+  // fall back to it offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone()
+            event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy)))
+          }
+          return response
+        })
+        .catch(() => caches.match('/index.html'))
+    )
+    return
+  }
+
+  // Static files: serve from cache and refresh in the background
+  event.respondWith(
+    caches.open(RUNTIME_CACHE).then(async (cache) => {
+      const cached = await caches.match(request)
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone()
+            event.waitUntil(cache.put(request, copy).then(() => trimCache(cache, MAX_RUNTIME_ENTRIES)))
+          }
+          return response
+        })
+        .catch(() => cached)
+
+      return cached || network
+    })
+  )
+})
+
+// Background Sync: ask open tabs to replay their queued votes
+self.addEventListener('sync', (event) => {
+  if (event.tag !== REPLAY_SYNC_TAG) {
+    return
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach(client => client.postMessage({ type: REPLAY_SYNC_TAG }))
+    })
+  )
+})
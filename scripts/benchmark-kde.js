@@ -0,0 +1,128 @@
+/**
+ * KDE Benchmark
+ * Times calculateWeightedKDE on synthetic votes clustered like Tehran's
+ * (dense in the center, sparse at the edges) over the bundled boundary for
+ * every kernel, checks the grids against an exact sum over every point, and
+ * times the bandwidth selectors and the adaptive modes.
+ *
+ * Usage: npm run bench:kde [-- <vote count>]
+ */
+
+import fs from 'node:fs';
+import { calculateWeightedKDE, selectBandwidth, kernelDensity, latLngToMeters, metersToLatLng } from '../src/utils/kde.js';
+
+const VOTE_COUNT = parseInt(process.argv[2], 10) || 100000;
+const CELL_SIZE = 100;
+const BANDWIDTHS = [500, 1000, 2000];
+const KERNELS = ['gaussian', 'epanechnikov', 'quartic', 'triangular', 'uniform'];
+const BANDWIDTH_METHODS = ['silverman', 'scott', 'cv'];
+const ADAPTIVE_MODES = ['abramson', 'knn'];
+const RUNS = 3;
+
+// Grid cells compared with the exact sum, and the votes used for it
+const ACCURACY_SAMPLE_CELLS = 2000;
+const ACCURACY_VOTE_COUNT = 5000;
+
+const boundary = JSON.parse(fs.readFileSync(new URL('../public/tehran_bound.geojson', import.meta.url), 'utf8'));
+
+// Seeded uniform numbers, so every run sees the same votes
+let seed = 42;
+function random() {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+}
+
+// Standard normal numbers (Box-Muller)
+function gaussian() {
+  return Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Votes around a few centers, spread by a few kilometers
+ */
+function syntheticVotes(count) {
+  const centers = [
+    { lat: 35.70, lng: 51.41, spread: 3000 },
+    { lat: 35.75, lng: 51.45, spread: 2000 },
+    { lat: 35.66, lng: 51.33, spread: 4000 },
+    { lat: 35.72, lng: 51.30, spread: 6000 }
+  ];
+
+  return Array.from({ length: count }, () => {
+    const center = centers[Math.floor(random() * centers.length)];
+    const origin = latLngToMeters(center.lat, center.lng);
+    const { lat, lng } = metersToLatLng(origin.x + gaussian() * center.spread, origin.y + gaussian() * center.spread);
+    return { lat, lng, weight: 1 + Math.floor(random() * 5) };
+  });
+}
+
+/**
+ * Median run time in milliseconds
+ */
+function time(fn) {
+  const durations = [];
+  let result;
+  for (let run = 0; run < RUNS; run++) {
+    const start = performance.now();
+    result = fn();
+    durations.push(performance.now() - start);
+  }
+  durations.sort((a, b) => a - b);
+  return { ms: durations[Math.floor(RUNS / 2)], result };
+}
+
+/**
+ * Largest difference between the grid and the exact density at sampled
+ * cells, relative to the grid's maximum
+ */
+function maxRelativeError(votes, kernel, bandwidth, result) {
+  const projected = votes.map((v) => ({ ...latLngToMeters(v.lat, v.lng), weight: v.weight }));
+  const origin = latLngToMeters(result.bounds.south, result.bounds.west);
+  let worst = 0;
+
+  for (let s = 0; s < ACCURACY_SAMPLE_CELLS; s++) {
+    const i = Math.floor(random() * result.gridData.length);
+    if (Number.isNaN(result.gridData[i])) continue;
+
+    const x = origin.x + (i % result.width + 0.5) * result.cellSize;
+    const y = origin.y + (Math.floor(i / result.width) + 0.5) * result.cellSize;
+    let exact = 0;
+    for (const p of projected) {
+      exact += p.weight * kernelDensity(kernel, Math.hypot(x - p.x, y - p.y), bandwidth);
+    }
+
+    worst = Math.max(worst, Math.abs(result.gridData[i] - exact) / result.max);
+  }
+  return worst;
+}
+
+const votes = syntheticVotes(VOTE_COUNT);
+console.log(`${VOTE_COUNT} votes, ${CELL_SIZE} m cells, median of ${RUNS} runs`);
+
+for (const kernel of KERNELS) {
+  for (const bandwidth of BANDWIDTHS) {
+    const { ms, result } = time(() => calculateWeightedKDE(votes, bandwidth, CELL_SIZE, boundary, { kernel }));
+    console.log(`${kernel}, bandwidth ${bandwidth} m: ${ms.toFixed(0)} ms (${result.width}x${result.height} cells)`);
+  }
+}
+
+const sample = votes.slice(0, ACCURACY_VOTE_COUNT);
+for (const kernel of KERNELS) {
+  for (const bandwidth of BANDWIDTHS) {
+    const result = calculateWeightedKDE(sample, bandwidth, CELL_SIZE, boundary, { kernel });
+    const error = maxRelativeError(sample, kernel, bandwidth, result);
+    console.log(`${kernel}, bandwidth ${bandwidth} m: largest error ${(error * 100).toFixed(2)}% of the maximum (${ACCURACY_VOTE_COUNT} votes)`);
+  }
+}
+
+for (const method of BANDWIDTH_METHODS) {
+  const { ms, result } = time(() => selectBandwidth(votes, method));
+  console.log(`${method}: Gaussian bandwidth ${result.toFixed(0)} m in ${ms.toFixed(0)} ms`);
+}
+
+for (const kernel of ['gaussian', 'quartic']) {
+  for (const adaptive of ADAPTIVE_MODES) {
+    const { ms } = time(() => calculateWeightedKDE(votes, 1000, CELL_SIZE, boundary, { kernel, adaptive }));
+    console.log(`${kernel}, ${adaptive} adaptive, bandwidth 1000 m: ${ms.toFixed(0)} ms`);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Boundary Import
+ * Turns an OpenStreetMap export of Tehran's municipal districts into
+ * public/tehran_districts.geojson, or of its neighborhoods into
+ * public/tehran_neighborhoods.geojson. Export the boundaries as GeoJSON
+ * from Overpass Turbo with this query, using admin_level 9 for districts
+ * and 10 for neighborhoods:
+ *
+ *   [out:json][timeout:60];
+ *   area["name:en"="Tehran"]["admin_level"="6"]->.city;
+ *   relation(area.city)["boundary"="administrative"]["admin_level"="9"];
+ *   out geom;
+ *
+ * The first line after [timeout:60] selects the city's own boundary; if the
+ * query returns nothing, check its admin_level on openstreetmap.org.
+ *
+ * Districts are kept when their number can be read (see
+ * src/config/districts.js) and written with a "district" property; missing
+ * or repeated districts are reported, and the file is still written so it
+ * can be fixed by hand. Neighborhoods are kept when they have a name.
+ * Coordinates are rounded to 6 decimals (about 0.1 m).
+ *
+ * Usage: npm run import:districts -- <export.geojson>
+ *        npm run import:neighborhoods -- <export.geojson>
+ */
+
+import fs from 'node:fs';
+import { DISTRICT_COUNT, getDistrictNumber } from '../src/config/districts.js';
+
+const COORDINATE_DECIMALS = 6;
+
+// Output file and OSM admin_level of each boundary set; features of other
+// levels are skipped
+const BOUNDARY_SETS = {
+  districts: { output: 'public/tehran_districts.geojson', adminLevel: '9' },
+  neighborhoods: { output: 'public/tehran_neighborhoods.geojson', adminLevel: '10' }
+};
+
+/**
+ * Round every position of a Polygon or MultiPolygon
+ */
+function roundGeometry(geometry) {
+  const factor = Math.pow(10, COORDINATE_DECIMALS);
+  const round = (value) => (Array.isArray(value) ? value.map(round) : Math.round(value * factor) / factor);
+  return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+/**
+ * Polygon features of an export at an admin_level
+ */
+function polygonFeatures(collection, adminLevel) {
+  return (collection.features || []).filter((feature) => {
+    const level = feature.properties?.admin_level;
+    return ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type) &&
+      (level === undefined || String(level) === adminLevel);
+  });
+}
+
+/**
+ * Name of a feature, English first
+ */
+function featureName(properties) {
+  return properties['name:en'] || properties.name || null;
+}
+
+/**
+ * District features of an export, one per number
+ * @returns {Object} { features, warnings }
+ */
+function importDistricts(collection) {
+  const byNumber = new Map();
+  const repeated = [];
+
+  for (const feature of polygonFeatures(collection, BOUNDARY_SETS.districts.adminLevel)) {
+    const properties = feature.properties || {};
+    const number = getDistrictNumber(properties);
+    if (!number) continue;
+    if (byNumber.has(number)) {
+      repeated.push(number);
+      continue;
+    }
+
+    byNumber.set(number, {
+      type: 'Feature',
+      properties: { district: number, name: featureName(properties), 'name:fa': properties['name:fa'] || null },
+      geometry: roundGeometry(feature.geometry)
+    });
+  }
+
+  const missing = [];
+  for (let number = 1; number <= DISTRICT_COUNT; number++) {
+    if (!byNumber.has(number)) missing.push(number);
+  }
+
+  const warnings = [];
+  if (missing.length > 0) warnings.push(`Missing districts: ${missing.join(', ')}`);
+  if (repeated.length > 0) warnings.push(`Repeated districts (first kept): ${repeated.join(', ')}`);
+
+  const features = [...byNumber.values()].sort((a, b) => a.properties.district - b.properties.district);
+  return { features, warnings };
+}
+
+/**
+ * Named neighborhood features of an export, sorted by name
+ * @returns {Object} { features, warnings }
+ */
+function importNeighborhoods(collection) {
+  const candidates = polygonFeatures(collection, BOUNDARY_SETS.neighborhoods.adminLevel);
+  const features = candidates
+    .filter((feature) => featureName(feature.properties || {}))
+    .map((feature) => ({
+      type: 'Feature',
+      properties: { name: featureName(feature.properties), 'name:fa': feature.properties['name:fa'] || null },
+      geometry: roundGeometry(feature.geometry)
+    }))
+    .sort((a, b) => a.properties.name.localeCompare(b.properties.name));
+
+  const unnamed = candidates.length - features.length;
+  return { features, warnings: unnamed > 0 ? [`Skipped ${unnamed} polygons without a name`] : [] };
+}
+
+const [kind, inputPath] = process.argv.slice(2);
+const boundarySet = BOUNDARY_SETS[kind];
+if (!boundarySet || !inputPath) {
+  console.error('Usage: npm run import:districts -- <export.geojson>');
+  console.error('       npm run import:neighborhoods -- <export.geojson>');
+  process.exit(1);
+}
+
+const collection = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+const { features, warnings } = kind === 'districts' ? importDistricts(collection) : importNeighborhoods(collection);
+
+if (features.length === 0) {
+  console.error(`No ${kind} polygons found; check the export and the admin_level`);
+  process.exit(1);
+}
+
+fs.writeFileSync(new URL(`../${boundarySet.output}`, import.meta.url), JSON.stringify({ type: 'FeatureCollection', features }));
+console.log(`Wrote ${features.length} ${kind} to ${boundarySet.output}`);
+warnings.forEach((warning) => console.warn(warning));
@@ -8,43 +8,997 @@
 -- Enable PostGIS extension for spatial operations
 CREATE EXTENSION IF NOT EXISTS postgis;
 
+-- Enable pgcrypto for the proof-of-work and IP hashes (anti-spam)
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Create the vote categories lookup table
+-- Ids must match VOTE_CATEGORIES in src/config/categories.js
+CREATE TABLE vote_categories (
+    id TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO vote_categories (id, label, sort_order) VALUES
+    ('general', 'General', 0),
+    ('parks', 'Parks & green space', 1),
+    ('cafes', 'Cafés & restaurants', 2),
+    ('safety', 'Safety', 3),
+    ('traffic', 'Traffic', 4);
+
+-- Create the profiles table: one row per signed-in user (Supabase Auth)
+-- display_name replaces the typed name on that user's votes
+CREATE TABLE profiles (
+    id UUID PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+    display_name TEXT NOT NULL CHECK (char_length(display_name) BETWEEN 2 AND 100),
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Create the moderators table: users allowed to open /admin
+-- Add a moderator with: INSERT INTO moderators (user_id) VALUES ('<auth user id>');
+CREATE TABLE moderators (
+    user_id UUID PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Check if the caller is a moderator. SECURITY DEFINER because moderators
+-- has no policies, so nobody can list or add moderators through the API.
+CREATE OR REPLACE FUNCTION is_moderator()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM moderators WHERE user_id = auth.uid());
+$$;
+
+GRANT EXECUTE ON FUNCTION is_moderator TO anon, authenticated;
+
+-- Check multi-criteria ratings: an object of criterion id -> number 0-5
+-- Criterion ids match RATING_CRITERIA in src/config/criteria.js
+CREATE OR REPLACE FUNCTION valid_vote_ratings(ratings JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT ratings IS NULL OR (
+        jsonb_typeof(ratings) = 'object'
+        AND NOT EXISTS (
+            SELECT 1
+            FROM jsonb_each(ratings) AS r (criterion, value)
+            WHERE CASE
+                WHEN jsonb_typeof(r.value) = 'number' THEN r.value::NUMERIC NOT BETWEEN 0 AND 5
+                ELSE true
+            END
+        )
+    );
+$$;
+
+-- Photo references must point into the vote's own folder (<vote id>/...),
+-- so a vote cannot show photos uploaded for another one
+CREATE OR REPLACE FUNCTION valid_vote_photos(vote_id UUID, photos JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT NOT EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(photos) AS p (photo)
+        WHERE NOT (
+            COALESCE(p.photo ->> 'path', '') LIKE vote_id::TEXT || '/%'
+            AND COALESCE(p.photo ->> 'thumb_path', '') LIKE vote_id::TEXT || '/%'
+        )
+    );
+$$;
+
 -- Create the votes table
+-- score holds the overall score; for votes rated by criteria it is the
+-- rounded weighted composite of ratings (equal weights)
+-- user_id is NULL for anonymous votes
 CREATE TABLE votes (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
     user_name TEXT NOT NULL,
     score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 5),
+    category TEXT NOT NULL DEFAULT 'general' REFERENCES vote_categories (id),
+    ratings JSONB CHECK (valid_vote_ratings(ratings)),
+    comment TEXT CHECK (char_length(comment) <= 500),
+    tags TEXT[] NOT NULL DEFAULT '{}' CHECK (cardinality(tags) <= 10),
+    -- Photo references [{ path, thumb_path, width, height }] into the vote-photos bucket
+    photos JSONB NOT NULL DEFAULT '[]' CHECK (
+        jsonb_typeof(photos) = 'array' AND jsonb_array_length(photos) <= 4
+        AND valid_vote_photos(id, photos)
+    ),
+    -- Anti-spam flags (see VOTE_FLAGS in src/utils/antiSpam.js); flagged
+    -- votes stay visible but are left out of the hotspot surfaces
+    flags TEXT[] NOT NULL DEFAULT '{}' CHECK (flags <@ ARRAY['rate', 'burst', 'pow', 'honeypot']),
+    -- Write-only: read by check_vote_abuse, moved to vote_sources, never stored
+    client_id TEXT,
+    pow_stamp TEXT,
+    -- Hidden votes are left out of every public query (see config/moderation.js)
+    status TEXT NOT NULL DEFAULT 'visible' CHECK (status IN ('visible', 'hidden')),
     geom GEOMETRY(Point, 4326) NOT NULL,
     created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Upgrading a database created before categories existed:
+-- create and seed vote_categories as above, then
+-- ALTER TABLE votes ADD COLUMN category TEXT NOT NULL DEFAULT 'general'
+--     REFERENCES vote_categories (id);
+-- and, after creating valid_vote_ratings,
+-- ALTER TABLE votes ADD COLUMN ratings JSONB CHECK (valid_vote_ratings(ratings));
+-- ALTER TABLE votes ADD COLUMN comment TEXT CHECK (char_length(comment) <= 500);
+-- ALTER TABLE votes ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}' CHECK (cardinality(tags) <= 10);
+-- ALTER TABLE votes ADD COLUMN user_id UUID REFERENCES auth.users (id) ON DELETE SET NULL;
+-- ALTER TABLE votes ADD COLUMN photos JSONB NOT NULL DEFAULT '[]' CHECK (
+--     jsonb_typeof(photos) = 'array' AND jsonb_array_length(photos) <= 4
+-- );
+-- and, after creating valid_vote_photos,
+-- ALTER TABLE votes ADD CONSTRAINT votes_photos_owner_check
+--     CHECK (valid_vote_photos(id, photos)) NOT VALID;
+-- ALTER TABLE votes ADD COLUMN flags TEXT[] NOT NULL DEFAULT '{}'
+--     CHECK (flags <@ ARRAY['rate', 'burst', 'pow', 'honeypot']);
+-- ALTER TABLE votes ADD COLUMN client_id TEXT;
+-- ALTER TABLE votes ADD COLUMN pow_stamp TEXT;
+-- ALTER TABLE votes ADD COLUMN status TEXT NOT NULL DEFAULT 'visible'
+--     CHECK (status IN ('visible', 'hidden'));
+
 -- Create spatial index for fast spatial queries
 CREATE INDEX votes_geom_idx ON votes USING GIST (geom);
 
 -- Create index on created_at for sorting by time
 CREATE INDEX votes_created_at_idx ON votes (created_at DESC);
 
+-- Create index matching the (created_at, id) keyset used for pagination
+CREATE INDEX votes_created_at_id_idx ON votes (created_at DESC, id DESC);
+
+-- Create index for per-category queries
+CREATE INDEX votes_category_idx ON votes (category);
+
+-- Create index for tag lookups (tags @> ARRAY['shade'])
+CREATE INDEX votes_tags_idx ON votes USING GIN (tags);
+
+-- Create index for "My votes"
+CREATE INDEX votes_user_id_idx ON votes (user_id, created_at DESC);
+
+-- Signed-in votes always show the profile name, whatever the client sent
+CREATE OR REPLACE FUNCTION set_vote_user_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    profile_name TEXT;
+BEGIN
+    IF NEW.user_id IS NOT NULL THEN
+        SELECT display_name INTO profile_name FROM profiles WHERE id = NEW.user_id;
+        IF profile_name IS NOT NULL THEN
+            NEW.user_name := profile_name;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER votes_set_user_name
+BEFORE INSERT ON votes
+FOR EACH ROW EXECUTE FUNCTION set_vote_user_name();
+
+-- One vote per place per user: radius in meters within which a signed-in
+-- user's new vote replaces their earlier ones (0 disables replacement).
+-- This is the only place to change it: the app reads it through this
+-- function (RPC) to remove the same votes from the map.
+CREATE OR REPLACE FUNCTION vote_replace_radius()
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT 50.0::DOUBLE PRECISION;
+$$;
+
+GRANT EXECUTE ON FUNCTION vote_replace_radius TO anon, authenticated;
+
+-- Delete the user's earlier votes near a new one. Runs with the caller's
+-- rights, so the owner DELETE policy below applies. Votes a moderator hid
+-- are kept, so voting again nearby cannot erase a moderation decision.
+CREATE OR REPLACE FUNCTION replace_nearby_votes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.user_id IS NOT NULL AND vote_replace_radius() > 0 THEN
+        DELETE FROM votes
+        WHERE user_id = NEW.user_id
+          AND id <> NEW.id
+          AND status = 'visible'
+          AND ST_DWithin(geom::geography, NEW.geom::geography, vote_replace_radius());
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER votes_replace_nearby
+BEFORE INSERT ON votes
+FOR EACH ROW EXECUTE FUNCTION replace_nearby_votes();
+
+-- Editing a vote may change its score, category, ratings, comment, tags and
+-- photos; who cast it, where, when and its anti-spam flags stay fixed. The
+-- status only changes inside moderate_votes(), which sets app.moderating.
+CREATE OR REPLACE FUNCTION protect_vote_identity()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.id := OLD.id;
+    NEW.user_id := OLD.user_id;
+    NEW.user_name := OLD.user_name;
+    NEW.geom := OLD.geom;
+    NEW.created_at := OLD.created_at;
+    NEW.flags := OLD.flags;
+    NEW.client_id := NULL;
+    NEW.pow_stamp := NULL;
+    IF current_setting('app.moderating', true) IS DISTINCT FROM 'on' THEN
+        NEW.status := OLD.status;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER votes_protect_identity
+BEFORE UPDATE ON votes
+FOR EACH ROW EXECUTE FUNCTION protect_vote_identity();
+
+-- ============================================================================
+-- Anti-spam
+-- ============================================================================
+-- Every insert is checked by check_vote_abuse (rules and limits mirror
+-- src/utils/antiSpam.js; keep them in sync):
+--   * more than 20 votes in an hour from one client id or IP: rejected
+--   * more than 5 votes in 10 minutes from one client id or IP: flagged 'rate'
+--   * 3 or more votes within 15 m in the last 10 minutes: flagged 'burst'
+--   * anonymous vote without a valid, unused proof-of-work stamp made for
+--     its client id in the last 30 minutes: flagged 'pow'
+--   * hidden honeypot field filled in: flagged 'honeypot' by the client
+-- Where each vote came from is kept in vote_sources, which has no policies
+-- and is therefore invisible to the public API roles. IPs are only stored
+-- as salted hashes.
+
+-- Server-side secrets, readable only by SECURITY DEFINER functions
+CREATE TABLE app_secrets (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+
+INSERT INTO app_secrets (name, value)
+VALUES ('ip_hash_salt', encode(gen_random_bytes(16), 'hex'))
+ON CONFLICT (name) DO NOTHING;
+
+ALTER TABLE app_secrets ENABLE ROW LEVEL SECURITY;
+
+-- Salted hash of the requesting client's IP, or NULL outside a PostgREST
+-- request. PostgREST exposes the request headers, but only headers set by
+-- the proxies in front of it can be trusted:
+--   * cf-connecting-ip, which Cloudflare (in front of the hosted Supabase
+--     API) sets to the address that connected to it, replacing any value
+--     the client sent;
+--   * otherwise the last x-forwarded-for entry, which the proxy in front of
+--     PostgREST appended. Entries to its left are whatever the client sent.
+-- Behind another proxy chain, change this function to read the header that
+-- chain sets; without Cloudflare in front, drop cf-connecting-ip, which
+-- clients could then set themselves. SECURITY DEFINER so it can read the salt.
+CREATE OR REPLACE FUNCTION request_ip_hash()
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    headers JSON := current_setting('request.headers', true)::JSON;
+    forwarded_for TEXT[] := string_to_array(headers ->> 'x-forwarded-for', ',');
+    client_ip TEXT;
+BEGIN
+    client_ip := trim(COALESCE(
+        NULLIF(headers ->> 'cf-connecting-ip', ''),
+        forwarded_for[array_length(forwarded_for, 1)]
+    ));
+    IF client_ip IS NULL OR client_ip = '' THEN
+        RETURN NULL;
+    END IF;
+    RETURN encode(digest(
+        client_ip || (SELECT value FROM app_secrets WHERE name = 'ip_hash_salt'),
+        'sha256'
+    ), 'hex');
+END;
+$$;
+
+-- Origin of each vote, kept after the vote is withdrawn or replaced so
+-- deleting votes does not reset the limits
+CREATE TABLE vote_sources (
+    vote_id UUID PRIMARY KEY,
+    client_id TEXT,
+    ip_hash TEXT,
+    pow_stamp TEXT UNIQUE,
+    geom GEOMETRY(Point, 4326) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX vote_sources_client_id_idx ON vote_sources (client_id, created_at DESC);
+CREATE INDEX vote_sources_ip_hash_idx ON vote_sources (ip_hash, created_at DESC);
+CREATE INDEX vote_sources_geom_idx ON vote_sources USING GIST (geom);
+
+ALTER TABLE vote_sources ENABLE ROW LEVEL SECURITY;
+
+-- Proof-of-work difficulty in leading zero bits of SHA-256(stamp)
+-- Keep in sync with POW_DIFFICULTY (src/utils/antiSpam.js).
+CREATE OR REPLACE FUNCTION vote_pow_difficulty()
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT 16;
+$$;
+
+-- Count the leading zero bits of SHA-256(stamp)
+CREATE OR REPLACE FUNCTION pow_leading_zero_bits(stamp TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public, extensions
+AS $$
+DECLARE
+    hash BYTEA := digest(stamp, 'sha256');
+    bits INTEGER := 0;
+    byte INTEGER;
+BEGIN
+    FOR i IN 0 .. length(hash) - 1 LOOP
+        byte := get_byte(hash, i);
+        IF byte <> 0 THEN
+            WHILE byte < 128 LOOP
+                bits := bits + 1;
+                byte := byte * 2;
+            END LOOP;
+            RETURN bits;
+        END IF;
+        bits := bits + 8;
+    END LOOP;
+    RETURN bits;
+END;
+$$;
+
+-- Stamps are "<client id>:<ms since epoch>:<random>:<nonce>" (createChallenge
+-- in src/utils/antiSpam.js). One only counts for the client id it names and
+-- for 30 minutes after its challenge was made (5 minutes of clock skew
+-- allowed), so stamps cannot be computed in advance and attached to votes.
+-- Keep in sync with isStampCurrent (src/utils/antiSpam.js).
+CREATE OR REPLACE FUNCTION pow_stamp_is_current(stamp TEXT, stamp_client_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN stamp_client_id IS NULL OR split_part(stamp, ':', 1) <> stamp_client_id THEN false
+        WHEN split_part(stamp, ':', 2) !~ '^[0-9]{1,15}$' THEN false
+        ELSE to_timestamp(split_part(stamp, ':', 2)::BIGINT / 1000.0)
+            BETWEEN now() - INTERVAL '30 minutes' AND now() + INTERVAL '5 minutes'
+    END;
+$$;
+
+-- Apply the anti-spam rules to a new vote. SECURITY DEFINER so it can read
+-- vote_sources and app_secrets, which the caller cannot.
+CREATE OR REPLACE FUNCTION check_vote_abuse()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    source_ip_hash TEXT;
+    hourly_count INTEGER;
+    recent_count INTEGER;
+    nearby_count INTEGER;
+    checked_flags TEXT[];
+BEGIN
+    source_ip_hash := request_ip_hash();
+
+    SELECT
+        count(*) FILTER (WHERE created_at > now() - INTERVAL '1 hour'),
+        count(*) FILTER (WHERE created_at > now() - INTERVAL '10 minutes')
+    INTO hourly_count, recent_count
+    FROM vote_sources
+    WHERE created_at > now() - INTERVAL '1 hour'
+      AND (client_id = NEW.client_id OR ip_hash = source_ip_hash);
+
+    IF hourly_count >= 20 THEN
+        RAISE EXCEPTION 'Too many votes, please try again later';
+    END IF;
+
+    -- Clients can only flag themselves
+    checked_flags := CASE WHEN 'honeypot' = ANY (NEW.flags) THEN ARRAY['honeypot'] ELSE '{}' END;
+
+    IF recent_count >= 5 THEN
+        checked_flags := checked_flags || 'rate';
+    END IF;
+
+    SELECT count(*) INTO nearby_count
+    FROM vote_sources
+    WHERE created_at > now() - INTERVAL '10 minutes'
+      AND ST_DWithin(geom::geography, NEW.geom::geography, 15);
+
+    IF nearby_count >= 3 THEN
+        checked_flags := checked_flags || 'burst';
+    END IF;
+
+    -- Signed-in voters are accountable and skip the proof of work
+    IF NEW.user_id IS NULL AND (
+        NEW.pow_stamp IS NULL
+        OR NOT pow_stamp_is_current(NEW.pow_stamp, NEW.client_id)
+        OR pow_leading_zero_bits(NEW.pow_stamp) < vote_pow_difficulty()
+        OR EXISTS (SELECT 1 FROM vote_sources WHERE pow_stamp = NEW.pow_stamp)
+    ) THEN
+        checked_flags := checked_flags || 'pow';
+    END IF;
+
+    INSERT INTO vote_sources (vote_id, client_id, ip_hash, pow_stamp, geom)
+    VALUES (
+        NEW.id,
+        NEW.client_id,
+        source_ip_hash,
+        CASE WHEN 'pow' = ANY (checked_flags) THEN NULL ELSE NEW.pow_stamp END,
+        NEW.geom
+    );
+
+    NEW.flags := checked_flags;
+    NEW.client_id := NULL;
+    NEW.pow_stamp := NULL;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER votes_check_abuse
+BEFORE INSERT ON votes
+FOR EACH ROW EXECUTE FUNCTION check_vote_abuse();
+
 -- Enable Row Level Security (RLS) for security
 ALTER TABLE votes ENABLE ROW LEVEL SECURITY;
 
--- Policy: Allow public SELECT (anyone can view votes)
+-- Policy: Allow public SELECT of visible votes; owners and moderators
+-- also see hidden ones. Public queries still filter on status explicitly.
+-- (upgrading: DROP POLICY "Allow public SELECT on votes" ON votes; first)
 CREATE POLICY "Allow public SELECT on votes"
 ON votes FOR SELECT
-USING (true);
+USING (status = 'visible' OR user_id = auth.uid() OR is_moderator());
 
--- Policy: Allow public INSERT (anyone can submit a vote)
+-- Policy: Allow public INSERT of anonymous votes, and of votes owned by
+-- the signed-in user. Nobody can insert a vote under another user's id.
+-- To accept signed-in votes only (VITE_REQUIRE_AUTH=true), use
+-- WITH CHECK (user_id = auth.uid()) instead.
 CREATE POLICY "Allow public INSERT on votes"
 ON votes FOR INSERT
-WITH CHECK (true);
+WITH CHECK (user_id IS NULL OR user_id = auth.uid());
 
--- Policy: Deny UPDATE (prevent modification of votes)
-CREATE POLICY "Deny UPDATE on votes"
+-- Policy: Signed-in users can edit their own votes; anonymous votes
+-- have no owner and cannot be changed
+-- (upgrading: DROP POLICY "Deny UPDATE on votes" ON votes; first)
+CREATE POLICY "Allow owner UPDATE on votes"
 ON votes FOR UPDATE
-USING (false);
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
 
--- Policy: Deny DELETE (prevent deletion of votes)
-CREATE POLICY "Deny DELETE on votes"
+-- Policy: Signed-in users can withdraw their own votes
+-- (upgrading: DROP POLICY "Deny DELETE on votes" ON votes; first)
+CREATE POLICY "Allow owner DELETE on votes"
 ON votes FOR DELETE
-USING (false);
+TO authenticated
+USING (user_id = auth.uid());
+
+-- Categories are read-only for the public API roles
+ALTER TABLE vote_categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public SELECT on vote_categories"
+ON vote_categories FOR SELECT
+USING (true);
+
+-- Profiles are public (names appear on votes); users manage only their own
+ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow public SELECT on profiles"
+ON profiles FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow INSERT of own profile"
+ON profiles FOR INSERT
+TO authenticated
+WITH CHECK (id = auth.uid());
+
+CREATE POLICY "Allow UPDATE of own profile"
+ON profiles FOR UPDATE
+TO authenticated
+USING (id = auth.uid())
+WITH CHECK (id = auth.uid());
+
+-- ============================================================================
+-- Photo storage
+-- ============================================================================
+-- Public bucket for vote photos. The client uploads <vote id>/<n>.jpg and
+-- <vote id>/<n>_thumb.jpg (resized, EXIF stripped) before inserting the vote.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('vote-photos', 'vote-photos', true, 5242880, ARRAY['image/jpeg'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Policy: Allow public upload of JPEG files into the vote-photos bucket
+CREATE POLICY "Allow public INSERT on vote-photos"
+ON storage.objects FOR INSERT
+WITH CHECK (bucket_id = 'vote-photos' AND name ~ '^[0-9a-f-]+/[0-9]+(_thumb)?\.jpg$');
+
+-- There is no UPDATE policy: vote ids are public, so anyone could replace
+-- any vote's photos. Uploads use upsert: false, and a retry treats an
+-- existing file as uploaded (see uploadPhoto in services/supabase.js).
+-- (upgrading: DROP POLICY "Allow public UPDATE on vote-photos" ON storage.objects;)
+
+-- Policy: Allow public SELECT on vote-photos
+CREATE POLICY "Allow public SELECT on vote-photos"
+ON storage.objects FOR SELECT
+USING (bucket_id = 'vote-photos');
+
+-- ============================================================================
+-- Viewport queries
+-- ============================================================================
+-- Returns one page of votes inside a bounding box as a GeoJSON FeatureCollection.
+-- Uses the votes_geom_idx GiST index for the bbox filter and keyset pagination
+-- on (created_at, id): pass the created_at/id of the last feature of the
+-- previous page to get the next one. Called from services/supabase.js.
+CREATE OR REPLACE FUNCTION votes_in_bbox(
+    min_lng DOUBLE PRECISION,
+    min_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    after_created_at TIMESTAMPTZ DEFAULT NULL,
+    after_id UUID DEFAULT NULL,
+    page_size INTEGER DEFAULT 1000
+)
+RETURNS JSON
+LANGUAGE sql
+STABLE
+AS $$
+    WITH page AS (
+        SELECT id, user_id, user_name, score, category, ratings, comment, tags, photos, flags, geom, created_at
+        FROM votes
+        WHERE geom && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326)
+          AND status = 'visible'
+          AND (
+              after_created_at IS NULL
+              OR (created_at, id) < (after_created_at, after_id)
+          )
+        ORDER BY created_at DESC, id DESC
+        LIMIT LEAST(GREATEST(page_size, 1), 5000)
+    )
+    SELECT json_build_object(
+        'type', 'FeatureCollection',
+        'features', COALESCE(json_agg(
+            json_build_object(
+                'type', 'Feature',
+                'geometry', ST_AsGeoJSON(geom)::json,
+                'properties', json_build_object(
+                    'id', id,
+                    'user_id', user_id,
+                    'user_name', user_name,
+                    'score', score,
+                    'category', category,
+                    'ratings', ratings,
+                    'comment', comment,
+                    'tags', tags,
+                    'photos', photos,
+                    'flags', flags,
+                    'created_at', created_at
+                )
+            )
+            ORDER BY created_at DESC, id DESC
+        ), '[]'::json)
+    )
+    FROM page;
+$$;
+
+-- Allow the public API roles to call the function
+GRANT EXECUTE ON FUNCTION votes_in_bbox TO anon, authenticated;
+
+-- ============================================================================
+-- Grid aggregation
+-- ============================================================================
+-- Aggregates votes inside a bounding box into square or hexagonal cells and
+-- returns, per non-empty cell, its centroid, vote count, mean score and
+-- population variance of the score. Cells are built in UTM zone 39N
+-- (EPSG:32639) so cell_size is in meters. Votes are snapped to cells
+-- arithmetically, so each vote lands in exactly one cell, also on a shared
+-- edge or corner. Hexagons are flat-topped with cell_size as the edge length,
+-- indexed by axial coordinates with cube rounding (as hexCellAt in
+-- src/utils/grid.js; floor(x + 0.5) matches Math.round on ties). Pass categories to aggregate only votes in
+-- those categories (NULL aggregates every vote). Votes flagged by the
+-- anti-spam rules are left out unless include_flagged is true.
+-- (upgrading: DROP FUNCTION vote_grid_aggregates; first, the signature changed)
+CREATE OR REPLACE FUNCTION vote_grid_aggregates(
+    cell_size DOUBLE PRECISION,
+    min_lng DOUBLE PRECISION,
+    min_lat DOUBLE PRECISION,
+    max_lng DOUBLE PRECISION,
+    max_lat DOUBLE PRECISION,
+    grid_shape TEXT DEFAULT 'square',
+    categories TEXT[] DEFAULT NULL,
+    include_flagged BOOLEAN DEFAULT false
+)
+RETURNS TABLE (
+    cell_i INTEGER,
+    cell_j INTEGER,
+    lng DOUBLE PRECISION,
+    lat DOUBLE PRECISION,
+    vote_count INTEGER,
+    mean_score DOUBLE PRECISION,
+    score_variance DOUBLE PRECISION
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH params AS (
+        SELECT
+            GREATEST(cell_size, 10) AS size,
+            ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326) AS bbox
+    ),
+    pts AS (
+        SELECT v.score, ST_Transform(v.geom, 32639) AS geom
+        FROM votes v, params
+        WHERE v.geom && params.bbox
+          AND (categories IS NULL OR v.category = ANY(categories))
+          AND (include_flagged OR cardinality(v.flags) = 0)
+          AND v.status = 'visible'
+    ),
+    square_cells AS (
+        SELECT
+            floor(ST_X(pts.geom) / params.size)::INTEGER AS i,
+            floor(ST_Y(pts.geom) / params.size)::INTEGER AS j,
+            pts.score
+        FROM pts, params
+        WHERE grid_shape = 'square'
+    ),
+    square_stats AS (
+        SELECT
+            i, j,
+            ST_Transform(ST_SetSRID(ST_MakePoint((i + 0.5) * params.size, (j + 0.5) * params.size), 32639), 4326) AS center,
+            count(*)::INTEGER AS n,
+            avg(score)::DOUBLE PRECISION AS mean,
+            COALESCE(var_pop(score), 0)::DOUBLE PRECISION AS variance
+        FROM square_cells, params
+        GROUP BY i, j, params.size
+    ),
+    hex_axial AS (
+        SELECT
+            (2.0 / 3) * ST_X(pts.geom) / params.size AS q,
+            (-ST_X(pts.geom) / 3 + sqrt(3.0::DOUBLE PRECISION) / 3 * ST_Y(pts.geom)) / params.size AS r,
+            pts.score
+        FROM pts, params
+        WHERE grid_shape = 'hexagon'
+    ),
+    hex_rounded AS (
+        SELECT
+            q, r,
+            floor(q + 0.5) AS rq,
+            floor(r + 0.5) AS rr,
+            floor(-q - r + 0.5) AS rs,
+            score
+        FROM hex_axial
+    ),
+    hex_cells AS (
+        -- Cube rounding: the coordinate that rounded furthest is recomputed
+        SELECT
+            CASE
+                WHEN abs(rq - q) > abs(rr - r) AND abs(rq - q) > abs(rs + q + r) THEN -rr - rs
+                ELSE rq
+            END::INTEGER AS i,
+            CASE
+                WHEN abs(rq - q) > abs(rr - r) AND abs(rq - q) > abs(rs + q + r) THEN rr
+                WHEN abs(rr - r) > abs(rs + q + r) THEN -rq - rs
+                ELSE rr
+            END::INTEGER AS j,
+            score
+        FROM hex_rounded
+    ),
+    hex_stats AS (
+        SELECT
+            i, j,
+            ST_Transform(ST_SetSRID(ST_MakePoint(
+                1.5 * i * params.size,
+                sqrt(3.0::DOUBLE PRECISION) * (j + i / 2.0) * params.size
+            ), 32639), 4326) AS center,
+            count(*)::INTEGER AS n,
+            avg(score)::DOUBLE PRECISION AS mean,
+            COALESCE(var_pop(score), 0)::DOUBLE PRECISION AS variance
+        FROM hex_cells, params
+        GROUP BY i, j, params.size
+    )
+    SELECT i, j, ST_X(center), ST_Y(center), n, mean, variance FROM square_stats
+    UNION ALL
+    SELECT i, j, ST_X(center), ST_Y(center), n, mean, variance FROM hex_stats;
+$$;
+
+-- Allow the public API roles to call the function
+GRANT EXECUTE ON FUNCTION vote_grid_aggregates TO anon, authenticated;
+
+-- ============================================================================
+-- Moderation
+-- ============================================================================
+-- Moderators (see the moderators table) review flagged and reported votes
+-- on /admin and hide or restore them. Reasons and actions must match
+-- src/config/moderation.js.
+
+-- Reports sent with the "Report" button in the vote popup. One per reporter
+-- and vote: the reporter is the signed-in user, else the hashed IP (set by
+-- the trigger below, see request_ip_hash), else the browser's client id.
+-- The client id comes last because clients can make up new ones; a report
+-- with none of them is rejected.
+-- (upgrading: ALTER TABLE vote_reports ADD COLUMN ip_hash TEXT;
+--  ALTER TABLE vote_reports DROP CONSTRAINT vote_reports_vote_id_client_id_key;
+--  DROP INDEX IF EXISTS vote_reports_reporter_idx;
+--  DROP TRIGGER IF EXISTS vote_reports_set_ip_hash ON vote_reports;
+--  then create the check, indexes, function and trigger below)
+CREATE TABLE vote_reports (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    vote_id UUID NOT NULL REFERENCES votes (id) ON DELETE CASCADE,
+    reason TEXT NOT NULL CHECK (reason IN ('spam', 'offensive', 'wrong_location', 'other')),
+    reporter_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+    client_id TEXT,
+    ip_hash TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    resolved_at TIMESTAMPTZ,
+    CONSTRAINT vote_reports_reporter_check
+        CHECK (reporter_id IS NOT NULL OR client_id IS NOT NULL OR ip_hash IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX vote_reports_reporter_idx
+ON vote_reports (vote_id, COALESCE(reporter_id::TEXT, ip_hash, client_id));
+
+CREATE INDEX vote_reports_ip_hash_idx ON vote_reports (ip_hash, created_at DESC);
+CREATE INDEX vote_reports_reporter_id_idx ON vote_reports (reporter_id, created_at DESC);
+
+CREATE INDEX vote_reports_open_idx ON vote_reports (vote_id) WHERE resolved_at IS NULL;
+
+-- The IP hash is always computed server-side, never taken from the client.
+-- More than 10 reports in an hour from one user or IP are rejected, so one
+-- person cannot push votes up the moderation queue (keep in sync with
+-- REPORT_HOURLY_LIMIT in src/utils/antiSpam.js). SECURITY DEFINER so it can
+-- count reports, which the caller cannot read.
+CREATE OR REPLACE FUNCTION check_report_abuse()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    hourly_count INTEGER;
+BEGIN
+    NEW.ip_hash := request_ip_hash();
+
+    SELECT count(*) INTO hourly_count
+    FROM vote_reports
+    WHERE created_at > now() - INTERVAL '1 hour'
+      AND (reporter_id = NEW.reporter_id OR ip_hash = NEW.ip_hash);
+
+    IF hourly_count >= 10 THEN
+        RAISE EXCEPTION 'Too many reports, please try again later';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER vote_reports_check_abuse
+BEFORE INSERT ON vote_reports
+FOR EACH ROW EXECUTE FUNCTION check_report_abuse();
+
+-- Ids of hidden votes, streamed to connected clients. Realtime checks the
+-- votes SELECT policy against the updated row, so the update that hides a
+-- vote never reaches other clients; this table carries only the id.
+CREATE TABLE vote_hides (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    vote_id UUID NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE vote_hides ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only written by moderate_votes()
+CREATE POLICY "Allow public SELECT on vote_hides"
+ON vote_hides FOR SELECT
+USING (true);
+
+-- Audit log of moderator actions; kept when the vote is deleted
+CREATE TABLE moderation_log (
+    id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    vote_id UUID NOT NULL,
+    moderator_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+    moderator_name TEXT,
+    action TEXT NOT NULL CHECK (action IN ('hide', 'restore')),
+    reason TEXT CHECK (char_length(reason) <= 500),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX moderation_log_created_at_idx ON moderation_log (created_at DESC);
+
+ALTER TABLE vote_reports ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Anyone can report a vote, signed-in users only under their own id
+CREATE POLICY "Allow public INSERT on vote_reports"
+ON vote_reports FOR INSERT
+WITH CHECK ((reporter_id IS NULL OR reporter_id = auth.uid()) AND resolved_at IS NULL);
+
+CREATE POLICY "Allow moderator SELECT on vote_reports"
+ON vote_reports FOR SELECT
+TO authenticated
+USING (is_moderator());
+
+-- Rows are only written by moderate_votes()
+ALTER TABLE moderation_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow moderator SELECT on moderation_log"
+ON moderation_log FOR SELECT
+TO authenticated
+USING (is_moderator());
+
+-- Returns up to 500 votes matching the dashboard filters, hidden ones
+-- included, as a GeoJSON FeatureCollection newest first. Features carry
+-- report_count and report_reasons of their open reports. flag_filter is
+-- 'all', 'flagged', 'reported', 'flagged_or_reported' or 'clean'; the
+-- bbox filter applies when all four bounds are given.
+CREATE OR REPLACE FUNCTION moderation_votes(
+    since TIMESTAMPTZ DEFAULT NULL,
+    until TIMESTAMPTZ DEFAULT NULL,
+    min_score INTEGER DEFAULT NULL,
+    max_score INTEGER DEFAULT NULL,
+    user_query TEXT DEFAULT NULL,
+    flag_filter TEXT DEFAULT 'all',
+    status_filter TEXT DEFAULT 'all',
+    min_lng DOUBLE PRECISION DEFAULT NULL,
+    min_lat DOUBLE PRECISION DEFAULT NULL,
+    max_lng DOUBLE PRECISION DEFAULT NULL,
+    max_lat DOUBLE PRECISION DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF NOT is_moderator() THEN
+        RAISE EXCEPTION 'Only moderators can moderate votes' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN (
+        WITH reports AS (
+            SELECT vote_id, count(*)::INTEGER AS report_count, array_agg(DISTINCT reason) AS report_reasons
+            FROM vote_reports
+            WHERE resolved_at IS NULL
+            GROUP BY vote_id
+        ),
+        matches AS (
+            SELECT v.*, COALESCE(r.report_count, 0) AS report_count, COALESCE(r.report_reasons, '{}') AS report_reasons
+            FROM votes v
+            LEFT JOIN reports r ON r.vote_id = v.id
+            WHERE (since IS NULL OR v.created_at >= since)
+              AND (until IS NULL OR v.created_at <= until)
+              AND (min_score IS NULL OR v.score >= min_score)
+              AND (max_score IS NULL OR v.score <= max_score)
+              AND (status_filter = 'all' OR v.status = status_filter)
+              AND (
+                  user_query IS NULL
+                  OR v.user_name ILIKE '%' || user_query || '%'
+                  OR v.user_id::TEXT = user_query
+              )
+              AND (
+                  min_lng IS NULL OR min_lat IS NULL OR max_lng IS NULL OR max_lat IS NULL
+                  OR v.geom && ST_MakeEnvelope(min_lng, min_lat, max_lng, max_lat, 4326)
+              )
+              AND CASE flag_filter
+                  WHEN 'flagged' THEN cardinality(v.flags) > 0
+                  WHEN 'reported' THEN r.report_count > 0
+                  WHEN 'flagged_or_reported' THEN cardinality(v.flags) > 0 OR r.report_count > 0
+                  WHEN 'clean' THEN cardinality(v.flags) = 0 AND r.report_count IS NULL
+                  ELSE true
+              END
+            ORDER BY v.created_at DESC, v.id DESC
+            LIMIT 500
+        )
+        SELECT json_build_object(
+            'type', 'FeatureCollection',
+            'features', COALESCE(json_agg(
+                json_build_object(
+                    'type', 'Feature',
+                    'geometry', ST_AsGeoJSON(geom)::json,
+                    'properties', json_build_object(
+                        'id', id,
+                        'user_id', user_id,
+                        'user_name', user_name,
+                        'score', score,
+                        'category', category,
+                        'ratings', ratings,
+                        'comment', comment,
+                        'tags', tags,
+                        'photos', photos,
+                        'flags', flags,
+                        'status', status,
+                        'report_count', report_count,
+                        'report_reasons', report_reasons,
+                        'created_at', created_at
+                    )
+                )
+                ORDER BY created_at DESC, id DESC
+            ), '[]'::json)
+        )
+        FROM matches
+    );
+END;
+$$;
+
+-- Hide or restore votes. Each changed vote gets an audit log row and the
+-- open reports of every given vote are resolved. Returns the number of
+-- votes whose status changed.
+CREATE OR REPLACE FUNCTION moderate_votes(
+    vote_ids UUID[],
+    new_status TEXT,
+    reason TEXT DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    changed_count INTEGER;
+BEGIN
+    IF NOT is_moderator() THEN
+        RAISE EXCEPTION 'Only moderators can moderate votes' USING ERRCODE = '42501';
+    END IF;
+    IF new_status NOT IN ('visible', 'hidden') THEN
+        RAISE EXCEPTION 'Unknown vote status %', new_status;
+    END IF;
+
+    -- Let protect_vote_identity() accept the status change
+    PERFORM set_config('app.moderating', 'on', true);
+
+    WITH changed AS (
+        UPDATE votes
+        SET status = new_status
+        WHERE id = ANY (vote_ids) AND status <> new_status
+        RETURNING id
+    )
+    INSERT INTO moderation_log (vote_id, moderator_id, moderator_name, action, reason)
+    SELECT
+        changed.id,
+        auth.uid(),
+        (SELECT display_name FROM profiles WHERE id = auth.uid()),
+        CASE new_status WHEN 'hidden' THEN 'hide' ELSE 'restore' END,
+        moderate_votes.reason
+    FROM changed;
+
+    GET DIAGNOSTICS changed_count = ROW_COUNT;
+
+    PERFORM set_config('app.moderating', 'off', true);
+
+    -- Tell connected clients to drop the hidden votes (see vote_hides)
+    IF new_status = 'hidden' THEN
+        INSERT INTO vote_hides (vote_id)
+        SELECT id FROM votes WHERE id = ANY (vote_ids) AND status = 'hidden';
+    END IF;
+
+    UPDATE vote_reports
+    SET resolved_at = now()
+    WHERE vote_id = ANY (vote_ids) AND resolved_at IS NULL;
+
+    RETURN changed_count;
+END;
+$$;
+
+-- Both functions check is_moderator() themselves
+GRANT EXECUTE ON FUNCTION moderation_votes TO authenticated;
+GRANT EXECUTE ON FUNCTION moderate_votes TO authenticated;
 
 -- ============================================================================
 -- Verify PostGIS installation
@@ -70,3 +1024,10 @@ SELECT postgis_full_version();
 --         )
 --     )
 -- ) FROM votes;
+
+-- ============================================================================
+-- Realtime
+-- ============================================================================
+-- Stream new, changed, deleted and hidden votes to connected clients
+-- (services/supabase.js subscribeToVotes)
+ALTER PUBLICATION supabase_realtime ADD TABLE votes, vote_hides;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import './App.css'
+import Header from './components/UI/Header'
+import StatusMessage from './components/UI/StatusMessage'
+import AccountPanel from './components/UI/AccountPanel'
+import ModerationFilters from './components/Admin/ModerationFilters'
+import ModerationTable from './components/Admin/ModerationTable'
+import ModerationMap from './components/Admin/ModerationMap'
+import ModerationLog from './components/Admin/ModerationLog'
+import { fetchModerationVotes, moderateVotes, fetchModerationLog } from './services/storage'
+import { isAuthEnabled, getCurrentUser, onAuthChange, signOut } from './services/auth'
+import { VOTE_STATUS, MODERATION_PAGE_SIZE } from './config/moderation'
+
+// Filters the dashboard opens with: everything that needs a look
+const INITIAL_FILTERS = {
+  since: '',
+  until: '',
+  minScore: '',
+  maxScore: '',
+  user: '',
+  flagFilter: 'flagged_or_reported',
+  status: 'all',
+  useMapArea: false
+}
+
+// Delay before refetching after a filter change (typing, panning)
+const FILTER_DELAY_MS = 300
+
+// Audit log entries shown
+const LOG_LIMIT = 50
+
+/**
+ * Convert the filter form to provider filters
+ * Dates are whole days in local time; empty fields are left out.
+ * @param {Object} filters - Filter form state
+ * @param {Object|null} areaBounds - Map bounds while the area filter is on
+ * @returns {Object} Filters for fetchModerationVotes
+ */
+function toQueryFilters(filters, areaBounds) {
+  const toNumber = (value) => (value === '' ? null : Number(value))
+
+  return {
+    since: filters.since ? new Date(`${filters.since}T00:00:00`).toISOString() : null,
+    until: filters.until ? new Date(`${filters.until}T23:59:59.999`).toISOString() : null,
+    minScore: toNumber(filters.minScore),
+    maxScore: toNumber(filters.maxScore),
+    user: filters.user.trim() || null,
+    flagFilter: filters.flagFilter,
+    status: filters.status,
+    bounds: areaBounds
+  }
+}
+
+/**
+ * Moderation Dashboard
+ * Served on ADMIN_PATH. Signed-in moderators review flagged and reported
+ * votes, hide or restore them in bulk and see the audit log.
+ */
+function AdminApp() {
+  const [user, setUser] = useState(null)
+  const [isCheckingUser, setIsCheckingUser] = useState(true)
+  const [filters, setFilters] = useState(INITIAL_FILTERS)
+  const [mapBounds, setMapBounds] = useState(null)
+  const [votes, setVotes] = useState(null)
+  const [logEntries, setLogEntries] = useState([])
+  const [selectedIds, setSelectedIds] = useState(new Set())
+  const [focusedVote, setFocusedVote] = useState(null)
+  const [reason, setReason] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [isApplying, setIsApplying] = useState(false)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [status, setStatus] = useState({ type: '', message: '', show: false })
+
+  const isModerator = !!user?.isModerator
+  const areaBounds = filters.useMapArea ? mapBounds : null
+
+  // Load the signed-in user and follow sign-in/out
+  useEffect(() => {
+    getCurrentUser().then(current => {
+      setUser(current)
+      setIsCheckingUser(false)
+    })
+    return onAuthChange(setUser) || undefined
+  }, [])
+
+  // Fetch the votes matching the filters
+  useEffect(() => {
+    if (!isModerator) return
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      setIsLoading(true)
+      const result = await fetchModerationVotes(toQueryFilters(filters, areaBounds), user)
+      if (cancelled) return
+
+      setIsLoading(false)
+      if (result.success) {
+        setVotes(result.votes)
+        setSelectedIds(new Set())
+      } else {
+        setStatus({ type: 'error', message: result.error || 'Failed to load votes', show: true })
+      }
+    }, FILTER_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isModerator, user, filters, areaBounds, reloadKey])
+
+  // Fetch the audit log
+  useEffect(() => {
+    if (!isModerator) return
+
+    fetchModerationLog(LOG_LIMIT, user).then(result => {
+      if (result.success) {
+        setLogEntries(result.entries)
+      }
+    })
+  }, [isModerator, user, reloadKey])
+
+  // Hide or restore the selected votes
+  const applyStatus = useCallback(async (newStatus) => {
+    setIsApplying(true)
+    const result = await moderateVotes([...selectedIds], newStatus, reason, user)
+    setIsApplying(false)
+
+    if (!result.success) {
+      setStatus({ type: 'error', message: result.error || 'Moderation failed', show: true })
+      return
+    }
+
+    const verb = newStatus === VOTE_STATUS.HIDDEN ? 'hidden' : 'restored'
+    setStatus({ type: 'success', message: `${result.changed} ${result.changed === 1 ? 'vote' : 'votes'} ${verb}`, show: true })
+    setTimeout(() => {
+      setStatus(prev => ({ ...prev, show: false }))
+    }, 3000)
+    setReason('')
+    setReloadKey(key => key + 1)
+  }, [selectedIds, reason, user])
+
+  // Click on the map toggles a vote's selection
+  const toggleSelected = useCallback((id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }, [])
+
+  const backToMap = () => {
+    window.location.href = '/'
+  }
+
+  const count = votes?.features.length || 0
+
+  return (
+    <div className="admin-container">
+      <Header subtitle="Moderation">
+        <a className="header-action" href="/">Back to map</a>
+        {user && (
+          <button className="header-action" onClick={() => signOut()}>
+            Sign out
+          </button>
+        )}
+      </Header>
+
+      <StatusMessage type={status.type} message={status.message} show={status.show} />
+
+      {!isCheckingUser && !isAuthEnabled() && (
+        <div className="admin-notice">Sign-in is disabled (VITE_AUTH_PROVIDER=none), so nobody can moderate.</div>
+      )}
+
+      {!isCheckingUser && isAuthEnabled() && !user && (
+        <AccountPanel isOpen onClose={backToMap} user={null} onUserChange={setUser} />
+      )}
+
+      {user && !isModerator && (
+        <div className="admin-notice">
+          {user.email} is not a moderator. Ask an administrator to add your account.
+        </div>
+      )}
+
+      {isModerator && (
+        <main className="admin-content">
+          <ModerationFilters filters={filters} onChange={setFilters} />
+
+          <div className="admin-layout">
+            <section className="admin-votes">
+              <div className="moderation-actions">
+                <span className="vote-search-summary">
+                  {isLoading ? 'Loading...' : `${count} ${count === 1 ? 'vote' : 'votes'}`}
+                  {count >= MODERATION_PAGE_SIZE && ' (showing the newest; narrow the filters to see more)'}
+                  {selectedIds.size > 0 && ` · ${selectedIds.size} selected`}
+                </span>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Note for the audit log (optional)"
+                  maxLength={500}
+                />
+                <button
+                  className="modal-btn modal-btn-cancel"
+                  onClick={() => applyStatus(VOTE_STATUS.HIDDEN)}
+                  disabled={selectedIds.size === 0 || isApplying}
+                >
+                  Hide selected
+                </button>
+                <button
+                  className="modal-btn modal-btn-submit"
+                  onClick={() => applyStatus(VOTE_STATUS.VISIBLE)}
+                  disabled={selectedIds.size === 0 || isApplying}
+                >
+                  Restore selected
+                </button>
+              </div>
+
+              <ModerationTable
+                votes={votes}
+                selectedIds={selectedIds}
+                onSelectionChange={setSelectedIds}
+                onVoteFocus={setFocusedVote}
+              />
+            </section>
+
+            <aside className="admin-sidebar">
+              <ModerationMap
+                votes={votes}
+                selectedIds={selectedIds}
+                onToggleSelected={toggleSelected}
+                focusedVote={focusedVote}
+                onBoundsChange={setMapBounds}
+              />
+              <h4 className="account-section-title">Audit log</h4>
+              <ModerationLog entries={logEntries} />
+            </aside>
+          </div>
+        </main>
+      )}
+    </div>
+  )
+}
+
+export default AdminApp
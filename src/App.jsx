@@ -1,16 +1,30 @@
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react'
 import './App.css'
 import TehranMap from './components/Map/TehranMap'
 import Header from './components/UI/Header'
 import SelectionButton from './components/UI/SelectionButton'
 import StatusMessage from './components/UI/StatusMessage'
 import VoteModal from './components/UI/VoteModal'
-import Legend from './components/UI/Legend'
 import VoteCounter from './components/UI/VoteCounter'
 import BasemapToggle from './components/UI/BasemapToggle'
 import FavoribilityToggle from './components/UI/FavoribilityToggle'
 import VotesToggle from './components/UI/VotesToggle'
-import { isSupabaseConfigured, getSupabaseConfigStatus, testConnection, fetchAllVotes, submitVote } from './services/supabase'
+import LiveUpdatesToggle from './components/UI/LiveUpdatesToggle'
+import OfflineQueuePanel from './components/UI/OfflineQueuePanel'
+import CategoryFilter from './components/UI/CategoryFilter'
+import VoteSearchPanel from './components/UI/VoteSearchPanel'
+import PhotoLightbox from './components/UI/PhotoLightbox'
+import AccountPanel from './components/UI/AccountPanel'
+import DistrictPanel from './components/UI/DistrictPanel'
+import { isStorageConfigured, getStorageConfigStatus, testConnection, fetchVotesInBounds, fetchVotesSince, fetchUserVotes, submitVote, updateVote, deleteVote, reportVote, subscribeToVotes } from './services/storage'
+import { isAuthEnabled, isAuthRequired, getCurrentUser, onAuthChange } from './services/auth'
+import { mergeVoteFeatures, removeVoteFeature, updateVoteFeature, getLatestCreatedAt, boundsContain, filterVotesByCategory, filterFlaggedVotes } from './utils/geojson'
+import { normalizeDistricts, computeDistrictStats } from './utils/districts'
+import { getClientId } from './utils/antiSpam'
+import { enqueueVote, getQueuedVotes, removeQueuedVote, retryQueuedVote, replayQueuedVotes, queuedVoteToFeature, isNetworkError, isQueueAvailable, REPLAY_SYNC_TAG } from './services/voteQueue'
+import { CATEGORY_IDS } from './config/categories'
+import { ADMIN_PATH, VOTE_STATUS } from './config/moderation'
+import { DISTRICTS_URL } from './config/districts'
 import booleanPointInPolygon from '@turf/boolean-point-in-polygon'
 import { point } from '@turf/helpers'
 
@@ -29,12 +43,15 @@ function App() {
   const [showModal, setShowModal] = useState(false)
   const [selectedLocation, setSelectedLocation] = useState(null)
   const [isSubmitting, setIsSubmitting] = useState(false)
+  const [editingVote, setEditingVote] = useState(null)
 
   // Status state
   const [status, setStatus] = useState({ type: '', message: '', show: false })
   const [isConfigured, setIsConfigured] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
   const [configWarning, setConfigWarning] = useState(false)
+  const [storageStatus, setStorageStatus] = useState(null)
+  const [isConnected, setIsConnected] = useState(false)
 
   // Basemap state
   const [baseMapType, setBaseMapType] = useState('hybrid')
@@ -44,6 +61,41 @@ function App() {
 
   // Votes layer state
   const [isVotesEnabled, setIsVotesEnabled] = useState(true)
+  const [visibleCategories, setVisibleCategories] = useState(CATEGORY_IDS)
+
+  // Open side panel: 'search', 'account', 'districts' or null
+  const [activePanel, setActivePanel] = useState(null)
+
+  // Comment search state - filters markers and focuses picked votes
+  const [voteFilter, setVoteFilter] = useState({ query: '', tags: [] })
+  const [focusedVote, setFocusedVote] = useState(null)
+
+  // District state - municipal district boundaries and the picked district
+  const [districtData, setDistrictData] = useState(null)
+  const [districtError, setDistrictError] = useState('')
+  const [selectedDistrict, setSelectedDistrict] = useState(null)
+
+  // Auth state - signed-in user and their votes
+  const [authEnabled] = useState(isAuthEnabled)
+  const [user, setUser] = useState(null)
+  const [myVotes, setMyVotes] = useState(null)
+  const [isLoadingMyVotes, setIsLoadingMyVotes] = useState(false)
+
+  // Photo lightbox state - photos of the vote being viewed
+  const [lightbox, setLightbox] = useState({ photos: null, index: 0 })
+
+  // Live updates state - votes received while paused are held back
+  const [isLivePaused, setIsLivePaused] = useState(false)
+  const [isLiveSupported, setIsLiveSupported] = useState(false)
+  const [pendingVotes, setPendingVotes] = useState([])
+  const isLivePausedRef = useRef(false)
+  const pendingChangesRef = useRef([])
+
+  // Offline queue state - votes cast without connectivity
+  const [queuedVotes, setQueuedVotes] = useState([])
+  const [isOnline, setIsOnline] = useState(navigator.onLine)
+  const [isReplaying, setIsReplaying] = useState(false)
+  const isReplayingRef = useRef(false)
 
   // Load boundary data
   useEffect(() => {
@@ -69,29 +121,81 @@ function App() {
     loadBoundary()
   }, [])
 
-  // Check Supabase configuration and load initial data
+  // Load district boundaries; they are optional, so a missing file only disables the panel
+  useEffect(() => {
+    async function loadDistricts() {
+      try {
+        const response = await fetch(DISTRICTS_URL)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        const data = normalizeDistricts(await response.json())
+        if (data.features.length === 0) {
+          throw new Error('no numbered district polygons')
+        }
+        setDistrictData(data)
+        console.log('[App] Districts loaded:', data.features.length)
+      } catch (error) {
+        console.warn('[App] District boundaries not available:', error.message)
+        setDistrictError(`District boundaries could not be loaded from public${DISTRICTS_URL} (${error.message})`)
+      }
+    }
+    loadDistricts()
+  }, [])
+
+  // Restore the session and follow sign-in/out (including magic link redirects)
+  useEffect(() => {
+    if (!authEnabled) return
+
+    getCurrentUser().then(setUser)
+    return onAuthChange(setUser) || undefined
+  }, [authEnabled])
+
+  // Load "My votes" while the account panel is open
+  useEffect(() => {
+    if (!user) {
+      setMyVotes(null)
+      return
+    }
+    if (activePanel !== 'account') return
+
+    let cancelled = false
+    setIsLoadingMyVotes(true)
+    fetchUserVotes(user.id).then(result => {
+      if (cancelled) return
+      setMyVotes(result.success ? result.votes : null)
+      setIsLoadingMyVotes(false)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [user, activePanel])
+
+  // Check storage configuration and load initial data
   useEffect(() => {
     async function initializeApp() {
       setIsLoading(true)
 
       // Check configuration
-      const configured = isSupabaseConfigured()
+      const configured = isStorageConfigured()
+      const configStatus = getStorageConfigStatus()
       setIsConfigured(configured)
+      setStorageStatus(configStatus)
 
       if (!configured) {
-        const configStatus = getSupabaseConfigStatus()
-        console.warn('[App] Supabase not configured:', configStatus)
+        console.warn('[App] Storage provider not configured:', configStatus)
         setConfigWarning(true)
         setIsLoading(false)
         return
       }
 
-      // Test connection and load initial votes
+      // Test connection; votes are then loaded for the visible map area
       let connected = false
       try {
         connected = await testConnection()
         if (!connected) {
-          console.warn('[App] Supabase connection failed')
+          console.warn(`[App] ${configStatus.label} connection failed`)
           setStatus({
             type: 'error',
             message: 'Failed to connect to database. Please check configuration.',
@@ -103,8 +207,19 @@ function App() {
       }
 
       // Only load votes if connection was successful
+      setIsConnected(connected)
       if (connected) {
-        await loadVotes()
+        // Let the user know votes are only stored in this browser
+        if (configStatus.mock) {
+          setStatus({
+            type: 'info',
+            message: 'Demo mode: votes are stored locally in this browser',
+            show: true
+          })
+          setTimeout(() => {
+            setStatus(prev => ({ ...prev, show: false }))
+          }, 5000)
+        }
       }
       setIsLoading(false)
     }
@@ -112,21 +227,50 @@ function App() {
     initializeApp()
   }, [])
 
-  // Load votes from Supabase
-  const loadVotes = useCallback(async () => {
-    if (!isSupabaseConfigured()) {
+  // Add streamed votes to the map data
+  const applyLiveVotes = useCallback((features) => {
+    setHotspotData(prev => mergeVoteFeatures(prev, features))
+  }, [])
+
+  // Apply streamed edits and deletions. Votes that are no longer visible
+  // leave the map; restored ones come back. "My votes" keeps hidden ones.
+  const applyLiveChanges = useCallback((changes) => {
+    setHotspotData(prev => changes.reduce((collection, change) => {
+      if (change.type !== 'update' || change.feature.properties.status !== VOTE_STATUS.VISIBLE) {
+        return removeVoteFeature(collection, change.id)
+      }
+      return collection.features.some(feature => feature.properties.id === change.id)
+        ? updateVoteFeature(collection, change.feature)
+        : mergeVoteFeatures(collection, [change.feature])
+    }, prev))
+    setMyVotes(prev => prev && changes.reduce((collection, change) => {
+      if (change.type === 'delete') return removeVoteFeature(collection, change.id)
+      return change.type === 'update' ? updateVoteFeature(collection, change.feature) : collection
+    }, prev))
+  }, [])
+
+  // Load votes for the visible map area, skipping areas already loaded
+  const loadedBoundsRef = useRef([])
+  const viewportRequestRef = useRef(0)
+
+  const handleViewportChange = useCallback(async (bounds) => {
+    if (!isConnected || loadedBoundsRef.current.some(loaded => boundsContain(loaded, bounds))) {
       return
     }
 
+    // Newer viewport requests cancel older ones
+    const requestId = ++viewportRequestRef.current
+    const isCancelled = () => requestId !== viewportRequestRef.current
+
     try {
-      console.log('[App] Loading votes...')
-      const result = await fetchAllVotes()
-      
+      console.log('[App] Loading votes in view:', bounds)
+      const result = await fetchVotesInBounds(bounds, { isCancelled })
+
       if (result.success) {
-        setHotspotData(result.votes)
-        const count = result.votes.features?.length || 0
-        setVoteCount(count)
-        console.log(`[App] Loaded ${count} votes`)
+        applyLiveVotes(result.votes.features)
+        if (!isCancelled()) {
+          loadedBoundsRef.current.push(bounds)
+        }
       } else {
         console.error('[App] Failed to load votes:', result.error)
         setStatus({
@@ -138,8 +282,187 @@ function App() {
     } catch (error) {
       console.error('[App] Load votes error:', error)
     }
+  }, [isConnected, applyLiveVotes])
+
+  // Keep the vote counter and sync cursor in step with the loaded and streamed votes
+  const hotspotDataRef = useRef(hotspotData)
+  useEffect(() => {
+    hotspotDataRef.current = hotspotData
+    setVoteCount(hotspotData.features?.filter(feature => !feature.properties.pending).length || 0)
+  }, [hotspotData])
+
+  // Reload queued votes from IndexedDB
+  const refreshQueue = useCallback(async () => {
+    if (isQueueAvailable()) {
+      setQueuedVotes(await getQueuedVotes())
+    }
   }, [])
 
+  // Send queued votes and report the outcome of each one
+  const replayQueue = useCallback(async () => {
+    if (isReplayingRef.current || !isQueueAvailable()) {
+      return
+    }
+
+    isReplayingRef.current = true
+    setIsReplaying(true)
+
+    try {
+      const results = await replayQueuedVotes(submitVote)
+      applyLiveVotes(results.filter(r => r.feature).map(r => r.feature))
+      await refreshQueue()
+
+      const sent = results.filter(r => r.status === 'submitted' || r.status === 'duplicate').length
+      const failed = results.filter(r => r.status === 'failed')
+
+      if (failed.length > 0) {
+        setStatus({
+          type: 'error',
+          message: `${failed.length} queued vote(s) were rejected: ${failed[0].error}`,
+          show: true
+        })
+      } else if (sent > 0) {
+        setStatus({
+          type: 'success',
+          message: `${sent} queued vote(s) sent`,
+          show: true
+        })
+        setTimeout(() => {
+          setStatus(prev => ({ ...prev, show: false }))
+        }, 3000)
+      }
+    } catch (error) {
+      console.error('[App] Replay queue error:', error)
+    } finally {
+      isReplayingRef.current = false
+      setIsReplaying(false)
+    }
+  }, [applyLiveVotes, refreshQueue])
+
+  // Load the offline queue on startup
+  useEffect(() => {
+    refreshQueue()
+  }, [refreshQueue])
+
+  // Replay queued votes once the backend is reachable
+  useEffect(() => {
+    if (isConnected) {
+      replayQueue()
+    }
+  }, [isConnected, replayQueue])
+
+  // Track connectivity; reconnect and replay when it returns
+  useEffect(() => {
+    const handleOnline = async () => {
+      setIsOnline(true)
+      if (!isConnected && isStorageConfigured()) {
+        setIsConnected(await testConnection())
+      } else {
+        replayQueue()
+      }
+    }
+    const handleOffline = () => setIsOnline(false)
+
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [isConnected, replayQueue])
+
+  // Background Sync: the service worker asks open tabs to replay the queue
+  useEffect(() => {
+    if (!navigator.serviceWorker) {
+      return
+    }
+
+    const handleMessage = (event) => {
+      if (event.data?.type === REPLAY_SYNC_TAG) {
+        replayQueue()
+      }
+    }
+
+    navigator.serviceWorker.addEventListener('message', handleMessage)
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+  }, [replayQueue])
+
+  // Votes shown on the map: stored votes plus those still in the queue
+  const mapData = useMemo(() => {
+    return mergeVoteFeatures(hotspotData, queuedVotes.map(queuedVoteToFeature))
+  }, [hotspotData, queuedVotes])
+
+  // Per-district statistics of the loaded votes in the visible categories,
+  // without flagged votes; only computed while the districts panel is open
+  const districtStats = useMemo(() => {
+    if (!districtData || activePanel !== 'districts') return null
+
+    const categories = visibleCategories.length === CATEGORY_IDS.length ? null : visibleCategories
+    return computeDistrictStats(filterVotesByCategory(filterFlaggedVotes(hotspotData), categories), districtData)
+  }, [districtData, activePanel, hotspotData, visibleCategories])
+
+  // Pull only votes newer than the latest one held (delta sync)
+  const syncVotes = useCallback(async () => {
+    const since = getLatestCreatedAt(hotspotDataRef.current)
+    const result = await fetchVotesSince(since)
+
+    if (result.success) {
+      applyLiveVotes(result.votes.features)
+    } else {
+      console.warn('[App] Delta sync failed:', result.error)
+    }
+  }, [applyLiveVotes])
+
+  // Catch up on missed votes when the tab regains focus or comes back online
+  useEffect(() => {
+    if (!isConnected) {
+      return
+    }
+
+    const handleResume = () => {
+      if (document.visibilityState === 'visible' && !isLivePausedRef.current) {
+        syncVotes()
+      }
+    }
+
+    window.addEventListener('online', handleResume)
+    document.addEventListener('visibilitychange', handleResume)
+
+    return () => {
+      window.removeEventListener('online', handleResume)
+      document.removeEventListener('visibilitychange', handleResume)
+    }
+  }, [isConnected, syncVotes])
+
+  // Subscribe to votes cast, changed and deleted by other users
+  useEffect(() => {
+    if (!isConnected) {
+      return
+    }
+
+    const unsubscribe = subscribeToVotes((feature) => {
+      if (isLivePausedRef.current) {
+        setPendingVotes(prev => [feature, ...prev])
+      } else {
+        applyLiveVotes([feature])
+      }
+    }, (change) => {
+      if (isLivePausedRef.current) {
+        pendingChangesRef.current.push(change)
+      } else {
+        applyLiveChanges([change])
+      }
+    })
+    setIsLiveSupported(!!unsubscribe)
+
+    return () => {
+      if (unsubscribe) {
+        unsubscribe()
+      }
+    }
+  }, [isConnected, applyLiveVotes, applyLiveChanges])
+
   // Check if point is within Tehran boundary
   const isPointInBoundary = useCallback((lat, lng) => {
     if (!boundaryData || !boundaryData.features || boundaryData.features.length === 0) {
@@ -190,12 +513,20 @@ function App() {
     setIsSelectionMode(false)
   }, [isSelectionMode, isPointInBoundary])
 
-  // Handle vote submission
-  const handleVoteSubmit = async (voteData) => {
-    if (!isSupabaseConfigured()) {
+  // Handle vote submission; signed-in votes are tied to the user, anonymous
+  // ones carry the browser's client id and the modal's proof-of-work stamp
+  const handleVoteSubmit = async (formData) => {
+    if (editingVote) {
+      await handleVoteUpdate(formData)
+      return
+    }
+
+    const voteData = { ...formData, userId: user?.id || null, clientId: getClientId() }
+
+    if (!isStorageConfigured()) {
       setStatus({
         type: 'error',
-        message: 'Cannot submit vote: Supabase not configured',
+        message: 'Cannot submit vote: storage provider not configured',
         show: true
       })
       return
@@ -204,24 +535,78 @@ function App() {
     setIsSubmitting(true)
     console.log('[App] Submitting vote:', voteData)
 
+    // Without connectivity go straight to the offline queue
+    if (!navigator.onLine && isQueueAvailable()) {
+      await queueVote(voteData)
+      setIsSubmitting(false)
+      return
+    }
+
+    // Optimistically show the vote while it is being stored
+    const pendingId = `pending-${Date.now()}`
+    applyLiveVotes([{
+      type: 'Feature',
+      properties: {
+        id: pendingId,
+        user_name: voteData.userName,
+        score: voteData.score,
+        category: voteData.category,
+        ratings: voteData.ratings,
+        comment: voteData.comment,
+        tags: voteData.tags,
+        photo_count: voteData.photos?.length || 0,
+        created_at: new Date().toISOString(),
+        pending: true
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: [voteData.lng, voteData.lat]
+      }
+    }])
+
     try {
       const result = await submitVote(
         voteData.userName,
         voteData.score,
         voteData.lng,
-        voteData.lat
+        voteData.lat,
+        {
+          category: voteData.category,
+          ratings: voteData.ratings,
+          comment: voteData.comment,
+          tags: voteData.tags,
+          photos: voteData.photos,
+          userId: voteData.userId,
+          clientId: voteData.clientId,
+          powStamp: voteData.powStamp,
+          flags: voteData.flags
+        }
       )
 
+      // Swap the optimistic vote for the stored one, or roll it back
+      setHotspotData(prev => {
+        const withoutPending = removeVoteFeature(prev, pendingId)
+        return result.success && result.feature
+          ? mergeVoteFeatures(withoutPending, [result.feature])
+          : withoutPending
+      })
+
       if (result.success) {
-        // Update hotspots with new data
-        if (result.votes) {
-          setHotspotData(result.votes)
-          setVoteCount(result.votes.features?.length || 0)
+        if (voteData.userId && result.feature) {
+          setMyVotes(prev => mergeVoteFeatures(prev, [result.feature]))
+        }
+
+        // The new vote replaced the user's earlier votes at this place
+        const replaced = result.replaced || []
+        if (replaced.length > 0) {
+          removeVotes(replaced)
         }
 
         setStatus({
           type: 'success',
-          message: 'Vote submitted successfully!',
+          message: replaced.length > 0
+            ? 'Vote submitted - it replaces your earlier vote here'
+            : 'Vote submitted successfully!',
           show: true
         })
 
@@ -233,6 +618,9 @@ function App() {
         setTimeout(() => {
           setStatus(prev => ({ ...prev, show: false }))
         }, 3000)
+      } else if (isNetworkError(result.error) && isQueueAvailable()) {
+        // Connection dropped mid-request - keep the vote for later
+        await queueVote(voteData)
       } else {
         setStatus({
           type: 'error',
@@ -242,6 +630,7 @@ function App() {
       }
     } catch (error) {
       console.error('[App] Submit vote error:', error)
+      setHotspotData(prev => removeVoteFeature(prev, pendingId))
       setStatus({
         type: 'error',
         message: 'An error occurred while submitting your vote',
@@ -252,6 +641,41 @@ function App() {
     }
   }
 
+  // Save a vote to the offline queue and close the modal
+  const queueVote = async (voteData) => {
+    try {
+      const record = await enqueueVote(voteData)
+      setQueuedVotes(prev => [...prev, record])
+      setShowModal(false)
+      setSelectedLocation(null)
+      setStatus({
+        type: 'warning',
+        message: 'You are offline. Your vote was saved and will be sent when the connection returns.',
+        show: true
+      })
+    } catch (error) {
+      console.error('[App] Queue vote error:', error)
+      setStatus({
+        type: 'error',
+        message: 'Failed to submit vote',
+        show: true
+      })
+    }
+  }
+
+  // Handle retry of a rejected queued vote
+  const handleQueueRetry = async (id) => {
+    await retryQueuedVote(id)
+    await refreshQueue()
+    replayQueue()
+  }
+
+  // Handle discard of a rejected queued vote
+  const handleQueueDiscard = async (id) => {
+    await removeQueuedVote(id)
+    await refreshQueue()
+  }
+
   // Handle selection mode toggle
   const handleSelectionToggle = () => {
     setIsSelectionMode(prev => !prev)
@@ -272,9 +696,100 @@ function App() {
     if (!isSubmitting) {
       setShowModal(false)
       setSelectedLocation(null)
+      setEditingVote(null)
+    }
+  }
+
+  // Drop votes from the map and from "My votes"
+  const removeVotes = (ids) => {
+    const idSet = new Set(ids)
+    const keep = (collection) => collection && {
+      type: 'FeatureCollection',
+      features: collection.features.filter(feature => !idSet.has(feature.properties.id))
+    }
+    setHotspotData(keep)
+    setMyVotes(keep)
+  }
+
+  // Open the vote modal on one of the user's votes
+  const handleVoteEdit = useCallback((id) => {
+    const feature = hotspotData.features.find(item => item.properties.id === id)
+    if (!feature) return
+
+    const [lng, lat] = feature.geometry.coordinates
+    setEditingVote(feature)
+    setSelectedLocation({ lat, lng })
+    setShowModal(true)
+  }, [hotspotData])
+
+  // Save changes to an edited vote
+  const handleVoteUpdate = async (formData) => {
+    setIsSubmitting(true)
+
+    try {
+      const result = await updateVote(editingVote.properties.id, {
+        score: formData.score,
+        category: formData.category,
+        ratings: formData.ratings,
+        comment: formData.comment,
+        tags: formData.tags
+      }, user?.id)
+
+      if (!result.success) {
+        setStatus({ type: 'error', message: result.error || 'Failed to update vote', show: true })
+        return
+      }
+
+      setHotspotData(prev => updateVoteFeature(prev, result.feature))
+      setMyVotes(prev => prev && updateVoteFeature(prev, result.feature))
+      setShowModal(false)
+      setSelectedLocation(null)
+      setEditingVote(null)
+      setStatus({ type: 'success', message: 'Vote updated', show: true })
+      setTimeout(() => {
+        setStatus(prev => ({ ...prev, show: false }))
+      }, 3000)
+    } catch (error) {
+      console.error('[App] Update vote error:', error)
+      setStatus({ type: 'error', message: 'An error occurred while updating your vote', show: true })
+    } finally {
+      setIsSubmitting(false)
     }
   }
 
+  // Withdraw one of the user's votes
+  const handleVoteWithdraw = useCallback(async (id) => {
+    if (!window.confirm('Withdraw this vote? This cannot be undone.')) {
+      return
+    }
+
+    const result = await deleteVote(id, user?.id)
+    if (!result.success) {
+      setStatus({ type: 'error', message: result.error || 'Failed to withdraw vote', show: true })
+      return
+    }
+
+    removeVotes([id])
+    setStatus({ type: 'success', message: 'Vote withdrawn', show: true })
+    setTimeout(() => {
+      setStatus(prev => ({ ...prev, show: false }))
+    }, 3000)
+  }, [user])
+
+  // Send a vote to the moderation queue
+  const handleVoteReport = useCallback(async (id, reason) => {
+    const result = await reportVote(id, reason, { userId: user?.id || null, clientId: getClientId() })
+    if (!result.success) {
+      setStatus({ type: 'error', message: result.error || 'Failed to report vote', show: true })
+      return
+    }
+
+    setStatus({ type: 'success', message: 'Thanks, a moderator will review this vote', show: true })
+    setTimeout(() => {
+      setStatus(prev => ({ ...prev, show: false }))
+    }, 3000)
+  }, [user])
+
   // Handle hotspot click (view existing vote)
   const handleHotspotClick = (feature) => {
     console.log('[App] Hotspot clicked:', feature)
@@ -293,16 +808,99 @@ function App() {
     console.log('[App] Favoribility layer:', enabled ? 'enabled' : 'disabled')
   }
 
+  // Handle live updates pause/resume
+  const handleLiveToggle = (paused) => {
+    isLivePausedRef.current = paused
+    setIsLivePaused(paused)
+
+    // Flush votes and changes that arrived while paused, in that order so a
+    // vote cast and withdrawn meanwhile ends up removed
+    if (!paused && pendingVotes.length > 0) {
+      applyLiveVotes(pendingVotes)
+      setPendingVotes([])
+    }
+    if (!paused && pendingChangesRef.current.length > 0) {
+      applyLiveChanges(pendingChangesRef.current)
+      pendingChangesRef.current = []
+    }
+    console.log('[App] Live updates:', paused ? 'paused' : 'resumed')
+  }
+
   // Handle votes toggle
   const handleVotesToggle = (enabled) => {
     setIsVotesEnabled(enabled)
     console.log('[App] Votes layer:', enabled ? 'enabled' : 'disabled')
   }
 
+  // Handle a vote picked in the search panel
+  const handleVoteSelect = (feature) => {
+    const [lng, lat] = feature.geometry.coordinates
+    setIsVotesEnabled(true)
+    setFocusedVote({ id: feature.properties.id, lat, lng })
+  }
+
+  // Open a side panel, or close it if it is already open
+  const togglePanel = (panel) => {
+    setActivePanel(current => (current === panel ? null : panel))
+  }
+
+  // Pick a district in the panel or on the map; picking it again clears it
+  const handleDistrictSelect = useCallback((id) => {
+    setSelectedDistrict(current => (current === id ? null : id))
+  }, [])
+
+  // Sign-in link in the vote modal: close it and open the account panel
+  const handleSignInRequest = () => {
+    setShowModal(false)
+    setActivePanel('account')
+  }
+
+  // Photo lightbox handlers - stable so vote markers are not rebuilt
+  const handlePhotoOpen = useCallback((photos, index) => {
+    setLightbox({ photos, index })
+  }, [])
+
+  const handlePhotoIndexChange = useCallback((index) => {
+    setLightbox(prev => ({ ...prev, index }))
+  }, [])
+
+  const handlePhotoClose = useCallback(() => {
+    setLightbox({ photos: null, index: 0 })
+  }, [])
+
   return (
     <div className="app-container">
       {/* Header */}
-      <Header />
+      <Header>
+        <button
+          className={`header-action ${activePanel === 'search' ? 'active' : ''}`}
+          onClick={() => togglePanel('search')}
+          aria-pressed={activePanel === 'search'}
+        >
+          Comments
+        </button>
+        <button
+          className={`header-action ${activePanel === 'districts' ? 'active' : ''}`}
+          onClick={() => togglePanel('districts')}
+          aria-pressed={activePanel === 'districts'}
+        >
+          Districts
+        </button>
+        {authEnabled && (
+          <button
+            className={`header-action ${activePanel === 'account' ? 'active' : ''}`}
+            onClick={() => togglePanel('account')}
+            aria-pressed={activePanel === 'account'}
+          >
+            {user ? (user.displayName || 'My account') : 'Sign in'}
+          </button>
+        )}
+        {user?.isModerator && (
+          <a className="header-action" href={ADMIN_PATH}>
+            Moderation
+          </a>
+        )}
+      </Header>
 
       {/* Map */}
       <div className="map-wrapper">
@@ -310,11 +908,25 @@ function App() {
           isSelectionMode={isSelectionMode}
           onMapClick={handleMapClick}
           boundaryData={boundaryData}
-          hotspotData={hotspotData}
+          hotspotData={mapData}
           onHotspotClick={handleHotspotClick}
           baseMapType={baseMapType}
           isFavoribilityEnabled={isFavoribilityEnabled}
           isVotesEnabled={isVotesEnabled}
+          visibleCategories={visibleCategories}
+          voteFilter={voteFilter}
+          focusedVote={focusedVote}
+          currentUserId={user?.id || null}
+          onPhotoOpen={handlePhotoOpen}
+          onVoteEdit={handleVoteEdit}
+          onVoteWithdraw={handleVoteWithdraw}
+          onVoteReport={handleVoteReport}
+          onViewportChange={handleViewportChange}
+          districtData={districtData}
+          districtError={districtError}
+          showDistricts={activePanel === 'districts'}
+          selectedDistrict={selectedDistrict}
+          onDistrictSelect={handleDistrictSelect}
         />
       </div>
 
@@ -332,15 +944,75 @@ function App() {
         show={status.show}
       />
 
-      {/* Legend */}
-      <Legend />
-
       {/* Vote Counter */}
       <VoteCounter count={voteCount} />
 
       {/* Votes Toggle */}
       <VotesToggle isEnabled={isVotesEnabled} onToggle={handleVotesToggle} />
 
+      {/* Offline Queue */}
+      <OfflineQueuePanel
+        queuedVotes={queuedVotes}
+        isOnline={isOnline}
+        isReplaying={isReplaying}
+        onRetry={handleQueueRetry}
+        onDiscard={handleQueueDiscard}
+      />
+
+      {/* Live Updates Toggle */}
+      {isLiveSupported && (
+        <LiveUpdatesToggle
+          isPaused={isLivePaused}
+          pendingCount={pendingVotes.length}
+          onToggle={handleLiveToggle}
+        />
+      )}
+
+      {/* Comment & Tag Search */}
+      <VoteSearchPanel
+        isOpen={activePanel === 'search'}
+        onClose={() => setActivePanel(null)}
+        votes={mapData}
+        filter={voteFilter}
+        onFilterChange={setVoteFilter}
+        onVoteSelect={handleVoteSelect}
+      />
+
+      {/* District Statistics */}
+      <DistrictPanel
+        isOpen={activePanel === 'districts'}
+        onClose={() => setActivePanel(null)}
+        stats={districtStats}
+        isAvailable={!!districtData?.features.length}
+        error={districtError}
+        selectedDistrict={selectedDistrict}
+        onDistrictSelect={handleDistrictSelect}
+      />
+
+      {/* Photo Lightbox */}
+      <PhotoLightbox
+        photos={lightbox.photos}
+        index={lightbox.index}
+        onIndexChange={handlePhotoIndexChange}
+        onClose={handlePhotoClose}
+      />
+
+      {/* Account & My Votes */}
+      {authEnabled && (
+        <AccountPanel
+          isOpen={activePanel === 'account'}
+          onClose={() => setActivePanel(null)}
+          user={user}
+          onUserChange={setUser}
+          myVotes={myVotes}
+          isLoadingVotes={isLoadingMyVotes}
+          onVoteSelect={handleVoteSelect}
+        />
+      )}
+
+      {/* Category Filter */}
+      <CategoryFilter selected={visibleCategories} onChange={setVisibleCategories} />
+
       {/* Basemap Toggle */}
       <BasemapToggle baseMapType={baseMapType} onToggle={handleBaseMapToggle} />
 
@@ -354,6 +1026,11 @@ function App() {
         onSubmit={handleVoteSubmit}
         selectedLocation={selectedLocation}
         isSubmitting={isSubmitting}
+        editingVote={editingVote}
+        user={user}
+        isAuthEnabled={authEnabled}
+        isAuthRequired={isAuthRequired()}
+        onSignIn={handleSignInRequest}
       />
 
       {/* Loading Overlay */}
@@ -368,14 +1045,21 @@ function App() {
       {configWarning && (
         <div className="config-warning">
           <h3>Configuration Required</h3>
-          <p>To enable voting functionality, please configure your Supabase credentials.</p>
+          <p>To enable voting functionality, please configure the {storageStatus?.label || 'storage'} backend.</p>
           <p>Add the following to your <code>.env</code> file:</p>
-          <code>
-            VITE_SUPABASE_URL=your_supabase_url<br />
-            VITE_SUPABASE_ANON_KEY=your_anon_key
-          </code>
+          {storageStatus?.provider === 'rest' ? (
+            <code>
+              VITE_STORAGE_PROVIDER=rest<br />
+              VITE_REST_API_URL=your_api_url
+            </code>
+          ) : (
+            <code>
+              VITE_SUPABASE_URL=your_supabase_url<br />
+              VITE_SUPABASE_ANON_KEY=your_anon_key
+            </code>
+          )}
           <p style={{ marginTop: '1rem', fontSize: '0.875rem', color: '#6c757d' }}>
-            The map will still work, but you won't be able to submit votes without Supabase configuration.
+            The map will still work, but you won't be able to submit votes without a configured storage backend.
           </p>
           <button 
             className="modal-btn modal-btn-submit" 
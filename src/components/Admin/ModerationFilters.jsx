@@ -0,0 +1,74 @@
+import React from 'react'
+import { FLAG_FILTERS, VOTE_STATUS } from '../../config/moderation'
+
+// Score options of the min/max selects
+const SCORES = [0, 1, 2, 3, 4, 5]
+
+/**
+ * ModerationFilters Component
+ * Filter bar of the moderation dashboard: time range, score range, user,
+ * flag status, vote status and "only the map area"
+ */
+function ModerationFilters({ filters, onChange }) {
+  const set = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    onChange({ ...filters, [key]: value })
+  }
+
+  return (
+    <form className="moderation-filters" onSubmit={(e) => e.preventDefault()}>
+      <label>
+        From
+        <input type="date" className="form-input" value={filters.since} onChange={set('since')} />
+      </label>
+      <label>
+        To
+        <input type="date" className="form-input" value={filters.until} onChange={set('until')} />
+      </label>
+      <label>
+        Score
+        <span className="moderation-filter-range">
+          <select className="form-input" value={filters.minScore} onChange={set('minScore')} aria-label="Minimum score">
+            <option value="">Any</option>
+            {SCORES.map(score => <option key={score} value={score}>{score}</option>)}
+          </select>
+          &ndash;
+          <select className="form-input" value={filters.maxScore} onChange={set('maxScore')} aria-label="Maximum score">
+            <option value="">Any</option>
+            {SCORES.map(score => <option key={score} value={score}>{score}</option>)}
+          </select>
+        </span>
+      </label>
+      <label>
+        User
+        <input
+          type="search"
+          className="form-input"
+          value={filters.user}
+          onChange={set('user')}
+          placeholder="Name or user id"
+        />
+      </label>
+      <label>
+        Flags
+        <select className="form-input" value={filters.flagFilter} onChange={set('flagFilter')}>
+          {FLAG_FILTERS.map(filter => <option key={filter.id} value={filter.id}>{filter.label}</option>)}
+        </select>
+      </label>
+      <label>
+        Status
+        <select className="form-input" value={filters.status} onChange={set('status')}>
+          <option value="all">Any</option>
+          <option value={VOTE_STATUS.VISIBLE}>Visible</option>
+          <option value={VOTE_STATUS.HIDDEN}>Hidden</option>
+        </select>
+      </label>
+      <label className="moderation-filter-checkbox">
+        <input type="checkbox" checked={filters.useMapArea} onChange={set('useMapArea')} />
+        Only votes in the map area
+      </label>
+    </form>
+  )
+}
+
+export default ModerationFilters
@@ -0,0 +1,34 @@
+import React from 'react'
+
+// Labels of the audit log actions
+const ACTION_LABELS = {
+  hide: 'hid',
+  restore: 'restored'
+}
+
+/**
+ * ModerationLog Component
+ * Audit log of the latest moderator actions, newest first
+ */
+function ModerationLog({ entries }) {
+  if (!entries?.length) {
+    return <div className="vote-search-summary">No moderator actions yet.</div>
+  }
+
+  return (
+    <ul className="moderation-log">
+      {entries.map(entry => (
+        <li key={entry.id}>
+          <span className="moderation-log-time">{new Date(entry.created_at).toLocaleString()}</span>
+          {' '}
+          <strong>{entry.moderator_name || 'A moderator'}</strong>
+          {' '}
+          {ACTION_LABELS[entry.action] || entry.action} vote <code>{String(entry.vote_id).slice(0, 8)}</code>
+          {entry.reason && <span className="moderation-log-reason"> &ndash; {entry.reason}</span>}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default ModerationLog
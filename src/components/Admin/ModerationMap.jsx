@@ -0,0 +1,90 @@
+import React, { useEffect } from 'react'
+import { MapContainer, TileLayer, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet'
+import 'leaflet/dist/leaflet.css'
+import { VOTE_STATUS } from '../../config/moderation'
+
+// Tehran center coordinates
+const TEHRAN_CENTER = [35.6892, 51.3890]
+const TEHRAN_ZOOM = 11
+
+/**
+ * Report the map bounds on load and after every move
+ */
+function BoundsReporter({ onBoundsChange }) {
+  const map = useMap()
+
+  const report = () => {
+    const bounds = map.getBounds()
+    onBoundsChange({
+      west: bounds.getWest(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      north: bounds.getNorth()
+    })
+  }
+
+  useMapEvents({ moveend: report })
+
+  useEffect(() => {
+    report()
+  }, [])
+
+  return null
+}
+
+/**
+ * Fly to the focused vote
+ */
+function FocusController({ focusedVote }) {
+  const map = useMap()
+
+  useEffect(() => {
+    if (!focusedVote) return
+    const [lng, lat] = focusedVote.geometry.coordinates
+    map.flyTo([lat, lng], Math.max(map.getZoom(), 16))
+  }, [map, focusedVote])
+
+  return null
+}
+
+/**
+ * ModerationMap Component
+ * Map of the listed votes; hidden votes are grey, selected ones outlined.
+ * Clicking a vote toggles its selection. The visible area can be used as
+ * the dashboard's area filter.
+ */
+function ModerationMap({ votes, selectedIds, onToggleSelected, focusedVote, onBoundsChange }) {
+  return (
+    <MapContainer center={TEHRAN_CENTER} zoom={TEHRAN_ZOOM} className="moderation-map">
+      <TileLayer
+        url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      />
+      <BoundsReporter onBoundsChange={onBoundsChange} />
+      <FocusController focusedVote={focusedVote} />
+      {(votes?.features || []).map(feature => {
+        const vote = feature.properties
+        const isSelected = selectedIds.has(vote.id)
+
+        return (
+          <CircleMarker
+            key={vote.id}
+            center={[feature.geometry.coordinates[1], feature.geometry.coordinates[0]]}
+            radius={6}
+            pathOptions={{
+              color: isSelected ? '#000000' : '#ffffff',
+              weight: isSelected ? 3 : 1.5,
+              fillColor: vote.status === VOTE_STATUS.HIDDEN ? '#6c757d' : (vote.flags?.length || vote.report_count ? '#e74c3c' : '#2980b9'),
+              fillOpacity: 0.85
+            }}
+            eventHandlers={{ click: () => onToggleSelected(vote.id) }}
+          >
+            <Tooltip>{vote.user_name} &middot; score {vote.score}</Tooltip>
+          </CircleMarker>
+        )
+      })}
+    </MapContainer>
+  )
+}
+
+export default ModerationMap
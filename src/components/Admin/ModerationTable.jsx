@@ -0,0 +1,101 @@
+import React from 'react'
+import { getCategory } from '../../config/categories'
+import { VOTE_STATUS, getReportReasonLabel } from '../../config/moderation'
+import { VOTE_FLAGS } from '../../utils/antiSpam'
+
+/**
+ * ModerationTable Component
+ * Lists the votes matching the dashboard filters with a checkbox per row
+ * for bulk actions. Clicking a row focuses the vote on the map.
+ */
+function ModerationTable({ votes, selectedIds, onSelectionChange, onVoteFocus }) {
+  const features = votes?.features || []
+  const isAllSelected = features.length > 0 && features.every(feature => selectedIds.has(feature.properties.id))
+
+  const toggle = (id) => {
+    const next = new Set(selectedIds)
+    if (next.has(id)) {
+      next.delete(id)
+    } else {
+      next.add(id)
+    }
+    onSelectionChange(next)
+  }
+
+  const toggleAll = () => {
+    onSelectionChange(isAllSelected ? new Set() : new Set(features.map(feature => feature.properties.id)))
+  }
+
+  if (features.length === 0) {
+    return <div className="vote-search-summary">No votes match the filters.</div>
+  }
+
+  return (
+    <table className="moderation-table">
+      <thead>
+        <tr>
+          <th>
+            <input type="checkbox" checked={isAllSelected} onChange={toggleAll} aria-label="Select all votes" />
+          </th>
+          <th>Date</th>
+          <th>User</th>
+          <th>Score</th>
+          <th>Category</th>
+          <th>Comment</th>
+          <th>Flags</th>
+          <th>Reports</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {features.map(feature => {
+          const vote = feature.properties
+          const isHidden = vote.status === VOTE_STATUS.HIDDEN
+
+          return (
+            <tr
+              key={vote.id}
+              className={`${isHidden ? 'hidden-vote' : ''} ${selectedIds.has(vote.id) ? 'selected' : ''}`}
+              onClick={() => onVoteFocus(feature)}
+            >
+              <td onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(vote.id)}
+                  onChange={() => toggle(vote.id)}
+                  aria-label={`Select vote by ${vote.user_name}`}
+                />
+              </td>
+              <td>{new Date(vote.created_at).toLocaleString()}</td>
+              <td>
+                {vote.user_name}
+                {vote.user_id && <span className="moderation-user-badge" title={vote.user_id}>signed in</span>}
+              </td>
+              <td>{vote.score}</td>
+              <td>{getCategory(vote.category).label}</td>
+              <td className="moderation-comment">{vote.comment}</td>
+              <td>
+                {(vote.flags || []).map(flag => (
+                  <span key={flag} className="moderation-badge flag" title={VOTE_FLAGS[flag]}>{flag}</span>
+                ))}
+              </td>
+              <td>
+                {vote.report_count > 0 && (
+                  <span
+                    className="moderation-badge report"
+                    title={(vote.report_reasons || []).map(getReportReasonLabel).join(', ')}
+                  >
+                    {vote.report_count}
+                  </span>
+                )}
+              </td>
+              <td>{isHidden ? 'Hidden' : 'Visible'}</td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+export default ModerationTable
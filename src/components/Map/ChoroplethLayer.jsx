@@ -0,0 +1,64 @@
+import React, { useRef } from 'react'
+import { GeoJSON, Pane } from 'react-leaflet'
+import { NO_DATA_COLOR } from '../../config/choropleth'
+
+// Polygons are drawn in the overlay pane below district outlines and vote markers
+const CHOROPLETH_PANE_Z_INDEX = -3
+
+/**
+ * Format a polygon value for its tooltip
+ */
+function formatValue(unit, metric) {
+  if (unit.value === null) return 'No votes'
+  return metric.id === 'count' ? `${unit.value} votes` : `${metric.label}: ${unit.value.toFixed(2)} (${unit.count} votes)`
+}
+
+/**
+ * ChoroplethLayer Component
+ * Fills polygons with the color of their class; the tooltip shows the
+ * polygon's label and value.
+ */
+function ChoroplethLayer({ data, choropleth, metric }) {
+  // Tooltips are bound once per feature, so read the latest values from a ref
+  const choroplethRef = useRef({ choropleth, metric })
+  choroplethRef.current = { choropleth, metric }
+
+  if (!data || data.features.length === 0) {
+    return null
+  }
+
+  const style = (feature) => {
+    const color = choropleth.units.get(feature.id)?.color
+    return {
+      color: '#ffffff',
+      weight: 1,
+      opacity: 0.8,
+      fillColor: color || NO_DATA_COLOR,
+      fillOpacity: color ? 0.65 : 0.3
+    }
+  }
+
+  // Labels may come from an uploaded file, so the tooltip is built as text nodes
+  const onEachFeature = (feature, layer) => {
+    layer.bindTooltip(() => {
+      const { choropleth: current, metric: currentMetric } = choroplethRef.current
+      const unit = current.units.get(feature.id)
+      const content = document.createElement('div')
+      const title = document.createElement('strong')
+      title.textContent = feature.properties.label
+      content.append(title)
+      if (unit) {
+        content.append(document.createElement('br'), formatValue(unit, currentMetric))
+      }
+      return content
+    }, { sticky: true })
+  }
+
+  return (
+    <Pane name="choropleth" pane="overlayPane" style={{ zIndex: CHOROPLETH_PANE_Z_INDEX }}>
+      <GeoJSON data={data} style={style} onEachFeature={onEachFeature} />
+    </Pane>
+  )
+}
+
+export default ChoroplethLayer
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react'
+import { GeoJSON, Pane, useMap } from 'react-leaflet'
+
+// Districts get a pane inside the overlay pane, drawn below vote markers
+// (and above the choropleth) so they never cover marker clicks
+const DISTRICTS_PANE_Z_INDEX = -1
+
+/**
+ * Style of a district outline, highlighted when selected
+ */
+function getDistrictStyle(feature, selectedDistrict) {
+  const isSelected = feature.id === selectedDistrict
+
+  return {
+    color: isSelected ? '#e67e22' : '#1a5276',
+    weight: isSelected ? 3 : 1.5,
+    opacity: 0.9,
+    dashArray: isSelected ? null : '4 4',
+    fillColor: isSelected ? '#e67e22' : '#1a5276',
+    fillOpacity: isSelected ? 0.2 : 0.03
+  }
+}
+
+/**
+ * DistrictsLayer Component
+ * Outlines Tehran's municipal districts with their numbers as tooltips.
+ * Clicking a district selects it; the selected district is highlighted
+ * and the map zooms to it.
+ */
+function DistrictsLayer({ data, selectedDistrict, onDistrictSelect, isSelectionMode }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+
+  // Handlers are bound once per feature, so read the latest props from a ref
+  const handlersRef = useRef({ onDistrictSelect, isSelectionMode })
+  handlersRef.current = { onDistrictSelect, isSelectionMode }
+
+  // Zoom to the selected district
+  useEffect(() => {
+    if (!selectedDistrict || !layerRef.current) return
+
+    layerRef.current.eachLayer(layer => {
+      if (layer.feature.id === selectedDistrict) {
+        map.flyToBounds(layer.getBounds(), { padding: [40, 40] })
+        layer.bringToFront()
+      }
+    })
+  }, [map, selectedDistrict, data])
+
+  if (!data || data.features.length === 0) {
+    return null
+  }
+
+  const onEachFeature = (feature, layer) => {
+    layer.bindTooltip(feature.properties.label, { sticky: true })
+    layer.on('click', () => {
+      // Clicks while picking a vote location belong to the vote
+      if (!handlersRef.current.isSelectionMode) {
+        handlersRef.current.onDistrictSelect(feature.id)
+      }
+    })
+  }
+
+  return (
+    <Pane name="districts" pane="overlayPane" style={{ zIndex: DISTRICTS_PANE_Z_INDEX }}>
+      <GeoJSON
+        ref={layerRef}
+        data={data}
+        style={(feature) => getDistrictStyle(feature, selectedDistrict)}
+        onEachFeature={onEachFeature}
+      />
+    </Pane>
+  )
+}
+
+export default DistrictsLayer
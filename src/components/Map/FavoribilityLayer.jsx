@@ -1,28 +1,16 @@
-import React, { useEffect, useMemo, useRef, useCallback } from 'react'
+import React, { useEffect, useMemo, useRef } from 'react'
 import { useMap } from 'react-leaflet'
 import L from 'leaflet'
+import { createWorkerPool } from '../../utils/workerPool'
+
+// Above the base map tiles, below every vector layer
+const FAVORIBILITY_Z_INDEX = 2
 
 /**
- * Get color based on favorability score (0-5)
+ * Start a favoribility worker
  */
-function getFavoribilityColorRGB(score) {
-  const normalizedScore = Math.max(0, Math.min(1, score / 5))
-
-  let r, g, b
-
-  if (normalizedScore < 0.5) {
-    const t = normalizedScore * 2
-    r = 255
-    g = Math.round(68 + t * (221 - 68))
-    b = Math.round(68 * (1 - t))
-  } else {
-    const t = (normalizedScore - 0.5) * 2
-    r = Math.round(255 - t * (255 - 68))
-    g = 221
-    b = Math.round(t * (68))
-  }
-
-  return `rgb(${r},${g},${b})`
+function createFavoribilityWorker() {
+  return new Worker(new URL('../../workers/favoribilityWorker.js', import.meta.url), { type: 'module' })
 }
 
 /**
@@ -62,185 +50,99 @@ function extractBoundaryCoordinates(boundaryData) {
 }
 
 /**
- * IDW interpolation
- */
-function quickIDW(lat, lng, points, power = 2) {
-  if (!points || points.length === 0) return 0
-
-  let numerator = 0
-  let denominator = 0
-
-  for (const point of points) {
-    const distance = Math.sqrt(
-      Math.pow(lat - point.lat, 2) + Math.pow(lng - point.lng, 2)
-    )
-
-    if (distance < 0.0001) {
-      return point.score
-    }
-
-    const weight = 1 / Math.pow(distance, power)
-    numerator += weight * point.score
-    denominator += weight
-  }
-
-  return denominator > 0 ? numerator / denominator : 0
-}
-
-/**
- * Ray casting for point-in-polygon
+ * Grid layer whose tiles are rendered by the worker pool
+ * Tiles removed before their turn (panned or zoomed away) are cancelled.
  */
-function isPointInBoundary(lat, lng, boundaryCoords) {
-  let inside = false
-  const n = boundaryCoords.length
+const FavoribilityTileLayer = L.GridLayer.extend({
+  initialize(pool, options) {
+    this._pool = pool
+    this._cancels = new WeakMap()
+    L.GridLayer.prototype.initialize.call(this, options)
+    this.on('tileunload', (e) => {
+      const cancel = this._cancels.get(e.tile)
+      if (cancel) cancel()
+    })
+  },
 
-  for (let i = 0, j = n - 1; i < n; j = i++) {
-    const xi = boundaryCoords[i][0]
-    const yi = boundaryCoords[i][1]
-    const xj = boundaryCoords[j][0]
-    const yj = boundaryCoords[j][1]
+  createTile(coords, done) {
+    const tile = document.createElement('canvas')
+    const size = this.getTileSize()
+    tile.width = size.x
+    tile.height = size.y
 
-    const intersect =
-      ((yi > lat) !== (yj > lat)) &&
-      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)
+    const { promise, cancel } = this._pool.run({ type: 'tile', x: coords.x, y: coords.y, z: coords.z, size: size.x })
+    this._cancels.set(tile, cancel)
 
-    if (intersect) inside = !inside
+    promise
+      .then(reply => {
+        if (reply?.pixels) {
+          tile.getContext('2d').putImageData(new ImageData(reply.pixels, size.x, size.y), 0, 0)
+        }
+        done(null, tile)
+      })
+      .catch(err => {
+        console.error('[FavoribilityLayer] Tile error:', err)
+        done(err, tile)
+      })
+
+    return tile
   }
-
-  return inside
-}
+})
 
 /**
- * FavoribilityLayer Component - Canvas-based
+ * FavoribilityLayer Component - Tiled
+ * IDW surface of the vote scores, clipped to the boundary and rendered per
+ * map tile by a pool of workers at the current zoom, so it sharpens when
+ * zooming in. With compareData, colors each pixel by the interpolated score
+ * difference between data and compareData.
  */
-function FavoribilityLayer({ data, boundaryData }) {
+function FavoribilityLayer({ data, compareData = null, boundaryData }) {
   const map = useMap()
-  const canvasRef = useRef(null)
-  const overlayRef = useRef(null)
+  const poolRef = useRef(null)
+  const layerRef = useRef(null)
 
   // Extract hotspot points and boundary coordinates
   const hotspotPoints = useMemo(() => extractHotspotPoints(data), [data])
+  const comparePoints = useMemo(() => compareData ? extractHotspotPoints(compareData) : null, [compareData])
   const boundaryCoords = useMemo(() => extractBoundaryCoordinates(boundaryData), [boundaryData])
 
-  // Create canvas and render
-  const render = useCallback(() => {
-    if (!map || !hotspotPoints.length || !boundaryCoords.length) {
-      return
-    }
-
-    // Calculate bounds from boundary GeoJSON
-    let minLat = Infinity, maxLat = -Infinity
-    let minLng = Infinity, maxLng = -Infinity
+  const hasSurface = hotspotPoints.length > 0 && boundaryCoords.length > 0 && (!comparePoints || comparePoints.length > 0)
 
-    for (const ring of boundaryCoords) {
-      for (const [lng, lat] of ring) {
-        minLat = Math.min(minLat, lat)
-        maxLat = Math.max(maxLat, lat)
-        minLng = Math.min(minLng, lng)
-        maxLng = Math.max(maxLng, lng)
-      }
-    }
+  // Workers and tile layer live as long as the component
+  useEffect(() => {
+    const pool = createWorkerPool(createFavoribilityWorker)
+    poolRef.current = pool
+    layerRef.current = new FavoribilityTileLayer(pool, { zIndex: FAVORIBILITY_Z_INDEX })
 
-    // Add small padding
-    const latPadding = (maxLat - minLat) * 0.01
-    const lngPadding = (maxLng - minLng) * 0.01
-    minLat -= latPadding
-    maxLat += latPadding
-    minLng -= lngPadding
-    maxLng += lngPadding
-
-    // Create canvas
-    let canvas = canvasRef.current
-    if (!canvas) {
-      canvas = document.createElement('canvas')
-      canvasRef.current = canvas
+    return () => {
+      map.removeLayer(layerRef.current)
+      pool.terminate()
+      poolRef.current = null
+      layerRef.current = null
     }
+  }, [map])
 
-    // Fixed canvas size for consistent resolution
-    const width = 1200
-    const height = Math.round(width * (maxLat - minLat) / (maxLng - minLng))
-    canvas.width = width
-    canvas.height = height
-
-    const ctx = canvas.getContext('2d')
-    ctx.clearRect(0, 0, width, height)
-
-    const imageData = ctx.createImageData(width, height)
-    const data = imageData.data
-
-    const latStep = (maxLat - minLat) / height
-    const lngStep = (maxLng - minLng) / width
-
-    // Process each pixel
-    for (let py = 0; py < height; py++) {
-      const lat = maxLat - py * latStep
-
-      for (let px = 0; px < width; px++) {
-        const lng = minLng + px * lngStep
-
-        // Check boundary
-        let inside = false
-        for (const ring of boundaryCoords) {
-          if (isPointInBoundary(lat, lng, ring)) {
-            inside = true
-            break
-          }
-        }
+  // Send the votes to every worker, then redraw the tiles
+  useEffect(() => {
+    const pool = poolRef.current
+    const layer = layerRef.current
+    if (!pool || !layer) return
 
-        const pixelIndex = (py * width + px) * 4
-
-        if (inside) {
-          const favorability = quickIDW(lat, lng, hotspotPoints, 2)
-          const color = getFavoribilityColorRGB(favorability)
-          const match = color.match(/\d+/g)
-          if (match) {
-            data[pixelIndex] = parseInt(match[0])
-            data[pixelIndex + 1] = parseInt(match[1])
-            data[pixelIndex + 2] = parseInt(match[2])
-            data[pixelIndex + 3] = 220 // 85% opacity
-          }
-        } else {
-          data[pixelIndex + 3] = 0 // Transparent
-        }
+    if (!hasSurface) {
+      if (comparePoints && !comparePoints.length) {
+        console.warn('[FavoribilityLayer] No votes in the compared category')
       }
-    }
-
-    ctx.putImageData(imageData, 0, 0)
-
-    // Create or update ImageOverlay
-    const imageBounds = [
-      [minLat, minLng],
-      [maxLat, maxLng]
-    ]
-
-    if (overlayRef.current) {
-      map.removeLayer(overlayRef.current)
-    }
-
-    overlayRef.current = L.imageOverlay(canvas.toDataURL('image/png'), imageBounds, {
-      opacity: 1,
-      interactive: false
-    })
-
-    overlayRef.current.addTo(map)
-    console.log('[FavoribilityLayer] Canvas overlay added for full boundary')
-  }, [map, hotspotPoints, boundaryCoords])
-
-  // Main render effect
-  useEffect(() => {
-    if (!map || !hotspotPoints.length || !boundaryCoords.length) {
+      map.removeLayer(layer)
       return
     }
 
-    console.log('[FavoribilityLayer] Starting canvas render')
-    render()
-
-    return () => {
-      if (overlayRef.current) {
-        map.removeLayer(overlayRef.current)
-      }
+    pool.broadcast({ type: 'data', points: hotspotPoints, comparePoints, boundaryCoords })
+    if (map.hasLayer(layer)) {
+      layer.redraw()
+    } else {
+      layer.addTo(map)
     }
-  }, [map, hotspotPoints, boundaryCoords, render])
+  }, [map, hotspotPoints, comparePoints, boundaryCoords, hasSurface])
 
   return null
 }
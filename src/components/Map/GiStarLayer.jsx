@@ -0,0 +1,98 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { CircleMarker, GeoJSON, Pane, Tooltip } from 'react-leaflet'
+import { getGiBin } from '../../config/hotspots'
+
+// Cells are drawn in the overlay pane with the grid cells, below district
+// outlines and vote markers
+const GI_PANE_Z_INDEX = -2
+
+/**
+ * Tooltip text of a significant item
+ */
+function describe(item) {
+  return [
+    getGiBin(item.bin).label,
+    `z = ${item.z.toFixed(2)}, p = ${item.p < 0.001 ? '< 0.001' : item.p.toFixed(3)}`,
+    `n = ${item.count}`
+  ]
+}
+
+/**
+ * Build a tooltip as text nodes
+ */
+function tooltipContent(item) {
+  const content = document.createElement('div')
+  describe(item).forEach((line, i) => {
+    if (i > 0) content.append(document.createElement('br'))
+    content.append(line)
+  })
+  return content
+}
+
+/**
+ * GiStarLayer Component
+ * Colors votes or grid cells that are significant hot or cold spots by
+ * confidence level; items that are not significant are not drawn.
+ * @param {Array} items - Items with lat, lng, count, z, p, bin and, for cells, ring
+ */
+function GiStarLayer({ items }) {
+  const layerRef = useRef(null)
+  const significant = useMemo(() => items.filter(item => item.bin !== 0), [items])
+  const isCells = significant.length > 0 && !!significant[0].ring
+
+  const data = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: isCells ? significant.map(item => ({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [item.ring] },
+      properties: { item }
+    })) : []
+  }), [significant, isCells])
+
+  // GeoJSON layers keep their first data, so swap the features in place
+  useEffect(() => {
+    const layer = layerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+    layer.addData(data)
+  }, [data])
+
+  if (significant.length === 0) {
+    return null
+  }
+
+  if (!isCells) {
+    return significant.map(item => (
+      <CircleMarker
+        key={item.id}
+        center={[item.lat, item.lng]}
+        radius={7}
+        pathOptions={{ color: '#ffffff', weight: 1, fillColor: getGiBin(item.bin).color, fillOpacity: 0.9 }}
+      >
+        <Tooltip>{describe(item).map((line, i) => <div key={i}>{line}</div>)}</Tooltip>
+      </CircleMarker>
+    ))
+  }
+
+  return (
+    <Pane name="gi-star" pane="overlayPane" style={{ zIndex: GI_PANE_Z_INDEX }}>
+      <GeoJSON
+        ref={layerRef}
+        data={data}
+        style={(feature) => ({
+          color: '#ffffff',
+          weight: 0.5,
+          opacity: 0.8,
+          fillColor: getGiBin(feature.properties.item.bin).color,
+          fillOpacity: 0.75
+        })}
+        onEachFeature={(feature, layer) => {
+          layer.bindTooltip(() => tooltipContent(feature.properties.item), { sticky: true })
+        }}
+      />
+    </Pane>
+  )
+}
+
+export default GiStarLayer
@@ -0,0 +1,85 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import { GeoJSON, Pane } from 'react-leaflet'
+
+// Cells are drawn in the overlay pane above the choropleth and below
+// district outlines and vote markers
+const GRID_PANE_Z_INDEX = -2
+
+/**
+ * Build the tooltip of a cell as text nodes
+ */
+function cellTooltip(cell) {
+  const content = document.createElement('div')
+  const lines = [
+    `n = ${cell.count}`,
+    `mean = ${cell.mean.toFixed(2)}`,
+    `std-dev = ${Math.sqrt(cell.variance).toFixed(2)}`
+  ]
+
+  lines.forEach((line, i) => {
+    if (i > 0) content.append(document.createElement('br'))
+    content.append(line)
+  })
+  return content
+}
+
+// Style of a cell; the fill comes from the color function passed in
+function cellStyle(cell, getColor) {
+  return {
+    color: '#ffffff',
+    weight: 0.5,
+    opacity: 0.8,
+    fillColor: getColor(cell),
+    fillOpacity: 0.7
+  }
+}
+
+/**
+ * GridAggregateLayer Component
+ * Square or hexagonal cells colored by vote count or mean score, with
+ * n, mean and standard deviation on hover. Only cells with votes are drawn.
+ * @param {Array} cells - Cells with ring, count, mean and variance
+ * @param {Function} getColor - Fill color of a cell
+ */
+function GridAggregateLayer({ cells, getColor }) {
+  const layerRef = useRef(null)
+
+  // Features added later are styled with the options of the first render,
+  // so the color function is read from a ref
+  const getColorRef = useRef(getColor)
+  getColorRef.current = getColor
+
+  const data = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: cells.map(cell => ({
+      type: 'Feature',
+      id: cell.id,
+      geometry: { type: 'Polygon', coordinates: [cell.ring] },
+      properties: { cell }
+    }))
+  }), [cells])
+
+  // GeoJSON layers keep their first data, so swap the features in place
+  useEffect(() => {
+    const layer = layerRef.current
+    if (!layer) return
+
+    layer.clearLayers()
+    layer.addData(data)
+  }, [data])
+
+  return (
+    <Pane name="grid-aggregates" pane="overlayPane" style={{ zIndex: GRID_PANE_Z_INDEX }}>
+      <GeoJSON
+        ref={layerRef}
+        data={data}
+        style={(feature) => cellStyle(feature.properties.cell, getColorRef.current)}
+        onEachFeature={(feature, layer) => {
+          layer.bindTooltip(() => cellTooltip(feature.properties.cell), { sticky: true })
+        }}
+      />
+    </Pane>
+  )
+}
+
+export default GridAggregateLayer
@@ -2,6 +2,13 @@ import React, { useEffect, useRef, useState, useCallback } from 'react'
 import { useMap } from 'react-leaflet'
 import { calculateWeightedKDE, normalizeGrid } from '../../utils/kde.js'
 
+/**
+ * Start a KDE worker
+ */
+function createKdeWorker() {
+  return new Worker(new URL('../../workers/kdeWorker.js', import.meta.url), { type: 'module' })
+}
+
 // WKDE default parameters
 const DEFAULT_BANDWIDTH = 1000 // meters
 const DEFAULT_CELL_SIZE = 100 // meters
@@ -32,14 +39,41 @@ function getColorForValue(value) {
   return [r, g, b]
 }
 
+// Diverging color ramp for category comparisons:
+// Purple (compared category stronger) -> Light gray (equal) -> Green (selected category stronger)
+function getDifferenceColorForValue(value) {
+  // value is normalized 0-1, 0.5 means no difference
+  const v = Math.max(0, Math.min(1, value))
+  const low = [118, 42, 131]
+  const mid = [247, 247, 247]
+  const high = [27, 120, 55]
+
+  const [from, to, t] = v < 0.5 ? [low, mid, v * 2] : [mid, high, (v - 0.5) * 2]
+  return from.map((c, i) => Math.round(c + t * (to[i] - c)))
+}
+
+/**
+ * Convert votes to weighted points for WKDE
+ * @param {Array} votes - Array of {lat, lng, favorability}
+ * @returns {Array} Array of {lat, lng, weight}
+ */
+function toWeightedPoints(votes) {
+  return votes.map(vote => ({
+    lat: vote.lat,
+    lng: vote.lng,
+    weight: vote.favorability || 1
+  }))
+}
+
 /**
  * Convert grid data to RGBA image data for MapLibre
- * @param {Array} gridData - Normalized grid data (0-1 values)
+ * @param {Float32Array} gridData - Normalized grid data (0-1 values, NaN when masked)
  * @param {number} width - Grid width
  * @param {number} height - Grid height
+ * @param {Function} colorForValue - Maps a 0-1 value to [r, g, b]
  * @returns {Uint8ClampedArray} RGBA image data
  */
-function gridToRGBA(gridData, width, height) {
+function gridToRGBA(gridData, width, height, colorForValue = getColorForValue) {
   const imageData = new Uint8ClampedArray(width * height * 4)
 
   for (let i = 0; i < gridData.length; i++) {
@@ -50,14 +84,14 @@ function gridToRGBA(gridData, width, height) {
     // Flip vertically for correct image orientation
     const pixelIndex = ((height - 1 - row) * width + col) * 4
 
-    if (value === null || value === undefined) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
       // Transparent for masked cells
       imageData[pixelIndex] = 0
       imageData[pixelIndex + 1] = 0
       imageData[pixelIndex + 2] = 0
       imageData[pixelIndex + 3] = 0
     } else {
-      const [r, g, b] = getColorForValue(value)
+      const [r, g, b] = colorForValue(value)
       imageData[pixelIndex] = r
       imageData[pixelIndex + 1] = g
       imageData[pixelIndex + 2] = b
@@ -72,15 +106,30 @@ function gridToRGBA(gridData, width, height) {
 /**
  * HotspotLayer Component
  * Uses Weighted Kernel Density Estimation (WKDE) for vote density visualization
- * Renders as a raster layer on the map
+ * Renders as a raster layer on the map. When compareVotes is given, renders
+ * the difference between the two surfaces instead. The KDE runs in a worker;
+ * a job still running when the inputs change again is cancelled.
+ * @param {string} kernel - Kernel id (see KDE_KERNELS)
+ * @param {string} bandwidthMethod - 'manual' uses bandwidth; other methods select it from the votes
+ * @param {string} adaptive - 'fixed', or 'abramson' or 'knn' for per-vote bandwidths (see ADAPTIVE_MODES)
+ * @param {number} adaptiveK - Neighbors of the 'knn' mode
+ * @param {Function} onProgress - Called with the percent done while a job runs, and null when it ends
+ * @param {Function} onBandwidthSelected - Called with the bandwidth used by each finished job
  */
 function HotspotLayer({
   votes = [],
+  compareVotes = null,
   boundary = null,
   bandwidth = DEFAULT_BANDWIDTH,
   cellSize = DEFAULT_CELL_SIZE,
+  kernel = 'gaussian',
+  bandwidthMethod = 'manual',
+  adaptive = 'fixed',
+  adaptiveK = 10,
   showConfidence = false,
-  onHotspotClick
+  onHotspotClick,
+  onProgress = () => {},
+  onBandwidthSelected = () => {}
 }) {
   const map = useMap()
   const layerRef = useRef(null)
@@ -88,54 +137,110 @@ function HotspotLayer({
   const [error, setError] = useState(null)
   const [kdeResult, setKdeResult] = useState(null)
 
+  // Worker and the id of the job it is running (null when idle)
+  const workerRef = useRef(null)
+  const jobRef = useRef({ nextId: 0, runningId: null })
+
+  // Progress is reported through a ref so a new callback does not restart the job
+  const onProgressRef = useRef(onProgress)
+  onProgressRef.current = onProgress
+  const onBandwidthSelectedRef = useRef(onBandwidthSelected)
+  onBandwidthSelectedRef.current = onBandwidthSelected
+
   // Convert votes to weighted points for WKDE
   const weightedPoints = useCallback(() => {
-    return votes.map(vote => ({
-      lat: vote.lat,
-      lng: vote.lng,
-      weight: vote.favorability || 1
-    }))
+    return toWeightedPoints(votes)
   }, [votes])
 
-  // Calculate WKDE when votes or parameters change
+  // Calculate WKDE in the worker when votes or parameters change
   useEffect(() => {
+    const job = jobRef.current
+
+    // A running job is stale: terminating the worker is the only way to stop it
+    if (workerRef.current && job.runningId !== null) {
+      workerRef.current.terminate()
+      workerRef.current = null
+      job.runningId = null
+    }
+
     if (!votes || votes.length === 0) {
       setKdeResult(null)
       setError(null)
+      setLoading(false)
+      onProgressRef.current(null)
       return
     }
 
-    setLoading(true)
-    setError(null)
+    if (!workerRef.current) {
+      workerRef.current = createKdeWorker()
+    }
 
-    try {
-      console.log('[HotspotLayer] Calculating WKDE with', votes.length, 'votes')
-      const points = weightedPoints()
+    const worker = workerRef.current
+    const id = ++job.nextId
+    job.runningId = id
 
-      // Calculate WKDE
-      const result = calculateWeightedKDE(points, bandwidth, cellSize, boundary)
+    worker.onmessage = (e) => {
+      const { type } = e.data
+      if (e.data.id !== job.runningId) return
 
-      if (result.gridData && result.gridData.length > 0) {
-        // Normalize grid data to 0-1 range
-        const normalizedGrid = normalizeGrid(result.gridData, result.min, result.max, 0, 1)
-
-        setKdeResult({
-          ...result,
-          normalizedGrid
-        })
+      if (type === 'progress') {
+        onProgressRef.current(e.data.progress)
+        return
+      }
 
-        console.log('[HotspotLayer] WKDE calculation complete:', result.width, 'x', result.height)
-      } else {
-        setKdeResult(null)
-        console.warn('[HotspotLayer] No WKDE results returned')
+      job.runningId = null
+      setLoading(false)
+      onProgressRef.current(null)
+
+      if (type === 'complete') {
+        setKdeResult(e.data.result)
+        if (e.data.result) {
+          onBandwidthSelectedRef.current(e.data.result.bandwidth)
+        } else {
+          console.warn('[HotspotLayer] No WKDE results returned')
+        }
+      } else if (type === 'error') {
+        console.error('[HotspotLayer] WKDE calculation error:', e.data.error)
+        setError(e.data.error)
       }
-    } catch (err) {
-      console.error('[HotspotLayer] WKDE calculation error:', err)
-      setError(err.message)
-    } finally {
+    }
+    worker.onerror = (e) => {
+      console.error('[HotspotLayer] WKDE worker error:', e.message)
+      job.runningId = null
+      setError(e.message)
       setLoading(false)
+      onProgressRef.current(null)
     }
-  }, [votes, bandwidth, cellSize, boundary, weightedPoints])
+
+    setLoading(true)
+    setError(null)
+    onProgressRef.current(0)
+
+    worker.postMessage({
+      type: 'compute',
+      id,
+      points: weightedPoints(),
+      comparePoints: compareVotes ? toWeightedPoints(compareVotes) : null,
+      bandwidth,
+      cellSize,
+      boundary,
+      kernel,
+      bandwidthMethod,
+      adaptive,
+      k: adaptiveK
+    })
+  }, [votes, compareVotes, bandwidth, cellSize, boundary, kernel, bandwidthMethod, adaptive, adaptiveK, weightedPoints])
+
+  // Stop the worker on unmount
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) {
+        workerRef.current.terminate()
+        workerRef.current = null
+      }
+      onProgressRef.current(null)
+    }
+  }, [])
 
   // Cleanup function for both MapLibre and Leaflet
   const cleanupRef = useRef(null)
@@ -183,7 +288,12 @@ function HotspotLayer({
       }
 
       // Convert grid to RGBA image
-      const imageData = gridToRGBA(kdeResult.normalizedGrid, kdeResult.width, kdeResult.height)
+      const imageData = gridToRGBA(
+        kdeResult.normalizedGrid,
+        kdeResult.width,
+        kdeResult.height,
+        kdeResult.isComparison ? getDifferenceColorForValue : getColorForValue
+      )
 
       // Calculate bounds in lat/lng
       const bounds = kdeResult.bounds
@@ -265,7 +375,12 @@ function HotspotLayer({
     const ctx = canvas.getContext('2d')
     const imageData = ctx.createImageData(kdeResult.width, kdeResult.height)
 
-    const rgbaData = gridToRGBA(kdeResult.normalizedGrid, kdeResult.width, kdeResult.height)
+    const rgbaData = gridToRGBA(
+      kdeResult.normalizedGrid,
+      kdeResult.width,
+      kdeResult.height,
+      kdeResult.isComparison ? getDifferenceColorForValue : getColorForValue
+    )
     imageData.data.set(rgbaData)
     ctx.putImageData(imageData, 0, 0)
 
@@ -324,6 +439,7 @@ export function HotspotLayerMapLibre({
   boundary = null,
   bandwidth = DEFAULT_BANDWIDTH,
   cellSize = DEFAULT_CELL_SIZE,
+  kernel = 'gaussian',
   mapInstance
 }) {
   const [kdeResult, setKdeResult] = useState(null)
@@ -348,7 +464,7 @@ export function HotspotLayerMapLibre({
 
     setLoading(true)
     try {
-      const result = calculateWeightedKDE(weightedPoints, bandwidth, cellSize, boundary)
+      const result = calculateWeightedKDE(weightedPoints, bandwidth, cellSize, boundary, { kernel })
       if (result.gridData && result.gridData.length > 0) {
         const normalizedGrid = normalizeGrid(result.gridData, result.min, result.max, 0, 1)
         setKdeResult({ ...result, normalizedGrid })
@@ -359,7 +475,7 @@ export function HotspotLayerMapLibre({
     } finally {
       setLoading(false)
     }
-  }, [votes, bandwidth, cellSize, boundary, weightedPoints])
+  }, [votes, bandwidth, cellSize, boundary, kernel, weightedPoints])
 
   // Add layer to map
   useEffect(() => {
@@ -3,9 +3,60 @@ import { MapContainer, TileLayer, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import BoundaryLayer from './BoundaryLayer'
+import DistrictsLayer from './DistrictsLayer'
+import ChoroplethLayer from './ChoroplethLayer'
+import GridAggregateLayer from './GridAggregateLayer'
+import GiStarLayer from './GiStarLayer'
+import LisaLayer from './LisaLayer'
+import Legend from '../UI/Legend'
+import MoranPanel from '../UI/MoranPanel'
 import HotspotLayer from './HotspotLayer'
 import FavoribilityLayer from './FavoribilityLayer'
 import VotesLayer from './VotesLayer'
+import { fetchGridAggregates } from '../../services/storage'
+import { cellsToWeightedPoints, aggregateToGrid, clipCellsToBoundary } from '../../utils/grid'
+import { normalizeUnits, buildChoropleth, computeBreaks, getClassIndex, interpolatePalette } from '../../utils/choropleth'
+import { filterVotesByCategory, filterVotesByText, filterFlaggedVotes, reweightVoteScores } from '../../utils/geojson'
+import { VOTE_CATEGORIES, CATEGORY_IDS, getCategory } from '../../config/categories'
+import {
+  RATING_CRITERIA,
+  DEFAULT_CRITERIA_WEIGHTS,
+  MIN_CRITERION_WEIGHT,
+  MAX_CRITERION_WEIGHT,
+  isCustomWeighting
+} from '../../config/criteria'
+import {
+  CHOROPLETH_UNITS,
+  CHOROPLETH_METRICS,
+  CLASSIFICATION_METHODS,
+  DEFAULT_CLASS_COUNT,
+  MIN_CLASS_COUNT,
+  MAX_CLASS_COUNT,
+  NEIGHBORHOODS_URL,
+  MAX_UPLOAD_BYTES,
+  SCORE_PALETTE,
+  COUNT_PALETTE,
+  getChoroplethMetric
+} from '../../config/choropleth'
+import {
+  GI_INPUTS,
+  GI_WEIGHTS,
+  DEFAULT_GI_DISTANCE,
+  MIN_GI_DISTANCE,
+  MAX_GI_DISTANCE,
+  DEFAULT_GI_K,
+  MIN_GI_K,
+  MAX_GI_K,
+  MORAN_PERMUTATIONS,
+  DEFAULT_MORAN_PERMUTATIONS,
+  LISA_SIGNIFICANCE_LEVELS,
+  KDE_KERNELS,
+  BANDWIDTH_METHODS,
+  ADAPTIVE_MODES,
+  DEFAULT_ADAPTIVE_K,
+  MIN_ADAPTIVE_K,
+  MAX_ADAPTIVE_K
+} from '../../config/hotspots'
 
 // Tehran center coordinates
 const TEHRAN_CENTER = [35.6892, 51.3890]
@@ -19,6 +70,27 @@ const MAX_BANDWIDTH = 2000
 const MIN_CELL_SIZE = 50
 const MAX_CELL_SIZE = 200
 
+// Extra margin (fraction of the view) loaded around the viewport
+const VIEWPORT_PADDING = 0.2
+
+// Hotspot input sources: raw votes or server-side grid aggregates
+const HOTSPOT_SOURCE_VOTES = 'votes'
+const HOTSPOT_SOURCE_GRID = 'grid'
+
+// Delay before re-aggregating after votes change
+const GRID_REFRESH_DELAY_MS = 1000
+
+// Grid aggregation layer parameters
+const DEFAULT_GRID_CELL_SIZE = 500 // meters (edge length for hexagons)
+const MIN_GRID_CELL_SIZE = 100
+const MAX_GRID_CELL_SIZE = 2000
+const GRID_CELL_SIZE_STEP = 50
+const MAX_GRID_MIN_COUNT = 20
+const GRID_CLASS_COUNT = 5
+
+// Surface category choice covering every visible category
+const SURFACE_CATEGORY_ALL = 'all'
+
 /**
  * Extract hotspot points from GeoJSON data
  * @param {Object} data - GeoJSON feature collection
@@ -36,6 +108,28 @@ function extractHotspotPoints(data) {
   }))
 }
 
+/**
+ * Items of the Gi* and LISA analyses: votes by their score, or grid cells
+ * by their mean score
+ * @param {string} input - 'votes' or 'cells'
+ * @param {Object} data - GeoJSON feature collection of the votes
+ * @param {Array} cells - Cells of the grid layer
+ * @returns {Array} Array of {id, lat, lng, value, count} plus ring for cells
+ */
+function getAnalysisItems(input, data, cells) {
+  if (input === 'cells') {
+    return cells.map(cell => ({ id: cell.id, lat: cell.lat, lng: cell.lng, value: cell.mean, count: cell.count, ring: cell.ring }))
+  }
+
+  return (data?.features || []).map(feature => ({
+    id: feature.properties.id,
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0],
+    value: feature.properties.score || 0,
+    count: 1
+  }))
+}
+
 /**
  * Map click handler component for selection mode
  */
@@ -117,6 +211,49 @@ function SelectionCursorHandler({ isSelectionMode, boundaryData }) {
   return null
 }
 
+/**
+ * Viewport watcher - reports the visible bounds after every pan/zoom
+ * so votes can be loaded for the current view only
+ */
+function ViewportWatcher({ onViewportChange }) {
+  const map = useMapEvents({
+    moveend: () => reportBounds()
+  })
+
+  function reportBounds() {
+    if (!onViewportChange) return
+    const bounds = map.getBounds().pad(VIEWPORT_PADDING)
+    onViewportChange({
+      west: bounds.getWest(),
+      south: bounds.getSouth(),
+      east: bounds.getEast(),
+      north: bounds.getNorth()
+    })
+  }
+
+  // Report the initial view once mounted
+  useEffect(() => {
+    reportBounds()
+  }, [map, onViewportChange])
+
+  return null
+}
+
+/**
+ * Fly to a vote picked from the search panel
+ */
+function FocusController({ focusedVote }) {
+  const map = useMap()
+
+  useEffect(() => {
+    if (focusedVote) {
+      map.flyTo([focusedVote.lat, focusedVote.lng], Math.max(map.getZoom(), 16))
+    }
+  }, [focusedVote, map])
+
+  return null
+}
+
 /**
  * Fit bounds to Tehran boundary
  */
@@ -140,17 +277,494 @@ function BoundsController({ boundaryData }) {
   return null
 }
 
+/**
+ * Criteria Weights Component
+ * Sliders to reweight criteria ratings; surfaces are recomputed client-side
+ */
+function CriteriaWeightsControls({ weights, onWeightsChange }) {
+  return (
+    <details className="criteria-weights">
+      <summary>Criteria weights</summary>
+
+      {RATING_CRITERIA.map(criterion => (
+        <div key={criterion.id} className="hotspot-control-row">
+          <label>
+            {criterion.label}: {weights[criterion.id]}×
+            <input
+              type="range"
+              min={MIN_CRITERION_WEIGHT}
+              max={MAX_CRITERION_WEIGHT}
+              step="0.5"
+              value={weights[criterion.id]}
+              onChange={(e) => onWeightsChange({ ...weights, [criterion.id]: Number(e.target.value) })}
+            />
+          </label>
+        </div>
+      ))}
+
+      <button
+        className="criteria-weights-reset"
+        onClick={() => onWeightsChange(DEFAULT_CRITERIA_WEIGHTS)}
+        disabled={!isCustomWeighting(weights)}
+      >
+        Reset weights
+      </button>
+    </details>
+  )
+}
+
+/**
+ * Choropleth Controls Component
+ * Toggles the choropleth layer and picks its polygons, metric and classes.
+ * Polygon sets whose data failed to load are disabled, with the reason shown.
+ */
+function ChoroplethControls({
+  isVisible,
+  onToggleVisibility,
+  units,
+  onUnitsChange,
+  unavailableUnits,
+  uploadedName,
+  onUpload,
+  error,
+  metric,
+  onMetricChange,
+  method,
+  onMethodChange,
+  classCount,
+  onClassCountChange
+}) {
+  return (
+    <>
+      <div className="hotspot-control-row">
+        <label className="hotspot-toggle">
+          <input
+            type="checkbox"
+            checked={isVisible}
+            onChange={(e) => onToggleVisibility(e.target.checked)}
+          />
+          <span>Show Choropleth</span>
+        </label>
+      </div>
+
+      {isVisible && (
+        <>
+          <div className="hotspot-control-row">
+            <label>
+              Polygons
+              <select value={units} onChange={(e) => onUnitsChange(e.target.value)}>
+                {CHOROPLETH_UNITS.map(option => (
+                  <option key={option.id} value={option.id} disabled={!!unavailableUnits[option.id]}>
+                    {option.label}{unavailableUnits[option.id] ? ' (not available)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {CHOROPLETH_UNITS.filter(option => unavailableUnits[option.id]).map(option => (
+            <div key={option.id} className="hotspot-control-row choropleth-error">
+              {unavailableUnits[option.id]}. Create the file with <code>npm run import:{option.id}</code>.
+            </div>
+          ))}
+
+          {units === 'upload' && (
+            <div className="hotspot-control-row">
+              <label>
+                {uploadedName || 'GeoJSON file'}
+                <input
+                  type="file"
+                  accept=".geojson,.json,application/geo+json,application/json"
+                  onChange={(e) => {
+                    if (e.target.files[0]) onUpload(e.target.files[0])
+                    e.target.value = ''
+                  }}
+                />
+              </label>
+            </div>
+          )}
+
+          {error && <div className="hotspot-control-row choropleth-error">{error}</div>}
+
+          <div className="hotspot-control-row">
+            <label>
+              Color by
+              <select value={metric} onChange={(e) => onMetricChange(e.target.value)}>
+                {CHOROPLETH_METRICS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Classes
+              <select value={method} onChange={(e) => onMethodChange(e.target.value)}>
+                {CLASSIFICATION_METHODS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Class count: {classCount}
+              <input
+                type="range"
+                min={MIN_CLASS_COUNT}
+                max={MAX_CLASS_COUNT}
+                value={classCount}
+                onChange={(e) => onClassCountChange(parseInt(e.target.value, 10))}
+              />
+            </label>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
+/**
+ * Grid Controls Component
+ * Toggles the grid aggregation layer and sets its shape, metric, cell
+ * size and minimum vote count
+ */
+function GridControls({
+  isVisible,
+  onToggleVisibility,
+  shape,
+  onShapeChange,
+  metric,
+  onMetricChange,
+  cellSize,
+  onCellSizeChange,
+  minCount,
+  onMinCountChange
+}) {
+  return (
+    <>
+      <div className="hotspot-control-row">
+        <label className="hotspot-toggle">
+          <input
+            type="checkbox"
+            checked={isVisible}
+            onChange={(e) => onToggleVisibility(e.target.checked)}
+          />
+          <span>Show Grid</span>
+        </label>
+      </div>
+
+      {isVisible && (
+        <>
+          <div className="hotspot-control-row">
+            <label>
+              Cells
+              <select value={shape} onChange={(e) => onShapeChange(e.target.value)}>
+                <option value="hexagon">Hexagons</option>
+                <option value="square">Squares</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Color by
+              <select value={metric} onChange={(e) => onMetricChange(e.target.value)}>
+                <option value="count">Vote count</option>
+                <option value="mean">Mean score</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Cell Size: {cellSize}m
+              <input
+                type="range"
+                min={MIN_GRID_CELL_SIZE}
+                max={MAX_GRID_CELL_SIZE}
+                step={GRID_CELL_SIZE_STEP}
+                value={cellSize}
+                onChange={(e) => onCellSizeChange(parseInt(e.target.value, 10))}
+              />
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Hide cells with fewer than {minCount} {minCount === 1 ? 'vote' : 'votes'}
+              <input
+                type="range"
+                min="1"
+                max={MAX_GRID_MIN_COUNT}
+                value={minCount}
+                onChange={(e) => onMinCountChange(parseInt(e.target.value, 10))}
+              />
+            </label>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
+/**
+ * Gi* Controls Component
+ * Toggles the Getis-Ord Gi* hot/cold spot layer and sets its input,
+ * spatial weights and FDR correction, with the progress of the run
+ */
+function GiStarControls({
+  isVisible,
+  onToggleVisibility,
+  input,
+  onInputChange,
+  weights,
+  onWeightsChange,
+  distance,
+  onDistanceChange,
+  k,
+  onKChange,
+  fdr,
+  onFdrChange,
+  progress,
+  error
+}) {
+  return (
+    <>
+      <div className="hotspot-control-row">
+        <label className="hotspot-toggle">
+          <input
+            type="checkbox"
+            checked={isVisible}
+            onChange={(e) => onToggleVisibility(e.target.checked)}
+          />
+          <span>Show Hot/Cold Spots (Gi*)</span>
+        </label>
+      </div>
+
+      {isVisible && (
+        <>
+          <div className="hotspot-control-row">
+            <label>
+              Analyze
+              <select value={input} onChange={(e) => onInputChange(e.target.value)}>
+                {GI_INPUTS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Neighbors
+              <select value={weights} onChange={(e) => onWeightsChange(e.target.value)}>
+                {GI_WEIGHTS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            {weights === 'knn' ? (
+              <label>
+                k: {k}
+                <input
+                  type="range"
+                  min={MIN_GI_K}
+                  max={MAX_GI_K}
+                  value={k}
+                  onChange={(e) => onKChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            ) : (
+              <label>
+                Distance: {distance}m
+                <input
+                  type="range"
+                  min={MIN_GI_DISTANCE}
+                  max={MAX_GI_DISTANCE}
+                  step="50"
+                  value={distance}
+                  onChange={(e) => onDistanceChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="hotspot-control-row">
+            <label className="hotspot-toggle">
+              <input
+                type="checkbox"
+                checked={fdr}
+                onChange={(e) => onFdrChange(e.target.checked)}
+              />
+              <span>FDR correction</span>
+            </label>
+          </div>
+
+          {error && <div className="hotspot-control-row gi-error">{error}</div>}
+
+          {progress !== null && (
+            <div className="analysis-progress" role="progressbar" aria-valuenow={progress} aria-valuemin="0" aria-valuemax="100" aria-label="Computing hot and cold spots">
+              <span style={{ width: `${progress}%` }} />
+            </div>
+          )}
+        </>
+      )}
+    </>
+  )
+}
+
+/**
+ * Moran Controls Component
+ * Toggles the LISA cluster layer and sets its input, spatial weights,
+ * number of permutations and significance level
+ */
+function MoranControls({
+  isVisible,
+  onToggleVisibility,
+  input,
+  onInputChange,
+  weights,
+  onWeightsChange,
+  distance,
+  onDistanceChange,
+  k,
+  onKChange,
+  permutations,
+  onPermutationsChange,
+  alpha,
+  onAlphaChange
+}) {
+  return (
+    <>
+      <div className="hotspot-control-row">
+        <label className="hotspot-toggle">
+          <input
+            type="checkbox"
+            checked={isVisible}
+            onChange={(e) => onToggleVisibility(e.target.checked)}
+          />
+          <span>Show LISA Clusters (Moran's I)</span>
+        </label>
+      </div>
+
+      {isVisible && (
+        <>
+          <div className="hotspot-control-row">
+            <label>
+              Analyze
+              <select value={input} onChange={(e) => onInputChange(e.target.value)}>
+                {GI_INPUTS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Neighbors
+              <select value={weights} onChange={(e) => onWeightsChange(e.target.value)}>
+                {GI_WEIGHTS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            {weights === 'knn' ? (
+              <label>
+                k: {k}
+                <input
+                  type="range"
+                  min={MIN_GI_K}
+                  max={MAX_GI_K}
+                  value={k}
+                  onChange={(e) => onKChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            ) : (
+              <label>
+                Distance: {distance}m
+                <input
+                  type="range"
+                  min={MIN_GI_DISTANCE}
+                  max={MAX_GI_DISTANCE}
+                  step="50"
+                  value={distance}
+                  onChange={(e) => onDistanceChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Permutations
+              <select value={permutations} onChange={(e) => onPermutationsChange(parseInt(e.target.value, 10))}>
+                {MORAN_PERMUTATIONS.map(value => (
+                  <option key={value} value={value}>{value}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Significance
+              <select value={alpha} onChange={(e) => onAlphaChange(parseFloat(e.target.value))}>
+                {LISA_SIGNIFICANCE_LEVELS.map(value => (
+                  <option key={value} value={value}>p ≤ {value}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
 /**
  * Hotspot Controls Component
- * Provides UI for toggling hotspot layer and adjusting parameters
+ * Provides UI for toggling hotspot layer and adjusting parameters;
+ * further layer controls are passed as children
  */
 function HotspotControls({
   isVisible,
   onToggleVisibility,
   bandwidth,
   onBandwidthChange,
+  kernel,
+  onKernelChange,
+  bandwidthMethod,
+  onBandwidthMethodChange,
+  selectedBandwidth,
+  adaptive,
+  onAdaptiveChange,
+  adaptiveK,
+  onAdaptiveKChange,
   cellSize,
-  onCellSizeChange
+  onCellSizeChange,
+  source,
+  onSourceChange,
+  showSurfaceOptions,
+  surfaceCategory,
+  onSurfaceCategoryChange,
+  compareCategory,
+  onCompareCategoryChange,
+  criteriaWeights,
+  onCriteriaWeightsChange,
+  excludeFlagged,
+  onExcludeFlaggedChange,
+  progress,
+  children
 }) {
   return (
     <div className="hotspot-controls">
@@ -164,21 +778,129 @@ function HotspotControls({
           <span>Show Hotspots</span>
         </label>
       </div>
-      
-      {isVisible && (
+
+      {showSurfaceOptions && (
         <>
           <div className="hotspot-control-row">
             <label>
-              Bandwidth: {bandwidth}m
+              Category
+              <select value={surfaceCategory} onChange={(e) => onSurfaceCategoryChange(e.target.value)}>
+                <option value={SURFACE_CATEGORY_ALL}>All visible</option>
+                {VOTE_CATEGORIES.map(category => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Compare with
+              <select value={compareCategory} onChange={(e) => onCompareCategoryChange(e.target.value)}>
+                <option value="">None</option>
+                {VOTE_CATEGORIES.filter(category => category.id !== surfaceCategory).map(category => (
+                  <option key={category.id} value={category.id}>{category.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <CriteriaWeightsControls
+            weights={criteriaWeights}
+            onWeightsChange={onCriteriaWeightsChange}
+          />
+
+          <div className="hotspot-control-row">
+            <label className="hotspot-toggle">
               <input
-                type="range"
-                min={MIN_BANDWIDTH}
-                max={MAX_BANDWIDTH}
-                value={bandwidth}
-                onChange={(e) => onBandwidthChange(parseInt(e.target.value, 10))}
+                type="checkbox"
+                checked={excludeFlagged}
+                onChange={(e) => onExcludeFlaggedChange(e.target.checked)}
               />
+              <span>Exclude flagged votes</span>
             </label>
           </div>
+        </>
+      )}
+      
+      {isVisible && (
+        <>
+          <div className="hotspot-control-row">
+            <label>
+              Input
+              <select value={source} onChange={(e) => onSourceChange(e.target.value)}>
+                <option value={HOTSPOT_SOURCE_VOTES}>Raw votes</option>
+                <option value={HOTSPOT_SOURCE_GRID}>Aggregated grid</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Kernel
+              <select value={kernel} onChange={(e) => onKernelChange(e.target.value)}>
+                {KDE_KERNELS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="hotspot-control-row">
+            <label>
+              Bandwidth method
+              <select value={bandwidthMethod} onChange={(e) => onBandwidthMethodChange(e.target.value)}>
+                {BANDWIDTH_METHODS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {bandwidthMethod === 'manual' ? (
+            <div className="hotspot-control-row">
+              <label>
+                Bandwidth: {bandwidth}m
+                <input
+                  type="range"
+                  min={MIN_BANDWIDTH}
+                  max={MAX_BANDWIDTH}
+                  value={bandwidth}
+                  onChange={(e) => onBandwidthChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            </div>
+          ) : (
+            <div className="hotspot-control-row">
+              Bandwidth: {selectedBandwidth ? `${Math.round(selectedBandwidth)}m` : '…'}
+            </div>
+          )}
+
+          <div className="hotspot-control-row">
+            <label>
+              Adaptive bandwidth
+              <select value={adaptive} onChange={(e) => onAdaptiveChange(e.target.value)}>
+                {ADAPTIVE_MODES.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {adaptive === 'knn' && (
+            <div className="hotspot-control-row">
+              <label>
+                Neighbors (k): {adaptiveK}
+                <input
+                  type="range"
+                  min={MIN_ADAPTIVE_K}
+                  max={MAX_ADAPTIVE_K}
+                  value={adaptiveK}
+                  onChange={(e) => onAdaptiveKChange(parseInt(e.target.value, 10))}
+                />
+              </label>
+            </div>
+          )}
           
           <div className="hotspot-control-row">
             <label>
@@ -192,17 +914,39 @@ function HotspotControls({
               />
             </label>
           </div>
+
+          {progress !== null && (
+            <div className="analysis-progress" role="progressbar" aria-valuenow={progress} aria-valuemin="0" aria-valuemax="100" aria-label="Computing hotspots">
+              <span style={{ width: `${progress}%` }} />
+            </div>
+          )}
         </>
       )}
+
+      {children}
     </div>
   )
 }
 
 /**
  * Hotspot Legend Component
- * Displays color scale for hotspot visualization
+ * Displays color scale for hotspot visualization, or the diverging
+ * scale of a two-category comparison
  */
-function HotspotLegend() {
+function HotspotLegend({ comparison = null }) {
+  if (comparison) {
+    return (
+      <div className="hotspot-legend">
+        <div className="hotspot-legend-title">{comparison.primary} vs {comparison.compare}</div>
+        <div className="hotspot-legend-gradient comparison" />
+        <div className="hotspot-legend-labels">
+          <span>{comparison.compare}</span>
+          <span>{comparison.primary}</span>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="hotspot-legend">
       <div className="hotspot-legend-title">Vote Density</div>
@@ -226,7 +970,21 @@ function TehranMap({
   onHotspotClick,
   baseMapType = 'osm',
   isFavoribilityEnabled = false,
-  isVotesEnabled = true
+  isVotesEnabled = true,
+  visibleCategories = CATEGORY_IDS,
+  voteFilter,
+  focusedVote,
+  currentUserId = null,
+  onPhotoOpen,
+  onVoteEdit,
+  onVoteWithdraw,
+  onVoteReport,
+  onViewportChange,
+  districtData = null,
+  districtError = '',
+  showDistricts = false,
+  selectedDistrict = null,
+  onDistrictSelect
 }) {
   const [mapReady, setMapReady] = useState(false)
   const mapRef = useRef(null)
@@ -238,6 +996,64 @@ function TehranMap({
   const [isHotspotVisible, setIsHotspotVisible] = useState(false)
   const [bandwidth, setBandwidth] = useState(DEFAULT_BANDWIDTH)
   const [cellSize, setCellSize] = useState(DEFAULT_CELL_SIZE)
+  const [hotspotSource, setHotspotSource] = useState(HOTSPOT_SOURCE_VOTES)
+  const [hotspotProgress, setHotspotProgress] = useState(null)
+  const [kdeKernel, setKdeKernel] = useState('gaussian')
+  const [bandwidthMethod, setBandwidthMethod] = useState('manual')
+  const [selectedBandwidth, setSelectedBandwidth] = useState(null)
+  const [adaptiveMode, setAdaptiveMode] = useState('fixed')
+  const [adaptiveK, setAdaptiveK] = useState(DEFAULT_ADAPTIVE_K)
+  const [gridCells, setGridCells] = useState([])
+  const [compareGridCells, setCompareGridCells] = useState([])
+
+  // Category surfaces: one category (or all visible ones), optionally compared with another
+  const [surfaceCategory, setSurfaceCategory] = useState(SURFACE_CATEGORY_ALL)
+  const [compareCategory, setCompareCategory] = useState('')
+
+  // Criteria weights applied to multi-criteria votes before computing surfaces
+  const [criteriaWeights, setCriteriaWeights] = useState(DEFAULT_CRITERIA_WEIGHTS)
+  const [excludeFlagged, setExcludeFlagged] = useState(true)
+
+  // Choropleth layer state; neighborhoods are loaded when the layer is first shown
+  const [isChoroplethVisible, setIsChoroplethVisible] = useState(false)
+  const [choroplethUnits, setChoroplethUnits] = useState(CHOROPLETH_UNITS[0].id)
+  const [choroplethMetric, setChoroplethMetric] = useState(CHOROPLETH_METRICS[0].id)
+  const [classMethod, setClassMethod] = useState(CLASSIFICATION_METHODS[0].id)
+  const [classCount, setClassCount] = useState(DEFAULT_CLASS_COUNT)
+  const [neighborhoodData, setNeighborhoodData] = useState(null)
+  const [neighborhoodError, setNeighborhoodError] = useState('')
+  const [uploadedUnits, setUploadedUnits] = useState(null)
+  const [choroplethError, setChoroplethError] = useState('')
+
+  // Grid aggregation layer state
+  const [isGridVisible, setIsGridVisible] = useState(false)
+  const [gridShape, setGridShape] = useState('hexagon')
+  const [gridMetric, setGridMetric] = useState('count')
+  const [gridCellSize, setGridCellSize] = useState(DEFAULT_GRID_CELL_SIZE)
+  const [gridMinCount, setGridMinCount] = useState(1)
+
+  // Gi* hot/cold spot layer state; the z-scores come from a worker
+  const [isGiVisible, setIsGiVisible] = useState(false)
+  const [giInput, setGiInput] = useState(GI_INPUTS[0].id)
+  const [giWeights, setGiWeights] = useState(GI_WEIGHTS[0].id)
+  const [giDistance, setGiDistance] = useState(DEFAULT_GI_DISTANCE)
+  const [giK, setGiK] = useState(DEFAULT_GI_K)
+  const [giFdr, setGiFdr] = useState(true)
+  const [giRun, setGiRun] = useState(null)
+  const [giProgress, setGiProgress] = useState(null)
+  const [giError, setGiError] = useState('')
+
+  // LISA cluster layer state; the Moran's I result comes from a worker
+  const [isLisaVisible, setIsLisaVisible] = useState(false)
+  const [lisaInput, setLisaInput] = useState(GI_INPUTS[0].id)
+  const [lisaWeights, setLisaWeights] = useState(GI_WEIGHTS[1].id)
+  const [lisaDistance, setLisaDistance] = useState(DEFAULT_GI_DISTANCE)
+  const [lisaK, setLisaK] = useState(DEFAULT_GI_K)
+  const [lisaPermutations, setLisaPermutations] = useState(DEFAULT_MORAN_PERMUTATIONS)
+  const [lisaAlpha, setLisaAlpha] = useState(LISA_SIGNIFICANCE_LEVELS[0])
+  const [moranRun, setMoranRun] = useState(null)
+  const [moranProgress, setMoranProgress] = useState(null)
+  const [moranError, setMoranError] = useState('')
   
   // OSM tile layer configuration
   const osmTileLayerUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'
@@ -258,11 +1074,275 @@ function TehranMap({
   const currentAttribution = isHybrid ? hybridTileLayerAttribution : (isSatellite ? satelliteTileLayerAttribution : osmTileLayerAttribution)
   const currentMaxZoom = isHybrid || isSatellite ? 21 : 19
   
+  // Categories behind each surface (null means every vote)
+  const isEveryCategoryVisible = visibleCategories.length === CATEGORY_IDS.length
+  const primaryCategories = useMemo(() => {
+    if (surfaceCategory !== SURFACE_CATEGORY_ALL) return [surfaceCategory]
+    return isEveryCategoryVisible ? null : visibleCategories
+  }, [surfaceCategory, visibleCategories, isEveryCategoryVisible])
+  const compareCategories = useMemo(() => {
+    return compareCategory ? [compareCategory] : null
+  }, [compareCategory])
+
+  // Votes shown as markers, honoring the category and comment/tag filters
+  const visibleData = useMemo(() => {
+    const byCategory = filterVotesByCategory(hotspotData, isEveryCategoryVisible ? null : visibleCategories)
+    return filterVotesByText(byCategory, voteFilter)
+  }, [hotspotData, visibleCategories, isEveryCategoryVisible, voteFilter])
+
+  // Scores recomputed from criteria ratings when weights were changed,
+  // leaving out votes flagged as likely spam unless asked not to
+  const weightedData = useMemo(() => {
+    const surfaceData = excludeFlagged ? filterFlaggedVotes(hotspotData) : hotspotData
+    return isCustomWeighting(criteriaWeights) ? reweightVoteScores(surfaceData, criteriaWeights) : surfaceData
+  }, [hotspotData, criteriaWeights, excludeFlagged])
+
+  // Votes behind the surfaces
+  const primaryData = useMemo(() => {
+    return filterVotesByCategory(weightedData, primaryCategories)
+  }, [weightedData, primaryCategories])
+  const compareData = useMemo(() => {
+    return compareCategories ? filterVotesByCategory(weightedData, compareCategories) : null
+  }, [weightedData, compareCategories])
+
   // Extract votes array from hotspotData GeoJSON
   const votes = useMemo(() => {
-    return extractHotspotPoints(hotspotData)
-  }, [hotspotData])
+    return extractHotspotPoints(primaryData)
+  }, [primaryData])
+  const compareVotes = useMemo(() => {
+    return compareData ? extractHotspotPoints(compareData) : null
+  }, [compareData])
+
+  // Legend labels while comparing two categories
+  const comparison = compareCategory ? {
+    primary: surfaceCategory === SURFACE_CATEGORY_ALL ? 'All visible' : getCategory(surfaceCategory).label,
+    compare: getCategory(compareCategory).label
+  } : null
   
+  // Polygons of the choropleth
+  const choroplethData = choroplethUnits === 'districts'
+    ? districtData
+    : (choroplethUnits === 'neighborhoods' ? neighborhoodData : uploadedUnits?.data)
+
+  // Color the polygons by the votes behind the surfaces
+  const choropleth = useMemo(() => {
+    if (!isChoroplethVisible || !choroplethData?.features.length) return null
+    return buildChoropleth(primaryData, choroplethData, {
+      metric: choroplethMetric,
+      method: classMethod,
+      classCount
+    })
+  }, [isChoroplethVisible, choroplethData, primaryData, choroplethMetric, classMethod, classCount])
+
+  // Choropleth classes shown in the legend
+  const choroplethLegend = choropleth && {
+    title: `${getChoroplethMetric(choroplethMetric).label} by ${CHOROPLETH_UNITS.find(option => option.id === choroplethUnits).label.toLowerCase()}`,
+    metricId: choroplethMetric,
+    classes: choropleth.classes
+  }
+
+  // Cells of the grid layer: the votes behind the surfaces binned, thinned
+  // to the minimum count and clipped to the boundary
+  const isOnCells = (isGiVisible && giInput === 'cells') || (isLisaVisible && lisaInput === 'cells')
+  const aggregateCells = useMemo(() => {
+    if (!isGridVisible && !isOnCells) return []
+
+    const points = votes.map(vote => ({ lat: vote.lat, lng: vote.lng, score: vote.favorability }))
+    const cells = aggregateToGrid(points, gridCellSize, gridShape).filter(cell => cell.count >= gridMinCount)
+    return boundaryData ? clipCellsToBoundary(cells, boundaryData) : cells
+  }, [isGridVisible, isOnCells, votes, gridCellSize, gridShape, gridMinCount, boundaryData])
+
+  // Items of the Gi* layer: the votes (by score) or the grid cells (by mean score)
+  const giItems = useMemo(() => {
+    return isGiVisible ? getAnalysisItems(giInput, primaryData, aggregateCells) : []
+  }, [isGiVisible, giInput, primaryData, aggregateCells])
+
+  // Gi* z-scores, p-values and bins come from a worker, so tens of thousands
+  // of votes do not freeze the map; changing an option replaces the run in
+  // progress. Results keep the items they were computed for.
+  useEffect(() => {
+    if (!isGiVisible) {
+      setGiRun(null)
+      setGiProgress(null)
+      return
+    }
+
+    const worker = new Worker(new URL('../../workers/giStarWorker.js', import.meta.url), { type: 'module' })
+    let isCurrent = true
+
+    worker.onmessage = (e) => {
+      if (!isCurrent) return
+      const { type } = e.data
+
+      if (type === 'progress') {
+        setGiProgress(e.data.progress)
+      } else if (type === 'complete') {
+        setGiRun(giItems.map((item, i) => ({ ...item, ...e.data.result[i] })))
+        setGiProgress(null)
+        worker.terminate()
+      } else if (type === 'error') {
+        setGiError(`Hot/cold spot analysis failed: ${e.data.error}`)
+        setGiProgress(null)
+        worker.terminate()
+      }
+    }
+    worker.onerror = (e) => {
+      if (!isCurrent) return
+      console.error('Gi* worker error:', e.message)
+      setGiError('Hot/cold spot analysis failed')
+      setGiProgress(null)
+    }
+
+    setGiError('')
+    setGiProgress(0)
+    worker.postMessage({
+      type: 'compute',
+      points: giItems.map(({ lat, lng, value }) => ({ lat, lng, value })),
+      options: { weights: giWeights, distance: giDistance, k: giK, fdr: giFdr }
+    })
+
+    return () => {
+      isCurrent = false
+      worker.terminate()
+    }
+  }, [isGiVisible, giItems, giWeights, giDistance, giK, giFdr])
+
+  // Items of the LISA layer
+  const lisaItems = useMemo(() => {
+    return isLisaVisible ? getAnalysisItems(lisaInput, primaryData, aggregateCells) : []
+  }, [isLisaVisible, lisaInput, primaryData, aggregateCells])
+
+  // Moran's I and LISA run in a worker; changing an option replaces the run
+  // in progress. Results keep the items they were computed for.
+  useEffect(() => {
+    if (!isLisaVisible) {
+      setMoranRun(null)
+      setMoranProgress(null)
+      return
+    }
+
+    const worker = new Worker(new URL('../../workers/moranWorker.js', import.meta.url), { type: 'module' })
+    let isCurrent = true
+
+    worker.onmessage = (e) => {
+      if (!isCurrent) return
+      const { type } = e.data
+
+      if (type === 'progress') {
+        setMoranProgress(e.data.progress)
+      } else if (type === 'complete') {
+        const { global, local } = e.data.result
+        setMoranRun({ global, local: lisaItems.map((item, i) => ({ ...item, ...local[i] })) })
+        setMoranProgress(null)
+        worker.terminate()
+      } else if (type === 'error') {
+        setMoranError(`Spatial autocorrelation failed: ${e.data.error}`)
+        setMoranProgress(null)
+        worker.terminate()
+      }
+    }
+    worker.onerror = (e) => {
+      if (!isCurrent) return
+      console.error('Moran worker error:', e.message)
+      setMoranError('Spatial autocorrelation failed')
+      setMoranProgress(null)
+    }
+
+    setMoranError('')
+    setMoranProgress(0)
+    worker.postMessage({
+      type: 'compute',
+      points: lisaItems.map(({ lat, lng, value }) => ({ lat, lng, value })),
+      options: { weights: lisaWeights, distance: lisaDistance, k: lisaK, permutations: lisaPermutations, alpha: lisaAlpha }
+    })
+
+    return () => {
+      isCurrent = false
+      worker.terminate()
+    }
+  }, [isLisaVisible, lisaItems, lisaWeights, lisaDistance, lisaK, lisaPermutations, lisaAlpha])
+
+  // Grid colors: equal intervals of the counts shown, or whole scores
+  const gridScale = useMemo(() => {
+    const breaks = gridMetric === 'count'
+      ? computeBreaks(aggregateCells.map(cell => cell.count), 'equal', GRID_CLASS_COUNT)
+      : [0, 1, 2, 3, 4, 5]
+    const colors = interpolatePalette(gridMetric === 'count' ? COUNT_PALETTE : SCORE_PALETTE, Math.max(1, breaks.length - 1))
+
+    return {
+      getColor: (cell) => colors[getClassIndex(gridMetric === 'count' ? cell.count : cell.mean, breaks)],
+      legend: breaks.length > 0 && {
+        title: `${gridMetric === 'count' ? 'Vote count' : 'Mean score'} per cell`,
+        metricId: gridMetric,
+        classes: colors.map((color, i) => ({ from: breaks[i], to: breaks[Math.min(i + 1, breaks.length - 1)], color })),
+        showNoData: false
+      }
+    }
+  }, [gridMetric, aggregateCells])
+
+  // Reasons the built-in polygon sets cannot be picked, by unit id
+  const unavailableUnits = useMemo(() => ({
+    districts: districtError,
+    neighborhoods: neighborhoodError
+  }), [districtError, neighborhoodError])
+
+  // Load the neighborhoods once, so the picker knows whether they exist
+  useEffect(() => {
+    if (!isChoroplethVisible || neighborhoodData || neighborhoodError) return
+
+    let cancelled = false
+    async function loadNeighborhoods() {
+      try {
+        const response = await fetch(NEIGHBORHOODS_URL)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        const data = normalizeUnits(await response.json())
+        if (data.features.length === 0) {
+          throw new Error('no polygons')
+        }
+        if (!cancelled) setNeighborhoodData(data)
+      } catch (error) {
+        console.warn('[TehranMap] Neighborhood boundaries not available:', error.message)
+        if (!cancelled) {
+          setNeighborhoodError(`Neighborhood boundaries could not be loaded from public${NEIGHBORHOODS_URL} (${error.message})`)
+        }
+      }
+    }
+
+    loadNeighborhoods()
+    return () => {
+      cancelled = true
+    }
+  }, [isChoroplethVisible, neighborhoodData, neighborhoodError])
+
+  // Move off a polygon set once it turns out to be unavailable
+  useEffect(() => {
+    if (!unavailableUnits[choroplethUnits]) return
+    setChoroplethUnits(CHOROPLETH_UNITS.find(option => !unavailableUnits[option.id]).id)
+  }, [choroplethUnits, unavailableUnits])
+
+  // Read a user-supplied polygon file
+  const handleUnitsUpload = useCallback(async (file) => {
+    if (file.size > MAX_UPLOAD_BYTES) {
+      setChoroplethError(`File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`)
+      return
+    }
+
+    try {
+      const data = normalizeUnits(JSON.parse(await file.text()))
+      if (data.features.length === 0) {
+        setChoroplethError('The file has no Polygon or MultiPolygon features')
+        return
+      }
+      setUploadedUnits({ name: file.name, loadedAt: Date.now(), data })
+      setChoroplethError('')
+    } catch (error) {
+      console.error('[TehranMap] Error reading polygon file:', error)
+      setChoroplethError('The file is not valid GeoJSON')
+    }
+  }, [])
+
   // Fetch boundary data if not provided via props
   useEffect(() => {
     if (propBoundaryData) {
@@ -288,6 +1368,56 @@ function TehranMap({
     loadBoundary()
   }, [propBoundaryData])
   
+  // Fetch pre-aggregated cells over the boundary extent when the grid source is selected.
+  // Aggregating at the raster cell size keeps the surface close to the raw-vote one.
+  useEffect(() => {
+    if (!isHotspotVisible || hotspotSource !== HOTSPOT_SOURCE_GRID || !boundaryData) {
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const extent = L.geoJSON(boundaryData).getBounds()
+      const bounds = {
+        west: extent.getWest(),
+        south: extent.getSouth(),
+        east: extent.getEast(),
+        north: extent.getNorth()
+      }
+      const [result, compareResult] = await Promise.all([
+        fetchGridAggregates(bounds, cellSize, 'square', primaryCategories, !excludeFlagged),
+        compareCategories ? fetchGridAggregates(bounds, cellSize, 'square', compareCategories, !excludeFlagged) : null
+      ])
+
+      if (cancelled) return
+      if (result.success) {
+        console.log('[TehranMap] Grid aggregates loaded:', result.cells.length, 'cells')
+        setGridCells(result.cells)
+      } else {
+        console.error('[TehranMap] Grid aggregation failed:', result.error)
+      }
+      if (compareResult?.success) {
+        setCompareGridCells(compareResult.cells)
+      } else if (compareResult) {
+        console.error('[TehranMap] Comparison grid aggregation failed:', compareResult.error)
+      }
+    }, GRID_REFRESH_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isHotspotVisible, hotspotSource, boundaryData, cellSize, hotspotData, primaryCategories, compareCategories, excludeFlagged])
+
+  // Points fed to the KDE: one per vote, or one weighted point per grid cell
+  const hotspotPoints = useMemo(() => {
+    return hotspotSource === HOTSPOT_SOURCE_GRID ? cellsToWeightedPoints(gridCells) : votes
+  }, [hotspotSource, gridCells, votes])
+  const compareHotspotPoints = useMemo(() => {
+    if (!compareVotes) return null
+    return hotspotSource === HOTSPOT_SOURCE_GRID ? cellsToWeightedPoints(compareGridCells) : compareVotes
+  }, [hotspotSource, compareGridCells, compareVotes])
+
   // Log when votes change
   useEffect(() => {
     console.log('[TehranMap] Votes extracted:', votes.length, 'points')
@@ -314,25 +1444,72 @@ function TehranMap({
         {/* Tehran Boundary Layer */}
         <BoundaryLayer data={boundaryData} />
 
+        {/* Choropleth Layer (rebuilt when its polygons change) */}
+        {choropleth && (
+          <ChoroplethLayer
+            key={choroplethUnits === 'upload' ? `upload-${uploadedUnits.loadedAt}` : choroplethUnits}
+            data={choroplethData}
+            choropleth={choropleth}
+            metric={getChoroplethMetric(choroplethMetric)}
+          />
+        )}
+
+        {/* Grid Aggregation Layer */}
+        {isGridVisible && (
+          <GridAggregateLayer cells={aggregateCells} getColor={gridScale.getColor} />
+        )}
+
+        {/* Gi* Hot/Cold Spot Layer */}
+        {isGiVisible && giRun && <GiStarLayer items={giRun} />}
+
+        {/* LISA Cluster Layer */}
+        {isLisaVisible && moranRun && <LisaLayer items={moranRun.local} />}
+
+        {/* Municipal Districts (while the districts panel is open) */}
+        {showDistricts && districtData && (
+          <DistrictsLayer
+            data={districtData}
+            selectedDistrict={selectedDistrict}
+            onDistrictSelect={onDistrictSelect}
+            isSelectionMode={isSelectionMode}
+          />
+        )}
+
         {/* Hotspot Visualization Layer */}
-        {isHotspotVisible && votes.length > 0 && (
+        {isHotspotVisible && hotspotPoints.length > 0 && (
           <HotspotLayer
-            votes={votes}
+            votes={hotspotPoints}
+            compareVotes={compareHotspotPoints}
             boundary={boundaryData}
             bandwidth={bandwidth}
             cellSize={cellSize}
+            kernel={kdeKernel}
+            bandwidthMethod={bandwidthMethod}
+            adaptive={adaptiveMode}
+            adaptiveK={adaptiveK}
             onHotspotClick={onHotspotClick}
+            onProgress={setHotspotProgress}
+            onBandwidthSelected={setSelectedBandwidth}
           />
         )}
 
         {/* Favoribility Layer (when enabled) */}
         {isFavoribilityEnabled && (
-          <FavoribilityLayer data={hotspotData} boundaryData={boundaryData} />
+          <FavoribilityLayer data={primaryData} compareData={compareData} boundaryData={boundaryData} />
         )}
 
         {/* Votes Layer (when enabled) */}
         {isVotesEnabled && (
-          <VotesLayer data={hotspotData} visible={isVotesEnabled} />
+          <VotesLayer
+            data={visibleData}
+            visible={isVotesEnabled}
+            focusedVote={focusedVote}
+            currentUserId={currentUserId}
+            onPhotoOpen={onPhotoOpen}
+            onVoteEdit={onVoteEdit}
+            onVoteWithdraw={onVoteWithdraw}
+            onVoteReport={onVoteReport}
+          />
         )}
 
         {/* Map Click Handler for Selection Mode */}
@@ -348,6 +1525,12 @@ function TehranMap({
           boundaryData={boundaryData}
         />
 
+        {/* Load votes for the visible area */}
+        <ViewportWatcher onViewportChange={onViewportChange} />
+
+        {/* Fly to the vote picked in the search panel */}
+        <FocusController focusedVote={focusedVote} />
+
         {/* Fit to boundary when loaded */}
         <BoundsController boundaryData={boundaryData} />
       </MapContainer>
@@ -358,14 +1541,122 @@ function TehranMap({
         onToggleVisibility={setIsHotspotVisible}
         bandwidth={bandwidth}
         onBandwidthChange={setBandwidth}
+        kernel={kdeKernel}
+        onKernelChange={setKdeKernel}
+        bandwidthMethod={bandwidthMethod}
+        onBandwidthMethodChange={setBandwidthMethod}
+        selectedBandwidth={selectedBandwidth}
+        adaptive={adaptiveMode}
+        onAdaptiveChange={setAdaptiveMode}
+        adaptiveK={adaptiveK}
+        onAdaptiveKChange={setAdaptiveK}
         cellSize={cellSize}
         onCellSizeChange={setCellSize}
-      />
-      
-      {/* Hotspot Legend */}
-      {isHotspotVisible && votes.length > 0 && (
-        <HotspotLegend />
-      )}
+        source={hotspotSource}
+        onSourceChange={setHotspotSource}
+        showSurfaceOptions={isHotspotVisible || isFavoribilityEnabled || isChoroplethVisible || isGridVisible || isGiVisible || isLisaVisible}
+        surfaceCategory={surfaceCategory}
+        onSurfaceCategoryChange={(value) => {
+          setSurfaceCategory(value)
+          if (value === compareCategory) setCompareCategory('')
+        }}
+        compareCategory={compareCategory}
+        onCompareCategoryChange={setCompareCategory}
+        criteriaWeights={criteriaWeights}
+        onCriteriaWeightsChange={setCriteriaWeights}
+        excludeFlagged={excludeFlagged}
+        onExcludeFlaggedChange={setExcludeFlagged}
+        progress={hotspotProgress}
+      >
+        <ChoroplethControls
+          isVisible={isChoroplethVisible}
+          onToggleVisibility={setIsChoroplethVisible}
+          units={choroplethUnits}
+          onUnitsChange={setChoroplethUnits}
+          unavailableUnits={unavailableUnits}
+          uploadedName={uploadedUnits?.name}
+          onUpload={handleUnitsUpload}
+          error={choroplethUnits === 'upload' ? choroplethError : ''}
+          metric={choroplethMetric}
+          onMetricChange={setChoroplethMetric}
+          method={classMethod}
+          onMethodChange={setClassMethod}
+          classCount={classCount}
+          onClassCountChange={setClassCount}
+        />
+        <GridControls
+          isVisible={isGridVisible}
+          onToggleVisibility={setIsGridVisible}
+          shape={gridShape}
+          onShapeChange={setGridShape}
+          metric={gridMetric}
+          onMetricChange={setGridMetric}
+          cellSize={gridCellSize}
+          onCellSizeChange={setGridCellSize}
+          minCount={gridMinCount}
+          onMinCountChange={setGridMinCount}
+        />
+        <GiStarControls
+          isVisible={isGiVisible}
+          onToggleVisibility={setIsGiVisible}
+          input={giInput}
+          onInputChange={setGiInput}
+          weights={giWeights}
+          onWeightsChange={setGiWeights}
+          distance={giDistance}
+          onDistanceChange={setGiDistance}
+          k={giK}
+          onKChange={setGiK}
+          fdr={giFdr}
+          onFdrChange={setGiFdr}
+          progress={giProgress}
+          error={giError}
+        />
+        <MoranControls
+          isVisible={isLisaVisible}
+          onToggleVisibility={setIsLisaVisible}
+          input={lisaInput}
+          onInputChange={setLisaInput}
+          weights={lisaWeights}
+          onWeightsChange={setLisaWeights}
+          distance={lisaDistance}
+          onDistanceChange={setLisaDistance}
+          k={lisaK}
+          onKChange={setLisaK}
+          permutations={lisaPermutations}
+          onPermutationsChange={setLisaPermutations}
+          alpha={lisaAlpha}
+          onAlphaChange={setLisaAlpha}
+        />
+      </HotspotControls>
+
+      {/* Legends, stacked so the map legend can grow */}
+      <div className="map-legends">
+        {/* Hotspot Legend */}
+        {comparison && (isFavoribilityEnabled || (isHotspotVisible && hotspotPoints.length > 0)) ? (
+          <HotspotLegend comparison={comparison} />
+        ) : isHotspotVisible && hotspotPoints.length > 0 && (
+          <HotspotLegend />
+        )}
+
+        {/* Moran's I and scatterplot of the LISA layer */}
+        {isLisaVisible && (
+          <MoranPanel
+            result={moranRun}
+            progress={moranProgress}
+            error={moranError}
+            itemLabel={lisaInput === 'cells' ? 'grid cells' : 'votes'}
+          />
+        )}
+
+        {/* Map Legend, with the classes of the analysis layers while they are shown */}
+        <Legend
+          choropleth={choroplethLegend}
+          grid={isGridVisible && aggregateCells.length > 0 ? gridScale.legend : null}
+          showGiBins={isGiVisible}
+          showLisaClusters={isLisaVisible}
+        />
+      </div>
     </div>
   )
 }
@@ -1,6 +1,11 @@
-import React, { useEffect, useMemo } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import { useMap, CircleMarker, FeatureGroup, Popup } from 'react-leaflet'
 import L from 'leaflet'
+import { getCategory } from '../../config/categories'
+import { RATING_CRITERIA } from '../../config/criteria'
+import { getPhotoUrl } from '../../services/photos'
+import { VOTE_FLAGS } from '../../utils/antiSpam'
+import { REPORT_REASONS } from '../../config/moderation'
 
 /**
  * Get color based on vote score (0-5)
@@ -60,26 +65,91 @@ function hslToHex(h, s, l) {
 /**
  * Extract vote points from GeoJSON data
  * @param {Object} data - GeoJSON feature collection
- * @returns {Array} Array of {lat, lng, score, name}
+ * @returns {Array} Array of {id, userId, lat, lng, score, category, ratings, comment, tags, photos, photoCount, flags, name, pending, queueStatus}
  */
 function extractVotePoints(data) {
   if (!data || !data.features) return []
 
   return data.features.map(feature => ({
+    id: feature.properties.id,
+    userId: feature.properties.user_id || null,
     lat: feature.geometry.coordinates[1],
     lng: feature.geometry.coordinates[0],
     score: feature.properties.score || 0,
-    name: feature.properties.name || feature.properties.user_name || 'Anonymous'
+    category: getCategory(feature.properties.category).label,
+    ratings: feature.properties.ratings || null,
+    comment: feature.properties.comment || null,
+    tags: feature.properties.tags || [],
+    photos: feature.properties.photos || [],
+    photoCount: feature.properties.photo_count || 0,
+    flags: feature.properties.flags || [],
+    name: feature.properties.name || feature.properties.user_name || 'Anonymous',
+    pending: !!feature.properties.pending,
+    queueStatus: feature.properties.queued ? feature.properties.queue_status : null
   }))
 }
 
+/**
+ * Describe why a vote is not stored yet
+ * @param {Object} vote - Vote point
+ * @returns {string} Popup label
+ */
+function getPendingLabel(vote) {
+  if (vote.queueStatus === 'failed') return 'Rejected - see queued votes'
+  if (vote.queueStatus) return 'Queued - waiting for connection'
+  return 'Saving...'
+}
+
+/**
+ * Report button of the vote popup
+ * Expands into the list of report reasons; picking one calls onReport(reason)
+ */
+function VoteReportButton({ onReport }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  if (!isOpen) {
+    return <button onClick={() => setIsOpen(true)}>Report</button>
+  }
+
+  return (
+    <div className="vote-report-reasons">
+      {REPORT_REASONS.map(reason => (
+        <button
+          key={reason.id}
+          onClick={() => {
+            setIsOpen(false)
+            onReport(reason.id)
+          }}
+        >
+          {reason.label}
+        </button>
+      ))}
+      <button onClick={() => setIsOpen(false)}>Cancel</button>
+    </div>
+  )
+}
+
 /**
  * VotesLayer Component
  * Renders individual vote points as circle markers with uniform size
  * Color coded by score: Red (low) -> Yellow (medium) -> Green (high)
+ * Opens the popup of focusedVote once the map has moved to it
+ * Photo thumbnails in the popup call onPhotoOpen(photos, index)
+ * Votes of the signed-in user get Edit and Withdraw buttons in the popup,
+ * other stored votes a Report button calling onVoteReport(id, reason)
  */
-function VotesLayer({ data, visible = true }) {
+function VotesLayer({
+  data,
+  visible = true,
+  focusedVote = null,
+  currentUserId = null,
+  onPhotoOpen,
+  onVoteEdit,
+  onVoteWithdraw,
+  onVoteReport
+}) {
   const map = useMap()
+  const markerRefs = useRef(new Map())
 
   // Extract vote points from GeoJSON data
   const votePoints = useMemo(() => extractVotePoints(data), [data])
@@ -90,14 +160,19 @@ function VotesLayer({ data, visible = true }) {
 
     return votePoints.map((vote, index) => (
       <CircleMarker
-        key={`vote-${index}`}
+        key={`vote-${vote.id ?? index}`}
         center={[vote.lat, vote.lng]}
         radius={6}
+        ref={(layer) => {
+          if (layer) markerRefs.current.set(vote.id, layer)
+          else markerRefs.current.delete(vote.id)
+        }}
         pathOptions={{
           fillColor: getVoteColor(vote.score),
-          fillOpacity: 0.9,
+          fillOpacity: vote.pending ? 0.5 : 0.9,
           color: '#FFFFFF',
           weight: 1.5,
+          dashArray: vote.pending ? '3 3' : null,
           interactive: true,
           className: 'vote-marker'
         }}
@@ -115,12 +190,72 @@ function VotesLayer({ data, visible = true }) {
         <Popup>
           <div className="vote-popup-content">
             <strong>{vote.name}</strong><br/>
-            Score: {vote.score}
+            Score: {vote.score}<br/>
+            Category: {vote.category}
+            {vote.ratings && RATING_CRITERIA.filter(criterion => criterion.id in vote.ratings).map(criterion => (
+              <React.Fragment key={criterion.id}>
+                <br/>{criterion.label}: {vote.ratings[criterion.id]}
+              </React.Fragment>
+            ))}
+            {vote.comment && (
+              <p className="vote-popup-comment">{vote.comment}</p>
+            )}
+            {vote.tags.length > 0 && (
+              <div className="vote-tags">
+                {vote.tags.map(tag => <span key={tag} className="vote-tag">#{tag}</span>)}
+              </div>
+            )}
+            {vote.photos.length > 0 && (
+              <div className="vote-popup-photos">
+                {vote.photos.map((photo, photoIndex) => (
+                  <button
+                    key={photo.path}
+                    className="vote-popup-photo"
+                    onClick={() => onPhotoOpen?.(vote.photos, photoIndex)}
+                    aria-label={`Open photo ${photoIndex + 1}`}
+                  >
+                    <img src={getPhotoUrl(photo.thumb_path)} alt="" loading="lazy" />
+                  </button>
+                ))}
+              </div>
+            )}
+            {vote.pending && vote.photoCount > 0 && (
+              <><br/>{vote.photoCount} {vote.photoCount === 1 ? 'photo' : 'photos'} waiting to upload</>
+            )}
+            {vote.pending && (<><br/><em>{getPendingLabel(vote)}</em></>)}
+            {vote.flags.length > 0 && (
+              <div className="vote-popup-flags">
+                Flagged: {vote.flags.map(flag => VOTE_FLAGS[flag] || flag).join('; ')}
+              </div>
+            )}
+            {!vote.pending && currentUserId && vote.userId === currentUserId && (
+              <div className="vote-popup-actions">
+                <button onClick={() => onVoteEdit?.(vote.id)}>Edit</button>
+                <button className="danger" onClick={() => onVoteWithdraw?.(vote.id)}>Withdraw</button>
+              </div>
+            )}
+            {!vote.pending && onVoteReport && !(currentUserId && vote.userId === currentUserId) && (
+              <div className="vote-popup-actions">
+                <VoteReportButton onReport={(reason) => onVoteReport(vote.id, reason)} />
+              </div>
+            )}
           </div>
         </Popup>
       </CircleMarker>
     ))
-  }, [votePoints, visible])
+  }, [votePoints, visible, currentUserId, onPhotoOpen, onVoteEdit, onVoteWithdraw, onVoteReport])
+
+  // Open the focused vote's popup after the fly-to animation ends
+  useEffect(() => {
+    if (!map || !focusedVote) return
+
+    const openPopup = () => markerRefs.current.get(focusedVote.id)?.openPopup()
+    map.once('moveend', openPopup)
+
+    return () => {
+      map.off('moveend', openPopup)
+    }
+  }, [map, focusedVote])
 
   useEffect(() => {
     if (!map || !markers) return
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react'
+import { sendSignInCode, verifySignInCode, updateDisplayName, signOut } from '../../services/auth'
+import { getCategory } from '../../config/categories'
+
+// Sign-in steps
+const STEP_EMAIL = 'email'
+const STEP_CODE = 'code'
+
+/**
+ * AccountPanel Component
+ * Side panel to sign in with a magic link / one-time code, set the
+ * display name shown on votes and list the signed-in user's votes
+ */
+function AccountPanel({ isOpen, onClose, user, onUserChange, myVotes, isLoadingVotes, onVoteSelect }) {
+  const [step, setStep] = useState(STEP_EMAIL)
+  const [email, setEmail] = useState('')
+  const [code, setCode] = useState('')
+  const [displayName, setDisplayName] = useState('')
+  const [message, setMessage] = useState(null)
+  const [isBusy, setIsBusy] = useState(false)
+
+  // Start over whenever the signed-in user changes
+  useEffect(() => {
+    setStep(STEP_EMAIL)
+    setCode('')
+    setMessage(null)
+    setDisplayName(user?.displayName || '')
+  }, [user])
+
+  if (!isOpen) {
+    return null
+  }
+
+  // Run an auth call, showing its error in the panel
+  const run = async (action) => {
+    setIsBusy(true)
+    setMessage(null)
+    try {
+      await action()
+    } catch (error) {
+      console.error('[AccountPanel] Auth error:', error)
+      setMessage({ type: 'error', text: error.message || 'Something went wrong' })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleSendCode = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const result = await sendSignInCode(email)
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error })
+        return
+      }
+      setStep(STEP_CODE)
+      setMessage({ type: 'info', text: `We sent a sign-in link and code to ${email.trim()}.` })
+    })
+  }
+
+  const handleVerifyCode = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const result = await verifySignInCode(email, code)
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error })
+        return
+      }
+      onUserChange(result.user)
+    })
+  }
+
+  const handleSaveName = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const result = await updateDisplayName(user, displayName)
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error })
+        return
+      }
+      onUserChange(result.user)
+      setMessage({ type: 'info', text: 'Display name saved.' })
+    })
+  }
+
+  const handleSignOut = () => {
+    run(async () => {
+      await signOut()
+      onUserChange(null)
+    })
+  }
+
+  const votes = myVotes?.features || []
+
+  return (
+    <aside className="side-panel account-panel" aria-label="Account">
+      <div className="side-panel-header">
+        <h3>{user ? 'My Account' : 'Sign In'}</h3>
+        <button className="side-panel-close" onClick={onClose} aria-label="Close panel">
+          &times;
+        </button>
+      </div>
+
+      {!user && step === STEP_EMAIL && (
+        <form className="account-form" onSubmit={handleSendCode}>
+          <label htmlFor="account-email" className="form-label">Email</label>
+          <input
+            id="account-email"
+            type="email"
+            className="form-input"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            required
+            disabled={isBusy}
+          />
+          <button type="submit" className="modal-btn modal-btn-submit" disabled={isBusy || !email.trim()}>
+            {isBusy ? 'Sending...' : 'Email me a sign-in link'}
+          </button>
+          <p className="form-hint">No password needed. Signed-in votes show your profile name and appear under My votes.</p>
+        </form>
+      )}
+
+      {!user && step === STEP_CODE && (
+        <form className="account-form" onSubmit={handleVerifyCode}>
+          <label htmlFor="account-code" className="form-label">Code from the email</label>
+          <input
+            id="account-code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            className="form-input"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            required
+            disabled={isBusy}
+          />
+          <button type="submit" className="modal-btn modal-btn-submit" disabled={isBusy || !code.trim()}>
+            {isBusy ? 'Checking...' : 'Sign in'}
+          </button>
+          <button type="button" className="account-link" onClick={() => setStep(STEP_EMAIL)} disabled={isBusy}>
+            Use a different email
+          </button>
+        </form>
+      )}
+
+      {user && (
+        <>
+          <div className="account-email">Signed in as {user.email}</div>
+
+          <form className="account-form" onSubmit={handleSaveName}>
+            <label htmlFor="account-name" className="form-label">Display name</label>
+            <input
+              id="account-name"
+              type="text"
+              className="form-input"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="Shown on your votes"
+              maxLength={100}
+              disabled={isBusy}
+            />
+            <button
+              type="submit"
+              className="modal-btn modal-btn-submit"
+              disabled={isBusy || displayName.trim() === (user.displayName || '')}
+            >
+              Save name
+            </button>
+          </form>
+
+          <button type="button" className="modal-btn modal-btn-cancel" onClick={handleSignOut} disabled={isBusy}>
+            Sign out
+          </button>
+        </>
+      )}
+
+      {message && (
+        <div className={message.type === 'error' ? 'form-error' : 'account-message'}>{message.text}</div>
+      )}
+
+      {user && (
+        <>
+          <h4 className="account-section-title">My votes ({votes.length})</h4>
+          {isLoadingVotes && <div className="vote-search-summary">Loading...</div>}
+          {!isLoadingVotes && votes.length === 0 && (
+            <div className="vote-search-summary">You have not voted while signed in yet.</div>
+          )}
+          <ul className="vote-search-results">
+            {votes.map(feature => (
+              <li key={feature.properties.id}>
+                <button className="vote-search-result" onClick={() => onVoteSelect(feature)}>
+                  <div className="vote-search-result-meta">
+                    Score {feature.properties.score}
+                    &middot; {getCategory(feature.properties.category).label}
+                    &middot; {new Date(feature.properties.created_at).toLocaleDateString()}
+                  </div>
+                  {feature.properties.comment && (
+                    <p className="vote-search-result-comment">{feature.properties.comment}</p>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  )
+}
+
+export default AccountPanel
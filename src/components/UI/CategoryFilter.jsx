@@ -0,0 +1,45 @@
+import React from 'react'
+import { VOTE_CATEGORIES, CATEGORY_IDS } from '../../config/categories'
+
+/**
+ * CategoryFilter Component
+ * Chips for choosing which vote categories are shown on the map
+ */
+function CategoryFilter({ selected, onChange }) {
+  const isAllSelected = selected.length === CATEGORY_IDS.length
+
+  const handleToggle = (id) => {
+    if (selected.includes(id)) {
+      // Keep at least one category visible
+      if (selected.length > 1) {
+        onChange(selected.filter(item => item !== id))
+      }
+    } else {
+      onChange(CATEGORY_IDS.filter(item => item === id || selected.includes(item)))
+    }
+  }
+
+  return (
+    <div className="category-filter" role="group" aria-label="Filter votes by category">
+      <button
+        className={`category-chip ${isAllSelected ? 'active' : ''}`}
+        onClick={() => onChange(CATEGORY_IDS)}
+      >
+        All
+      </button>
+      {VOTE_CATEGORIES.map(category => (
+        <button
+          key={category.id}
+          className={`category-chip ${selected.includes(category.id) ? 'active' : ''}`}
+          style={{ '--category-color': category.color }}
+          onClick={() => handleToggle(category.id)}
+          aria-pressed={selected.includes(category.id)}
+        >
+          {category.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default CategoryFilter
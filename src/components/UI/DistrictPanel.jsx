@@ -0,0 +1,109 @@
+import React, { useMemo } from 'react'
+
+/**
+ * Color of a score bin, matching the vote markers (red 0 to green 5)
+ */
+function getBinColor(score) {
+  return `hsl(${score / 5 * 120}, 80%, 50%)`
+}
+
+/**
+ * Format a mean or median score
+ */
+function formatScore(value) {
+  return value === null ? '–' : value.toFixed(1)
+}
+
+/**
+ * Score distribution as a stacked bar, one segment per whole score
+ */
+function ScoreDistribution({ distribution, count }) {
+  if (count === 0) {
+    return <div className="district-distribution empty" />
+  }
+
+  return (
+    <div
+      className="district-distribution"
+      title={distribution.map((n, score) => `${score}: ${n}`).join(', ')}
+    >
+      {distribution.map((n, score) => n > 0 && (
+        <span
+          key={score}
+          style={{ width: `${n / count * 100}%`, backgroundColor: getBinColor(score) }}
+        />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * DistrictPanel Component
+ * Side panel ranking Tehran's municipal districts by mean score, with vote
+ * count, median and score distribution. Picking a district highlights it
+ * on the map and zooms to it.
+ */
+function DistrictPanel({ isOpen, onClose, stats, isAvailable, error = '', selectedDistrict, onDistrictSelect }) {
+  // Ranked districts first, then those without votes by number
+  const ordered = useMemo(() => {
+    return [...(stats?.districts || [])].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || a.id - b.id)
+  }, [stats])
+
+  if (!isOpen) {
+    return null
+  }
+
+  const rankedCount = ordered.filter(district => district.rank).length
+
+  return (
+    <aside className="side-panel district-panel" aria-label="Districts">
+      <div className="side-panel-header">
+        <h3>Districts</h3>
+        <button className="side-panel-close" onClick={onClose} aria-label="Close panel">
+          &times;
+        </button>
+      </div>
+
+      {!isAvailable ? (
+        <div className="vote-search-summary">
+          {error || 'Loading district boundaries…'}
+          {error && (
+            <> Create the file from an OpenStreetMap export with <code>npm run import:districts</code> (see Districts in the README).</>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="vote-search-summary">
+            {rankedCount} of {ordered.length} districts have votes
+            {stats?.unassigned > 0 && ` · ${stats.unassigned} outside every district`}
+          </div>
+
+          <ul className="vote-search-results">
+            {ordered.map(district => (
+              <li key={district.id}>
+                <button
+                  className={`vote-search-result district-result ${district.id === selectedDistrict ? 'selected' : ''}`}
+                  onClick={() => onDistrictSelect(district.id)}
+                  aria-pressed={district.id === selectedDistrict}
+                >
+                  <div className="district-result-title">
+                    <strong>{district.label}</strong>
+                    {district.rank && <span className="district-rank">#{district.rank}</span>}
+                  </div>
+                  <div className="vote-search-result-meta">
+                    {district.count} {district.count === 1 ? 'vote' : 'votes'}
+                    {' · '}mean {formatScore(district.mean)}
+                    {' · '}median {formatScore(district.median)}
+                  </div>
+                  <ScoreDistribution distribution={district.distribution} count={district.count} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </aside>
+  )
+}
+
+export default DistrictPanel
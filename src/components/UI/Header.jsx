@@ -3,8 +3,9 @@ import React from 'react'
 /**
  * Header Component
  * Professional branding header for the application
+ * Children are rendered as action buttons on the right
  */
-function Header() {
+function Header({ subtitle = 'Vote for your favorite places in Tehran', children }) {
   return (
     <header className="header">
       <div className="header-content">
@@ -16,8 +17,13 @@ function Header() {
         </div>
         <div className="header-text">
           <h1>Favorability Hotspot Map</h1>
-          <p className="subtitle">Vote for your favorite places in Tehran</p>
+          <p className="subtitle">{subtitle}</p>
         </div>
+        {children && (
+          <div className="header-actions">
+            {children}
+          </div>
+        )}
       </div>
     </header>
   )
@@ -1,10 +1,62 @@
 import React from 'react'
+import { NO_DATA_COLOR } from '../../config/choropleth'
+import { GI_BINS, LISA_CLUSTERS } from '../../config/hotspots'
+
+/**
+ * Format a class break of the choropleth legend
+ */
+function formatBreak(value, metricId) {
+  if (metricId === 'count') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1)
+  }
+  return value.toFixed(2)
+}
+
+/**
+ * Classes of a map layer as a strip of swatches with the breaks below it
+ * @param {Object} scale - { title, metricId, classes: [{ from, to, color }], showNoData }
+ */
+function ClassStrip({ scale }) {
+  const { title, metricId, classes, showNoData = true } = scale
+  const breaks = [classes[0].from, ...classes.map(({ to }) => to)]
+    .filter((value, i, all) => i === 0 || value !== all[i - 1])
+
+  return (
+    <div className="legend-items legend-scale">
+      <div className="legend-subtitle">{title}</div>
+      <div className="legend-classes">
+        {classes.map(({ from, to, color }) => (
+          <span
+            key={`${from}-${to}`}
+            style={{ backgroundColor: color }}
+            title={`${formatBreak(from, metricId)} – ${formatBreak(to, metricId)}`}
+          />
+        ))}
+      </div>
+      <div className="legend-labels">
+        {breaks.map(value => <span key={value}>{formatBreak(value, metricId)}</span>)}
+      </div>
+      {showNoData && (
+        <div className="legend-item">
+          <div className="legend-color-box legend-swatch-small" style={{ backgroundColor: NO_DATA_COLOR }} />
+          <span>No votes</span>
+        </div>
+      )}
+    </div>
+  )
+}
 
 /**
  * Legend Component
- * Displays map legend with color scale for favorability
+ * Displays map legend with color scale for favorability, plus the classes
+ * of the choropleth and grid layers and the Gi* bins and LISA cluster types
+ * while they are shown
+ * @param {Object} choropleth - Choropleth classes (see ClassStrip) or null
+ * @param {Object} grid - Grid layer classes (see ClassStrip) or null
+ * @param {boolean} showGiBins - Whether the Gi* hot/cold spot layer is shown
+ * @param {boolean} showLisaClusters - Whether the LISA cluster layer is shown
  */
-function Legend() {
+function Legend({ choropleth = null, grid = null, showGiBins = false, showLisaClusters = false }) {
   return (
     <div className="legend-container">
       <div className="legend-title">Legend</div>
@@ -25,6 +77,31 @@ function Legend() {
           <span>High</span>
         </div>
       </div>
+
+      {choropleth?.classes.length > 0 && <ClassStrip scale={choropleth} />}
+      {grid?.classes.length > 0 && <ClassStrip scale={grid} />}
+      {showGiBins && (
+        <div className="legend-items legend-scale">
+          <div className="legend-subtitle">Hot/cold spots (Gi*)</div>
+          {GI_BINS.map(({ bin, label, color }) => (
+            <div key={bin} className="legend-item">
+              <div className="legend-color-box legend-swatch-small" style={{ backgroundColor: color }} />
+              <span>{label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {showLisaClusters && (
+        <div className="legend-items legend-scale">
+          <div className="legend-subtitle">LISA clusters</div>
+          {LISA_CLUSTERS.map(({ id, label, color }) => (
+            <div key={id} className="legend-item">
+              <div className="legend-color-box legend-swatch-small" style={{ backgroundColor: color }} />
+              <span>{label}</span>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
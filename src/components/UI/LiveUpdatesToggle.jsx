@@ -0,0 +1,24 @@
+import React from 'react'
+
+/**
+ * LiveUpdatesToggle Component
+ * Pauses/resumes live vote streaming and shows how many votes are held back
+ */
+function LiveUpdatesToggle({ isPaused, pendingCount = 0, onToggle, disabled }) {
+  return (
+    <button
+      className={`live-updates-toggle ${isPaused ? 'paused' : 'active'}`}
+      onClick={() => onToggle(!isPaused)}
+      disabled={disabled}
+      title={isPaused ? 'Resume live updates' : 'Pause live updates'}
+    >
+      <span className="live-updates-dot" />
+      {isPaused ? 'PAUSED' : 'LIVE'}
+      {isPaused && pendingCount > 0 && (
+        <span className="live-updates-pending">+{pendingCount}</span>
+      )}
+    </button>
+  )
+}
+
+export default LiveUpdatesToggle
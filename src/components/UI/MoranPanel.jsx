@@ -0,0 +1,114 @@
+import React from 'react'
+import { getLisaCluster } from '../../config/hotspots'
+
+// Size of the scatterplot in SVG units, with room for the axis labels
+const PLOT_SIZE = 200
+const PLOT_MARGIN = 16
+const NOT_SIGNIFICANT_COLOR = '#bdc3c7'
+
+/**
+ * Format a pseudo p-value; permutation tests cannot go below 1 / (permutations + 1)
+ */
+function formatPValue(p) {
+  return p < 0.001 ? '< 0.001' : p.toFixed(3)
+}
+
+/**
+ * Moran scatterplot: each item's standardized value against the mean of its
+ * neighbors (spatial lag). The line through the origin has slope I.
+ */
+function MoranScatterplot({ global, local }) {
+  // Symmetric axes, so the quadrants are the same size
+  const extent = Math.max(1, ...local.map(item => Math.max(Math.abs(item.z), Math.abs(item.lag))))
+  const scale = (PLOT_SIZE / 2 - PLOT_MARGIN) / extent
+  const center = PLOT_SIZE / 2
+  const toX = (value) => center + value * scale
+  const toY = (value) => center - value * scale
+
+  // The line ends where it leaves the square plot area
+  const lineEnd = Math.abs(global.I) > 1 ? extent / Math.abs(global.I) : extent
+
+  return (
+    <svg
+      className="moran-scatterplot"
+      viewBox={`0 0 ${PLOT_SIZE} ${PLOT_SIZE}`}
+      role="img"
+      aria-label={`Moran scatterplot, I = ${global.I.toFixed(3)}`}
+    >
+      <line className="moran-axis" x1={PLOT_MARGIN} y1={center} x2={PLOT_SIZE - PLOT_MARGIN} y2={center} />
+      <line className="moran-axis" x1={center} y1={PLOT_MARGIN} x2={center} y2={PLOT_SIZE - PLOT_MARGIN} />
+      <text className="moran-quadrant" x={PLOT_SIZE - PLOT_MARGIN} y={PLOT_MARGIN - 4} textAnchor="end">HH</text>
+      <text className="moran-quadrant" x={PLOT_MARGIN} y={PLOT_MARGIN - 4}>LH</text>
+      <text className="moran-quadrant" x={PLOT_MARGIN} y={PLOT_SIZE - 4}>LL</text>
+      <text className="moran-quadrant" x={PLOT_SIZE - PLOT_MARGIN} y={PLOT_SIZE - 4} textAnchor="end">HL</text>
+
+      {local.map((item, i) => (
+        <circle
+          key={i}
+          cx={toX(item.z)}
+          cy={toY(item.lag)}
+          r={2}
+          fill={getLisaCluster(item.cluster)?.color || NOT_SIGNIFICANT_COLOR}
+        />
+      ))}
+
+      <line
+        className="moran-slope"
+        x1={toX(-lineEnd)}
+        y1={toY(-lineEnd * global.I)}
+        x2={toX(lineEnd)}
+        y2={toY(lineEnd * global.I)}
+      />
+    </svg>
+  )
+}
+
+/**
+ * MoranPanel Component
+ * Global Moran's I of the LISA layer's input with its permutation test,
+ * and the Moran scatterplot colored by LISA cluster type
+ * @param {Object} result - Result of calculateMoran, or null before the first run
+ * @param {number|null} progress - Percent done while the worker runs, else null
+ * @param {string} error - Error message of the last run
+ * @param {string} itemLabel - What the points are ("votes" or "grid cells")
+ */
+function MoranPanel({ result, progress = null, error = '', itemLabel }) {
+  return (
+    <div className="moran-panel">
+      <div className="legend-title">Spatial Autocorrelation</div>
+
+      {error && <div className="moran-error">{error}</div>}
+
+      {progress !== null && (
+        <div className="analysis-progress" role="progressbar" aria-valuenow={progress} aria-valuemin="0" aria-valuemax="100" aria-label="Computing">
+          <span style={{ width: `${progress}%` }} />
+        </div>
+      )}
+
+      {result && result.local.length < 3 && (
+        <div className="legend-subtitle">At least 3 {itemLabel} are needed</div>
+      )}
+
+      {result && result.local.length >= 3 && (
+        <>
+          <dl className="moran-stats">
+            <dt>Moran's I</dt>
+            <dd>{result.global.I.toFixed(3)}</dd>
+            <dt>Expected</dt>
+            <dd>{result.global.expected.toFixed(3)}</dd>
+            <dt>z</dt>
+            <dd>{result.global.z.toFixed(2)}</dd>
+            <dt>Pseudo p</dt>
+            <dd>{formatPValue(result.global.p)}</dd>
+          </dl>
+          <div className="legend-subtitle">
+            {result.local.length} {itemLabel}, {result.global.permutations} permutations
+          </div>
+          <MoranScatterplot global={result.global} local={result.local} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MoranPanel
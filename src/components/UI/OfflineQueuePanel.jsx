@@ -0,0 +1,45 @@
+import React from 'react'
+
+/**
+ * OfflineQueuePanel Component
+ * Lists votes waiting to be sent and lets the user retry or discard
+ * the ones the backend rejected
+ */
+function OfflineQueuePanel({ queuedVotes, isOnline, isReplaying, onRetry, onDiscard }) {
+  if (!queuedVotes || queuedVotes.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="offline-queue-panel">
+      <div className="offline-queue-title">
+        Queued Votes ({queuedVotes.length})
+        <span className={`offline-queue-state ${isOnline ? 'online' : 'offline'}`}>
+          {isReplaying ? 'Sending...' : (isOnline ? 'Online' : 'Offline')}
+        </span>
+      </div>
+      <ul className="offline-queue-list">
+        {queuedVotes.map(vote => (
+          <li key={vote.id} className={`offline-queue-item ${vote.status}`}>
+            <div className="offline-queue-info">
+              <strong>{vote.user_name}</strong> &middot; Score {vote.score}
+              <div className="offline-queue-status">
+                {vote.status === 'failed'
+                  ? `Rejected: ${vote.error || 'unknown error'}`
+                  : 'Waiting for connection'}
+              </div>
+            </div>
+            {vote.status === 'failed' && (
+              <div className="offline-queue-actions">
+                <button onClick={() => onRetry(vote.id)} disabled={isReplaying}>Retry</button>
+                <button onClick={() => onDiscard(vote.id)} disabled={isReplaying}>Discard</button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default OfflineQueuePanel
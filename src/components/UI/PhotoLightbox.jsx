@@ -0,0 +1,83 @@
+import React, { useEffect } from 'react'
+import { getPhotoUrl } from '../../services/photos'
+
+/**
+ * PhotoLightbox Component
+ * Full-screen viewer for the photos of a vote
+ * Arrow keys step through the photos, Escape closes
+ */
+function PhotoLightbox({ photos, index, onIndexChange, onClose }) {
+  const isOpen = Array.isArray(photos) && photos.length > 0
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose()
+      } else if (e.key === 'ArrowRight') {
+        onIndexChange((index + 1) % photos.length)
+      } else if (e.key === 'ArrowLeft') {
+        onIndexChange((index - 1 + photos.length) % photos.length)
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [isOpen, photos, index, onIndexChange, onClose])
+
+  if (!isOpen) {
+    return null
+  }
+
+  const photo = photos[index] || photos[0]
+  const hasMany = photos.length > 1
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose()
+    }
+  }
+
+  return (
+    <div className="lightbox-overlay" onClick={handleOverlayClick} role="dialog" aria-modal="true" aria-label="Vote photo">
+      <button className="lightbox-close" onClick={onClose} aria-label="Close photo">
+        &times;
+      </button>
+
+      {hasMany && (
+        <button
+          className="lightbox-nav lightbox-prev"
+          onClick={() => onIndexChange((index - 1 + photos.length) % photos.length)}
+          aria-label="Previous photo"
+        >
+          &#8249;
+        </button>
+      )}
+
+      <img
+        className="lightbox-image"
+        src={getPhotoUrl(photo.path)}
+        width={photo.width}
+        height={photo.height}
+        alt={`Photo ${index + 1} of ${photos.length}`}
+      />
+
+      {hasMany && (
+        <button
+          className="lightbox-nav lightbox-next"
+          onClick={() => onIndexChange((index + 1) % photos.length)}
+          aria-label="Next photo"
+        >
+          &#8250;
+        </button>
+      )}
+
+      {hasMany && (
+        <div className="lightbox-counter">{index + 1} / {photos.length}</div>
+      )}
+    </div>
+  )
+}
+
+export default PhotoLightbox
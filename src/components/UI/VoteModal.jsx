@@ -1,4 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { VOTE_CATEGORIES, DEFAULT_CATEGORY } from '../../config/categories'
+import { RATING_CRITERIA, computeCompositeScore } from '../../config/criteria'
+import { MAX_COMMENT_LENGTH, MAX_TAGS, parseTags } from '../../utils/text'
+import { preparePhoto } from '../../utils/image'
+import { MAX_PHOTOS } from '../../services/photos'
+import { createChallenge, solveProofOfWork, refreshProofOfWork, getClientId } from '../../utils/antiSpam'
 
 /**
  * Get background color based on score
@@ -11,15 +17,56 @@ function getScoreColor(score) {
   return colors[Math.round(score)] || colors[3];
 }
 
+// Rating modes: one overall slider, or one slider per criterion
+const RATING_MODE_OVERALL = 'overall'
+const RATING_MODE_CRITERIA = 'criteria'
+
+/**
+ * Initial ratings, every criterion at the middle of the scale
+ * @returns {Object} Ratings by criterion id
+ */
+function getInitialRatings() {
+  return Object.fromEntries(RATING_CRITERIA.map(criterion => [criterion.id, 3]))
+}
+
 /**
  * VoteModal Component
  * Modal form for submitting a vote
+ * Signed-in users with a display name vote under that name instead of typing one
+ * With editingVote set, the form is prefilled from that vote and saves changes
+ * to it (name, location and photos stay as they are)
+ * Anonymous votes solve a proof-of-work challenge in the background while the
+ * form is filled in, and a hidden honeypot field flags form-filling bots
  */
-function VoteModal({ isOpen, onClose, onSubmit, selectedLocation, isSubmitting }) {
+function VoteModal({
+  isOpen,
+  onClose,
+  onSubmit,
+  selectedLocation,
+  isSubmitting,
+  editingVote = null,
+  user = null,
+  isAuthEnabled = false,
+  isAuthRequired = false,
+  onSignIn
+}) {
   const [userName, setUserName] = useState('')
   const [score, setScore] = useState(3)
+  const [category, setCategory] = useState(DEFAULT_CATEGORY)
+  const [ratingMode, setRatingMode] = useState(RATING_MODE_OVERALL)
+  const [ratings, setRatings] = useState(getInitialRatings)
+  const [comment, setComment] = useState('')
+  const [tagsInput, setTagsInput] = useState('')
+  const [photos, setPhotos] = useState([])
+  const [isPreparingPhotos, setIsPreparingPhotos] = useState(false)
   const [error, setError] = useState('')
+  const [honeypot, setHoneypot] = useState('')
+  const [isVerifying, setIsVerifying] = useState(false)
   const inputRef = useRef(null)
+  const photoInputRef = useRef(null)
+  const powRef = useRef(null)
+
+  const profileName = user?.displayName || null
 
   // Focus on name input when modal opens
   useEffect(() => {
@@ -28,43 +75,139 @@ function VoteModal({ isOpen, onClose, onSubmit, selectedLocation, isSubmitting }
     }
   }, [isOpen])
 
-  // Reset form when modal opens/closes
+  // Reset form when modal opens/closes, or load the vote being edited
   useEffect(() => {
     if (isOpen) {
+      const vote = editingVote?.properties
       setUserName('')
-      setScore(3)
+      setScore(vote ? vote.score : 3)
+      setCategory(vote?.category || DEFAULT_CATEGORY)
+      setRatingMode(vote?.ratings ? RATING_MODE_CRITERIA : RATING_MODE_OVERALL)
+      setRatings(vote?.ratings ? { ...getInitialRatings(), ...vote.ratings } : getInitialRatings())
+      setComment(vote?.comment || '')
+      setTagsInput(vote?.tags?.join(', ') || '')
+      setPhotos([])
       setError('')
+      setHoneypot('')
+      setIsVerifying(false)
     }
-  }, [isOpen])
+  }, [isOpen, editingVote])
+
+  // Start the proof of work as soon as an anonymous user opens the form
+  useEffect(() => {
+    if (!isOpen || editingVote || user) {
+      powRef.current = null
+      return
+    }
+
+    const controller = new AbortController()
+    powRef.current = solveProofOfWork(createChallenge(), { signal: controller.signal })
+    // Failures surface when the stamp is awaited on submit
+    powRef.current.catch(() => {})
 
-  const handleSubmit = (e) => {
+    return () => controller.abort()
+  }, [isOpen, editingVote, user])
+
+  // Release preview URLs when photos are removed or the modal closes
+  useEffect(() => {
+    return () => photos.forEach(photo => URL.revokeObjectURL(photo.previewUrl))
+  }, [photos])
+
+  // Rated by criteria, the score is the rounded equal-weight composite
+  const isCriteriaMode = ratingMode === RATING_MODE_CRITERIA
+  const effectiveScore = isCriteriaMode ? Math.round(computeCompositeScore(ratings)) : score
+
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    
+
+    const name = editingVote ? editingVote.properties.user_name : (profileName || userName.trim())
+
     // Validate
-    if (!userName.trim()) {
+    if (isAuthRequired && !user && !editingVote) {
+      setError('Please sign in to vote')
+      return
+    }
+
+    if (!name) {
       setError('Please enter your name')
       return
     }
 
-    if (userName.trim().length < 2) {
+    if (name.length < 2) {
       setError('Name must be at least 2 characters')
       return
     }
 
-    if (score < 0 || score > 5) {
+    if (effectiveScore < 0 || effectiveScore > 5) {
       setError('Please select a valid score')
       return
     }
 
+    // Wait for the proof of work, redone if the form was open so long that
+    // the stamp expired; without it the vote is stored but flagged
+    let powStamp = null
+    if (powRef.current) {
+      setIsVerifying(true)
+      try {
+        powStamp = await refreshProofOfWork(await powRef.current, getClientId())
+      } catch (error) {
+        console.warn('[VoteModal] Proof of work failed:', error)
+      } finally {
+        setIsVerifying(false)
+      }
+    }
+
     // Submit vote
     onSubmit({
-      userName: userName.trim(),
-      score: score,
+      userName: name,
+      score: effectiveScore,
+      ratings: isCriteriaMode ? ratings : null,
+      category: category,
+      comment: comment,
+      tags: tags,
+      photos: photos.map(({ blob, thumb, width, height }) => ({ blob, thumb, width, height })),
+      powStamp,
+      flags: honeypot ? ['honeypot'] : [],
       lat: selectedLocation.lat,
       lng: selectedLocation.lng
     })
   }
 
+  const handleRatingChange = (id, value) => {
+    setRatings(prev => ({ ...prev, [id]: value }))
+  }
+
+  // Resize and strip EXIF in the browser before anything is uploaded
+  const handlePhotoSelect = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_PHOTOS - photos.length)
+    e.target.value = ''
+
+    if (files.length === 0) {
+      return
+    }
+
+    setIsPreparingPhotos(true)
+    setError('')
+
+    try {
+      const prepared = []
+      for (const file of files) {
+        const photo = await preparePhoto(file)
+        prepared.push({ ...photo, previewUrl: URL.createObjectURL(photo.thumb) })
+      }
+      setPhotos(prev => [...prev, ...prepared])
+    } catch (err) {
+      console.error('[VoteModal] Prepare photo error:', err)
+      setError(err.message || 'Could not read the photo')
+    } finally {
+      setIsPreparingPhotos(false)
+    }
+  }
+
+  const handlePhotoRemove = (index) => {
+    setPhotos(prev => prev.filter((_, i) => i !== index))
+  }
+
   const handleCancel = () => {
     setError('')
     onClose()
@@ -80,13 +223,14 @@ function VoteModal({ isOpen, onClose, onSubmit, selectedLocation, isSubmitting }
     return null
   }
 
-  const scoreColor = getScoreColor(score)
+  const scoreColor = getScoreColor(effectiveScore)
+  const tags = parseTags(tagsInput)
 
   return (
     <div className="modal-overlay" onClick={handleOverlayClick}>
       <div className="modal-content" role="dialog" aria-modal="true" aria-labelledby="modal-title">
         <div className="modal-header">
-          <h3 id="modal-title">Rate This Location</h3>
+          <h3 id="modal-title">{editingVote ? 'Edit Your Vote' : 'Rate This Location'}</h3>
           <button 
             className="modal-close" 
             onClick={handleCancel}
@@ -103,59 +247,248 @@ function VoteModal({ isOpen, onClose, onSubmit, selectedLocation, isSubmitting }
 
         <form onSubmit={handleSubmit}>
           <div className="form-group">
-            <label htmlFor="userName" className="form-label">
-              Your Name
-            </label>
-            <input
-              ref={inputRef}
-              id="userName"
-              type="text"
-              className="form-input"
-              value={userName}
-              onChange={(e) => setUserName(e.target.value)}
-              placeholder="Enter your name"
-              disabled={isSubmitting}
-              maxLength={100}
-            />
+            {editingVote ? (
+              <div className="vote-identity">
+                Editing your vote from {new Date(editingVote.properties.created_at).toLocaleDateString()}
+              </div>
+            ) : profileName ? (
+              <div className="vote-identity">
+                Voting as <strong>{profileName}</strong>
+              </div>
+            ) : isAuthRequired && !user ? (
+              <div className="vote-identity">
+                You need to be signed in to vote.{' '}
+                <button type="button" className="account-link" onClick={onSignIn}>Sign in</button>
+              </div>
+            ) : (
+              <>
+                <label htmlFor="userName" className="form-label">
+                  Your Name
+                </label>
+                <input
+                  ref={inputRef}
+                  id="userName"
+                  type="text"
+                  className="form-input"
+                  value={userName}
+                  onChange={(e) => setUserName(e.target.value)}
+                  placeholder="Enter your name"
+                  disabled={isSubmitting}
+                  maxLength={100}
+                />
+                {isAuthEnabled && !user && (
+                  <div className="form-hint">
+                    <button type="button" className="account-link" onClick={onSignIn}>Sign in</button>
+                    {' '}to vote under your profile name.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="form-group">
+            <span className="form-label">Category</span>
+            <div className="category-picker" role="radiogroup" aria-label="Vote category">
+              {VOTE_CATEGORIES.map(option => (
+                <button
+                  key={option.id}
+                  type="button"
+                  role="radio"
+                  aria-checked={category === option.id}
+                  className={`category-chip ${category === option.id ? 'active' : ''}`}
+                  style={{ '--category-color': option.color }}
+                  onClick={() => setCategory(option.id)}
+                  disabled={isSubmitting}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </div>
 
           <div className="form-group">
             <label htmlFor="score" className="form-label">
               Favorability Score
             </label>
+
+            <div className="rating-mode-toggle" role="group" aria-label="Rating mode">
+              <button
+                type="button"
+                className={ratingMode === RATING_MODE_OVERALL ? 'active' : ''}
+                onClick={() => setRatingMode(RATING_MODE_OVERALL)}
+                disabled={isSubmitting}
+              >
+                Overall
+              </button>
+              <button
+                type="button"
+                className={ratingMode === RATING_MODE_CRITERIA ? 'active' : ''}
+                onClick={() => setRatingMode(RATING_MODE_CRITERIA)}
+                disabled={isSubmitting}
+              >
+                By criteria
+              </button>
+            </div>
+
+            {isCriteriaMode && (
+              <div className="criteria-ratings">
+                {RATING_CRITERIA.map(criterion => (
+                  <label key={criterion.id} className="criterion-row">
+                    <span className="criterion-label">{criterion.label}</span>
+                    <div className="slider-track">
+                      <input
+                        type="range"
+                        className="slider-input"
+                        min="0"
+                        max="5"
+                        step="1"
+                        value={ratings[criterion.id]}
+                        onChange={(e) => handleRatingChange(criterion.id, Number(e.target.value))}
+                        disabled={isSubmitting}
+                      />
+                    </div>
+                    <span className="criterion-value">{ratings[criterion.id]}</span>
+                  </label>
+                ))}
+              </div>
+            )}
             
             <div className="slider-container">
-              <div className="slider-labels">
-                <span>Low (0)</span>
-                <span>High (5)</span>
-              </div>
-              
-              <div className="slider-track">
-                <input
-                  id="score"
-                  type="range"
-                  className="slider-input"
-                  min="0"
-                  max="5"
-                  step="1"
-                  value={score}
-                  onChange={(e) => setScore(Number(e.target.value))}
-                  disabled={isSubmitting}
-                  aria-label="Favorability score"
-                />
-              </div>
+              {!isCriteriaMode && (
+                <>
+                  <div className="slider-labels">
+                    <span>Low (0)</span>
+                    <span>High (5)</span>
+                  </div>
+
+                  <div className="slider-track">
+                    <input
+                      id="score"
+                      type="range"
+                      className="slider-input"
+                      min="0"
+                      max="5"
+                      step="1"
+                      value={score}
+                      onChange={(e) => setScore(Number(e.target.value))}
+                      disabled={isSubmitting}
+                      aria-label="Favorability score"
+                    />
+                  </div>
+                </>
+              )}
               
               <div className="slider-value">
                 <div 
                   className="slider-value-circle"
                   style={{ backgroundColor: scoreColor }}
                 >
-                  {score}
+                  {effectiveScore}
                 </div>
+                {isCriteriaMode && (
+                  <span className="slider-value-note">Composite of criteria</span>
+                )}
               </div>
             </div>
           </div>
 
+          <div className="form-group">
+            <label htmlFor="comment" className="form-label">
+              Comment <span className="form-label-hint">(optional)</span>
+            </label>
+            <textarea
+              id="comment"
+              className="form-input form-textarea"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder="Why do you like or dislike this place?"
+              disabled={isSubmitting}
+              maxLength={MAX_COMMENT_LENGTH}
+              rows={3}
+            />
+            <div className="form-hint">{comment.length}/{MAX_COMMENT_LENGTH}</div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="tags" className="form-label">
+              Tags <span className="form-label-hint">(optional, comma separated)</span>
+            </label>
+            <input
+              id="tags"
+              type="text"
+              className="form-input"
+              value={tagsInput}
+              onChange={(e) => setTagsInput(e.target.value)}
+              placeholder="e.g. shade, quiet, metro"
+              disabled={isSubmitting}
+            />
+            {tags.length > 0 && (
+              <div className="vote-tags">
+                {tags.map(tag => <span key={tag} className="vote-tag">#{tag}</span>)}
+                {tags.length === MAX_TAGS && (
+                  <span className="form-hint">Up to {MAX_TAGS} tags</span>
+                )}
+              </div>
+            )}
+          </div>
+
+          {!editingVote && (
+            <div className="form-group">
+              <span className="form-label">
+                Photos <span className="form-label-hint">(optional, up to {MAX_PHOTOS})</span>
+              </span>
+              <div className="photo-picker">
+                {photos.map((photo, index) => (
+                  <div key={photo.previewUrl} className="photo-picker-item">
+                    <img src={photo.previewUrl} alt={`Photo ${index + 1}`} />
+                    <button
+                      type="button"
+                      className="photo-picker-remove"
+                      onClick={() => handlePhotoRemove(index)}
+                      disabled={isSubmitting}
+                      aria-label={`Remove photo ${index + 1}`}
+                    >
+                      &times;
+                    </button>
+                  </div>
+                ))}
+                {photos.length < MAX_PHOTOS && (
+                  <button
+                    type="button"
+                    className="photo-picker-add"
+                    onClick={() => photoInputRef.current?.click()}
+                    disabled={isSubmitting || isPreparingPhotos}
+                  >
+                    {isPreparingPhotos ? 'Processing...' : '+ Add photo'}
+                  </button>
+                )}
+              </div>
+              <input
+                ref={photoInputRef}
+                type="file"
+                accept="image/*"
+                multiple
+                hidden
+                onChange={handlePhotoSelect}
+              />
+              <div className="form-hint">Photos are resized and location metadata is removed before upload.</div>
+            </div>
+          )}
+
+          {/* Honeypot: hidden from people, filled in by bots */}
+          <div className="form-honeypot" aria-hidden="true">
+            <label htmlFor="website">Website</label>
+            <input
+              id="website"
+              type="text"
+              name="website"
+              tabIndex={-1}
+              autoComplete="off"
+              value={honeypot}
+              onChange={(e) => setHoneypot(e.target.value)}
+            />
+          </div>
+
           {error && (
             <div className="form-error">
               {error}
@@ -174,9 +507,9 @@ function VoteModal({ isOpen, onClose, onSubmit, selectedLocation, isSubmitting }
             <button
               type="submit"
               className="modal-btn modal-btn-submit"
-              disabled={isSubmitting}
+              disabled={isSubmitting || isPreparingPhotos || isVerifying}
             >
-              {isSubmitting ? 'Submitting...' : 'Submit Vote'}
+              {isVerifying ? 'Verifying...' : isSubmitting ? 'Submitting...' : (editingVote ? 'Save Changes' : 'Submit Vote')}
             </button>
           </div>
         </form>
@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react'
+import { filterVotesByText, collectTags } from '../../utils/geojson'
+import { getCategory } from '../../config/categories'
+
+// Limits keeping the panel responsive with many votes
+const MAX_TAG_CHIPS = 20
+const MAX_RESULTS = 100
+
+/**
+ * VoteSearchPanel Component
+ * Side panel to search vote comments and filter by tags. The same filter
+ * is applied to the vote markers on the map.
+ */
+function VoteSearchPanel({ isOpen, onClose, votes, filter, onFilterChange, onVoteSelect }) {
+  const tagCounts = useMemo(() => collectTags(votes).slice(0, MAX_TAG_CHIPS), [votes])
+
+  // Only votes with a comment or tags explain a score
+  const results = useMemo(() => {
+    const matching = filterVotesByText(votes, filter)?.features || []
+    return matching.filter(feature => feature.properties.comment || feature.properties.tags?.length > 0)
+  }, [votes, filter])
+
+  if (!isOpen) {
+    return null
+  }
+
+  const isFiltered = filter.query.trim() !== '' || filter.tags.length > 0
+
+  const handleTagToggle = (tag) => {
+    const tags = filter.tags.includes(tag)
+      ? filter.tags.filter(item => item !== tag)
+      : [...filter.tags, tag]
+    onFilterChange({ ...filter, tags })
+  }
+
+  return (
+    <aside className="side-panel vote-search-panel" aria-label="Search comments">
+      <div className="side-panel-header">
+        <h3>Comments &amp; Tags</h3>
+        <button className="side-panel-close" onClick={onClose} aria-label="Close panel">
+          &times;
+        </button>
+      </div>
+
+      <input
+        type="search"
+        className="form-input"
+        value={filter.query}
+        onChange={(e) => onFilterChange({ ...filter, query: e.target.value })}
+        placeholder="Search comments, tags or names"
+      />
+
+      {tagCounts.length > 0 && (
+        <div className="vote-tags vote-search-tags">
+          {tagCounts.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`vote-tag ${filter.tags.includes(tag) ? 'active' : ''}`}
+              onClick={() => handleTagToggle(tag)}
+              aria-pressed={filter.tags.includes(tag)}
+            >
+              #{tag} <span className="vote-tag-count">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="vote-search-summary">
+        {results.length} {results.length === 1 ? 'vote' : 'votes'} with comments or tags
+        {isFiltered && (
+          <button
+            className="vote-search-clear"
+            onClick={() => onFilterChange({ query: '', tags: [] })}
+          >
+            Clear filter
+          </button>
+        )}
+      </div>
+
+      <ul className="vote-search-results">
+        {results.slice(0, MAX_RESULTS).map(feature => (
+          <li key={feature.properties.id}>
+            <button className="vote-search-result" onClick={() => onVoteSelect(feature)}>
+              <div className="vote-search-result-meta">
+                <strong>{feature.properties.user_name}</strong> &middot; Score {feature.properties.score}
+                &middot; {getCategory(feature.properties.category).label}
+              </div>
+              {feature.properties.comment && (
+                <p className="vote-search-result-comment">{feature.properties.comment}</p>
+              )}
+              {feature.properties.tags?.length > 0 && (
+                <div className="vote-tags">
+                  {feature.properties.tags.map(tag => <span key={tag} className="vote-tag">#{tag}</span>)}
+                </div>
+              )}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {results.length > MAX_RESULTS && (
+        <div className="vote-search-summary">
+          Showing the newest {MAX_RESULTS}. Narrow the search to see more.
+        </div>
+      )}
+    </aside>
+  )
+}
+
+export default VoteSearchPanel
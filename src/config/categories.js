@@ -0,0 +1,39 @@
+/**
+ * Vote Categories Module
+ * Themes a vote can be cast for. Ids must match the rows seeded into the
+ * vote_categories lookup table in sql/schema.sql.
+ */
+
+// Category used for votes without one (including rows from before categories existed)
+export const DEFAULT_CATEGORY = 'general';
+
+// Available categories in display order
+export const VOTE_CATEGORIES = [
+    { id: 'general', label: 'General', color: '#6c757d' },
+    { id: 'parks', label: 'Parks & green space', color: '#2e7d32' },
+    { id: 'cafes', label: 'Cafés & restaurants', color: '#8d6e63' },
+    { id: 'safety', label: 'Safety', color: '#1565c0' },
+    { id: 'traffic', label: 'Traffic', color: '#ef6c00' }
+];
+
+// All category ids
+export const CATEGORY_IDS = VOTE_CATEGORIES.map(category => category.id);
+
+/**
+ * Get a category by id
+ * @param {string} id - Category id
+ * @returns {Object} Category { id, label, color }, the default one if unknown
+ */
+export function getCategory(id) {
+    return VOTE_CATEGORIES.find(category => category.id === id) ||
+        VOTE_CATEGORIES.find(category => category.id === DEFAULT_CATEGORY);
+}
+
+/**
+ * Check if an id names a known category
+ * @param {string} id - Category id
+ * @returns {boolean} True if valid
+ */
+export function isValidCategory(id) {
+    return CATEGORY_IDS.includes(id);
+}
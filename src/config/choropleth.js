@@ -0,0 +1,57 @@
+/**
+ * Choropleth Module
+ * Polygon sets, metrics, classification methods and palettes of the
+ * choropleth layer.
+ */
+
+// Polygon sets votes can be aggregated by
+export const CHOROPLETH_UNITS = [
+    { id: 'districts', label: 'Districts' },
+    { id: 'neighborhoods', label: 'Neighborhoods' },
+    { id: 'upload', label: 'Uploaded polygons' }
+];
+
+// URL of the optional neighborhoods GeoJSON (a file in public/)
+export const NEIGHBORHOODS_URL = '/tehran_neighborhoods.geojson';
+
+// Largest polygon file accepted for upload
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Values a polygon can be colored by
+export const CHOROPLETH_METRICS = [
+    { id: 'mean', label: 'Mean score' },
+    { id: 'count', label: 'Vote count' },
+    { id: 'bayesian', label: 'Bayesian mean score' }
+];
+
+// Votes' worth of the city-wide mean added to every polygon by the
+// Bayesian mean, pulling polygons with few votes towards the city mean
+export const BAYESIAN_PRIOR_VOTES = 10;
+
+// Classification schemes
+export const CLASSIFICATION_METHODS = [
+    { id: 'quantile', label: 'Quantile' },
+    { id: 'equal', label: 'Equal interval' },
+    { id: 'jenks', label: 'Natural breaks (Jenks)' }
+];
+
+// Number of classes
+export const DEFAULT_CLASS_COUNT = 5;
+export const MIN_CLASS_COUNT = 3;
+export const MAX_CLASS_COUNT = 7;
+
+// Palette stops: red-yellow-green for scores, light-to-dark blue for counts
+export const SCORE_PALETTE = ['#d73027', '#fee08b', '#1a9850'];
+export const COUNT_PALETTE = ['#eff3ff', '#6baed6', '#08519c'];
+
+// Fill of polygons without votes
+export const NO_DATA_COLOR = '#bdc3c7';
+
+/**
+ * Get a metric definition by id
+ * @param {string} id - Metric id
+ * @returns {Object} Metric definition (mean score if unknown)
+ */
+export function getChoroplethMetric(id) {
+    return CHOROPLETH_METRICS.find(metric => metric.id === id) || CHOROPLETH_METRICS[0];
+}
@@ -0,0 +1,58 @@
+/**
+ * Rating Criteria Module
+ * Criteria a vote can be rated on. Each rating is 0-5 and the weighted
+ * composite of the ratings becomes the vote's score.
+ */
+
+// Available criteria in display order
+export const RATING_CRITERIA = [
+    { id: 'safety', label: 'Safety' },
+    { id: 'cleanliness', label: 'Cleanliness' },
+    { id: 'accessibility', label: 'Accessibility' },
+    { id: 'greenery', label: 'Greenery' }
+];
+
+// Weight range offered when reweighting on the map
+export const MIN_CRITERION_WEIGHT = 0;
+export const MAX_CRITERION_WEIGHT = 3;
+
+// Every criterion counts equally by default
+export const DEFAULT_CRITERIA_WEIGHTS = Object.fromEntries(
+    RATING_CRITERIA.map(criterion => [criterion.id, 1])
+);
+
+/**
+ * Compute the weighted composite of a set of ratings
+ * Criteria without a rating or with zero weight are skipped.
+ * @param {Object} ratings - Ratings by criterion id (0-5)
+ * @param {Object} weights - Weights by criterion id
+ * @returns {number|null} Composite score (0-5), or null if nothing to combine
+ */
+export function computeCompositeScore(ratings, weights = DEFAULT_CRITERIA_WEIGHTS) {
+    if (!ratings) return null;
+
+    let total = 0;
+    let weightSum = 0;
+
+    for (const criterion of RATING_CRITERIA) {
+        const rating = ratings[criterion.id];
+        const weight = weights[criterion.id] ?? 0;
+        if (typeof rating !== 'number' || weight <= 0) continue;
+
+        total += rating * weight;
+        weightSum += weight;
+    }
+
+    return weightSum > 0 ? total / weightSum : null;
+}
+
+/**
+ * Check if weights differ from the defaults
+ * @param {Object} weights - Weights by criterion id
+ * @returns {boolean} True if any weight was changed
+ */
+export function isCustomWeighting(weights) {
+    return RATING_CRITERIA.some(
+        criterion => weights[criterion.id] !== DEFAULT_CRITERIA_WEIGHTS[criterion.id]
+    );
+}
@@ -0,0 +1,57 @@
+/**
+ * Districts Module
+ * Tehran's 22 municipal districts (mantaqe). Boundaries are read from a
+ * GeoJSON file served next to tehran_bound.geojson; each feature needs its
+ * district number in a "district" property or in its name.
+ */
+
+// URL of the districts GeoJSON (a file in public/)
+export const DISTRICTS_URL = '/tehran_districts.geojson';
+
+// Number of municipal districts
+export const DISTRICT_COUNT = 22;
+
+// Properties checked, in order, for a feature's district number
+const DISTRICT_NUMBER_PROPERTIES = ['district', 'region', 'mantaqe', 'ref'];
+
+// Name properties, searched for a number when none of the above is set
+const DISTRICT_NAME_PROPERTIES = ['name:en', 'name_en', 'name'];
+
+// Persian (U+06F0) and Arabic-Indic (U+0660) digits
+const EASTERN_DIGITS = /[۰-۹٠-٩]/g;
+
+/**
+ * Read a district number from a feature's properties
+ * Accepts numbers and strings such as "12", "Region 12" or "منطقه ۱۲".
+ * @param {Object} properties - GeoJSON feature properties
+ * @returns {number|null} District number (1-22) or null if none found
+ */
+export function getDistrictNumber(properties = {}) {
+    const candidates = [
+        ...DISTRICT_NUMBER_PROPERTIES.map(key => properties[key]),
+        ...DISTRICT_NAME_PROPERTIES.map(key => properties[key])
+    ];
+
+    for (const value of candidates) {
+        if (value === undefined || value === null) continue;
+
+        const digits = String(value)
+            .replace(EASTERN_DIGITS, digit => String(digit.charCodeAt(0) & 0xf))
+            .match(/\d+/);
+        const number = digits ? Number(digits[0]) : NaN;
+        if (number >= 1 && number <= DISTRICT_COUNT) {
+            return number;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the display name of a district
+ * @param {number} number - District number
+ * @returns {string} Display name
+ */
+export function getDistrictLabel(number) {
+    return `District ${number}`;
+}
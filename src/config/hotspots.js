@@ -0,0 +1,98 @@
+/**
+ * Hot Spot Analysis Module
+ * Options and colors of the hotspot density, Getis-Ord Gi* and LISA layers
+ */
+
+// Gi* bins, hot first; colors follow the usual hot/cold spot palette
+export const GI_BINS = [
+    { bin: 3, label: 'Hot spot, 99% confidence', color: '#d62f27' },
+    { bin: 2, label: 'Hot spot, 95% confidence', color: '#ed7551' },
+    { bin: 1, label: 'Hot spot, 90% confidence', color: '#fab984' },
+    { bin: -1, label: 'Cold spot, 90% confidence', color: '#c0ccbe' },
+    { bin: -2, label: 'Cold spot, 95% confidence', color: '#849eba' },
+    { bin: -3, label: 'Cold spot, 99% confidence', color: '#4575b5' }
+];
+
+// Inputs of the analysis: single votes or the cells of the grid layer
+export const GI_INPUTS = [
+    { id: 'votes', label: 'Votes' },
+    { id: 'cells', label: 'Grid cells' }
+];
+
+// Spatial weights: neighbors within a distance band, or the k nearest
+export const GI_WEIGHTS = [
+    { id: 'distance', label: 'Distance band' },
+    { id: 'knn', label: 'k nearest neighbors' }
+];
+
+// Distance band in meters
+export const DEFAULT_GI_DISTANCE = 1000;
+export const MIN_GI_DISTANCE = 250;
+export const MAX_GI_DISTANCE = 5000;
+
+// Number of nearest neighbors
+export const DEFAULT_GI_K = 8;
+export const MIN_GI_K = 3;
+export const MAX_GI_K = 30;
+
+// LISA cluster types; colors follow the usual cluster map palette
+export const LISA_CLUSTERS = [
+    { id: 'HH', label: 'High-High cluster', color: '#d7191c' },
+    { id: 'LL', label: 'Low-Low cluster', color: '#2c7bb6' },
+    { id: 'HL', label: 'High-Low outlier', color: '#fdae61' },
+    { id: 'LH', label: 'Low-High outlier', color: '#abd9e9' }
+];
+
+// Permutations of the Moran's I and LISA tests; more give finer p-values
+export const MORAN_PERMUTATIONS = [99, 499, 999];
+export const DEFAULT_MORAN_PERMUTATIONS = 499;
+
+// Pseudo p-value cutoffs of the LISA clusters
+export const LISA_SIGNIFICANCE_LEVELS = [0.05, 0.01, 0.001];
+
+// Kernels of the hotspot density surface (see utils/kde.js)
+export const KDE_KERNELS = [
+    { id: 'gaussian', label: 'Gaussian' },
+    { id: 'epanechnikov', label: 'Epanechnikov' },
+    { id: 'quartic', label: 'Quartic (biweight)' },
+    { id: 'triangular', label: 'Triangular' },
+    { id: 'uniform', label: 'Uniform' }
+];
+
+// How the density surface's bandwidth is chosen; all but manual derive it from the votes
+export const BANDWIDTH_METHODS = [
+    { id: 'manual', label: 'Manual' },
+    { id: 'silverman', label: "Silverman's rule" },
+    { id: 'scott', label: "Scott's rule" },
+    { id: 'cv', label: 'Likelihood cross-validation' }
+];
+
+// Fixed or per-vote bandwidths; adaptive modes scale the bandwidth by a pilot estimate
+export const ADAPTIVE_MODES = [
+    { id: 'fixed', label: 'Off (fixed)' },
+    { id: 'abramson', label: "Abramson's square-root law" },
+    { id: 'knn', label: 'k-nearest neighbors' }
+];
+
+// Neighbors of the k-nearest neighbors pilot
+export const DEFAULT_ADAPTIVE_K = 10;
+export const MIN_ADAPTIVE_K = 3;
+export const MAX_ADAPTIVE_K = 50;
+
+/**
+ * Get the display style of a Gi* bin
+ * @param {number} bin - Bin from -3 to 3
+ * @returns {Object|null} Bin definition, or null when not significant
+ */
+export function getGiBin(bin) {
+    return GI_BINS.find(item => item.bin === bin) || null;
+}
+
+/**
+ * Get the display style of a LISA cluster type
+ * @param {string} id - HH, LL, HL or LH
+ * @returns {Object|null} Cluster definition, or null when not significant
+ */
+export function getLisaCluster(id) {
+    return LISA_CLUSTERS.find(item => item.id === id) || null;
+}
@@ -0,0 +1,89 @@
+/**
+ * Moderation Module
+ * Vote statuses, report reasons and the filters of the moderation dashboard.
+ * Ids must match the checks on votes.status, vote_reports.reason and
+ * moderation_log.action in sql/schema.sql.
+ */
+
+// Path of the moderation dashboard (served by the same index.html)
+export const ADMIN_PATH = '/admin';
+
+// Vote statuses; hidden votes are left out of every public query
+export const VOTE_STATUS = {
+    VISIBLE: 'visible',
+    HIDDEN: 'hidden'
+};
+
+// Moderator actions recorded in the audit log, by the status they set
+export const MODERATION_ACTIONS = {
+    [VOTE_STATUS.HIDDEN]: 'hide',
+    [VOTE_STATUS.VISIBLE]: 'restore'
+};
+
+// Reasons offered by the "Report" button in the vote popup
+export const REPORT_REASONS = [
+    { id: 'spam', label: 'Spam or fake vote' },
+    { id: 'offensive', label: 'Offensive comment or photo' },
+    { id: 'wrong_location', label: 'Wrong location' },
+    { id: 'other', label: 'Something else' }
+];
+
+// Flag filters of the dashboard: anti-spam flags, open reports or neither
+export const FLAG_FILTERS = [
+    { id: 'all', label: 'All votes' },
+    { id: 'flagged_or_reported', label: 'Flagged or reported' },
+    { id: 'flagged', label: 'Flagged' },
+    { id: 'reported', label: 'Reported' },
+    { id: 'clean', label: 'Neither' }
+];
+
+// Most votes the dashboard lists at once
+export const MODERATION_PAGE_SIZE = 500;
+
+/**
+ * Get the label of a report reason
+ * @param {string} id - Reason id
+ * @returns {string} Label, or the id if unknown
+ */
+export function getReportReasonLabel(id) {
+    return REPORT_REASONS.find(reason => reason.id === id)?.label || id;
+}
+
+/**
+ * Check a vote against the dashboard filters
+ * Local equivalent of the moderation_votes SQL function.
+ * @param {Object} row - Vote row with status, flags, score, user_id, user_name, created_at, lng, lat
+ * @param {number} reportCount - Open reports of the vote
+ * @param {Object} filters - { since, until, minScore, maxScore, user, flagFilter, status, bounds }
+ * @returns {boolean} True if the vote matches every filter
+ */
+export function matchesModerationFilters(row, reportCount, filters = {}) {
+    const { since, until, minScore, maxScore, user, flagFilter = 'all', status, bounds } = filters;
+    const isFlagged = (row.flags || []).length > 0;
+    const isReported = reportCount > 0;
+
+    if (since && row.created_at < since) return false;
+    if (until && row.created_at > until) return false;
+    if (minScore != null && row.score < minScore) return false;
+    if (maxScore != null && row.score > maxScore) return false;
+    if (status && status !== 'all' && (row.status || VOTE_STATUS.VISIBLE) !== status) return false;
+
+    if (user) {
+        const query = user.trim().toLowerCase();
+        const matchesName = (row.user_name || '').toLowerCase().includes(query);
+        if (!matchesName && row.user_id !== user.trim()) return false;
+    }
+
+    if (bounds && !(row.lng >= bounds.west && row.lng <= bounds.east &&
+        row.lat >= bounds.south && row.lat <= bounds.north)) {
+        return false;
+    }
+
+    switch (flagFilter) {
+        case 'flagged': return isFlagged;
+        case 'reported': return isReported;
+        case 'flagged_or_reported': return isFlagged || isReported;
+        case 'clean': return !isFlagged && !isReported;
+        default: return true;
+    }
+}
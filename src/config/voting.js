@@ -0,0 +1,38 @@
+/**
+ * Voting Rules Module
+ * One vote per place per signed-in user: a new vote replaces the user's
+ * earlier votes within the replace radius.
+ */
+
+import { haversineDistance } from '../utils/kde';
+
+// Environment variable key
+const REPLACE_RADIUS_KEY = 'VITE_VOTE_REPLACE_RADIUS';
+
+// Default radius in meters, as in vote_replace_radius() in sql/schema.sql
+export const DEFAULT_REPLACE_RADIUS = 50;
+
+/**
+ * Get the replace radius from environment variables
+ * Used by providers without a backend setting (the Supabase radius is read
+ * from the database, see getVoteReplaceRadius in services/storage.js)
+ * @returns {number} Radius in meters (0 disables replacement)
+ */
+export function getReplaceRadius() {
+    const value = Number(import.meta.env?.[REPLACE_RADIUS_KEY]);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_REPLACE_RADIUS;
+}
+
+/**
+ * Find the votes a new vote replaces
+ * @param {Array} rows - The user's existing votes, each with lng and lat
+ * @param {number} lng - Longitude of the new vote
+ * @param {number} lat - Latitude of the new vote
+ * @param {number} radius - Replace radius in meters
+ * @returns {Array} Rows within the radius
+ */
+export function findReplacedVotes(rows, lng, lat, radius = getReplaceRadius()) {
+    if (radius <= 0) return [];
+
+    return rows.filter(row => haversineDistance(lat, lng, row.lat, row.lng) <= radius);
+}
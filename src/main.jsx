@@ -1,8 +1,12 @@
-import React from 'react'
+import React, { Suspense, lazy } from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import { ADMIN_PATH } from './config/moderation'
 import './index.css'
 
+// The moderation dashboard is only downloaded when visited
+const AdminApp = lazy(() => import('./AdminApp'))
+
 // Fix for Leaflet marker icons in Vite/Webpack
 import L from 'leaflet'
 import icon from 'leaflet/dist/images/marker-icon.png'
@@ -17,9 +21,27 @@ L.Icon.Default.mergeOptions({
   shadowUrl: iconShadow,
 })
 
-// Initialize app
+// Register the service worker (offline shell + queued vote replay).
+// Skipped in development so Vite's dev server is never served from cache.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('[Main] Service worker registration failed:', error)
+    })
+  })
+}
+
+// Initialize app: the dashboard on ADMIN_PATH, the map everywhere else
+const isAdminRoute = window.location.pathname.replace(/\/+$/, '') === ADMIN_PATH
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {isAdminRoute ? (
+      <Suspense fallback={null}>
+        <AdminApp />
+      </Suspense>
+    ) : (
+      <App />
+    )}
   </React.StrictMode>
 )
@@ -0,0 +1,131 @@
+/**
+ * Auth Service Module
+ * Selects the auth provider and exposes optional sign-in for voters
+ *
+ * Every auth provider implements the same interface:
+ *   name, label, isConfigured(), getCurrentUser(), sendSignInCode(email),
+ *   verifySignInCode(email, code), signOut(), updateDisplayName(user, name),
+ *   onAuthChange(onChange)
+ *
+ * Users are plain objects { id, email, displayName, isModerator }. Signed-in votes carry
+ * the user's id and display name instead of a typed name.
+ *
+ * VITE_AUTH_PROVIDER picks "supabase", "local" (development stub) or "none".
+ * It defaults to supabase when votes are stored in Supabase, otherwise local.
+ * VITE_REQUIRE_AUTH=true hides the anonymous name field so only signed-in
+ * users can vote (pair it with the signed-in-only policy in sql/schema.sql).
+ */
+
+import { supabaseAuthProvider } from './supabase'
+import { localAuthProvider } from './localAuth'
+import { getStorageProvider } from './storage'
+
+// Environment variable keys
+const AUTH_PROVIDER_KEY = 'VITE_AUTH_PROVIDER'
+const REQUIRE_AUTH_KEY = 'VITE_REQUIRE_AUTH'
+
+// Registered auth providers by name
+const AUTH_PROVIDERS = {
+  [supabaseAuthProvider.name]: supabaseAuthProvider,
+  [localAuthProvider.name]: localAuthProvider
+}
+
+/**
+ * Get the active auth provider
+ * @returns {Object|null} Auth provider implementation, or null if sign-in is disabled
+ */
+export function getAuthProvider() {
+  const name = (import.meta.env?.[AUTH_PROVIDER_KEY] ||
+    (getStorageProvider().name === 'supabase' ? 'supabase' : 'local')).toLowerCase()
+
+  if (name === 'none') {
+    return null
+  }
+
+  const provider = AUTH_PROVIDERS[name]
+  if (!provider) {
+    console.warn(`[AuthService] Unknown auth provider "${name}", sign-in disabled`)
+    return null
+  }
+
+  if (!provider.isConfigured()) {
+    console.warn(`[AuthService] ${provider.label} is not configured, sign-in disabled`)
+    return null
+  }
+
+  return provider
+}
+
+/**
+ * Check if users can sign in
+ * @returns {boolean} True if an auth provider is active
+ */
+export function isAuthEnabled() {
+  return getAuthProvider() !== null
+}
+
+/**
+ * Check if voting requires signing in
+ * @returns {boolean} True if anonymous votes are disabled
+ */
+export function isAuthRequired() {
+  return isAuthEnabled() && import.meta.env?.[REQUIRE_AUTH_KEY] === 'true'
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} User { id, email, displayName, isModerator } or null
+ */
+export async function getCurrentUser() {
+  return getAuthProvider()?.getCurrentUser() ?? null
+}
+
+/**
+ * Send a magic link / one-time code to an email address
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} Result object
+ */
+export function sendSignInCode(email) {
+  return getAuthProvider().sendSignInCode(email.trim().toLowerCase())
+}
+
+/**
+ * Sign in with a one-time code
+ * @param {string} email - Email address the code was sent to
+ * @param {string} code - One-time code
+ * @returns {Promise<Object>} Result object with user
+ */
+export function verifySignInCode(email, code) {
+  return getAuthProvider().verifySignInCode(email.trim().toLowerCase(), code.trim())
+}
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  await getAuthProvider()?.signOut()
+}
+
+/**
+ * Set the display name shown on the user's votes
+ * @param {Object} user - Signed-in user
+ * @param {string} displayName - New display name (2-100 characters)
+ * @returns {Promise<Object>} Result object with updated user
+ */
+export function updateDisplayName(user, displayName) {
+  const name = displayName.trim()
+  if (name.length < 2 || name.length > 100) {
+    return Promise.resolve({ success: false, error: 'Name must be 2-100 characters' })
+  }
+  return getAuthProvider().updateDisplayName(user, name)
+}
+
+/**
+ * Listen for sign-in and sign-out
+ * @param {Function} onChange - Called with the user or null
+ * @returns {Function|null} Unsubscribe function, or null if sign-in is disabled
+ */
+export function onAuthChange(onChange) {
+  return getAuthProvider()?.onAuthChange(onChange) ?? null
+}
@@ -0,0 +1,715 @@
+/**
+ * IndexedDB Service Module
+ * Stores votes in the browser so the app can run without a remote backend
+ */
+
+import { votesToGeoJSON, voteToFeature } from '../utils/geojson'
+import { aggregateToGrid } from '../utils/grid'
+import { DEFAULT_CATEGORY } from '../config/categories'
+import { findReplacedVotes } from '../config/voting'
+import { assessVote, REPORT_HOURLY_LIMIT } from '../utils/antiSpam'
+import { VOTE_STATUS, MODERATION_ACTIONS, MODERATION_PAGE_SIZE, matchesModerationFilters } from '../config/moderation'
+
+// Database settings
+const DEFAULT_DB_NAME = 'favorability-hotspot-map'
+const DB_VERSION = 2
+const VOTES_STORE = 'votes'
+const REPORTS_STORE = 'reports'
+const MODERATION_LOG_STORE = 'moderation_log'
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>} Resolves once the transaction completes
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * Check if a vote row is shown publicly
+ * @param {Object} row - Vote row
+ * @returns {boolean} True unless a moderator hid the vote
+ */
+function isVisible(row) {
+  return (row.status || VOTE_STATUS.VISIBLE) === VOTE_STATUS.VISIBLE
+}
+
+/**
+ * Generate a unique vote id
+ * @returns {string} UUID
+ */
+export function generateId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`
+}
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+/**
+ * Create an IndexedDB-backed storage provider
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} options.label - Human readable provider label
+ * @param {string} options.dbName - IndexedDB database name
+ * @returns {Object} Storage provider implementation
+ */
+export function createIndexedDbProvider({ name, label, dbName = DEFAULT_DB_NAME }) {
+  const logPrefix = `[IndexedDbService:${name}]`
+
+  // Cached database connection
+  let dbPromise = null
+
+  // Channel used to announce new, changed and deleted votes to other tabs
+  // and subscribers: { type: 'insert' | 'update', row } or { type: 'delete', id }
+  const broadcast = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(dbName) : null
+
+  /**
+   * Open (and upgrade if needed) the votes database
+   * @returns {Promise<IDBDatabase>} Database connection
+   */
+  function openDatabase() {
+    if (dbPromise) {
+      return dbPromise
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(VOTES_STORE)) {
+          const store = db.createObjectStore(VOTES_STORE, { keyPath: 'id' })
+          store.createIndex('created_at', 'created_at')
+        }
+        if (!db.objectStoreNames.contains(REPORTS_STORE)) {
+          const store = db.createObjectStore(REPORTS_STORE, { keyPath: 'id' })
+          store.createIndex('vote_id', 'vote_id')
+        }
+        if (!db.objectStoreNames.contains(MODERATION_LOG_STORE)) {
+          const store = db.createObjectStore(MODERATION_LOG_STORE, { keyPath: 'id' })
+          store.createIndex('created_at', 'created_at')
+        }
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        dbPromise = null
+        reject(request.error)
+      }
+    })
+
+    return dbPromise
+  }
+
+  /**
+   * Get the votes object store inside a new transaction
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @returns {Promise<IDBObjectStore>} Votes object store
+   */
+  async function getVotesStore(mode = 'readonly') {
+    const db = await openDatabase()
+    return db.transaction(VOTES_STORE, mode).objectStore(VOTES_STORE)
+  }
+
+  /**
+   * Get several object stores inside one new transaction
+   * @param {Array} storeNames - Object store names
+   * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+   * @returns {Promise<Array>} Object stores in the order of storeNames
+   */
+  async function getStores(storeNames, mode = 'readonly') {
+    const db = await openDatabase()
+    const transaction = db.transaction(storeNames, mode)
+    return storeNames.map(storeName => transaction.objectStore(storeName))
+  }
+
+  /**
+   * Get IndexedDB configuration status
+   * @returns {Object} Configuration status
+   */
+  function getConfigStatus() {
+    return {
+      configured: isIndexedDbAvailable(),
+      database: dbName
+    }
+  }
+
+  /**
+   * Store several vote rows in one transaction
+   * @param {Array} rows - Vote rows with id, user_id, user_name, score, category, ratings, comment, tags, photos, flags, geom, created_at
+   * @returns {Promise<void>}
+   */
+  async function putVotes(rows) {
+    const store = await getVotesStore('readwrite')
+    rows.forEach(row => store.put(row))
+    await promisifyTransaction(store.transaction)
+  }
+
+  /**
+   * Remove every stored vote
+   * @returns {Promise<void>}
+   */
+  async function clearVotes() {
+    const store = await getVotesStore('readwrite')
+    await promisifyRequest(store.clear())
+  }
+
+  /**
+   * Submit a new vote
+   * @param {string} userName - User's name
+   * @param {number} score - Favorability score (0-5)
+   * @param {number} lng - Longitude
+   * @param {number} lat - Latitude
+   * @param {Object} options - Optional vote fields
+   * @param {string} options.id - Client-generated id, makes retries idempotent
+   * @param {string} options.category - Vote category id (defaults to 'general')
+   * @param {Object} options.ratings - Ratings by criterion id (0-5), if rated by criteria
+   * @param {string} options.comment - Free-text comment (sanitized)
+   * @param {Array} options.tags - Normalized tags
+   * @param {Array} options.photos - Uploaded photo references { path, thumb_path, width, height }
+   * @param {string} options.userId - Id of the signed-in user
+   * @param {string} options.clientId - Browser client id (anti-spam)
+   * @param {string} options.powStamp - Solved proof-of-work stamp (anti-spam)
+   * @param {Array} options.flags - Client-side flags; only 'honeypot' is kept
+   * @returns {Promise<Object>} Result object ({ conflict: true } if the id already exists)
+   */
+  async function submitVote(userName, score, lng, lat, options = {}) {
+    console.log(`${logPrefix} Submitting vote:`, { userName, score, lng, lat })
+
+    try {
+      const row = {
+        id: options.id || generateId(),
+        user_id: options.userId || null,
+        user_name: userName,
+        score: score,
+        category: options.category || DEFAULT_CATEGORY,
+        ratings: options.ratings || null,
+        comment: options.comment || null,
+        tags: options.tags || [],
+        photos: options.photos || [],
+        geom: { type: 'Point', coordinates: [lng, lat] },
+        created_at: new Date().toISOString(),
+        client_id: options.clientId || null,
+        pow_stamp: options.powStamp || null,
+        flags: [],
+        status: VOTE_STATUS.VISIBLE
+      }
+
+      // Abuse rules, like the check_vote_abuse trigger. Checked before the
+      // write transaction, which would not survive the awaited hashing.
+      const sources = (await promisifyRequest((await getVotesStore()).getAll()))
+        .map(other => ({ ...other, lng: other.geom.coordinates[0], lat: other.geom.coordinates[1] }))
+      const assessment = await assessVote({ ...row, flags: options.flags, lng, lat }, sources)
+      if (assessment.error) {
+        return { success: false, error: assessment.error }
+      }
+      row.flags = assessment.flags
+
+      const store = await getVotesStore('readwrite')
+
+      // One vote per place per user, like the votes_replace_nearby trigger
+      let replacedIds = []
+      if (row.user_id) {
+        const ownVotes = (await promisifyRequest(store.getAll()))
+          .filter(other => other.user_id === row.user_id && other.id !== row.id && isVisible(other))
+          .map(other => ({ id: other.id, lng: other.geom.coordinates[0], lat: other.geom.coordinates[1] }))
+        replacedIds = findReplacedVotes(ownVotes, lng, lat).map(other => other.id)
+        replacedIds.forEach(otherId => store.delete(otherId))
+      }
+
+      await promisifyRequest(store.add(row))
+
+      console.log(`${logPrefix} Vote stored:`, row)
+      replacedIds.forEach(otherId => broadcast?.postMessage({ type: 'delete', id: otherId }))
+      broadcast?.postMessage({ type: 'insert', row })
+
+      return {
+        success: true,
+        vote: row,
+        feature: voteToFeature(row)
+      }
+    } catch (error) {
+      console.error(`${logPrefix} Submit vote error:`, error)
+      return { success: false, error: error.message, conflict: error.name === 'ConstraintError' }
+    }
+  }
+
+  /**
+   * Fetch all votes from IndexedDB
+   * @returns {Promise<Object>} Result object with votes GeoJSON
+   */
+  async function fetchAllVotes() {
+    console.log(`${logPrefix} Fetching all votes...`)
+
+    try {
+      const store = await getVotesStore()
+      const rows = (await promisifyRequest(store.getAll())).filter(isVisible)
+
+      // Newest first, matching the Supabase ordering
+      rows.sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+
+      console.log(`${logPrefix} Fetched`, rows.length, 'votes')
+      return { success: true, votes: votesToGeoJSON(rows) }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch votes error:`, error)
+      return { success: false, error: error.message, votes: null }
+    }
+  }
+
+  /**
+   * Fetch votes created after a given timestamp (delta sync)
+   * @param {string} since - ISO timestamp of the newest vote already held
+   * @returns {Promise<Object>} Result object with votes GeoJSON
+   */
+  async function fetchVotesSince(since) {
+    if (!since) {
+      return { success: true, votes: votesToGeoJSON([]) }
+    }
+
+    try {
+      const store = await getVotesStore()
+      const range = IDBKeyRange.lowerBound(since, true)
+      const rows = (await promisifyRequest(store.index('created_at').getAll(range))).filter(isVisible)
+
+      rows.reverse()
+
+      console.log(`${logPrefix} Fetched`, rows.length, 'votes since', since)
+      return { success: true, votes: votesToGeoJSON(rows) }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch votes since error:`, error)
+      return { success: false, error: error.message, votes: null }
+    }
+  }
+
+  /**
+   * Fetch one page of votes inside a bounding box
+   * Mirrors the keyset ordering of the votes_in_bbox SQL function
+   * @param {Object} bounds - { west, south, east, north } in degrees
+   * @param {Object|null} cursor - { created_at, id } of the last vote of the previous page
+   * @param {number} pageSize - Maximum number of votes to return
+   * @returns {Promise<Object>} Result object with votes GeoJSON
+   */
+  async function fetchVotesPage(bounds, cursor, pageSize) {
+    try {
+      const store = await getVotesStore()
+      const rows = await promisifyRequest(store.getAll())
+
+      const isBefore = (row) => (
+        row.created_at < cursor.created_at ||
+        (row.created_at === cursor.created_at && row.id < cursor.id)
+      )
+
+      const page = rows
+        .filter(isVisible)
+        .filter(row => {
+          const [lng, lat] = row.geom.coordinates
+          return lng >= bounds.west && lng <= bounds.east &&
+            lat >= bounds.south && lat <= bounds.north
+        })
+        .filter(row => !cursor || isBefore(row))
+        .sort((a, b) => {
+          if (a.created_at !== b.created_at) {
+            return a.created_at < b.created_at ? 1 : -1
+          }
+          return a.id < b.id ? 1 : -1
+        })
+        .slice(0, pageSize)
+
+      return { success: true, votes: votesToGeoJSON(page) }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch votes page error:`, error)
+      return { success: false, error: error.message, votes: null }
+    }
+  }
+
+  /**
+   * Aggregate votes inside a bounding box into grid cells
+   * Computed locally with the same statistics as vote_grid_aggregates
+   * @param {Object} bounds - { west, south, east, north } in degrees
+   * @param {number} cellSize - Cell size in meters
+   * @param {string} shape - 'square' or 'hexagon'
+   * @param {Array|null} categories - Category ids to include, or null for all votes
+   * @param {boolean} includeFlagged - Include votes flagged by the anti-spam rules
+   * @returns {Promise<Object>} Result object with cells array
+   */
+  async function fetchGridAggregates(bounds, cellSize, shape = 'square', categories = null, includeFlagged = false) {
+    try {
+      const store = await getVotesStore()
+      const rows = await promisifyRequest(store.getAll())
+
+      const points = rows
+        .filter(row => !categories || categories.includes(row.category || DEFAULT_CATEGORY))
+        .filter(row => includeFlagged || !row.flags?.length)
+        .filter(isVisible)
+        .map(row => ({ lng: row.geom.coordinates[0], lat: row.geom.coordinates[1], score: row.score }))
+        .filter(p => p.lng >= bounds.west && p.lng <= bounds.east &&
+          p.lat >= bounds.south && p.lat <= bounds.north)
+
+      return { success: true, cells: aggregateToGrid(points, cellSize, shape) }
+    } catch (error) {
+      console.error(`${logPrefix} Grid aggregation error:`, error)
+      return { success: false, error: error.message, cells: null }
+    }
+  }
+
+  /**
+   * Load a vote and check that it belongs to a user
+   * @param {IDBObjectStore} store - Votes object store
+   * @param {string} id - Vote id
+   * @param {string} userId - Id of the signed-in user
+   * @returns {Promise<Object>} Vote row
+   */
+  async function getOwnVote(store, id, userId) {
+    const row = await promisifyRequest(store.get(id))
+    if (!row) {
+      throw new Error('Vote not found')
+    }
+    if (!userId || row.user_id !== userId) {
+      throw new Error('You can only change your own votes')
+    }
+    return row
+  }
+
+  /**
+   * Update a vote owned by a user
+   * @param {string} id - Vote id
+   * @param {Object} changes - Fields to change: score, category, ratings, comment, tags
+   * @param {string} userId - Id of the signed-in user
+   * @returns {Promise<Object>} Result object with the updated vote and feature
+   */
+  async function updateVote(id, changes, userId) {
+    try {
+      const store = await getVotesStore('readwrite')
+      const row = { ...(await getOwnVote(store, id, userId)), ...changes }
+      await promisifyRequest(store.put(row))
+      broadcast?.postMessage({ type: 'update', row })
+
+      return { success: true, vote: row, feature: voteToFeature(row) }
+    } catch (error) {
+      console.error(`${logPrefix} Update vote error:`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Withdraw (delete) a vote owned by a user
+   * @param {string} id - Vote id
+   * @param {string} userId - Id of the signed-in user
+   * @returns {Promise<Object>} Result object
+   */
+  async function deleteVote(id, userId) {
+    try {
+      const store = await getVotesStore('readwrite')
+      await getOwnVote(store, id, userId)
+      await promisifyRequest(store.delete(id))
+      broadcast?.postMessage({ type: 'delete', id })
+
+      return { success: true }
+    } catch (error) {
+      console.error(`${logPrefix} Delete vote error:`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Fetch all votes cast by one user, newest first
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} Result object with votes GeoJSON
+   */
+  async function fetchUserVotes(userId) {
+    try {
+      const store = await getVotesStore()
+      const rows = (await promisifyRequest(store.getAll())).filter(row => row.user_id === userId)
+
+      rows.sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+      return { success: true, votes: votesToGeoJSON(rows) }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch user votes error:`, error)
+      return { success: false, error: error.message, votes: null }
+    }
+  }
+
+  /**
+   * Fetch votes for the moderation dashboard, hidden ones included
+   * Local equivalent of the moderation_votes SQL function
+   * @param {Object} filters - { since, until, minScore, maxScore, user, flagFilter, status, bounds }
+   * @param {Object} moderator - Signed-in moderator
+   * @returns {Promise<Object>} Result object with votes GeoJSON; features carry
+   *   report_count and report_reasons of their open reports
+   */
+  async function fetchModerationVotes(filters = {}, moderator = null) {
+    if (!moderator?.isModerator) {
+      return { success: false, error: 'Only moderators can moderate votes', votes: null }
+    }
+
+    try {
+      const [votesStore, reportsStore] = await getStores([VOTES_STORE, REPORTS_STORE])
+      const [rows, reports] = await Promise.all([
+        promisifyRequest(votesStore.getAll()),
+        promisifyRequest(reportsStore.getAll())
+      ])
+
+      const openReports = new Map()
+      reports.filter(report => !report.resolved_at).forEach(report => {
+        openReports.set(report.vote_id, [...(openReports.get(report.vote_id) || []), report.reason])
+      })
+
+      const features = rows
+        .filter(row => matchesModerationFilters(
+          { ...row, lng: row.geom.coordinates[0], lat: row.geom.coordinates[1] },
+          openReports.get(row.id)?.length || 0,
+          filters
+        ))
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+        .slice(0, MODERATION_PAGE_SIZE)
+        .map(row => {
+          const feature = voteToFeature(row)
+          const reasons = openReports.get(row.id) || []
+          return { ...feature, properties: { ...feature.properties, report_count: reasons.length, report_reasons: [...new Set(reasons)] } }
+        })
+
+      return { success: true, votes: { type: 'FeatureCollection', features } }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch moderation votes error:`, error)
+      return { success: false, error: error.message, votes: null }
+    }
+  }
+
+  /**
+   * Hide or restore votes, logging each change and resolving their reports
+   * @param {Array} ids - Vote ids
+   * @param {string} status - New status ('visible' or 'hidden')
+   * @param {string} reason - Optional note for the audit log
+   * @param {Object} moderator - Signed-in moderator { id, email, displayName }
+   * @returns {Promise<Object>} Result object with the number of changed votes
+   */
+  async function moderateVotes(ids, status, reason, moderator) {
+    if (!moderator?.isModerator) {
+      return { success: false, error: 'Only moderators can moderate votes' }
+    }
+
+    try {
+      const [votesStore, reportsStore, logStore] = await getStores(
+        [VOTES_STORE, REPORTS_STORE, MODERATION_LOG_STORE], 'readwrite'
+      )
+      const now = new Date().toISOString()
+      const changedRows = []
+
+      for (const id of ids) {
+        const row = await promisifyRequest(votesStore.get(id))
+        if (row && (row.status || VOTE_STATUS.VISIBLE) !== status) {
+          const changedRow = { ...row, status }
+          changedRows.push(changedRow)
+          votesStore.put(changedRow)
+          logStore.add({
+            id: generateId(),
+            vote_id: id,
+            moderator_id: moderator.id,
+            moderator_name: moderator.displayName || moderator.email || null,
+            action: MODERATION_ACTIONS[status],
+            reason: reason || null,
+            created_at: now
+          })
+        }
+
+        const reports = await promisifyRequest(reportsStore.index('vote_id').getAll(id))
+        reports.filter(report => !report.resolved_at).forEach(report => {
+          reportsStore.put({ ...report, resolved_at: now })
+        })
+      }
+
+      await promisifyTransaction(votesStore.transaction)
+      changedRows.forEach(row => broadcast?.postMessage({ type: 'update', row }))
+      return { success: true, changed: changedRows.length }
+    } catch (error) {
+      console.error(`${logPrefix} Moderate votes error:`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Report a vote to the moderators
+   * A browser can report each vote once; repeated reports succeed silently.
+   * Like check_report_abuse, more than REPORT_HOURLY_LIMIT reports an hour
+   * from one reporter are rejected.
+   * @param {string} id - Vote id
+   * @param {string} reason - Report reason id
+   * @param {Object} options - { userId, clientId }
+   * @returns {Promise<Object>} Result object
+   */
+  async function reportVote(id, reason, options = {}) {
+    try {
+      const [store] = await getStores([REPORTS_STORE], 'readwrite')
+      const reports = await promisifyRequest(store.index('vote_id').getAll(id))
+      const reporter = options.userId || options.clientId || null
+      const isSameReporter = (report) => (report.reporter_id || report.client_id || null) === reporter
+
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString()
+      const recentCount = (await promisifyRequest(store.getAll()))
+        .filter(report => reporter && isSameReporter(report) && report.created_at > hourAgo).length
+      if (recentCount >= REPORT_HOURLY_LIMIT) {
+        return { success: false, error: 'Too many reports, please try again later' }
+      }
+
+      // One report per reporter, like the vote_reports_reporter_idx index
+      if (!reports.some(isSameReporter)) {
+        await promisifyRequest(store.add({
+          id: generateId(),
+          vote_id: id,
+          reason,
+          reporter_id: options.userId || null,
+          client_id: options.clientId || null,
+          created_at: new Date().toISOString(),
+          resolved_at: null
+        }))
+      }
+
+      return { success: true }
+    } catch (error) {
+      console.error(`${logPrefix} Report vote error:`, error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Fetch the latest moderator actions
+   * @param {number} limit - Maximum number of entries
+   * @param {Object} moderator - Signed-in moderator
+   * @returns {Promise<Object>} Result object with entries, newest first
+   */
+  async function fetchModerationLog(limit = 100, moderator = null) {
+    if (!moderator?.isModerator) {
+      return { success: false, error: 'Only moderators can moderate votes', entries: null }
+    }
+
+    try {
+      const [store] = await getStores([MODERATION_LOG_STORE])
+      const entries = await promisifyRequest(store.getAll())
+
+      entries.sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+      return { success: true, entries: entries.slice(0, limit) }
+    } catch (error) {
+      console.error(`${logPrefix} Fetch moderation log error:`, error)
+      return { success: false, error: error.message, entries: null }
+    }
+  }
+
+  /**
+   * Get vote count
+   * @returns {Promise<number>} Number of visible votes
+   */
+  async function getVoteCount() {
+    try {
+      const store = await getVotesStore()
+      return (await promisifyRequest(store.getAll())).filter(isVisible).length
+    } catch (error) {
+      console.error(`${logPrefix} Get count error:`, error)
+      return 0
+    }
+  }
+
+  /**
+   * Test IndexedDB access
+   * @returns {Promise<boolean>} True if the database can be opened
+   */
+  async function testConnection() {
+    if (!isIndexedDbAvailable()) {
+      console.error(`${logPrefix} IndexedDB not available`)
+      return false
+    }
+
+    try {
+      await openDatabase()
+      console.log(`${logPrefix} Connection test passed`)
+      return true
+    } catch (error) {
+      console.error(`${logPrefix} Connection test error:`, error)
+      return false
+    }
+  }
+
+  /**
+   * Subscribe to votes stored, changed or deleted by this or other tabs
+   * @param {Function} onVote - Called with a GeoJSON feature for each new vote
+   * @param {Function} onChange - Called with { type: 'update', id, feature } or { type: 'delete', id }
+   * @returns {Function|null} Unsubscribe function, or null if unsupported
+   */
+  function subscribeToVotes(onVote, onChange = () => {}) {
+    if (typeof BroadcastChannel === 'undefined') {
+      console.warn(`${logPrefix} BroadcastChannel not available, live updates disabled`)
+      return null
+    }
+
+    const channel = new BroadcastChannel(dbName)
+    channel.onmessage = (event) => {
+      const { type, row, id } = event.data
+      if (type === 'insert') {
+        onVote(voteToFeature(row))
+      } else if (type === 'update') {
+        onChange({ type, id: row.id, feature: voteToFeature(row) })
+      } else if (type === 'delete') {
+        onChange({ type, id })
+      }
+    }
+
+    return () => channel.close()
+  }
+
+  return {
+    name,
+    label,
+    isConfigured: isIndexedDbAvailable,
+    getConfigStatus,
+    testConnection,
+    fetchAllVotes,
+    fetchVotesSince,
+    fetchVotesPage,
+    fetchGridAggregates,
+    fetchUserVotes,
+    submitVote,
+    updateVote,
+    deleteVote,
+    fetchModerationVotes,
+    moderateVotes,
+    reportVote,
+    fetchModerationLog,
+    getVoteCount,
+    subscribeToVotes,
+    putVotes,
+    clearVotes
+  }
+}
+
+/**
+ * IndexedDB storage provider
+ * Implements the storage provider interface consumed by services/storage.js
+ */
+export const indexedDbProvider = createIndexedDbProvider({
+  name: 'indexeddb',
+  label: 'Browser storage (IndexedDB)'
+})
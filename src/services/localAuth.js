@@ -0,0 +1,164 @@
+/**
+ * Local Auth Service Module
+ * Development stand-in for Supabase Auth. Accounts and the session live in
+ * localStorage and the one-time code is printed to the browser console
+ * instead of being emailed. Offers no security at all.
+ */
+
+import { generateId } from './indexedDb'
+
+// localStorage keys
+const ACCOUNTS_KEY = 'favorability-auth-accounts'
+const SESSION_KEY = 'favorability-auth-session'
+
+// Environment variable key: comma-separated emails of local moderators
+const MODERATOR_EMAILS_KEY = 'VITE_MODERATOR_EMAILS'
+
+// Codes waiting to be verified, by email (in memory only)
+const pendingCodes = new Map()
+
+// Sign-in/out listeners
+const listeners = new Set()
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value used when missing or unreadable
+ * @returns {*} Parsed value
+ */
+function readJson(key, fallback) {
+  try {
+    const value = localStorage.getItem(key)
+    return value ? JSON.parse(value) : fallback
+  } catch {
+    return fallback
+  }
+}
+
+/**
+ * Get all local accounts by email
+ * @returns {Object} Accounts { [email]: { id, email, displayName } }
+ */
+function getAccounts() {
+  return readJson(ACCOUNTS_KEY, {})
+}
+
+/**
+ * Add the moderator role from VITE_MODERATOR_EMAILS
+ * The role is derived on every read, so it is never stored in localStorage.
+ * @param {Object} user - User { id, email, displayName }
+ * @returns {Object} User { id, email, displayName, isModerator }
+ */
+function withRole(user) {
+  const moderatorEmails = (import.meta.env?.[MODERATOR_EMAILS_KEY] || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+  return { ...user, isModerator: moderatorEmails.includes(user.email) }
+}
+
+/**
+ * Store an account and make it the current session
+ * @param {Object} user - User { id, email, displayName }
+ */
+function saveSession(user) {
+  const { isModerator, ...account } = user
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify({ ...getAccounts(), [user.email]: account }))
+  localStorage.setItem(SESSION_KEY, user.email)
+  listeners.forEach(listener => listener(withRole(account)))
+}
+
+/**
+ * Check if the local auth stub can be used
+ * @returns {boolean} True if localStorage is available
+ */
+function isConfigured() {
+  return typeof localStorage !== 'undefined'
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} User { id, email, displayName, isModerator } or null
+ */
+async function getCurrentUser() {
+  const email = localStorage.getItem(SESSION_KEY)
+  const user = email && getAccounts()[email]
+  return user ? withRole(user) : null
+}
+
+/**
+ * "Send" a one-time code by logging it to the console
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} Result object
+ */
+async function sendSignInCode(email) {
+  const code = String(Math.floor(100000 + Math.random() * 900000))
+  pendingCodes.set(email, code)
+  console.info(`[LocalAuth] Sign-in code for ${email}: ${code}`)
+  return { success: true }
+}
+
+/**
+ * Sign in with a code from sendSignInCode
+ * @param {string} email - Email address
+ * @param {string} code - One-time code
+ * @returns {Promise<Object>} Result object with user
+ */
+async function verifySignInCode(email, code) {
+  if (pendingCodes.get(email) !== code.trim()) {
+    return { success: false, error: 'Invalid or expired code' }
+  }
+
+  pendingCodes.delete(email)
+  const user = getAccounts()[email] || { id: generateId(), email, displayName: null }
+  saveSession(user)
+
+  return { success: true, user: withRole(user) }
+}
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+async function signOut() {
+  localStorage.removeItem(SESSION_KEY)
+  listeners.forEach(listener => listener(null))
+}
+
+/**
+ * Set the display name of the signed-in user
+ * @param {Object} user - Signed-in user
+ * @param {string} displayName - New display name
+ * @returns {Promise<Object>} Result object with updated user
+ */
+async function updateDisplayName(user, displayName) {
+  const updated = withRole({ ...user, displayName })
+  saveSession(updated)
+  return { success: true, user: updated }
+}
+
+/**
+ * Listen for sign-in and sign-out
+ * @param {Function} onChange - Called with the user or null
+ * @returns {Function} Unsubscribe function
+ */
+function onAuthChange(onChange) {
+  listeners.add(onChange)
+  return () => listeners.delete(onChange)
+}
+
+/**
+ * Local auth provider
+ * Implements the auth provider interface consumed by services/auth.js
+ */
+export const localAuthProvider = {
+  name: 'local',
+  label: 'Local development accounts',
+  isConfigured,
+  getCurrentUser,
+  sendSignInCode,
+  verifySignInCode,
+  signOut,
+  updateDisplayName,
+  onAuthChange
+}
@@ -0,0 +1,318 @@
+/**
+ * Mock Service Module
+ * Local demo backend: persists votes in IndexedDB and seeds a synthetic
+ * vote set inside the Tehran boundary on first use
+ */
+
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon'
+import { point } from '@turf/helpers'
+import { createIndexedDbProvider, generateId } from './indexedDb'
+import { VOTE_CATEGORIES } from '../config/categories'
+import { RATING_CRITERIA, computeCompositeScore } from '../config/criteria'
+
+// Environment variable keys
+const MOCK_VOTE_COUNT_KEY = 'VITE_MOCK_VOTE_COUNT'
+const MOCK_SEED_KEY = 'VITE_MOCK_SEED'
+
+// Seeding defaults
+const DEFAULT_VOTE_COUNT = 300
+const RATED_VOTE_SHARE = 0.6
+const COMMENTED_VOTE_SHARE = 0.3
+const FLAGGED_VOTE_SHARE = 0.03
+
+// Sample tags and comments for seeded votes, by category
+const MOCK_TAGS = {
+  general: ['crowded', 'quiet', 'lively'],
+  parks: ['shade', 'playground', 'fountain'],
+  cafes: ['coffee', 'wifi', 'late-night'],
+  safety: ['lighting', 'police', 'dark-alley'],
+  traffic: ['congestion', 'parking', 'metro']
+}
+const MOCK_COMMENTS = {
+  general: ['Nice neighborhood to walk around.', 'Too noisy in the evening.'],
+  parks: ['Great trees, lots of shade in summer.', 'Needs more benches.'],
+  cafes: ['Good coffee and friendly staff.', 'Always full on weekends.'],
+  safety: ['Well lit at night.', 'Feels unsafe after dark.'],
+  traffic: ['Heavy traffic at rush hour.', 'Easy to reach by metro.']
+}
+const DEFAULT_SEED = 1
+const BOUNDARY_URL = '/tehran_bound.geojson'
+const CLUSTER_COUNT = 6
+const SEED_PERIOD_DAYS = 30
+const MAX_SAMPLE_ATTEMPTS = 50
+
+// Votes live in their own database so demo data never mixes with the
+// IndexedDB provider
+const store = createIndexedDbProvider({
+  name: 'mock',
+  label: 'Demo mode (local mock data)',
+  dbName: 'favorability-hotspot-map-mock'
+})
+
+// Pending seeding run, shared by concurrent callers
+let seedPromise = null
+
+/**
+ * Get the number of synthetic votes to seed
+ * @returns {number} Vote count
+ */
+export function getMockVoteCount() {
+  const value = parseInt(import.meta.env?.[MOCK_VOTE_COUNT_KEY], 10)
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_VOTE_COUNT
+}
+
+/**
+ * Get the random seed for synthetic votes
+ * @returns {number} Seed
+ */
+export function getMockSeed() {
+  const value = parseInt(import.meta.env?.[MOCK_SEED_KEY], 10)
+  return Number.isFinite(value) ? value : DEFAULT_SEED
+}
+
+/**
+ * Deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Standard normal sample using the Box-Muller transform
+ * @param {Function} random - Uniform random generator
+ * @returns {number} Normal sample
+ */
+function randomNormal(random) {
+  const u = Math.max(random(), 1e-12)
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+/**
+ * Compute the bounding box of a boundary FeatureCollection
+ * @param {Object} boundaryData - GeoJSON FeatureCollection
+ * @returns {Object} Bounding box { minLng, minLat, maxLng, maxLat }
+ */
+function getBoundaryBBox(boundaryData) {
+  let minLng = Infinity, minLat = Infinity
+  let maxLng = -Infinity, maxLat = -Infinity
+
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      minLng = Math.min(minLng, coords[0])
+      maxLng = Math.max(maxLng, coords[0])
+      minLat = Math.min(minLat, coords[1])
+      maxLat = Math.max(maxLat, coords[1])
+      return
+    }
+    coords.forEach(visit)
+  }
+
+  boundaryData.features.forEach(feature => visit(feature.geometry.coordinates))
+  return { minLng, minLat, maxLng, maxLat }
+}
+
+/**
+ * Generate synthetic vote rows inside the boundary
+ * Scores follow a few random "favorite" clusters plus noise so the
+ * hotspot and favorability layers have visible structure. Each cluster
+ * belongs to one category so per-category surfaces differ. Most votes are
+ * rated by criteria, with the score being their composite.
+ * @param {Object} boundaryData - GeoJSON FeatureCollection
+ * @param {number} count - Number of votes to generate
+ * @param {number} seed - Random seed
+ * @returns {Array} Vote rows
+ */
+export function generateMockVotes(boundaryData, count, seed) {
+  const random = createRandom(seed)
+  const bbox = getBoundaryBBox(boundaryData)
+
+  const isInside = (lng, lat) => {
+    const pt = point([lng, lat])
+    return boundaryData.features.some(feature => booleanPointInPolygon(pt, feature))
+  }
+
+  const samplePoint = () => {
+    for (let attempt = 0; attempt < MAX_SAMPLE_ATTEMPTS; attempt++) {
+      const lng = bbox.minLng + random() * (bbox.maxLng - bbox.minLng)
+      const lat = bbox.minLat + random() * (bbox.maxLat - bbox.minLat)
+      if (isInside(lng, lat)) {
+        return [lng, lat]
+      }
+    }
+    return null
+  }
+
+  // Cluster centers with their own spread (degrees) and typical score
+  const clusters = []
+  for (let i = 0; i < CLUSTER_COUNT; i++) {
+    const center = samplePoint()
+    if (center) {
+      clusters.push({
+        center,
+        spread: 0.01 + random() * 0.02,
+        score: i % 2 === 0 ? 4 + random() : random() * 2,
+        category: VOTE_CATEGORIES[i % VOTE_CATEGORIES.length].id
+      })
+    }
+  }
+
+  const now = Date.now()
+  const rows = []
+
+  for (let i = 0; i < count; i++) {
+    let coordinates = null
+    let baseScore = 2.5
+    let category = VOTE_CATEGORIES[Math.floor(random() * VOTE_CATEGORIES.length)].id
+
+    // Two thirds of votes cluster, the rest are spread uniformly
+    if (clusters.length > 0 && random() < 0.66) {
+      const cluster = clusters[Math.floor(random() * clusters.length)]
+      const lng = cluster.center[0] + randomNormal(random) * cluster.spread
+      const lat = cluster.center[1] + randomNormal(random) * cluster.spread
+      if (isInside(lng, lat)) {
+        coordinates = [lng, lat]
+        baseScore = cluster.score
+        category = cluster.category
+      }
+    }
+
+    if (!coordinates) {
+      coordinates = samplePoint()
+    }
+    if (!coordinates) {
+      continue
+    }
+
+    const clampScore = (value) => Math.max(0, Math.min(5, Math.round(value)))
+    let score = clampScore(baseScore + randomNormal(random))
+    let ratings = null
+
+    if (random() < RATED_VOTE_SHARE) {
+      ratings = Object.fromEntries(
+        RATING_CRITERIA.map(criterion => [criterion.id, clampScore(baseScore + randomNormal(random) * 1.5)])
+      )
+      score = clampScore(computeCompositeScore(ratings))
+    }
+
+    let comment = null
+    let tags = []
+    if (random() < COMMENTED_VOTE_SHARE) {
+      const pick = (list) => list[Math.floor(random() * list.length)]
+      comment = pick(MOCK_COMMENTS[category] || MOCK_COMMENTS.general)
+      tags = [...new Set([pick(MOCK_TAGS[category] || MOCK_TAGS.general), pick(MOCK_TAGS[category] || MOCK_TAGS.general)])]
+    }
+    const createdAt = new Date(now - random() * SEED_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+
+    // A few votes look like spam, to show the "Exclude flagged votes" filter
+    const flags = random() < FLAGGED_VOTE_SHARE ? [random() < 0.5 ? 'burst' : 'pow'] : []
+
+    rows.push({
+      id: generateId(),
+      user_name: `Demo User ${i + 1}`,
+      score,
+      category,
+      ratings,
+      comment,
+      tags,
+      flags,
+      geom: { type: 'Point', coordinates },
+      created_at: createdAt.toISOString()
+    })
+  }
+
+  return rows
+}
+
+/**
+ * Seed the mock database with synthetic votes if it is empty
+ * @returns {Promise<void>}
+ */
+function ensureSeeded() {
+  if (seedPromise) {
+    return seedPromise
+  }
+
+  seedPromise = (async () => {
+    const existing = await store.getVoteCount()
+    const count = getMockVoteCount()
+    if (existing > 0 || count === 0) {
+      return
+    }
+
+    console.log('[MockService] Seeding', count, 'synthetic votes')
+    const response = await fetch(BOUNDARY_URL)
+    if (!response.ok) {
+      throw new Error('Failed to load boundary data for mock votes')
+    }
+    const boundaryData = await response.json()
+
+    await store.putVotes(generateMockVotes(boundaryData, count, getMockSeed()))
+    console.log('[MockService] Seeding complete')
+  })().catch(error => {
+    seedPromise = null
+    throw error
+  })
+
+  return seedPromise
+}
+
+/**
+ * Delete all mock votes and seed a fresh synthetic set
+ * @returns {Promise<void>}
+ */
+export async function resetMockData() {
+  await store.clearVotes()
+  seedPromise = null
+  await ensureSeeded()
+}
+
+/**
+ * Test the mock backend, seeding it on first use
+ * @returns {Promise<boolean>} True if the mock database is usable
+ */
+async function testConnection() {
+  if (!(await store.testConnection())) {
+    return false
+  }
+
+  try {
+    await ensureSeeded()
+    return true
+  } catch (error) {
+    console.error('[MockService] Seeding error:', error)
+    return false
+  }
+}
+
+/**
+ * Get mock configuration status
+ * @returns {Object} Configuration status
+ */
+function getConfigStatus() {
+  return {
+    ...store.getConfigStatus(),
+    mock: true,
+    voteCount: getMockVoteCount(),
+    seed: getMockSeed()
+  }
+}
+
+/**
+ * Mock storage provider
+ * Implements the storage provider interface consumed by services/storage.js
+ */
+export const mockProvider = {
+  ...store,
+  getConfigStatus,
+  testConnection
+}
@@ -0,0 +1,107 @@
+/**
+ * Photo Storage Service Module
+ * Uploads vote photos and resolves their URLs
+ *
+ * Two backends are available, selected with VITE_PHOTO_STORAGE:
+ * - supabase: the public "vote-photos" Supabase Storage bucket
+ * - local: files written to .local-photos/ by the Vite dev server
+ *   (development only, see vite.config.js)
+ *
+ * Defaults to supabase when Supabase credentials are configured,
+ * otherwise local.
+ */
+
+import { uploadPhoto as uploadSupabasePhoto, getPhotoUrl as getSupabasePhotoUrl, isSupabaseConfigured } from './supabase'
+
+// Environment variable key
+const PHOTO_STORAGE_KEY = 'VITE_PHOTO_STORAGE'
+
+// URL prefix served by the local photo middleware in vite.config.js
+const LOCAL_PHOTO_PREFIX = '/__photos'
+
+// Maximum photos per vote, mirrored by a CHECK constraint in sql/schema.sql
+export const MAX_PHOTOS = 4
+
+/**
+ * Get the configured photo backend name
+ * @returns {string} 'supabase' or 'local'
+ */
+export function getPhotoStorageName() {
+  const name = (import.meta.env?.[PHOTO_STORAGE_KEY] || '').toLowerCase()
+
+  if (name === 'supabase' || name === 'local') {
+    return name
+  }
+
+  if (name) {
+    console.warn(`[PhotoService] Unknown photo storage "${name}", using the default`)
+  }
+
+  return isSupabaseConfigured() ? 'supabase' : 'local'
+}
+
+/**
+ * Upload a file to the local development photo store
+ * @param {string} path - Photo path
+ * @param {Blob} blob - File contents
+ * @returns {Promise<Object>} Result object
+ */
+async function uploadLocalPhoto(path, blob) {
+  try {
+    const response = await fetch(`${LOCAL_PHOTO_PREFIX}/${path}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': blob.type },
+      body: blob
+    })
+
+    if (!response.ok) {
+      return { success: false, error: `Photo upload failed with status ${response.status}` }
+    }
+
+    return { success: true }
+  } catch (error) {
+    console.error('[PhotoService] Local upload error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the URL of a stored photo
+ * @param {string} path - Photo path as stored on the vote
+ * @returns {string} URL to display
+ */
+export function getPhotoUrl(path) {
+  return getPhotoStorageName() === 'supabase'
+    ? getSupabasePhotoUrl(path)
+    : `${LOCAL_PHOTO_PREFIX}/${path}`
+}
+
+/**
+ * Upload the photos of a vote
+ * Files are stored as <voteId>/<index>.jpg plus a <voteId>/<index>_thumb.jpg
+ * thumbnail, so a retried upload reuses the files instead of duplicating them.
+ * @param {string} voteId - Id of the vote the photos belong to
+ * @param {Array} photos - Prepared photos { blob, thumb, width, height } (see utils/image.js)
+ * @returns {Promise<Object>} { success, photos, error } where photos are the
+ *   references to store on the vote: { path, thumb_path, width, height }
+ */
+export async function uploadVotePhotos(voteId, photos) {
+  const upload = getPhotoStorageName() === 'supabase' ? uploadSupabasePhoto : uploadLocalPhoto
+  const references = []
+
+  for (const [index, photo] of photos.slice(0, MAX_PHOTOS).entries()) {
+    const path = `${voteId}/${index}.jpg`
+    const thumbPath = `${voteId}/${index}_thumb.jpg`
+
+    for (const [filePath, blob] of [[path, photo.blob], [thumbPath, photo.thumb]]) {
+      const result = await upload(filePath, blob)
+      if (!result.success) {
+        return { success: false, photos: [], error: result.error }
+      }
+    }
+
+    references.push({ path, thumb_path: thumbPath, width: photo.width, height: photo.height })
+  }
+
+  return { success: true, photos: references }
+}
@@ -0,0 +1,501 @@
+/**
+ * REST Service Module
+ * Talks to a plain REST/JSON votes API
+ *
+ * Expected endpoints (relative to VITE_REST_API_URL):
+ *   GET  /votes        -> array of vote rows or a GeoJSON FeatureCollection
+ *                         (?since=<ISO timestamp> returns only newer votes;
+ *                         ?bbox=w,s,e,n&limit=&after_created_at=&after_id= returns
+ *                         one keyset page inside a bounding box, newest first;
+ *                         ?user_id=<id> returns the votes of one user, newest first)
+ *   POST /votes        -> creates a vote from
+ *                         { id?, user_id?, user_name, score, category, ratings?, comment?, tags, photos, lng, lat },
+ *                         returns the row
+ *                         (409 Conflict if a vote with that id already exists;
+ *                         with a user_id, the user's votes within the replace
+ *                         radius are deleted, like the votes_replace_nearby trigger)
+ *   PATCH  /votes/:id  -> updates score, category, ratings, comment, tags of a vote
+ *                         owned by user_id, returns the row (403 if not the owner)
+ *   DELETE /votes/:id  -> withdraws a vote owned by ?user_id= (403 if not the owner)
+ *   GET  /votes/count  -> { count }
+ *   GET  /votes/grid   -> per-cell statistics for ?bbox=w,s,e,n&cell_size=<m>&shape=square|hexagon,
+ *                         (&categories=a,b to aggregate only those categories),
+ *                         rows shaped like the vote_grid_aggregates SQL function
+ */
+
+import { votesToGeoJSON, voteToFeature, getLatestCreatedAt } from '../utils/geojson'
+import { gridRowToCell } from '../utils/grid'
+import { DEFAULT_CATEGORY } from '../config/categories'
+
+// Environment variable keys
+const REST_API_URL_KEY = 'VITE_REST_API_URL'
+
+// Polling interval used to emulate live updates
+const POLL_INTERVAL_MS = 15000
+
+/**
+ * Get REST API base URL from environment variables
+ * @returns {string} API base URL without trailing slash
+ */
+export function getRestApiUrl() {
+  return (import.meta.env?.[REST_API_URL_KEY] || '').replace(/\/+$/, '')
+}
+
+/**
+ * Check if the REST API is configured
+ * @returns {boolean} True if the base URL is present
+ */
+export function isRestConfigured() {
+  return getRestApiUrl().length > 0
+}
+
+/**
+ * Get REST API configuration status
+ * @returns {Object} Configuration status
+ */
+export function getRestConfigStatus() {
+  const url = getRestApiUrl()
+
+  return {
+    configured: !!url,
+    hasUrl: !!url,
+    url
+  }
+}
+
+/**
+ * Perform a JSON request against the REST API
+ * @param {string} path - Path relative to the API base URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<*>} Parsed JSON body
+ */
+async function request(path, options = {}) {
+  const baseUrl = getRestApiUrl()
+  if (!baseUrl) {
+    console.error('[RestService] REST API URL not configured')
+    throw new Error('REST API URL not configured')
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...options.headers
+    }
+  })
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '')
+    const error = new Error(text || `Request failed with status ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+
+  return response.status === 204 ? null : response.json()
+}
+
+/**
+ * Normalize a REST vote row so it can be converted to GeoJSON
+ * Accepts either a `geom` field or flat `lng`/`lat` fields
+ * @param {Object} row - Vote row from the API
+ * @returns {Object} Row with a `geom` field
+ */
+function normalizeRow(row) {
+  if (row.geom || row.lng === undefined || row.lat === undefined) {
+    return row
+  }
+  return { ...row, geom: { type: 'Point', coordinates: [Number(row.lng), Number(row.lat)] } }
+}
+
+/**
+ * Convert a /votes response body to a GeoJSON FeatureCollection
+ * @param {*} data - Array of rows or FeatureCollection
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function parseVotesResponse(data) {
+  if (data && data.type === 'FeatureCollection') {
+    return data
+  }
+  return votesToGeoJSON(Array.isArray(data) ? data.map(normalizeRow) : [])
+}
+
+/**
+ * Submit a new vote
+ * @param {string} userName - User's name
+ * @param {number} score - Favorability score (0-5)
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} options - Optional vote fields
+ * @param {string} options.id - Client-generated id, makes retries idempotent
+ * @param {string} options.category - Vote category id (defaults to 'general')
+ * @param {Object} options.ratings - Ratings by criterion id (0-5), if rated by criteria
+ * @param {string} options.comment - Free-text comment (sanitized)
+ * @param {Array} options.tags - Normalized tags
+ * @param {Array} options.photos - Uploaded photo references { path, thumb_path, width, height }
+ * @param {string} options.userId - Id of the signed-in user
+ * @param {string} options.clientId - Browser client id, for server-side rate limits
+ * @param {string} options.powStamp - Solved proof-of-work stamp
+ * @param {Array} options.flags - Flags raised by the form (only 'honeypot' is kept)
+ * @returns {Promise<Object>} Result object ({ conflict: true } if the id already exists)
+ */
+export async function submitVote(userName, score, lng, lat, options = {}) {
+  console.log('[RestService] Submitting vote:', { userName, score, lng, lat })
+
+  try {
+    const data = await request('/votes', {
+      method: 'POST',
+      body: JSON.stringify({
+        id: options.id,
+        user_id: options.userId || null,
+        user_name: userName,
+        score,
+        category: options.category || DEFAULT_CATEGORY,
+        ratings: options.ratings || null,
+        comment: options.comment || null,
+        tags: options.tags || [],
+        photos: options.photos || [],
+        client_id: options.clientId || null,
+        pow_stamp: options.powStamp || null,
+        flags: options.flags || [],
+        lng,
+        lat
+      })
+    })
+
+    console.log('[RestService] Vote inserted:', data)
+
+    return {
+      success: true,
+      vote: data,
+      feature: voteToFeature(normalizeRow(data))
+    }
+  } catch (error) {
+    console.error('[RestService] Submit vote error:', error)
+    return { success: false, error: error.message, conflict: error.status === 409 }
+  }
+}
+
+/**
+ * Fetch all votes from the REST API
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchAllVotes() {
+  console.log('[RestService] Fetching all votes...')
+
+  try {
+    const votes = parseVotesResponse(await request('/votes'))
+
+    console.log('[RestService] Fetched', votes.features.length, 'votes')
+    return { success: true, votes }
+  } catch (error) {
+    console.error('[RestService] Fetch votes error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Fetch votes created after a given timestamp (delta sync)
+ * @param {string} since - ISO timestamp of the newest vote already held
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchVotesSince(since) {
+  if (!since) {
+    return { success: true, votes: votesToGeoJSON([]) }
+  }
+
+  try {
+    const votes = parseVotesResponse(await request(`/votes?since=${encodeURIComponent(since)}`))
+
+    console.log('[RestService] Fetched', votes.features.length, 'votes since', since)
+    return { success: true, votes }
+  } catch (error) {
+    console.error('[RestService] Fetch votes since error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Update a vote owned by a user
+ * @param {string} id - Vote id
+ * @param {Object} changes - Fields to change: score, category, ratings, comment, tags
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Object>} Result object with the updated vote and feature
+ */
+export async function updateVote(id, changes, userId) {
+  try {
+    const data = normalizeRow(await request(`/votes/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ ...changes, user_id: userId })
+    }))
+
+    return { success: true, vote: data, feature: voteToFeature(data) }
+  } catch (error) {
+    console.error('[RestService] Update vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Withdraw (delete) a vote owned by a user
+ * @param {string} id - Vote id
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Object>} Result object
+ */
+export async function deleteVote(id, userId) {
+  try {
+    await request(`/votes/${encodeURIComponent(id)}?user_id=${encodeURIComponent(userId)}`, {
+      method: 'DELETE'
+    })
+    return { success: true }
+  } catch (error) {
+    console.error('[RestService] Delete vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Fetch votes for the moderation dashboard, hidden ones included
+ * @param {Object} filters - { since, until, minScore, maxScore, user, flagFilter, status, bounds }
+ * @param {Object} moderator - Signed-in moderator { id }
+ * @returns {Promise<Object>} Result object with votes GeoJSON (features carry report_count and report_reasons)
+ */
+export async function fetchModerationVotes(filters = {}, moderator = null) {
+  try {
+    const params = new URLSearchParams({ moderator_id: moderator?.id || '' })
+    const fields = {
+      since: filters.since,
+      until: filters.until,
+      min_score: filters.minScore,
+      max_score: filters.maxScore,
+      user: filters.user,
+      flags: filters.flagFilter,
+      status: filters.status
+    }
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value != null && value !== '') params.set(key, String(value))
+    })
+    if (filters.bounds) {
+      params.set('bbox', [filters.bounds.west, filters.bounds.south, filters.bounds.east, filters.bounds.north].join(','))
+    }
+
+    const votes = parseVotesResponse(await request(`/moderation/votes?${params}`))
+    return { success: true, votes }
+  } catch (error) {
+    console.error('[RestService] Fetch moderation votes error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Hide or restore votes; the backend logs each change and resolves their reports
+ * @param {Array} ids - Vote ids
+ * @param {string} status - New status ('visible' or 'hidden')
+ * @param {string} reason - Optional note for the audit log
+ * @param {Object} moderator - Signed-in moderator { id }
+ * @returns {Promise<Object>} Result object with the number of changed votes
+ */
+export async function moderateVotes(ids, status, reason, moderator) {
+  try {
+    const data = await request('/moderation/votes', {
+      method: 'POST',
+      body: JSON.stringify({ ids, status, reason: reason || null, moderator_id: moderator?.id || null })
+    })
+    return { success: true, changed: data?.changed ?? ids.length }
+  } catch (error) {
+    console.error('[RestService] Moderate votes error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Report a vote to the moderators
+ * @param {string} id - Vote id
+ * @param {string} reason - Report reason id
+ * @param {Object} options - { userId, clientId }
+ * @returns {Promise<Object>} Result object
+ */
+export async function reportVote(id, reason, options = {}) {
+  try {
+    await request(`/votes/${encodeURIComponent(id)}/reports`, {
+      method: 'POST',
+      body: JSON.stringify({ reason, user_id: options.userId || null, client_id: options.clientId || null })
+    })
+    return { success: true }
+  } catch (error) {
+    // 409: this browser already reported the vote
+    if (error.status === 409) {
+      return { success: true }
+    }
+    console.error('[RestService] Report vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Fetch the latest moderator actions
+ * @param {number} limit - Maximum number of entries
+ * @param {Object} moderator - Signed-in moderator { id }
+ * @returns {Promise<Object>} Result object with entries, newest first
+ */
+export async function fetchModerationLog(limit = 100, moderator = null) {
+  try {
+    const params = new URLSearchParams({ limit: String(limit), moderator_id: moderator?.id || '' })
+    const data = await request(`/moderation/log?${params}`)
+    return { success: true, entries: Array.isArray(data) ? data : [] }
+  } catch (error) {
+    console.error('[RestService] Fetch moderation log error:', error)
+    return { success: false, error: error.message, entries: null }
+  }
+}
+
+/**
+ * Fetch all votes cast by one user, newest first
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchUserVotes(userId) {
+  try {
+    const votes = parseVotesResponse(await request(`/votes?user_id=${encodeURIComponent(userId)}`))
+    return { success: true, votes }
+  } catch (error) {
+    console.error('[RestService] Fetch user votes error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Fetch one page of votes inside a bounding box
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {Object|null} cursor - { created_at, id } of the last vote of the previous page
+ * @param {number} pageSize - Maximum number of votes to return
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchVotesPage(bounds, cursor, pageSize) {
+  try {
+    const params = new URLSearchParams({
+      bbox: [bounds.west, bounds.south, bounds.east, bounds.north].join(','),
+      limit: String(pageSize)
+    })
+    if (cursor) {
+      params.set('after_created_at', cursor.created_at)
+      params.set('after_id', cursor.id)
+    }
+
+    const votes = parseVotesResponse(await request(`/votes?${params}`))
+    return { success: true, votes }
+  } catch (error) {
+    console.error('[RestService] Fetch votes page error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Fetch per-cell vote statistics
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {number} cellSize - Cell size in meters
+ * @param {string} shape - 'square' or 'hexagon'
+ * @param {Array|null} categories - Category ids to include, or null for all votes
+ * @param {boolean} includeFlagged - Include votes flagged by the anti-spam rules
+ * @returns {Promise<Object>} Result object with cells array
+ */
+export async function fetchGridAggregates(bounds, cellSize, shape = 'square', categories = null, includeFlagged = false) {
+  try {
+    const params = new URLSearchParams({
+      bbox: [bounds.west, bounds.south, bounds.east, bounds.north].join(','),
+      cell_size: String(cellSize),
+      shape
+    })
+    if (categories) {
+      params.set('categories', categories.join(','))
+    }
+    if (includeFlagged) {
+      params.set('include_flagged', 'true')
+    }
+
+    const data = await request(`/votes/grid?${params}`)
+    return { success: true, cells: (Array.isArray(data) ? data : []).map(gridRowToCell) }
+  } catch (error) {
+    console.error('[RestService] Fetch grid aggregates error:', error)
+    return { success: false, error: error.message, cells: null }
+  }
+}
+
+/**
+ * Get vote count
+ * @returns {Promise<number>} Number of votes
+ */
+export async function getVoteCount() {
+  try {
+    const data = await request('/votes/count')
+    return data?.count || 0
+  } catch (error) {
+    console.error('[RestService] Get count error:', error)
+    return 0
+  }
+}
+
+/**
+ * Test REST API connection
+ * @returns {Promise<boolean>} True if connection works
+ */
+export async function testConnection() {
+  try {
+    await request('/votes/count')
+    console.log('[RestService] Connection test passed')
+    return true
+  } catch (error) {
+    console.error('[RestService] Connection test error:', error)
+    return false
+  }
+}
+
+/**
+ * Poll for new votes to emulate a realtime subscription
+ * Only new votes are seen; edits and deletions show up on the next reload.
+ * @param {Function} onVote - Called with a GeoJSON feature for each new vote
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToVotes(onVote) {
+  let since = new Date().toISOString()
+
+  const poll = async () => {
+    const result = await fetchVotesSince(since)
+    if (!result.success || result.votes.features.length === 0) {
+      return
+    }
+
+    since = getLatestCreatedAt(result.votes) || since
+    // Deliver oldest first so callers prepend in the right order
+    result.votes.features.slice().reverse().forEach(onVote)
+  }
+
+  const timer = setInterval(poll, POLL_INTERVAL_MS)
+  return () => clearInterval(timer)
+}
+
+/**
+ * REST storage provider
+ * Implements the storage provider interface consumed by services/storage.js
+ */
+export const restProvider = {
+  name: 'rest',
+  label: 'REST API',
+  isConfigured: isRestConfigured,
+  getConfigStatus: getRestConfigStatus,
+  testConnection,
+  fetchAllVotes,
+  fetchVotesSince,
+  fetchVotesPage,
+  fetchGridAggregates,
+  fetchUserVotes,
+  submitVote,
+  updateVote,
+  deleteVote,
+  fetchModerationVotes,
+  moderateVotes,
+  reportVote,
+  fetchModerationLog,
+  getVoteCount,
+  subscribeToVotes
+}
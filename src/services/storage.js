@@ -0,0 +1,433 @@
+/**
+ * Storage Service Module
+ * Selects the configured storage provider and exposes a single vote API
+ *
+ * Every provider implements the same interface:
+ *   name, label, isConfigured(), getConfigStatus(), testConnection(),
+ *   fetchAllVotes(), fetchVotesSince(since), fetchVotesPage(bounds, cursor, pageSize),
+ *   fetchGridAggregates(bounds, cellSize, shape, categories, includeFlagged), fetchUserVotes(userId),
+ *   submitVote(userName, score, lng, lat, options), updateVote(id, changes, userId),
+ *   deleteVote(id, userId), fetchModerationVotes(filters, moderator),
+ *   moderateVotes(ids, status, reason, moderator), reportVote(id, reason, options),
+ *   fetchModerationLog(limit, moderator), getVoteCount()
+ *
+ * Photos are uploaded here, before the provider is called, so providers
+ * only ever receive photo references (see services/photos.js).
+ *
+ * submitVote resolves with { success, vote, feature } where feature is the
+ * stored vote as GeoJSON, so callers append it instead of refetching. A
+ * failed submit with a client-supplied options.id that already exists
+ * resolves with { success: false, conflict: true }.
+ *
+ * A signed-in user has one vote per place: providers delete the user's
+ * votes within the replace radius when storing a new one, and submitVote
+ * reports their ids as `replaced`. Votes hidden by a moderator are never
+ * replaced. Providers whose backend sets the radius implement
+ * fetchReplaceRadius(); the others use config/voting.js. Only the owner of
+ * a vote can update or delete it.
+ *
+ * Votes hidden by a moderator (status 'hidden', see config/moderation.js)
+ * are left out of every query except fetchModerationVotes and fetchUserVotes.
+ *
+ * Providers may also implement subscribeToVotes(onVote, onChange) for live
+ * updates. onVote receives each new vote as a GeoJSON feature; onChange
+ * receives { type: 'update', id, feature } for edited, hidden or restored
+ * votes, { type: 'hide', id } for hidden votes whose row the provider cannot
+ * send, and { type: 'delete', id } for withdrawn or replaced ones.
+ *
+ * When the selected provider is not configured the built-in mock provider
+ * is used instead in the dev server (unless VITE_MOCK_FALLBACK is "false"),
+ * and in other builds only when VITE_MOCK_FALLBACK is "true". A production
+ * build with missing credentials therefore asks for configuration instead
+ * of serving seeded votes.
+ */
+
+import { supabaseProvider } from './supabase'
+import { indexedDbProvider } from './indexedDb'
+import { restProvider } from './rest'
+import { mockProvider } from './mock'
+import { generateId } from './indexedDb'
+import { uploadVotePhotos } from './photos'
+import { sanitizeComment, parseTags } from '../utils/text'
+import { findReplacedVotes, getReplaceRadius } from '../config/voting'
+import { VOTE_STATUS } from '../config/moderation'
+
+// Environment variable keys
+const STORAGE_PROVIDER_KEY = 'VITE_STORAGE_PROVIDER'
+const MOCK_FALLBACK_KEY = 'VITE_MOCK_FALLBACK'
+
+// Default provider when none is configured
+const DEFAULT_PROVIDER = 'supabase'
+
+// Viewport pagination defaults (Supabase caps responses at 1000 rows)
+const DEFAULT_PAGE_SIZE = 1000
+const DEFAULT_MAX_PAGES = 100
+
+// Registered providers by name
+const PROVIDERS = {
+  [supabaseProvider.name]: supabaseProvider,
+  [indexedDbProvider.name]: indexedDbProvider,
+  [restProvider.name]: restProvider,
+  [mockProvider.name]: mockProvider
+}
+
+/**
+ * Get the configured provider name from environment variables
+ * @returns {string} Provider name
+ */
+export function getStorageProviderName() {
+  const name = (import.meta.env?.[STORAGE_PROVIDER_KEY] || DEFAULT_PROVIDER).toLowerCase()
+
+  if (!PROVIDERS[name]) {
+    console.warn(`[StorageService] Unknown storage provider "${name}", using ${DEFAULT_PROVIDER}`)
+    return DEFAULT_PROVIDER
+  }
+
+  return name
+}
+
+/**
+ * Check if falling back to the mock provider is allowed
+ * @returns {boolean} True in the dev server unless disabled, elsewhere only when enabled
+ */
+export function isMockFallbackEnabled() {
+  const setting = import.meta.env?.[MOCK_FALLBACK_KEY]
+  return setting === 'true' || (!!import.meta.env?.DEV && setting !== 'false')
+}
+
+/**
+ * Get the active storage provider
+ * Falls back to the mock provider when the selected one is not configured
+ * @returns {Object} Storage provider implementation
+ */
+export function getStorageProvider() {
+  const provider = PROVIDERS[getStorageProviderName()]
+
+  if (!provider.isConfigured() && isMockFallbackEnabled()) {
+    return mockProvider
+  }
+
+  return provider
+}
+
+/**
+ * Check if the app is running against the mock provider
+ * @returns {boolean} True in demo mode
+ */
+export function isMockMode() {
+  return getStorageProvider() === mockProvider
+}
+
+/**
+ * Check if the active storage provider is configured
+ * @returns {boolean} True if the provider can be used
+ */
+export function isStorageConfigured() {
+  return getStorageProvider().isConfigured()
+}
+
+/**
+ * Get the active storage provider configuration status
+ * @returns {Object} Configuration status including provider name
+ */
+export function getStorageConfigStatus() {
+  const selectedName = getStorageProviderName()
+  const provider = getStorageProvider()
+
+  return {
+    provider: provider.name,
+    label: provider.label,
+    fallbackFrom: provider.name !== selectedName ? selectedName : null,
+    ...provider.getConfigStatus()
+  }
+}
+
+/**
+ * Test the active storage provider connection
+ * @returns {Promise<boolean>} True if connection works
+ */
+export function testConnection() {
+  return getStorageProvider().testConnection()
+}
+
+/**
+ * Fetch all votes from the active storage provider
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export function fetchAllVotes() {
+  return getStorageProvider().fetchAllVotes()
+}
+
+/**
+ * Fetch votes newer than a timestamp from the active storage provider
+ * Without a timestamp the result is empty; votes are loaded per viewport
+ * (fetchVotesInBounds), never as a whole table.
+ * @param {string} since - ISO timestamp of the newest vote already held
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export function fetchVotesSince(since) {
+  return getStorageProvider().fetchVotesSince(since)
+}
+
+/**
+ * Fetch every vote inside a bounding box, following keyset pages
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {Object} options - Paging options
+ * @param {number} options.pageSize - Votes per request
+ * @param {number} options.maxPages - Safety limit on the number of requests
+ * @param {Function} options.isCancelled - Returns true to stop paging early
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchVotesInBounds(bounds, {
+  pageSize = DEFAULT_PAGE_SIZE,
+  maxPages = DEFAULT_MAX_PAGES,
+  isCancelled = () => false
+} = {}) {
+  const provider = getStorageProvider()
+  const features = []
+  let cursor = null
+
+  for (let page = 0; page < maxPages; page++) {
+    const result = await provider.fetchVotesPage(bounds, cursor, pageSize)
+    if (!result.success) {
+      return result
+    }
+
+    const pageFeatures = result.votes.features || []
+    features.push(...pageFeatures)
+
+    if (pageFeatures.length < pageSize || isCancelled()) {
+      break
+    }
+
+    const last = pageFeatures[pageFeatures.length - 1].properties
+    cursor = { created_at: last.created_at, id: last.id }
+  }
+
+  console.log('[StorageService] Fetched', features.length, 'votes in bounds')
+  return { success: true, votes: { type: 'FeatureCollection', features } }
+}
+
+/**
+ * Fetch per-cell vote statistics from the active storage provider
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {number} cellSize - Cell size in meters
+ * @param {string} shape - 'square' or 'hexagon'
+ * @param {Array|null} categories - Category ids to include, or null for all votes
+ * @param {boolean} includeFlagged - Include votes flagged by the anti-spam rules
+ * @returns {Promise<Object>} Result object with cells array
+ */
+export function fetchGridAggregates(bounds, cellSize, shape, categories = null, includeFlagged = false) {
+  return getStorageProvider().fetchGridAggregates(bounds, cellSize, shape, categories, includeFlagged)
+}
+
+/**
+ * Fetch all votes cast by one signed-in user
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export function fetchUserVotes(userId) {
+  return getStorageProvider().fetchUserVotes(userId)
+}
+
+/**
+ * Submit a new vote to the active storage provider
+ * @param {string} userName - User's name
+ * @param {number} score - Favorability score (0-5)
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} options - Optional vote fields
+ * @param {string} options.id - Client-generated id, makes retries idempotent
+ * @param {string} options.category - Vote category id (defaults to 'general')
+ * @param {Object} options.ratings - Ratings by criterion id (0-5), if rated by criteria
+ * @param {string} options.comment - Free-text comment, sanitized before storing
+ * @param {string|Array} options.tags - Tags, normalized before storing
+ * @param {Array} options.photos - Prepared photos { blob, thumb, width, height }, uploaded first
+ * @param {string} options.userId - Id of the signed-in user, if any
+ * @param {string} options.clientId - Browser client id, for rate limits
+ * @param {string} options.powStamp - Solved proof-of-work stamp
+ * @param {Array} options.flags - Flags raised by the form (only 'honeypot' is kept)
+ * @returns {Promise<Object>} Result object ({ conflict: true } if the id already exists),
+ *   with `replaced` listing the ids of the user's votes this one replaced
+ */
+export async function submitVote(userName, score, lng, lat, options = {}) {
+  // Photo paths are keyed by vote id, so a vote with photos needs its id up front
+  const id = options.id || (options.photos?.length ? generateId() : undefined)
+  let photos = []
+
+  if (options.photos?.length) {
+    const upload = await uploadVotePhotos(id, options.photos)
+    if (!upload.success) {
+      return { success: false, error: upload.error }
+    }
+    photos = upload.photos
+  }
+
+  // Look up what the provider is about to replace, so callers can drop it from the map
+  const replaced = options.userId ? await findOwnVotesNear(options.userId, lng, lat, id) : []
+
+  const result = await getStorageProvider().submitVote(userName, score, lng, lat, {
+    ...options,
+    ...(id ? { id } : {}),
+    comment: sanitizeComment(options.comment),
+    tags: parseTags(options.tags),
+    photos
+  })
+
+  return result.success ? { ...result, replaced } : result
+}
+
+// Replace radius of the provider it was read from
+let replaceRadius = null
+
+/**
+ * Get the replace radius of the active provider
+ * Read once from the backend when the provider sets it, so the map drops
+ * the same votes the backend deletes; otherwise, or when the backend cannot
+ * be reached, from config/voting.js.
+ * @returns {Promise<number>} Radius in meters
+ */
+export async function getVoteReplaceRadius() {
+  const provider = getStorageProvider()
+  if (replaceRadius?.provider === provider) {
+    return replaceRadius.radius
+  }
+
+  if (provider.fetchReplaceRadius) {
+    const result = await provider.fetchReplaceRadius()
+    if (result.success && Number.isFinite(result.radius)) {
+      replaceRadius = { provider, radius: result.radius }
+      return result.radius
+    }
+    console.warn('[StorageService] Could not read the replace radius, using the configured one')
+    return getReplaceRadius()
+  }
+
+  replaceRadius = { provider, radius: getReplaceRadius() }
+  return replaceRadius.radius
+}
+
+/**
+ * Find a user's votes within the replace radius of a location
+ * @param {string} userId - User id
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {string} excludeId - Id of the vote being submitted
+ * @returns {Promise<Array>} Vote ids
+ */
+async function findOwnVotesNear(userId, lng, lat, excludeId) {
+  const result = await fetchUserVotes(userId)
+  if (!result.success) {
+    return []
+  }
+
+  // Hidden votes survive replacement, like in the votes_replace_nearby trigger
+  const ownVotes = result.votes.features
+    .filter(feature => feature.properties.id !== excludeId && feature.properties.status !== VOTE_STATUS.HIDDEN)
+    .map(feature => ({
+      id: feature.properties.id,
+      lng: feature.geometry.coordinates[0],
+      lat: feature.geometry.coordinates[1]
+    }))
+
+  return findReplacedVotes(ownVotes, lng, lat, await getVoteReplaceRadius()).map(vote => vote.id)
+}
+
+/**
+ * Update a vote owned by the signed-in user
+ * @param {string} id - Vote id
+ * @param {Object} changes - Fields to change: score, category, ratings, comment, tags
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Object>} Result object with the updated vote and feature
+ */
+export function updateVote(id, changes, userId) {
+  const clean = { ...changes }
+  if ('comment' in clean) {
+    clean.comment = sanitizeComment(clean.comment)
+  }
+  if ('tags' in clean) {
+    clean.tags = parseTags(clean.tags)
+  }
+
+  return getStorageProvider().updateVote(id, clean, userId)
+}
+
+/**
+ * Withdraw (delete) a vote owned by the signed-in user
+ * @param {string} id - Vote id
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Object>} Result object
+ */
+export function deleteVote(id, userId) {
+  return getStorageProvider().deleteVote(id, userId)
+}
+
+/**
+ * Fetch votes for the moderation dashboard, hidden ones included
+ * @param {Object} filters - { since, until, minScore, maxScore, user, flagFilter, status, bounds }
+ * @param {Object} moderator - Signed-in moderator
+ * @returns {Promise<Object>} Result object with votes GeoJSON; features carry
+ *   report_count and report_reasons of their open reports
+ */
+export function fetchModerationVotes(filters, moderator) {
+  return getStorageProvider().fetchModerationVotes(filters, moderator)
+}
+
+/**
+ * Hide or restore votes; every change is written to the audit log and the
+ * votes' open reports are resolved
+ * @param {Array} ids - Vote ids
+ * @param {string} status - New status ('visible' or 'hidden')
+ * @param {string} reason - Optional note for the audit log
+ * @param {Object} moderator - Signed-in moderator
+ * @returns {Promise<Object>} Result object with the number of changed votes
+ */
+export function moderateVotes(ids, status, reason, moderator) {
+  return getStorageProvider().moderateVotes(ids, status, sanitizeComment(reason), moderator)
+}
+
+/**
+ * Report a vote to the moderators
+ * @param {string} id - Vote id
+ * @param {string} reason - Report reason id (see REPORT_REASONS)
+ * @param {Object} options - { userId, clientId }
+ * @returns {Promise<Object>} Result object
+ */
+export function reportVote(id, reason, options = {}) {
+  return getStorageProvider().reportVote(id, reason, options)
+}
+
+/**
+ * Fetch the latest moderator actions
+ * @param {number} limit - Maximum number of entries
+ * @param {Object} moderator - Signed-in moderator
+ * @returns {Promise<Object>} Result object with entries, newest first
+ */
+export function fetchModerationLog(limit, moderator) {
+  return getStorageProvider().fetchModerationLog(limit, moderator)
+}
+
+/**
+ * Get vote count from the active storage provider
+ * @returns {Promise<number>} Number of visible votes
+ */
+export function getVoteCount() {
+  return getStorageProvider().getVoteCount()
+}
+
+/**
+ * Subscribe to new and changed votes from the active storage provider
+ * @param {Function} onVote - Called with a GeoJSON feature for each new vote
+ * @param {Function} onChange - Called with { type: 'update', id, feature }, { type: 'hide', id } or { type: 'delete', id }
+ * @returns {Function|null} Unsubscribe function, or null if unsupported
+ */
+export function subscribeToVotes(onVote, onChange) {
+  const provider = getStorageProvider()
+
+  if (!provider.subscribeToVotes) {
+    console.warn(`[StorageService] ${provider.label} does not support live updates`)
+    return null
+  }
+
+  return provider.subscribeToVotes(onVote, onChange)
+}
@@ -4,11 +4,26 @@
  */
 
 import { createClient } from '@supabase/supabase-js'
+import { votesToGeoJSON, voteToFeature } from '../utils/geojson'
+import { gridRowToCell } from '../utils/grid'
+import { DEFAULT_CATEGORY } from '../config/categories'
+import { VOTE_STATUS } from '../config/moderation'
+
+export { votesToGeoJSON }
 
 // Environment variable keys
 const SUPABASE_URL_KEY = 'VITE_SUPABASE_URL'
 const SUPABASE_ANON_KEY = 'VITE_SUPABASE_ANON_KEY'
 
+// Columns selected for every vote query
+const VOTE_COLUMNS = 'id, user_id, user_name, score, category, ratings, comment, tags, photos, flags, status, geom, created_at'
+
+// Rows per delta sync request; Supabase caps responses at 1000 rows
+const DELTA_PAGE_SIZE = 1000
+
+// Storage bucket holding vote photos (see sql/schema.sql)
+const PHOTO_BUCKET = 'vote-photos'
+
 // Supabase client
 let supabaseClient = null
 
@@ -93,9 +108,20 @@ function getClient() {
  * @param {number} score - Favorability score (0-5)
  * @param {number} lng - Longitude
  * @param {number} lat - Latitude
- * @returns {Promise<Object>} Result object
+ * @param {Object} options - Optional vote fields
+ * @param {string} options.id - Client-generated id, makes retries idempotent
+ * @param {string} options.category - Vote category id (defaults to 'general')
+ * @param {Object} options.ratings - Ratings by criterion id (0-5), if rated by criteria
+ * @param {string} options.comment - Free-text comment (sanitized)
+ * @param {Array} options.tags - Normalized tags
+ * @param {Array} options.photos - Uploaded photo references { path, thumb_path, width, height }
+ * @param {string} options.userId - Id of the signed-in user (checked against auth.uid() by RLS)
+ * @param {string} options.clientId - Browser client id, for the rate limits in check_vote_abuse
+ * @param {string} options.powStamp - Solved proof-of-work stamp, verified by check_vote_abuse
+ * @param {Array} options.flags - Flags raised by the form (only 'honeypot' is kept)
+ * @returns {Promise<Object>} Result object ({ conflict: true } if the id already exists)
  */
-export async function submitVote(userName, score, lng, lat) {
+export async function submitVote(userName, score, lng, lat, options = {}) {
   console.log('[SupabaseService] Submitting vote:', { userName, score, lng, lat })
 
   try {
@@ -108,30 +134,36 @@ export async function submitVote(userName, score, lng, lat) {
     const { data, error } = await client
       .from('votes')
       .insert({
+        ...(options.id ? { id: options.id } : {}),
+        user_id: options.userId || null,
         user_name: userName,
         score: score,
+        category: options.category || DEFAULT_CATEGORY,
+        ratings: options.ratings || null,
+        comment: options.comment || null,
+        tags: options.tags || [],
+        photos: options.photos || [],
+        client_id: options.clientId || null,
+        pow_stamp: options.powStamp || null,
+        flags: options.flags || [],
         geom: geom
       })
-      .select()
+      .select(VOTE_COLUMNS)
       .single()
 
     if (error) {
       console.error('[SupabaseService] Insert error:', error)
-      return { success: false, error: error.message }
+      // 23505 = unique_violation: a vote with this id was already stored
+      return { success: false, error: error.message, conflict: error.code === '23505' }
     }
 
     console.log('[SupabaseService] Vote inserted:', data)
 
-    // Fetch all votes for hotspot update
-    const votesResult = await fetchAllVotes()
-    if (!votesResult.success) {
-      console.warn('[SupabaseService] Failed to fetch updated votes:', votesResult.error)
-    }
-
+    // Return the stored row as a feature so callers can append it locally
     return {
       success: true,
       vote: data,
-      votes: votesResult.votes
+      feature: voteToFeature(data)
     }
   } catch (error) {
     console.error('[SupabaseService] Submit vote error:', error)
@@ -149,10 +181,12 @@ export async function fetchAllVotes() {
   try {
     const client = getClient()
 
-    // Fetch all votes ordered by creation date
+    // Fetch all votes ordered by creation date; RLS lets moderators and
+    // owners read hidden votes, so filter on the status explicitly
     const { data, error } = await client
       .from('votes')
-      .select('id, user_name, score, geom, created_at')
+      .select(VOTE_COLUMNS)
+      .eq('status', VOTE_STATUS.VISIBLE)
       .order('created_at', { ascending: false })
 
     if (error) {
@@ -172,67 +206,384 @@ export async function fetchAllVotes() {
 }
 
 /**
- * Convert votes data to GeoJSON format
- * @param {Array} votes - Array of vote objects from Supabase
- * @returns {Object} GeoJSON FeatureCollection
+ * Fetch votes created after a given timestamp (delta sync)
+ * Pages oldest first until a page comes back short, so no vote between
+ * since and now is skipped however many arrived; the result is newest first.
+ * Without since there is nothing to catch up on and the result is empty.
+ * @param {string} since - ISO timestamp of the newest vote already held
+ * @returns {Promise<Object>} Result object with votes GeoJSON
  */
-export function votesToGeoJSON(votes) {
-  if (!votes || !Array.isArray(votes)) {
-    return {
-      type: 'FeatureCollection',
-      features: []
-    }
+export async function fetchVotesSince(since) {
+  if (!since) {
+    return { success: true, votes: votesToGeoJSON([]) }
   }
 
-  const features = votes.map(vote => {
-    // Parse geometry to [lng, lat]
-    let coordinates = null
-
-    // DEBUG: Log geom format to diagnose the issue
-    console.log('[SupabaseService] vote.geom:', vote.geom, 'type:', typeof vote.geom)
-
-    if (vote.geom) {
-      if (typeof vote.geom === 'string') {
-        // WKT format: "SRID=4326;POINT(51.389 35.6892)"
-        const match = vote.geom.match(/POINT\(([^)]+)\)/)
-        if (match) {
-          const coords = match[1].split(' ').map(Number)
-          if (coords.length === 2) {
-            coordinates = [coords[0], coords[1]]
-          }
-        }
-      } else if (typeof vote.geom === 'object') {
-        // PostGIS JSON format: {"type":"Point","coordinates":[51.389,35.6892],...}
-        if (vote.geom.coordinates && Array.isArray(vote.geom.coordinates)) {
-          coordinates = vote.geom.coordinates
-        }
+  try {
+    const client = getClient()
+    const rows = []
+
+    for (let from = 0; ; from += DELTA_PAGE_SIZE) {
+      const { data, error } = await client
+        .from('votes')
+        .select(VOTE_COLUMNS)
+        .eq('status', VOTE_STATUS.VISIBLE)
+        .gt('created_at', since)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + DELTA_PAGE_SIZE - 1)
+
+      if (error) {
+        console.error('[SupabaseService] Delta fetch error:', error)
+        return { success: false, error: error.message, votes: null }
       }
+
+      rows.push(...(data || []))
+      if (!data || data.length < DELTA_PAGE_SIZE) break
     }
 
-    return {
-      type: 'Feature',
-      properties: {
-        id: vote.id,
-        user_name: vote.user_name,
-        score: vote.score,
-        created_at: vote.created_at
-      },
-      geometry: {
-        type: 'Point',
-        coordinates: coordinates || [0, 0]
-      }
+    rows.reverse()
+
+    console.log('[SupabaseService] Fetched', rows.length, 'votes since', since)
+    return { success: true, votes: votesToGeoJSON(rows) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch votes since error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Fetch one page of votes inside a bounding box via the votes_in_bbox RPC
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {Object|null} cursor - { created_at, id } of the last vote of the previous page
+ * @param {number} pageSize - Maximum number of votes to return
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchVotesPage(bounds, cursor, pageSize) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client.rpc('votes_in_bbox', {
+      min_lng: bounds.west,
+      min_lat: bounds.south,
+      max_lng: bounds.east,
+      max_lat: bounds.north,
+      after_created_at: cursor?.created_at ?? null,
+      after_id: cursor?.id ?? null,
+      page_size: pageSize
+    })
+
+    if (error) {
+      console.error('[SupabaseService] Bbox fetch error:', error)
+      return { success: false, error: error.message, votes: null }
     }
-  })
 
-  return {
-    type: 'FeatureCollection',
-    features: features
+    return { success: true, votes: data || votesToGeoJSON([]) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch votes page error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Fetch per-cell vote statistics via the vote_grid_aggregates RPC
+ * @param {Object} bounds - { west, south, east, north } in degrees
+ * @param {number} cellSize - Cell size in meters
+ * @param {string} shape - 'square' or 'hexagon'
+ * @param {Array|null} categories - Category ids to include, or null for all votes
+ * @param {boolean} includeFlagged - Include votes flagged by the anti-spam rules
+ * @returns {Promise<Object>} Result object with cells array
+ */
+export async function fetchGridAggregates(bounds, cellSize, shape = 'square', categories = null, includeFlagged = false) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client.rpc('vote_grid_aggregates', {
+      cell_size: cellSize,
+      min_lng: bounds.west,
+      min_lat: bounds.south,
+      max_lng: bounds.east,
+      max_lat: bounds.north,
+      grid_shape: shape,
+      categories,
+      include_flagged: includeFlagged
+    })
+
+    if (error) {
+      console.error('[SupabaseService] Grid aggregation error:', error)
+      return { success: false, error: error.message, cells: null }
+    }
+
+    console.log('[SupabaseService] Fetched', data?.length || 0, 'grid cells')
+    return { success: true, cells: (data || []).map(gridRowToCell) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch grid aggregates error:', error)
+    return { success: false, error: error.message, cells: null }
+  }
+}
+
+/**
+ * Update a vote owned by the signed-in user
+ * RLS hides other users' votes from the update, so no row means not allowed.
+ * @param {string} id - Vote id
+ * @param {Object} changes - Fields to change: score, category, ratings, comment, tags
+ * @returns {Promise<Object>} Result object with the updated vote and feature
+ */
+export async function updateVote(id, changes) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client
+      .from('votes')
+      .update(changes)
+      .eq('id', id)
+      .select(VOTE_COLUMNS)
+      .maybeSingle()
+
+    if (error) {
+      console.error('[SupabaseService] Update error:', error)
+      return { success: false, error: error.message }
+    }
+
+    if (!data) {
+      return { success: false, error: 'You can only edit your own votes' }
+    }
+
+    return { success: true, vote: data, feature: voteToFeature(data) }
+  } catch (error) {
+    console.error('[SupabaseService] Update vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Withdraw (delete) a vote owned by the signed-in user
+ * @param {string} id - Vote id
+ * @returns {Promise<Object>} Result object
+ */
+export async function deleteVote(id) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client
+      .from('votes')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) {
+      console.error('[SupabaseService] Delete error:', error)
+      return { success: false, error: error.message }
+    }
+
+    if (!data?.length) {
+      return { success: false, error: 'You can only withdraw your own votes' }
+    }
+
+    return { success: true }
+  } catch (error) {
+    console.error('[SupabaseService] Delete vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Fetch all votes cast by one user, newest first
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Result object with votes GeoJSON
+ */
+export async function fetchUserVotes(userId) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client
+      .from('votes')
+      .select(VOTE_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('[SupabaseService] Fetch user votes error:', error)
+      return { success: false, error: error.message, votes: null }
+    }
+
+    return { success: true, votes: votesToGeoJSON(data) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch user votes error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Upload a photo file to Supabase Storage
+ * Uploads never overwrite (the bucket has no UPDATE policy). A file that
+ * already exists was uploaded by an earlier attempt at the same vote, whose
+ * id is not public yet, so retrying a queued vote counts it as uploaded.
+ * @param {string} path - Object path inside the vote-photos bucket
+ * @param {Blob} blob - File contents
+ * @returns {Promise<Object>} Result object
+ */
+export async function uploadPhoto(path, blob) {
+  try {
+    const client = getClient()
+
+    const { error } = await client.storage
+      .from(PHOTO_BUCKET)
+      .upload(path, blob, { contentType: blob.type, upsert: false })
+
+    if (error?.statusCode === '409' || error?.status === 409) {
+      console.log('[SupabaseService] Photo already uploaded:', path)
+      return { success: true }
+    }
+    if (error) {
+      console.error('[SupabaseService] Photo upload error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true }
+  } catch (error) {
+    console.error('[SupabaseService] Upload photo error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Get the public URL of a stored photo
+ * @param {string} path - Object path inside the vote-photos bucket
+ * @returns {string} Public URL
+ */
+export function getPhotoUrl(path) {
+  return `${getSupabaseUrl()}/storage/v1/object/public/${PHOTO_BUCKET}/${path}`
+}
+
+/**
+ * Fetch votes for the moderation dashboard via the moderation_votes RPC
+ * The function checks that the caller is a moderator.
+ * @param {Object} filters - { since, until, minScore, maxScore, user, flagFilter, status, bounds }
+ * @returns {Promise<Object>} Result object with votes GeoJSON (features carry report_count and report_reasons)
+ */
+export async function fetchModerationVotes(filters = {}) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client.rpc('moderation_votes', {
+      since: filters.since || null,
+      until: filters.until || null,
+      min_score: filters.minScore ?? null,
+      max_score: filters.maxScore ?? null,
+      user_query: filters.user || null,
+      flag_filter: filters.flagFilter || 'all',
+      status_filter: filters.status || 'all',
+      min_lng: filters.bounds?.west ?? null,
+      min_lat: filters.bounds?.south ?? null,
+      max_lng: filters.bounds?.east ?? null,
+      max_lat: filters.bounds?.north ?? null
+    })
+
+    if (error) {
+      console.error('[SupabaseService] Moderation fetch error:', error)
+      return { success: false, error: error.message, votes: null }
+    }
+
+    return { success: true, votes: data || votesToGeoJSON([]) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch moderation votes error:', error)
+    return { success: false, error: error.message, votes: null }
+  }
+}
+
+/**
+ * Hide or restore votes via the moderate_votes RPC, which logs each change
+ * and resolves the votes' reports
+ * @param {Array} ids - Vote ids
+ * @param {string} status - New status ('visible' or 'hidden')
+ * @param {string} reason - Optional note for the audit log
+ * @returns {Promise<Object>} Result object with the number of changed votes
+ */
+export async function moderateVotes(ids, status, reason) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client.rpc('moderate_votes', {
+      vote_ids: ids,
+      new_status: status,
+      reason: reason || null
+    })
+
+    if (error) {
+      console.error('[SupabaseService] Moderation error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, changed: data || 0 }
+  } catch (error) {
+    console.error('[SupabaseService] Moderate votes error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Report a vote to the moderators
+ * @param {string} id - Vote id
+ * @param {string} reason - Report reason id
+ * @param {Object} options - { userId, clientId }
+ * @returns {Promise<Object>} Result object
+ */
+export async function reportVote(id, reason, options = {}) {
+  try {
+    const client = getClient()
+
+    const { error } = await client
+      .from('vote_reports')
+      .insert({
+        vote_id: id,
+        reason,
+        reporter_id: options.userId || null,
+        client_id: options.clientId || null
+      })
+
+    // 23505 = unique_violation: this user, IP or browser already reported the vote
+    if (error && error.code !== '23505') {
+      console.error('[SupabaseService] Report error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true }
+  } catch (error) {
+    console.error('[SupabaseService] Report vote error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Fetch the latest moderator actions (readable by moderators only)
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Object>} Result object with entries, newest first
+ */
+export async function fetchModerationLog(limit = 100) {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client
+      .from('moderation_log')
+      .select('id, vote_id, moderator_id, moderator_name, action, reason, created_at')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      console.error('[SupabaseService] Moderation log error:', error)
+      return { success: false, error: error.message, entries: null }
+    }
+
+    return { success: true, entries: data || [] }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch moderation log error:', error)
+    return { success: false, error: error.message, entries: null }
   }
 }
 
 /**
  * Get vote count
- * @returns {Promise<number>} Number of votes
+ * @returns {Promise<number>} Number of visible votes
  */
 export async function getVoteCount() {
   try {
@@ -241,6 +592,7 @@ export async function getVoteCount() {
     const { count, error } = await client
       .from('votes')
       .select('*', { count: 'exact', head: true })
+      .eq('status', VOTE_STATUS.VISIBLE)
 
     if (error) {
       console.error('[SupabaseService] Count error:', error)
@@ -254,6 +606,28 @@ export async function getVoteCount() {
   }
 }
 
+/**
+ * Get the replace radius set in the database (vote_replace_radius() in sql/schema.sql)
+ * @returns {Promise<Object>} Result object with the radius in meters
+ */
+export async function fetchReplaceRadius() {
+  try {
+    const client = getClient()
+
+    const { data, error } = await client.rpc('vote_replace_radius')
+
+    if (error) {
+      console.error('[SupabaseService] Replace radius error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, radius: Number(data) }
+  } catch (error) {
+    console.error('[SupabaseService] Fetch replace radius error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Test Supabase connection
  * @returns {Promise<boolean>} True if connection works
@@ -280,3 +654,252 @@ export async function testConnection() {
     return false
   }
 }
+
+/**
+ * Subscribe to new, changed and deleted votes via Supabase Realtime
+ * Requires votes and vote_hides to be part of the supabase_realtime
+ * publication. Realtime checks the SELECT policy on updated rows, so other
+ * clients never see a vote being hidden; moderate_votes() records hides in
+ * vote_hides, which everyone can read, instead.
+ * @param {Function} onVote - Called with a GeoJSON feature for each new vote
+ * @param {Function} onChange - Called with { type: 'update', id, feature }, { type: 'hide', id } or { type: 'delete', id }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToVotes(onVote, onChange = () => {}) {
+  const client = getClient()
+
+  const channel = client
+    .channel('votes-changes')
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'votes' },
+      (payload) => {
+        console.log('[SupabaseService] Realtime vote received:', payload.new?.id)
+        onVote(voteToFeature(payload.new))
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: 'UPDATE', schema: 'public', table: 'votes' },
+      (payload) => {
+        onChange({ type: 'update', id: payload.new.id, feature: voteToFeature(payload.new) })
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: 'DELETE', schema: 'public', table: 'votes' },
+      (payload) => {
+        onChange({ type: 'delete', id: payload.old.id })
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'vote_hides' },
+      (payload) => {
+        onChange({ type: 'hide', id: payload.new.vote_id })
+      }
+    )
+    .subscribe((status) => {
+      console.log('[SupabaseService] Realtime channel status:', status)
+    })
+
+  return () => {
+    client.removeChannel(channel)
+  }
+}
+
+/**
+ * Convert a Supabase session to an app user, loading the profile name
+ * @param {Object|null} session - Supabase auth session
+ * @returns {Promise<Object|null>} User { id, email, displayName, isModerator } or null
+ */
+async function sessionToUser(session) {
+  if (!session?.user) {
+    return null
+  }
+
+  const client = getClient()
+  const [profile, moderator] = await Promise.all([
+    client.from('profiles').select('display_name').eq('id', session.user.id).maybeSingle(),
+    client.rpc('is_moderator')
+  ])
+
+  if (profile.error) {
+    console.error('[SupabaseService] Profile fetch error:', profile.error)
+  }
+  if (moderator.error) {
+    console.error('[SupabaseService] Moderator check error:', moderator.error)
+  }
+
+  return {
+    id: session.user.id,
+    email: session.user.email,
+    displayName: profile.data?.display_name || null,
+    isModerator: moderator.data === true
+  }
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} User { id, email, displayName, isModerator } or null
+ */
+export async function getCurrentUser() {
+  try {
+    const { data, error } = await getClient().auth.getSession()
+    if (error) {
+      throw error
+    }
+    return await sessionToUser(data.session)
+  } catch (error) {
+    console.error('[SupabaseService] Get session error:', error)
+    return null
+  }
+}
+
+/**
+ * Email a magic link and one-time code
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} Result object
+ */
+export async function sendSignInCode(email) {
+  try {
+    const { error } = await getClient().auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: window.location.origin }
+    })
+
+    if (error) {
+      console.error('[SupabaseService] Sign-in email error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true }
+  } catch (error) {
+    console.error('[SupabaseService] Sign-in email error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Sign in with the one-time code from the email
+ * Following the magic link signs in without this step.
+ * @param {string} email - Email address
+ * @param {string} code - One-time code
+ * @returns {Promise<Object>} Result object with user
+ */
+export async function verifySignInCode(email, code) {
+  try {
+    const { data, error } = await getClient().auth.verifyOtp({ email, token: code, type: 'email' })
+
+    if (error) {
+      console.error('[SupabaseService] Verify code error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, user: await sessionToUser(data.session) }
+  } catch (error) {
+    console.error('[SupabaseService] Verify code error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Sign out the current user
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  const { error } = await getClient().auth.signOut()
+  if (error) {
+    console.error('[SupabaseService] Sign out error:', error)
+  }
+}
+
+/**
+ * Set the display name of the signed-in user
+ * @param {Object} user - Signed-in user
+ * @param {string} displayName - New display name
+ * @returns {Promise<Object>} Result object with updated user
+ */
+export async function updateDisplayName(user, displayName) {
+  try {
+    const { error } = await getClient()
+      .from('profiles')
+      .upsert({ id: user.id, display_name: displayName })
+
+    if (error) {
+      console.error('[SupabaseService] Profile update error:', error)
+      return { success: false, error: error.message }
+    }
+
+    return { success: true, user: { ...user, displayName } }
+  } catch (error) {
+    console.error('[SupabaseService] Profile update error:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Listen for sign-in and sign-out, including magic link redirects
+ * @param {Function} onChange - Called with the user or null
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthChange(onChange) {
+  const { data } = getClient().auth.onAuthStateChange((event, session) => {
+    // Deferred: querying from inside the callback can deadlock supabase-js
+    setTimeout(async () => {
+      try {
+        onChange(await sessionToUser(session))
+      } catch (error) {
+        // Profile or role lookup failed (offline, RLS): keep the session
+        // signed in, without the display name or moderator role
+        console.error('[SupabaseService] Auth change error:', error)
+        onChange(session?.user ? { id: session.user.id, email: session.user.email, displayName: null, isModerator: false } : null)
+      }
+    }, 0)
+  })
+
+  return () => data.subscription.unsubscribe()
+}
+
+/**
+ * Supabase auth provider
+ * Implements the auth provider interface consumed by services/auth.js
+ */
+export const supabaseAuthProvider = {
+  name: 'supabase',
+  label: 'Supabase Auth',
+  isConfigured: isSupabaseConfigured,
+  getCurrentUser,
+  sendSignInCode,
+  verifySignInCode,
+  signOut,
+  updateDisplayName,
+  onAuthChange
+}
+
+/**
+ * Supabase storage provider
+ * Implements the storage provider interface consumed by services/storage.js
+ */
+export const supabaseProvider = {
+  name: 'supabase',
+  label: 'Supabase',
+  isConfigured: isSupabaseConfigured,
+  getConfigStatus: getSupabaseConfigStatus,
+  testConnection,
+  fetchAllVotes,
+  fetchVotesSince,
+  fetchVotesPage,
+  fetchGridAggregates,
+  fetchUserVotes,
+  submitVote,
+  updateVote,
+  deleteVote,
+  fetchModerationVotes,
+  moderateVotes,
+  reportVote,
+  fetchModerationLog,
+  getVoteCount,
+  fetchReplaceRadius,
+  subscribeToVotes
+}
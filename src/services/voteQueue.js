@@ -0,0 +1,275 @@
+/**
+ * Vote Queue Service Module
+ * Keeps votes cast while offline in IndexedDB and replays them through
+ * the active storage provider once connectivity returns
+ */
+
+import { generateId, isIndexedDbAvailable, promisifyRequest } from './indexedDb'
+import { DEFAULT_CATEGORY } from '../config/categories'
+import { refreshProofOfWork } from '../utils/antiSpam'
+
+// Database settings
+const DB_NAME = 'favorability-hotspot-map-queue'
+const DB_VERSION = 1
+const QUEUE_STORE = 'queued_votes'
+
+// Background Sync tag handled by public/sw.js
+export const REPLAY_SYNC_TAG = 'replay-votes'
+
+// Queued vote states
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+}
+
+// Cached database connection
+let dbPromise = null
+
+/**
+ * Open (and upgrade if needed) the queue database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'id' })
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * Get the queue object store inside a new transaction
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @returns {Promise<IDBObjectStore>} Queue object store
+ */
+async function getQueueStore(mode = 'readonly') {
+  const db = await openDatabase()
+  return db.transaction(QUEUE_STORE, mode).objectStore(QUEUE_STORE)
+}
+
+/**
+ * Check if an error message looks like a connectivity problem
+ * rather than a rejection by the backend
+ * @param {string} message - Error message
+ * @returns {boolean} True if the vote should stay queued
+ */
+export function isNetworkError(message) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return true
+  }
+  return /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(message || '')
+}
+
+/**
+ * Check if votes can be queued in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isQueueAvailable() {
+  return isIndexedDbAvailable()
+}
+
+/**
+ * Add a vote to the offline queue
+ * @param {Object} vote - { userName, userId, score, category, ratings, comment, tags, photos, clientId, powStamp, flags, lng, lat }
+ *   photos are prepared but not yet uploaded ({ blob, thumb, width, height }); IndexedDB stores the blobs
+ * @returns {Promise<Object>} Queued vote record
+ */
+export async function enqueueVote(vote) {
+  const record = {
+    id: generateId(),
+    user_id: vote.userId || null,
+    user_name: vote.userName,
+    score: vote.score,
+    category: vote.category || DEFAULT_CATEGORY,
+    ratings: vote.ratings || null,
+    comment: vote.comment || null,
+    tags: vote.tags || [],
+    photos: vote.photos || [],
+    client_id: vote.clientId || null,
+    pow_stamp: vote.powStamp || null,
+    flags: vote.flags || [],
+    lng: vote.lng,
+    lat: vote.lat,
+    created_at: new Date().toISOString(),
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    error: null
+  }
+
+  const store = await getQueueStore('readwrite')
+  await promisifyRequest(store.add(record))
+  console.log('[VoteQueue] Vote queued:', record.id)
+
+  requestBackgroundSync()
+  return record
+}
+
+/**
+ * Get all queued votes, oldest first
+ * @returns {Promise<Array>} Queued vote records
+ */
+export async function getQueuedVotes() {
+  try {
+    const store = await getQueueStore()
+    const records = await promisifyRequest(store.getAll())
+    return records.sort((a, b) => (a.created_at < b.created_at ? -1 : 1))
+  } catch (error) {
+    console.error('[VoteQueue] Read queue error:', error)
+    return []
+  }
+}
+
+/**
+ * Remove a vote from the queue
+ * @param {string} id - Queued vote id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedVote(id) {
+  const store = await getQueueStore('readwrite')
+  await promisifyRequest(store.delete(id))
+}
+
+/**
+ * Update a queued vote record
+ * @param {Object} record - Full queued vote record
+ * @returns {Promise<void>}
+ */
+async function updateQueuedVote(record) {
+  const store = await getQueueStore('readwrite')
+  await promisifyRequest(store.put(record))
+}
+
+/**
+ * Reset a failed vote so the next replay tries it again
+ * @param {string} id - Queued vote id
+ * @returns {Promise<void>}
+ */
+export async function retryQueuedVote(id) {
+  const records = await getQueuedVotes()
+  const record = records.find(r => r.id === id)
+  if (record) {
+    await updateQueuedVote({ ...record, status: QUEUE_STATUS.PENDING, error: null })
+  }
+}
+
+/**
+ * Convert a queued vote to a map feature flagged as pending
+ * @param {Object} record - Queued vote record
+ * @returns {Object} GeoJSON Point feature
+ */
+export function queuedVoteToFeature(record) {
+  return {
+    type: 'Feature',
+    properties: {
+      id: record.id,
+      user_id: record.user_id || null,
+      user_name: record.user_name,
+      score: record.score,
+      category: record.category || DEFAULT_CATEGORY,
+      ratings: record.ratings || null,
+      comment: record.comment || null,
+      tags: record.tags || [],
+      // Queued photos are not uploaded yet, so there are no URLs to show
+      photos: [],
+      photo_count: record.photos?.length || 0,
+      flags: record.flags || [],
+      created_at: record.created_at,
+      pending: true,
+      queued: true,
+      queue_status: record.status,
+      queue_error: record.error
+    },
+    geometry: {
+      type: 'Point',
+      coordinates: [record.lng, record.lat]
+    }
+  }
+}
+
+/**
+ * Replay pending queued votes through a submit function
+ * The queued id is sent along so a vote that did reach the backend before
+ * the connection dropped is reported as a conflict instead of duplicated.
+ * @param {Function} submit - submitVote(userName, score, lng, lat, options)
+ * @returns {Promise<Array>} Per-vote results: { id, status, error, feature }
+ *   status is 'submitted', 'duplicate', 'failed' or 'offline'
+ */
+export async function replayQueuedVotes(submit) {
+  const records = await getQueuedVotes()
+  const results = []
+
+  for (const record of records) {
+    if (record.status !== QUEUE_STATUS.PENDING) {
+      continue
+    }
+
+    // Stamps expire, so anonymous votes queued for a while get a new one
+    const powStamp = record.user_id ? record.pow_stamp : await refreshProofOfWork(record.pow_stamp, record.client_id)
+
+    const result = await submit(record.user_name, record.score, record.lng, record.lat, {
+      id: record.id,
+      category: record.category,
+      ratings: record.ratings,
+      comment: record.comment,
+      tags: record.tags,
+      photos: record.photos,
+      userId: record.user_id,
+      clientId: record.client_id,
+      powStamp,
+      flags: record.flags
+    })
+
+    if (result.success) {
+      await removeQueuedVote(record.id)
+      results.push({ id: record.id, status: 'submitted', feature: result.feature })
+    } else if (result.conflict) {
+      await removeQueuedVote(record.id)
+      results.push({ id: record.id, status: 'duplicate', error: 'Vote was already submitted' })
+    } else if (isNetworkError(result.error)) {
+      // Still offline - stop and keep the rest queued
+      results.push({ id: record.id, status: 'offline', error: result.error })
+      break
+    } else {
+      await updateQueuedVote({
+        ...record,
+        status: QUEUE_STATUS.FAILED,
+        attempts: record.attempts + 1,
+        error: result.error
+      })
+      results.push({ id: record.id, status: 'failed', error: result.error })
+    }
+  }
+
+  console.log('[VoteQueue] Replay results:', results)
+  return results
+}
+
+/**
+ * Ask the service worker to wake the app when connectivity returns
+ */
+export function requestBackgroundSync() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return
+  }
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.sync?.register(REPLAY_SYNC_TAG))
+    .catch(error => console.warn('[VoteQueue] Background sync unavailable:', error))
+}
@@ -0,0 +1,209 @@
+/**
+ * Anti-Spam Utilities
+ * Proof-of-work stamps, a per-browser client id and the abuse rules shared
+ * by the local providers. The same rules run server-side in the
+ * check_vote_abuse trigger in sql/schema.sql; keep the constants in sync.
+ */
+
+import { haversineDistance } from './kde'
+
+// Flags a vote can carry; flagged votes are left out of hotspot surfaces
+export const VOTE_FLAGS = {
+  rate: 'Many votes from the same source in a short time',
+  burst: 'One of several votes at nearly the same spot in a short time',
+  pow: 'Missing or invalid proof of work',
+  honeypot: 'Submitted by a form-filling bot'
+}
+
+// Proof of work: leading zero bits required in SHA-256(stamp)
+export const POW_DIFFICULTY = 16
+
+// Stamps only count for the client id they name, for this long after the
+// challenge was created, with some slack for a clock running ahead
+export const POW_MAX_AGE_MS = 30 * 60 * 1000
+export const POW_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+// Rate limits per client id or IP hash
+export const RATE_HARD_LIMIT = 20 // votes per hour, rejected above
+export const RATE_SOFT_LIMIT = 5 // votes per 10 minutes, flagged above
+const HOUR_MS = 60 * 60 * 1000
+const TEN_MINUTES_MS = 10 * 60 * 1000
+
+// Reports per hour from one user or source, rejected above
+export const REPORT_HOURLY_LIMIT = 10
+
+// Bursts: this many recent votes within the radius flag the next one
+export const BURST_RADIUS = 15 // meters
+export const BURST_MIN_VOTES = 3
+
+// localStorage key of the client id
+const CLIENT_ID_KEY = 'favorability-client-id'
+
+// Hashes tried between yields to the event loop while solving
+const POW_BATCH_SIZE = 500
+
+/**
+ * Get a random id identifying this browser, created on first use
+ * Not a secret: it only lets the server count votes per browser
+ * @returns {string} Client id
+ */
+export function getClientId() {
+  try {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY)
+    if (!clientId) {
+      clientId = crypto.randomUUID()
+      localStorage.setItem(CLIENT_ID_KEY, clientId)
+    }
+    return clientId
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Uint8Array} bytes - Hash bytes
+ * @returns {number} Number of leading zero bits
+ */
+function leadingZeroBits(bytes) {
+  let bits = 0
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    return bits + Math.clz32(byte) - 24
+  }
+  return bits
+}
+
+/**
+ * SHA-256 a string
+ * @param {string} text - Input
+ * @returns {Promise<Uint8Array>} Hash bytes
+ */
+async function sha256(text) {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return new Uint8Array(buffer)
+}
+
+/**
+ * Solve a proof-of-work challenge
+ * Finds a nonce so SHA-256("<challenge>:<nonce>") starts with `difficulty`
+ * zero bits (about 2^difficulty hashes on average).
+ * @param {string} challenge - Random challenge
+ * @param {Object} options - { difficulty, signal } where signal is an AbortSignal
+ * @returns {Promise<string>} Stamp "<challenge>:<nonce>"
+ */
+export async function solveProofOfWork(challenge, { difficulty = POW_DIFFICULTY, signal } = {}) {
+  for (let nonce = 0; ; nonce++) {
+    const stamp = `${challenge}:${nonce}`
+    if (leadingZeroBits(await sha256(stamp)) >= difficulty) {
+      return stamp
+    }
+
+    if (nonce % POW_BATCH_SIZE === 0) {
+      if (signal?.aborted) {
+        throw new DOMException('Proof of work cancelled', 'AbortError')
+      }
+      await new Promise(resolve => setTimeout(resolve, 0))
+    }
+  }
+}
+
+/**
+ * Create a fresh proof-of-work challenge for a client
+ * The client id and creation time lead the challenge, so the server can
+ * tell whose stamp it is and how old (see isStampCurrent).
+ * @param {string} clientId - Client id, this browser's by default
+ * @returns {string} Challenge "<client id>:<ms since epoch>:<random>"
+ */
+export function createChallenge(clientId = getClientId()) {
+  return `${clientId || 'anonymous'}:${Date.now()}:${crypto.randomUUID()}`
+}
+
+/**
+ * Check that a stamp was made for a client and is recent enough
+ * Same test as pow_stamp_is_current in sql/schema.sql.
+ * @param {string} stamp - Stamp from solveProofOfWork
+ * @param {string} clientId - Client id the vote is sent with
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the stamp names the client and has not expired
+ */
+export function isStampCurrent(stamp, clientId, now = Date.now()) {
+  if (typeof stamp !== 'string' || !clientId) {
+    return false
+  }
+  const [stampClientId, createdAt] = stamp.split(':')
+  const age = now - Number(createdAt)
+  return stampClientId === clientId && /^[0-9]+$/.test(createdAt) &&
+    age <= POW_MAX_AGE_MS && age >= -POW_MAX_CLOCK_SKEW_MS
+}
+
+/**
+ * Keep a stamp if it is still current, else solve a new one
+ * For forms left open for a long time and votes replayed from the queue.
+ * @param {string|null} stamp - Stamp solved earlier
+ * @param {string} clientId - Client id the vote is sent with
+ * @returns {Promise<string|null>} Current stamp (the old one without a client id)
+ */
+export async function refreshProofOfWork(stamp, clientId) {
+  if (!clientId || isStampCurrent(stamp, clientId)) {
+    return stamp
+  }
+  return solveProofOfWork(createChallenge(clientId))
+}
+
+/**
+ * Check a proof-of-work stamp
+ * @param {string} stamp - Stamp from solveProofOfWork
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<boolean>} True if the stamp is valid
+ */
+export async function verifyProofOfWork(stamp, difficulty = POW_DIFFICULTY) {
+  if (typeof stamp !== 'string' || !stamp) {
+    return false
+  }
+  return leadingZeroBits(await sha256(stamp)) >= difficulty
+}
+
+/**
+ * Apply the abuse rules to a new vote
+ * Local equivalent of the check_vote_abuse trigger.
+ * @param {Object} vote - { user_id, client_id, pow_stamp, flags, lng, lat }
+ * @param {Array} sources - Earlier vote sources { client_id, pow_stamp, lng, lat, created_at }
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Object>} { error, flags } where error rejects the vote
+ */
+export async function assessVote(vote, sources, now = Date.now()) {
+  const fromClient = sources.filter(source => vote.client_id && source.client_id === vote.client_id)
+  const since = (ms) => (source) => now - Date.parse(source.created_at) < ms
+
+  if (fromClient.filter(since(HOUR_MS)).length >= RATE_HARD_LIMIT) {
+    return { error: 'Too many votes, please try again later', flags: [] }
+  }
+
+  // Clients can only flag themselves
+  const flags = vote.flags?.includes('honeypot') ? ['honeypot'] : []
+
+  if (fromClient.filter(since(TEN_MINUTES_MS)).length >= RATE_SOFT_LIMIT) {
+    flags.push('rate')
+  }
+
+  const nearby = sources
+    .filter(since(TEN_MINUTES_MS))
+    .filter(source => haversineDistance(vote.lat, vote.lng, source.lat, source.lng) <= BURST_RADIUS)
+  if (nearby.length >= BURST_MIN_VOTES) {
+    flags.push('burst')
+  }
+
+  // Signed-in voters are accountable and skip the proof of work
+  if (!vote.user_id) {
+    const isReused = sources.some(source => source.pow_stamp && source.pow_stamp === vote.pow_stamp)
+    if (isReused || !isStampCurrent(vote.pow_stamp, vote.client_id, now) || !(await verifyProofOfWork(vote.pow_stamp))) {
+      flags.push('pow')
+    }
+  }
+
+  return { error: null, flags }
+}
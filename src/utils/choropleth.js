@@ -0,0 +1,233 @@
+/**
+ * Choropleth Utilities
+ * Per-polygon values (mean score, vote count, Bayesian mean) and their
+ * classification into colored classes
+ */
+
+import { computeDistrictStats, getExtent } from './districts'
+import { BAYESIAN_PRIOR_VOTES, SCORE_PALETTE, COUNT_PALETTE } from '../config/choropleth'
+
+// Properties checked, in order, for a polygon's display name
+const NAME_PROPERTIES = ['name:en', 'name_en', 'name', 'NAME', 'title']
+
+/**
+ * Normalize a polygon set (neighborhoods or an uploaded file)
+ * Keeps polygon features, numbering them from 1 and adding a label and a
+ * bbox, the shape computeDistrictStats works on.
+ * @param {Object} collection - FeatureCollection as loaded
+ * @returns {Object} Normalized FeatureCollection
+ */
+export function normalizeUnits(collection) {
+  const features = (collection?.features || [])
+    .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+    .map((feature, index) => {
+      const properties = feature.properties || {}
+      const name = NAME_PROPERTIES.map(key => properties[key]).find(value => value !== undefined && value !== null && value !== '')
+
+      return {
+        type: 'Feature',
+        id: index + 1,
+        bbox: getExtent(feature),
+        geometry: feature.geometry,
+        properties: { ...properties, label: name ? String(name) : `Area ${index + 1}` }
+      }
+    })
+
+  return { type: 'FeatureCollection', features }
+}
+
+/**
+ * Compute the value of every polygon
+ * The Bayesian mean adds BAYESIAN_PRIOR_VOTES votes at the mean of all
+ * assigned votes, so a polygon with two 5s does not outrank one with fifty
+ * votes averaging 4.8. Polygons without votes have no mean.
+ * @param {Object} votes - Votes FeatureCollection
+ * @param {Object} units - Normalized polygons FeatureCollection
+ * @param {string} metric - 'mean', 'count' or 'bayesian'
+ * @returns {Array} [{ id, label, count, mean, value }]
+ */
+export function computeUnitValues(votes, units, metric) {
+  const { districts: stats } = computeDistrictStats(votes, units)
+
+  const total = stats.reduce((sum, unit) => sum + unit.count, 0)
+  const priorMean = total ? stats.reduce((sum, unit) => sum + (unit.count ? unit.mean * unit.count : 0), 0) / total : null
+
+  return stats.map(({ id, label, count, mean }) => {
+    let value = mean
+    if (metric === 'count') {
+      value = count
+    } else if (metric === 'bayesian' && count > 0) {
+      value = (BAYESIAN_PRIOR_VOTES * priorMean + count * mean) / (BAYESIAN_PRIOR_VOTES + count)
+    }
+    return { id, label, count, mean, value }
+  })
+}
+
+/**
+ * Value at a fraction of sorted values, interpolating between neighbors
+ */
+function quantile(sorted, p) {
+  const position = p * (sorted.length - 1)
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+/**
+ * Jenks natural breaks (Fisher's exact optimization)
+ * Minimizes the within-class sum of squared deviations.
+ * @param {Array} sorted - Values in ascending order (at least k of them)
+ * @param {number} k - Number of classes
+ * @returns {Array} k + 1 breaks, from the minimum to the maximum
+ */
+function jenksBreaks(sorted, k) {
+  const n = sorted.length
+
+  // lowerLimits[l][j]: 1-based index of the first value of class j when
+  // the first l values form j classes; variances[l][j]: the lowest total
+  // squared deviation of that split
+  const lowerLimits = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0))
+  const variances = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity))
+  for (let j = 1; j <= k; j++) {
+    lowerLimits[1][j] = 1
+    variances[1][j] = 0
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0
+    let sumSquares = 0
+    let variance = 0
+
+    for (let m = 1; m <= l; m++) {
+      const lowerIndex = l - m + 1
+      const value = sorted[lowerIndex - 1]
+      sum += value
+      sumSquares += value * value
+      variance = sumSquares - (sum * sum) / m
+
+      if (lowerIndex > 1) {
+        for (let j = 2; j <= k; j++) {
+          const candidate = variance + variances[lowerIndex - 1][j - 1]
+          if (variances[l][j] >= candidate) {
+            lowerLimits[l][j] = lowerIndex
+            variances[l][j] = candidate
+          }
+        }
+      }
+    }
+
+    lowerLimits[l][1] = 1
+    variances[l][1] = variance
+  }
+
+  const breaks = new Array(k + 1)
+  breaks[0] = sorted[0]
+  breaks[k] = sorted[n - 1]
+
+  let last = n
+  for (let j = k; j >= 2; j--) {
+    breaks[j - 1] = sorted[lowerLimits[last][j] - 2]
+    last = lowerLimits[last][j] - 1
+  }
+
+  return breaks
+}
+
+/**
+ * Compute class breaks
+ * Classes are (breaks[i], breaks[i + 1]], the first one including its
+ * lower break. Duplicate breaks are merged, so there may be fewer classes
+ * than asked for when many values are equal.
+ * @param {Array} values - Values to classify (nulls are ignored)
+ * @param {string} method - 'quantile', 'equal' or 'jenks'
+ * @param {number} classCount - Number of classes asked for
+ * @returns {Array} Ascending breaks (empty without values)
+ */
+export function computeBreaks(values, method, classCount) {
+  const sorted = values.filter(value => value !== null && Number.isFinite(value)).sort((a, b) => a - b)
+  if (sorted.length === 0) return []
+
+  const min = sorted[0]
+  const max = sorted[sorted.length - 1]
+  if (min === max) return [min, max]
+
+  const k = Math.min(classCount, new Set(sorted).size)
+  let breaks
+  if (method === 'equal') {
+    breaks = Array.from({ length: k + 1 }, (_, i) => min + (max - min) * i / k)
+  } else if (method === 'jenks') {
+    breaks = jenksBreaks(sorted, k)
+  } else {
+    breaks = Array.from({ length: k + 1 }, (_, i) => quantile(sorted, i / k))
+  }
+
+  return breaks.filter((value, i) => i === 0 || value > breaks[i - 1])
+}
+
+/**
+ * Find the class of a value
+ * @param {number} value - Value to classify
+ * @param {Array} breaks - Breaks from computeBreaks
+ * @returns {number} Class index (the last class for values above the max)
+ */
+export function getClassIndex(value, breaks) {
+  const classCount = Math.max(1, breaks.length - 1)
+  for (let i = 0; i < classCount; i++) {
+    if (value <= breaks[i + 1]) return i
+  }
+  return classCount - 1
+}
+
+/**
+ * Parse a #rrggbb color
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+/**
+ * Spread a palette over a number of classes
+ * @param {Array} stops - Palette stops as #rrggbb, low to high
+ * @param {number} count - Number of classes
+ * @returns {Array} count colors as #rrggbb
+ */
+export function interpolatePalette(stops, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const position = (count === 1 ? 1 : i / (count - 1)) * (stops.length - 1)
+    const index = Math.min(Math.floor(position), stops.length - 2)
+    const t = position - index
+    const from = hexToRgb(stops[index])
+    const to = hexToRgb(stops[index + 1])
+
+    return '#' + from
+      .map((channel, c) => Math.round(channel + (to[c] - channel) * t).toString(16).padStart(2, '0'))
+      .join('')
+  })
+}
+
+/**
+ * Classify polygons and color them
+ * @param {Object} votes - Votes FeatureCollection
+ * @param {Object} units - Normalized polygons FeatureCollection
+ * @param {Object} options - { metric, method, classCount }
+ * @returns {Object} { units: Map of id -> { label, count, value, color }, classes: [{ from, to, color }] }
+ */
+export function buildChoropleth(votes, units, { metric, method, classCount }) {
+  const values = computeUnitValues(votes, units, metric)
+  const breaks = computeBreaks(values.map(unit => unit.value), method, classCount)
+  const colors = interpolatePalette(metric === 'count' ? COUNT_PALETTE : SCORE_PALETTE, Math.max(1, breaks.length - 1))
+
+  const classes = colors.map((color, i) => ({
+    from: breaks[i],
+    to: breaks[Math.min(i + 1, breaks.length - 1)],
+    color
+  }))
+
+  const byId = new Map(values.map(unit => [unit.id, {
+    ...unit,
+    color: unit.value === null || breaks.length === 0 ? null : colors[getClassIndex(unit.value, breaks)]
+  }]))
+
+  return { units: byId, classes: breaks.length ? classes : [] }
+}
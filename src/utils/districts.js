@@ -0,0 +1,143 @@
+/**
+ * District Utilities
+ * Assigns votes to Tehran's municipal districts and summarizes their scores
+ */
+
+import booleanPointInPolygon from '@turf/boolean-point-in-polygon'
+import { point } from '@turf/helpers'
+import { getDistrictNumber, getDistrictLabel } from '../config/districts'
+
+// Highest vote score; distributions have one bin per whole score from 0
+const MAX_SCORE = 5
+
+/**
+ * Get the [west, south, east, north] extent of a polygon feature
+ * @param {Object} feature - GeoJSON Polygon or MultiPolygon feature
+ * @returns {Array} Bounding box
+ */
+export function getExtent(feature) {
+  const extent = [Infinity, Infinity, -Infinity, -Infinity]
+  const rings = feature.geometry.type === 'MultiPolygon'
+    ? feature.geometry.coordinates.flat()
+    : feature.geometry.coordinates
+
+  for (const ring of rings) {
+    for (const [lng, lat] of ring) {
+      extent[0] = Math.min(extent[0], lng)
+      extent[1] = Math.min(extent[1], lat)
+      extent[2] = Math.max(extent[2], lng)
+      extent[3] = Math.max(extent[3], lat)
+    }
+  }
+
+  return extent
+}
+
+/**
+ * Normalize a districts GeoJSON
+ * Keeps polygon features with a district number, using the number as the
+ * feature id and adding a label and a bbox for quick point lookups.
+ * @param {Object} collection - Districts FeatureCollection as loaded
+ * @returns {Object} FeatureCollection sorted by district number
+ */
+export function normalizeDistricts(collection) {
+  const features = (collection?.features || [])
+    .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+    .map(feature => {
+      const number = getDistrictNumber(feature.properties || {})
+      return number && {
+        type: 'Feature',
+        id: number,
+        bbox: getExtent(feature),
+        geometry: feature.geometry,
+        properties: { ...feature.properties, district: number, label: getDistrictLabel(number) }
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id - b.id)
+
+  return { type: 'FeatureCollection', features }
+}
+
+/**
+ * Find the district containing a location
+ * @param {Object} districts - Normalized districts FeatureCollection
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {number|null} District number, or null outside every district
+ */
+export function findDistrict(districts, lng, lat) {
+  const pt = point([lng, lat])
+
+  for (const feature of districts.features) {
+    const [west, south, east, north] = feature.bbox
+    if (lng < west || lng > east || lat < south || lat > north) continue
+    if (booleanPointInPolygon(pt, feature)) {
+      return feature.id
+    }
+  }
+
+  return null
+}
+
+/**
+ * Median of sorted numbers
+ * @param {Array} sorted - Numbers in ascending order
+ * @returns {number|null} Median, or null for an empty array
+ */
+function median(sorted) {
+  if (sorted.length === 0) return null
+
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Summarize vote scores per district
+ * Districts are ranked by mean score, then by vote count; districts
+ * without votes are not ranked.
+ * @param {Object} votes - Votes FeatureCollection
+ * @param {Object} districts - Normalized districts (or other polygons with ids, labels and bboxes)
+ * @returns {Object} { districts: [{ id, label, count, mean, median, distribution, rank }], unassigned }
+ */
+export function computeDistrictStats(votes, districts) {
+  const scoresByDistrict = new Map(districts.features.map(feature => [feature.id, []]))
+  let unassigned = 0
+
+  for (const feature of votes?.features || []) {
+    const [lng, lat] = feature.geometry.coordinates
+    const id = findDistrict(districts, lng, lat)
+    if (id === null) {
+      unassigned++
+    } else {
+      scoresByDistrict.get(id).push(feature.properties.score || 0)
+    }
+  }
+
+  const stats = districts.features.map(feature => {
+    const scores = scoresByDistrict.get(feature.id).sort((a, b) => a - b)
+    const distribution = new Array(MAX_SCORE + 1).fill(0)
+    for (const score of scores) {
+      distribution[Math.max(0, Math.min(MAX_SCORE, Math.round(score)))]++
+    }
+
+    return {
+      id: feature.id,
+      label: feature.properties.label,
+      count: scores.length,
+      mean: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      median: median(scores),
+      distribution,
+      rank: null
+    }
+  })
+
+  stats
+    .filter(district => district.count > 0)
+    .sort((a, b) => b.mean - a.mean || b.count - a.count)
+    .forEach((district, index) => {
+      district.rank = index + 1
+    })
+
+  return { districts: stats, unassigned }
+}
@@ -0,0 +1,298 @@
+/**
+ * GeoJSON Utilities
+ * Shared conversion helpers between vote rows and GeoJSON features
+ */
+
+import { DEFAULT_CATEGORY } from '../config/categories'
+import { computeCompositeScore } from '../config/criteria'
+import { VOTE_STATUS } from '../config/moderation'
+
+/**
+ * Parse a hex-encoded (E)WKB point, as sent by Supabase Realtime
+ * @param {string} hex - Hex string, e.g. "0101000020E6100000..."
+ * @returns {Array|null} [lng, lat] or null if not a point
+ */
+export function parseWKBPoint(hex) {
+  if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length < 42) {
+    return null
+  }
+
+  const bytes = new Uint8Array(hex.length / 2)
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16)
+  }
+
+  const view = new DataView(bytes.buffer)
+  const littleEndian = view.getUint8(0) === 1
+  const type = view.getUint32(1, littleEndian)
+
+  // Geometry type 1 is Point; 0x20000000 flags an embedded SRID
+  if ((type & 0xffff) !== 1) {
+    return null
+  }
+  const offset = type & 0x20000000 ? 9 : 5
+
+  if (bytes.length < offset + 16) {
+    return null
+  }
+
+  return [
+    view.getFloat64(offset, littleEndian),
+    view.getFloat64(offset + 8, littleEndian)
+  ]
+}
+
+/**
+ * Convert a single vote row to a GeoJSON feature
+ * @param {Object} vote - Vote row from a storage provider
+ * @returns {Object} GeoJSON Point feature
+ */
+export function voteToFeature(vote) {
+  // Parse geometry to [lng, lat]
+  let coordinates = null
+
+  if (vote.geom) {
+    if (typeof vote.geom === 'string') {
+      // WKT format: "SRID=4326;POINT(51.389 35.6892)"
+      const match = vote.geom.match(/POINT\(([^)]+)\)/)
+      if (match) {
+        const coords = match[1].split(' ').map(Number)
+        if (coords.length === 2) {
+          coordinates = [coords[0], coords[1]]
+        }
+      } else {
+        // WKB hex format: "0101000020E6100000..."
+        coordinates = parseWKBPoint(vote.geom)
+      }
+    } else if (typeof vote.geom === 'object') {
+      // PostGIS JSON format: {"type":"Point","coordinates":[51.389,35.6892],...}
+      if (vote.geom.coordinates && Array.isArray(vote.geom.coordinates)) {
+        coordinates = vote.geom.coordinates
+      }
+    }
+  }
+
+  return {
+    type: 'Feature',
+    properties: {
+      id: vote.id,
+      user_id: vote.user_id || null,
+      user_name: vote.user_name,
+      score: vote.score,
+      category: vote.category || DEFAULT_CATEGORY,
+      ratings: vote.ratings || null,
+      comment: vote.comment || null,
+      tags: Array.isArray(vote.tags) ? vote.tags : [],
+      photos: Array.isArray(vote.photos) ? vote.photos : [],
+      flags: Array.isArray(vote.flags) ? vote.flags : [],
+      status: vote.status || VOTE_STATUS.VISIBLE,
+      created_at: vote.created_at
+    },
+    geometry: {
+      type: 'Point',
+      coordinates: coordinates || [0, 0]
+    }
+  }
+}
+
+/**
+ * Convert votes data to GeoJSON format
+ * @param {Array} votes - Array of vote rows from a storage provider
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function votesToGeoJSON(votes) {
+  if (!votes || !Array.isArray(votes)) {
+    return {
+      type: 'FeatureCollection',
+      features: []
+    }
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: votes.map(voteToFeature)
+  }
+}
+
+/**
+ * Prepend new features to a collection, skipping ids already present
+ * Keeps the newest-first ordering used by fetchAllVotes
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Array} features - Features to add
+ * @returns {Object} New FeatureCollection (or the same one if nothing was added)
+ */
+export function mergeVoteFeatures(collection, features) {
+  const existing = collection?.features || []
+  const knownIds = new Set(existing.map(feature => feature.properties.id))
+  const added = features.filter(feature => !knownIds.has(feature.properties.id))
+
+  if (added.length === 0) {
+    return collection
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: [...added, ...existing]
+  }
+}
+
+/**
+ * Remove a feature by id
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {string} id - Feature id to remove
+ * @returns {Object} New FeatureCollection
+ */
+export function removeVoteFeature(collection, id) {
+  return {
+    type: 'FeatureCollection',
+    features: (collection?.features || []).filter(feature => feature.properties.id !== id)
+  }
+}
+
+/**
+ * Replace a feature with an updated version of it, keeping its position
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} feature - Updated feature (matched by id)
+ * @returns {Object} New FeatureCollection
+ */
+export function updateVoteFeature(collection, feature) {
+  return {
+    type: 'FeatureCollection',
+    features: (collection?.features || []).map(existing => (
+      existing.properties.id === feature.properties.id ? feature : existing
+    ))
+  }
+}
+
+/**
+ * Get the newest created_at timestamp in a collection
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @returns {string|null} ISO timestamp or null if empty
+ */
+export function getLatestCreatedAt(collection) {
+  let latest = null
+  let latestTime = -Infinity
+
+  for (const feature of collection?.features || []) {
+    const createdAt = feature.properties.created_at
+    const time = createdAt ? Date.parse(createdAt) : NaN
+    if (!feature.properties.pending && time > latestTime) {
+      latest = createdAt
+      latestTime = time
+    }
+  }
+
+  return latest
+}
+
+/**
+ * Keep only votes in the given categories
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Array|null} categories - Category ids to keep, or null for all
+ * @returns {Object} FeatureCollection (the same one if no filter applies)
+ */
+export function filterVotesByCategory(collection, categories) {
+  if (!categories || !collection) {
+    return collection
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: (collection.features || []).filter(feature =>
+      categories.includes(feature.properties.category || DEFAULT_CATEGORY)
+    )
+  }
+}
+
+/**
+ * Drop votes flagged by the anti-spam rules
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @returns {Object} FeatureCollection without flagged votes
+ */
+export function filterFlaggedVotes(collection) {
+  if (!collection) {
+    return collection
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: (collection.features || []).filter(feature => !feature.properties.flags?.length)
+  }
+}
+
+/**
+ * Keep only votes matching a text search and carrying every given tag
+ * The search matches comments, tags and user names, case-insensitively.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} filter - { query, tags }
+ * @returns {Object} FeatureCollection (the same one if the filter is empty)
+ */
+export function filterVotesByText(collection, { query = '', tags = [] } = {}) {
+  const needle = query.trim().toLowerCase()
+  if (!collection || (!needle && tags.length === 0)) {
+    return collection
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: (collection.features || []).filter(feature => {
+      const voteTags = feature.properties.tags || []
+      if (!tags.every(tag => voteTags.includes(tag))) {
+        return false
+      }
+      if (!needle) {
+        return true
+      }
+      return [feature.properties.comment, feature.properties.user_name, ...voteTags]
+        .some(value => value && value.toLowerCase().includes(needle))
+    })
+  }
+}
+
+/**
+ * Count how often each tag is used
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @returns {Array} [{ tag, count }] sorted by count, most used first
+ */
+export function collectTags(collection) {
+  const counts = new Map()
+
+  for (const feature of collection?.features || []) {
+    for (const tag of feature.properties.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1)
+    }
+  }
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+/**
+ * Recompute vote scores from their criteria ratings with custom weights
+ * Votes without ratings keep their stored score.
+ * @param {Object} collection - GeoJSON FeatureCollection
+ * @param {Object} weights - Weights by criterion id
+ * @returns {Object} New FeatureCollection with reweighted scores
+ */
+export function reweightVoteScores(collection, weights) {
+  return {
+    type: 'FeatureCollection',
+    features: (collection?.features || []).map(feature => {
+      const composite = computeCompositeScore(feature.properties.ratings, weights)
+      return composite === null
+        ? feature
+        : { ...feature, properties: { ...feature.properties, score: composite } }
+    })
+  }
+}
+
+/**
+ * Check whether one bounding box fully contains another
+ * @param {Object} outer - { west, south, east, north }
+ * @param {Object} inner - { west, south, east, north }
+ * @returns {boolean} True if inner lies inside outer
+ */
+export function boundsContain(outer, inner) {
+  return inner.west >= outer.west && inner.east <= outer.east &&
+    inner.south >= outer.south && inner.north <= outer.north
+}
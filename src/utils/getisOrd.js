@@ -0,0 +1,281 @@
+/**
+ * Getis-Ord Gi* Hot Spot Analysis
+ * Tests where high or low vote scores cluster more than chance would allow,
+ * for votes or aggregated grid cells. Complements the KDE in kde.js, which
+ * shows density but not significance.
+ */
+
+import { latLngToMeters } from './kde.js';
+
+// Buckets per band width in distanceBandSums
+const BAND_BUCKETS = 4;
+
+// Confidence levels reported, strictest first: Gi bin ±3, ±2, ±1
+const CONFIDENCE_LEVELS = [
+  { bin: 3, alpha: 0.01 },
+  { bin: 2, alpha: 0.05 },
+  { bin: 1, alpha: 0.1 }
+];
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz & Stegun 26.2.17, absolute error below 7.5e-8.
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Bucket points into square cells for neighbor searches
+ * @param {Array} points - Points with x, y in meters
+ * @param {number} size - Bucket size in meters
+ * @returns {Object} { size, buckets: Map of "i:j" -> point indices }
+ */
+function buildBuckets(points, size) {
+  const buckets = new Map();
+  points.forEach((p, index) => {
+    const key = `${Math.floor(p.x / size)}:${Math.floor(p.y / size)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  });
+  return { size, buckets };
+}
+
+/**
+ * Indices of the points in the buckets at Chebyshev ring r around a bucket
+ */
+function ringIndices({ buckets }, bi, bj, r) {
+  const indices = [];
+  for (let i = bi - r; i <= bi + r; i++) {
+    for (let j = bj - r; j <= bj + r; j++) {
+      if (Math.max(Math.abs(i - bi), Math.abs(j - bj)) !== r) continue;
+      const bucket = buckets.get(`${i}:${j}`);
+      if (bucket) indices.push(...bucket);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Neighbors within a distance band, including the point itself
+ * @param {Array} points - Points with x, y in meters
+ * @param {number} distance - Band in meters
+ * @returns {Array} Neighbor index lists
+ */
+function distanceBandNeighbors(points, distance) {
+  const index = buildBuckets(points, distance);
+  const maxSquared = distance * distance;
+
+  return points.map((p) => {
+    const bi = Math.floor(p.x / distance);
+    const bj = Math.floor(p.y / distance);
+    const neighbors = [];
+
+    for (const r of [0, 1]) {
+      for (const j of ringIndices(index, bi, bj, r)) {
+        const dx = points[j].x - p.x;
+        const dy = points[j].y - p.y;
+        if (dx * dx + dy * dy <= maxSquared) neighbors.push(j);
+      }
+    }
+    return neighbors;
+  });
+}
+
+/**
+ * Neighbor count and value sum of each point within a distance band,
+ * including the point itself. Gi* needs nothing else, and unlike
+ * distanceBandNeighbors no lists are kept, so memory stays linear when a
+ * city-scale band holds most of the points. Buckets are a quarter of the
+ * band wide; those entirely inside the band are added from their totals
+ * without visiting their points.
+ * @param {Array} points - Points with x, y in meters
+ * @param {Array} values - Value of each point
+ * @param {number} distance - Band in meters
+ * @param {Function} onProgress - Called with the fraction of points done
+ * @returns {Object} { counts, sums } as Float64Arrays
+ */
+function distanceBandSums(points, values, distance, onProgress = () => {}) {
+  const size = distance / BAND_BUCKETS;
+  const { buckets } = buildBuckets(points, size);
+  const totals = new Map();
+  buckets.forEach((indices, key) => {
+    totals.set(key, indices.reduce((sum, j) => sum + values[j], 0));
+  });
+
+  const maxSquared = distance * distance;
+  const counts = new Float64Array(points.length);
+  const sums = new Float64Array(points.length);
+  const progressStep = Math.max(1, Math.floor(points.length / 20));
+
+  points.forEach((p, index) => {
+    const bi = Math.floor(p.x / size);
+    const bj = Math.floor(p.y / size);
+
+    for (let i = bi - BAND_BUCKETS; i <= bi + BAND_BUCKETS; i++) {
+      // Nearest and farthest x offsets of the bucket column from the point
+      const left = i * size - p.x;
+      const nearX = Math.max(left, 0, -(left + size));
+      const farX = Math.max(Math.abs(left), Math.abs(left + size));
+
+      for (let j = bj - BAND_BUCKETS; j <= bj + BAND_BUCKETS; j++) {
+        const key = `${i}:${j}`;
+        const bucket = buckets.get(key);
+        if (!bucket) continue;
+
+        const bottom = j * size - p.y;
+        const nearY = Math.max(bottom, 0, -(bottom + size));
+        const farY = Math.max(Math.abs(bottom), Math.abs(bottom + size));
+        if (nearX * nearX + nearY * nearY > maxSquared) continue;
+
+        if (farX * farX + farY * farY <= maxSquared) {
+          counts[index] += bucket.length;
+          sums[index] += totals.get(key);
+          continue;
+        }
+
+        for (const other of bucket) {
+          const dx = points[other].x - p.x;
+          const dy = points[other].y - p.y;
+          if (dx * dx + dy * dy <= maxSquared) {
+            counts[index]++;
+            sums[index] += values[other];
+          }
+        }
+      }
+    }
+
+    if (index % progressStep === 0) onProgress(index / points.length);
+  });
+
+  return { counts, sums };
+}
+
+/**
+ * The k nearest neighbors of each point, plus the point itself
+ * Rings of buckets are searched outwards until no closer point can remain.
+ * @param {Array} points - Points with x, y in meters
+ * @param {number} k - Number of neighbors
+ * @returns {Array} Neighbor index lists
+ */
+function nearestNeighbors(points, k) {
+  const n = points.length;
+  const neighborCount = Math.min(k, n - 1);
+
+  // Buckets sized to hold about k points each on average
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of points) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  const area = Math.max((maxX - minX) * (maxY - minY), 1);
+  const index = buildBuckets(points, Math.max(Math.sqrt(area * Math.max(neighborCount, 1) / n), 1));
+  const maxRing = Math.ceil(Math.max(maxX - minX, maxY - minY) / index.size) + 1;
+
+  return points.map((p, self) => {
+    const bi = Math.floor(p.x / index.size);
+    const bj = Math.floor(p.y / index.size);
+    const candidates = [];
+
+    for (let r = 0; r <= maxRing; r++) {
+      for (const j of ringIndices(index, bi, bj, r)) {
+        if (j === self) continue;
+        const dx = points[j].x - p.x;
+        const dy = points[j].y - p.y;
+        candidates.push({ j, d: dx * dx + dy * dy });
+      }
+
+      // Points beyond ring r are at least r bucket sizes away
+      if (candidates.length >= neighborCount) {
+        candidates.sort((a, b) => a.d - b.d);
+        const reach = r * index.size;
+        if (candidates[neighborCount - 1].d <= reach * reach) break;
+      }
+    }
+
+    candidates.sort((a, b) => a.d - b.d);
+    return [self, ...candidates.slice(0, neighborCount).map(c => c.j)];
+  });
+}
+
+/**
+ * Benjamini-Hochberg false discovery rate cutoff
+ * @param {Array} pValues - p-values
+ * @param {number} alpha - Target false discovery rate
+ * @returns {number} Largest p-value still significant (0 if none)
+ */
+function fdrThreshold(pValues, alpha) {
+  const sorted = [...pValues].sort((a, b) => a - b);
+  const m = sorted.length;
+  let threshold = 0;
+
+  sorted.forEach((p, i) => {
+    if (p <= ((i + 1) / m) * alpha) threshold = p;
+  });
+  return threshold;
+}
+
+/**
+ * Compute Getis-Ord Gi* for every point
+ * Weights are binary: 1 for the point itself and its neighbors (within the
+ * distance band, or the k nearest), 0 otherwise. Each point gets a z-score,
+ * a two-sided p-value and a bin from -3 (cold spot, 99% confidence) to
+ * +3 (hot spot, 99%); 0 is not significant. With FDR correction the p-value
+ * cutoff of each confidence level is lowered by Benjamini-Hochberg.
+ * @param {Array} points - Array of objects with lat, lng, value properties
+ * @param {Object} options - { weights: 'distance' | 'knn', distance (meters), k, fdr, onProgress(fraction) }
+ * @returns {Array} Array of { z, p, bin }, in the order of points
+ */
+function calculateGiStar(points, { weights = 'distance', distance = 1000, k = 8, fdr = true, onProgress = () => {} } = {}) {
+  const n = points.length;
+  if (n < 3) {
+    return points.map(() => ({ z: 0, p: 1, bin: 0 }));
+  }
+
+  const values = points.map((p) => p.value);
+  const mean = values.reduce((sum, x) => sum + x, 0) / n;
+  const s = Math.sqrt(values.reduce((sum, x) => sum + x * x, 0) / n - mean * mean);
+
+  // The neighbor search takes most of the time
+  const projected = points.map((p) => latLngToMeters(p.lat, p.lng));
+  onProgress(0.1);
+  let counts;
+  let sums;
+  if (weights === 'knn') {
+    const lists = nearestNeighbors(projected, k);
+    counts = lists.map((list) => list.length);
+    sums = lists.map((list) => list.reduce((sum, j) => sum + values[j], 0));
+  } else {
+    ({ counts, sums } = distanceBandSums(projected, values, distance, (fraction) => onProgress(0.1 + 0.7 * fraction)));
+  }
+  onProgress(0.8);
+
+  const results = Array.from(counts, (w, i) => {
+    // Binary weights: sum of weights and of squared weights are both the count
+    const localSum = sums[i];
+    const denominator = s * Math.sqrt((n * w - w * w) / (n - 1));
+    const z = denominator > 0 ? (localSum - mean * w) / denominator : 0;
+    return { z, p: 2 * (1 - normalCdf(Math.abs(z))), bin: 0 };
+  });
+
+  for (const { bin, alpha } of CONFIDENCE_LEVELS) {
+    const cutoff = fdr ? fdrThreshold(results.map((r) => r.p), alpha) : alpha;
+    for (const result of results) {
+      if (result.bin === 0 && result.p <= cutoff && cutoff > 0) {
+        result.bin = Math.sign(result.z) * bin;
+      }
+    }
+  }
+
+  onProgress(1);
+  return results;
+}
+
+export { calculateGiStar, normalCdf, fdrThreshold, distanceBandNeighbors, nearestNeighbors };
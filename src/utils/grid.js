@@ -0,0 +1,245 @@
+/**
+ * Grid Aggregation Utility
+ * Bins votes into square or hexagonal cells and summarizes their scores for
+ * providers without PostGIS. The cell shapes, indexing and statistics follow
+ * the vote_grid_aggregates SQL function, but cells are laid out in kde.js's
+ * local plane around central Tehran rather than in UTM zone 39N, so cell ids,
+ * outlines and counts differ between providers; do not compare them across.
+ */
+
+import { latLngToMeters, metersToLatLng, parseBoundary, isPointInPolygon } from './kde.js';
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Get the square cell containing a point
+ * @param {number} x - X in meters
+ * @param {number} y - Y in meters
+ * @param {number} size - Cell edge length in meters
+ * @returns {Object} Cell indices and center { i, j, cx, cy }
+ */
+function squareCellAt(x, y, size) {
+  const i = Math.floor(x / size);
+  const j = Math.floor(y / size);
+  return { i, j, cx: (i + 0.5) * size, cy: (j + 0.5) * size };
+}
+
+/**
+ * Get the flat-topped hexagon containing a point (axial coordinates)
+ * @param {number} x - X in meters
+ * @param {number} y - Y in meters
+ * @param {number} size - Hexagon edge length in meters
+ * @returns {Object} Cell indices and center { i, j, cx, cy }
+ */
+function hexCellAt(x, y, size) {
+  const q = (2 / 3) * x / size;
+  const r = (-x / 3 + (SQRT3 / 3) * y) / size;
+
+  // Cube rounding
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(-q - r);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - (-q - r));
+
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+
+  return {
+    i: rq,
+    j: rr,
+    cx: size * 1.5 * rq,
+    cy: size * SQRT3 * (rr + rq / 2)
+  };
+}
+
+/**
+ * Build the outline of a grid cell as a GeoJSON ring
+ * @param {Object} cell - Cell with { cx, cy } in meters
+ * @param {number} size - Cell size in meters
+ * @param {string} shape - 'square' or 'hexagon'
+ * @returns {Array} Closed ring of [lng, lat] positions
+ */
+function cellRing(cell, size, shape) {
+  const corners = [];
+
+  if (shape === 'hexagon') {
+    for (let k = 0; k < 6; k++) {
+      const angle = (Math.PI / 3) * k;
+      corners.push([cell.cx + size * Math.cos(angle), cell.cy + size * Math.sin(angle)]);
+    }
+  } else {
+    const h = size / 2;
+    corners.push(
+      [cell.cx - h, cell.cy - h],
+      [cell.cx + h, cell.cy - h],
+      [cell.cx + h, cell.cy + h],
+      [cell.cx - h, cell.cy + h]
+    );
+  }
+
+  const ring = corners.map(([x, y]) => {
+    const { lat, lng } = metersToLatLng(x, y);
+    return [lng, lat];
+  });
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Aggregate scored points into grid cells
+ * @param {Array} points - Array of objects with lat, lng, score properties
+ * @param {number} cellSize - Cell size in meters (edge length for hexagons)
+ * @param {string} shape - 'square' or 'hexagon'
+ * @returns {Array} Non-empty cells: { id, i, j, lat, lng, count, mean, variance, ring }
+ */
+function aggregateToGrid(points, cellSize, shape = 'square') {
+  const cellAt = shape === 'hexagon' ? hexCellAt : squareCellAt;
+  const cells = new Map();
+
+  for (const p of points) {
+    if (p.lat === undefined || p.lng === undefined) continue;
+
+    const { x, y } = latLngToMeters(p.lat, p.lng);
+    const cell = cellAt(x, y, cellSize);
+    const key = `${cell.i}:${cell.j}`;
+
+    let acc = cells.get(key);
+    if (!acc) {
+      acc = { ...cell, count: 0, mean: 0, m2: 0 };
+      cells.set(key, acc);
+    }
+
+    // Welford's online mean/variance
+    const score = p.score || 0;
+    acc.count++;
+    const delta = score - acc.mean;
+    acc.mean += delta / acc.count;
+    acc.m2 += delta * (score - acc.mean);
+  }
+
+  return Array.from(cells.entries()).map(([id, acc]) => {
+    const { lat, lng } = metersToLatLng(acc.cx, acc.cy);
+    return {
+      id,
+      i: acc.i,
+      j: acc.j,
+      lat,
+      lng,
+      count: acc.count,
+      mean: acc.mean,
+      variance: acc.m2 / acc.count,
+      ring: cellRing(acc, cellSize, shape)
+    };
+  });
+}
+
+/**
+ * Intersect a boundary ring with a convex cell (Sutherland-Hodgman)
+ * The boundary is clipped by each edge of the cell in turn. Where the
+ * boundary leaves and re-enters the cell the pieces stay joined by
+ * zero-width edges, which do not show once filled.
+ * @param {Array} boundaryCoords - Boundary ring of [lng, lat]
+ * @param {Array} ring - Closed counter-clockwise cell ring of [lng, lat]
+ * @returns {Array} Open ring of the intersection (empty if none)
+ */
+function clipBoundaryToCell(boundaryCoords, ring) {
+  let output = boundaryCoords;
+
+  for (let k = 0; k < ring.length - 1 && output.length > 0; k++) {
+    const [ax, ay] = ring[k];
+    const ex = ring[k + 1][0] - ax;
+    const ey = ring[k + 1][1] - ay;
+    const isInside = ([x, y]) => ex * (y - ay) - ey * (x - ax) >= 0;
+    const intersect = ([px, py], [cx, cy]) => {
+      const dx = cx - px;
+      const dy = cy - py;
+      const t = (ey * (px - ax) - ex * (py - ay)) / (ex * dy - ey * dx);
+      return [px + t * dx, py + t * dy];
+    };
+
+    const input = output;
+    output = [];
+    for (let i = 0; i < input.length; i++) {
+      const current = input[i];
+      const previous = input[(i + input.length - 1) % input.length];
+      const isCurrentInside = isInside(current);
+
+      if (isCurrentInside !== isInside(previous)) {
+        output.push(intersect(previous, current));
+      }
+      if (isCurrentInside) {
+        output.push(current);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Clip cell outlines to a boundary
+ * Cells with every corner inside are kept as they are; the others are cut
+ * to the part inside, and dropped when nothing is left. Like the KDE, only
+ * the outer ring of the boundary's first polygon is used.
+ * @param {Array} cells - Cells with a ring (from aggregateToGrid)
+ * @param {Object} boundary - GeoJSON boundary
+ * @returns {Array} Cells with clipped rings
+ */
+function clipCellsToBoundary(cells, boundary) {
+  const parsed = parseBoundary(boundary);
+  if (!parsed) return cells;
+
+  return cells
+    .map((cell) => {
+      const corners = cell.ring.slice(0, -1);
+      if (corners.every(([lng, lat]) => isPointInPolygon(lat, lng, parsed))) {
+        return cell;
+      }
+
+      const clipped = clipBoundaryToCell(parsed.coords, cell.ring);
+      if (clipped.length < 3) return null;
+
+      clipped.push(clipped[0]);
+      return { ...cell, ring: clipped };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Convert a vote_grid_aggregates row to the cell shape used on the client
+ * @param {Object} row - Row with cell_i, cell_j, lng, lat, vote_count, mean_score, score_variance
+ * @returns {Object} Cell { id, i, j, lat, lng, count, mean, variance }
+ */
+function gridRowToCell(row) {
+  return {
+    id: `${row.cell_i}:${row.cell_j}`,
+    i: row.cell_i,
+    j: row.cell_j,
+    lat: row.lat,
+    lng: row.lng,
+    count: row.vote_count,
+    mean: row.mean_score,
+    variance: row.score_variance
+  };
+}
+
+/**
+ * Convert aggregated cells to weighted points for the KDE pipeline.
+ * Each cell stands in for its votes, so it weighs count × mean score.
+ * @param {Array} cells - Cells with lat, lng, count, mean
+ * @returns {Array} Array of {lat, lng, favorability}
+ */
+function cellsToWeightedPoints(cells) {
+  return cells.map((cell) => ({
+    lat: cell.lat,
+    lng: cell.lng,
+    favorability: cell.count * cell.mean
+  }));
+}
+
+export { aggregateToGrid, gridRowToCell, cellsToWeightedPoints, cellRing, clipCellsToBoundary };
@@ -0,0 +1,86 @@
+/**
+ * Image Utilities
+ * Resizes photos in the browser before upload. Re-encoding through a canvas
+ * also drops all EXIF metadata (GPS position, camera serial, ...).
+ */
+
+// Output settings
+const PHOTO_MAX_SIZE = 1600
+const THUMB_MAX_SIZE = 320
+const JPEG_QUALITY = 0.85
+const OUTPUT_TYPE = 'image/jpeg'
+
+/**
+ * Decode an image file, applying its EXIF orientation
+ * @param {File} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+ */
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' })
+    } catch (error) {
+      console.warn('[Image] createImageBitmap failed, using <img>:', error)
+    }
+  }
+
+  const url = URL.createObjectURL(file)
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    return image
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+/**
+ * Draw an image scaled to fit a square box and encode it as JPEG
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {number} maxSize - Longest side in pixels
+ * @returns {Promise<Object>} { blob, width, height }
+ */
+function encodeScaled(image, maxSize) {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height))
+  const width = Math.round(image.width * scale)
+  const height = Math.round(image.height * scale)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+
+  const ctx = canvas.getContext('2d')
+  // JPEG has no alpha; paint transparent PNGs on white
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, width, height)
+  ctx.drawImage(image, 0, 0, width, height)
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve({ blob, width, height }) : reject(new Error('Could not encode image'))),
+      OUTPUT_TYPE,
+      JPEG_QUALITY
+    )
+  })
+}
+
+/**
+ * Prepare a photo for upload: a resized JPEG and a thumbnail, both without EXIF
+ * @param {File} file - Image file chosen by the user
+ * @returns {Promise<Object>} { blob, thumb, width, height }
+ */
+export async function preparePhoto(file) {
+  if (!file.type.startsWith('image/')) {
+    throw new Error(`${file.name} is not an image`)
+  }
+
+  const image = await decodeImage(file)
+  try {
+    const photo = await encodeScaled(image, PHOTO_MAX_SIZE)
+    const thumb = await encodeScaled(image, THUMB_MAX_SIZE)
+    return { blob: photo.blob, thumb: thumb.blob, width: photo.width, height: photo.height }
+  } finally {
+    image.close?.()
+  }
+}
@@ -51,21 +51,20 @@ function gaussianKernel(distance, bandwidth) {
 
 /**
  * Normalize grid data to a specified range
- * @param {Array} gridData - 1D array of grid values
+ * @param {Float32Array|Array} gridData - 1D array of grid values, NaN (or null) for masked cells
  * @param {number} min - Current minimum value
  * @param {number} max - Current maximum value
  * @param {number} newMin - Target minimum value (default 0)
  * @param {number} newMax - Target maximum value (default 1)
- * @returns {Array} Normalized grid data
+ * @returns {Float32Array|Array} Normalized grid data, masked cells kept
  */
 function normalizeGrid(gridData, min, max, newMin = 0, newMax = 1) {
-  if (max === min) {
-    return gridData.map(() => newMin);
-  }
   const range = max - min;
   const newRange = newMax - newMin;
   return gridData.map((value) => {
     if (value === null || value === undefined) return null;
+    if (Number.isNaN(value)) return NaN;
+    if (range === 0) return newMin;
     return ((value - min) / range) * newRange + newMin;
   });
 }
@@ -163,21 +162,299 @@ function isPointInPolygon(lat, lng, boundary) {
   return inside;
 }
 
+// Kernels are truncated at this many bandwidths; the Gaussian has fallen to
+// 1.1% of its peak there
+const KERNEL_CUTOFF = 3;
+
+// Largest grid computed; beyond it the cell size grows to fit
+const MAX_CELLS = 1000000;
+
 /**
- * Calculate Weighted Kernel Density Estimation
- * @param {Array} points - Array of objects with lat, lng, weight properties
- * @param {number} bandwidth - Kernel bandwidth in meters
- * @param {number} cellSize - Grid cell size in meters
- * @param {Object} boundary - GeoJSON polygon for boundary clipping (optional)
- * @returns {Object} Grid data with min, max values
+ * Radial kernels of u = distance / bandwidth
+ * Each profile times its constant integrates to 1 over the plane. The
+ * Gaussian's bandwidth is its standard deviation and it is truncated at
+ * KERNEL_CUTOFF; the others reach zero at u = 1, so their bandwidth is a
+ * radius. gaussianEquivalent is the bandwidth that smooths as much as a
+ * Gaussian of bandwidth 1 (ratio of the kernels' canonical bandwidths).
  */
-function calculateWeightedKDE(points, bandwidth, cellSize, boundary = null) {
-  if (!points || points.length === 0) {
-    console.warn('[WKDE] No points provided for density estimation');
-    return { gridData: [], min: 0, max: 0, width: 0, height: 0, bounds: null };
+const KERNELS = {
+  gaussian: { support: KERNEL_CUTOFF, constant: 1 / (2 * Math.PI), gaussianEquivalent: 1, profile: (u) => Math.exp(-0.5 * u * u) },
+  epanechnikov: { support: 1, constant: 2 / Math.PI, gaussianEquivalent: 2.402, profile: (u) => 1 - u * u },
+  quartic: { support: 1, constant: 3 / Math.PI, gaussianEquivalent: 2.779, profile: (u) => (1 - u * u) * (1 - u * u) },
+  triangular: { support: 1, constant: 3 / Math.PI, gaussianEquivalent: 2.537, profile: (u) => 1 - u },
+  uniform: { support: 1, constant: 1 / Math.PI, gaussianEquivalent: 2, profile: () => 1 }
+};
+
+// Adaptive bandwidths stay within these multiples of the global bandwidth,
+// and are rounded to powers of ADAPTIVE_CLASS_RATIO so points sharing one are
+// convolved together
+const ADAPTIVE_MIN_FACTOR = 0.25;
+const ADAPTIVE_MAX_FACTOR = 4;
+const ADAPTIVE_CLASS_RATIO = Math.pow(2, 1 / 4);
+
+// Share of the progress bar taken by the pilot estimate
+const PILOT_PROGRESS = 0.2;
+
+// Range searched by likelihood cross-validation, as Gaussian bandwidths in meters
+const CV_MIN_BANDWIDTH = 100;
+const CV_MAX_BANDWIDTH = 5000;
+const CV_ITERATIONS = 14;
+
+/**
+ * Density contributed at a distance by a point of weight 1
+ * @param {string} kernel - Kernel id (see KERNELS)
+ * @param {number} distance - Distance in meters
+ * @param {number} bandwidth - Bandwidth in meters
+ * @returns {number} Density per square meter
+ */
+function kernelDensity(kernel, distance, bandwidth) {
+  const { support, constant, profile } = KERNELS[kernel];
+  const u = distance / bandwidth;
+  return u > support ? 0 : (constant * profile(u)) / (bandwidth * bandwidth);
+}
+
+/**
+ * Rasterize a boundary onto a grid by scanlines
+ * Each row's edge crossings are sorted once, so the cost is rows × edges
+ * instead of cells × edges for a point-in-polygon test per cell. A cell is
+ * inside when its center is, matching isPointInPolygon.
+ * @param {Object} boundary - Parsed boundary object
+ * @param {Object} grid - { minX, minY, width, height, cellSize } in meters
+ * @returns {Uint8Array} 1 for cells inside the boundary, row-major from the south
+ */
+function rasterizeBoundary(boundary, { minX, minY, width, height, cellSize }) {
+  const mask = new Uint8Array(width * height);
+  const { coords } = boundary;
+  const crossings = [];
+
+  for (let row = 0; row < height; row++) {
+    const { lat } = metersToLatLng(0, minY + (row + 0.5) * cellSize);
+
+    crossings.length = 0;
+    for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
+      const [xi, yi] = coords[i];
+      const [xj, yj] = coords[j];
+      if (Math.abs(yj - yi) < 1e-10 || (yi > lat) === (yj > lat)) continue;
+      crossings.push(xi + (lat - yi) * (xj - xi) / (yj - yi));
+    }
+    crossings.sort((a, b) => a - b);
+
+    // Cell centers between the 1st and 2nd crossing, 3rd and 4th, ... are inside
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const from = latLngToMeters(lat, crossings[k]).x;
+      const to = latLngToMeters(lat, crossings[k + 1]).x;
+      const colStart = Math.max(0, Math.ceil((from - minX) / cellSize - 0.5));
+      const colEnd = Math.min(width, Math.ceil((to - minX) / cellSize - 0.5));
+      mask.fill(1, row * width + colStart, row * width + Math.max(colStart, colEnd));
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Linear binning of weighted points onto a padded grid
+ * Each point's weight is split between the four cell centers around it in
+ * proportion to its closeness, so the grid keeps the points' positions to
+ * well within a cell. The grid acts as the spatial index of the points: a
+ * point's cells follow from its coordinates, with no search.
+ * @param {Float64Array} xs - Point x coordinates in meters
+ * @param {Float64Array} ys - Point y coordinates in meters
+ * @param {Float32Array} weights - Point weights
+ * @param {Object} grid - { minX, minY, width, height, cellSize } in meters
+ * @param {number} pad - Cells of padding on each side
+ * @returns {Object} { data: Float64Array, width, height } of the padded grid
+ */
+function binPoints(xs, ys, weights, { minX, minY, width, height, cellSize }, pad) {
+  const paddedWidth = width + 2 * pad;
+  const paddedHeight = height + 2 * pad;
+  const data = new Float64Array(paddedWidth * paddedHeight);
+
+  const add = (col, row, value) => {
+    if (col >= 0 && col < paddedWidth && row >= 0 && row < paddedHeight) {
+      data[row * paddedWidth + col] += value;
+    }
+  };
+
+  for (let i = 0; i < xs.length; i++) {
+    const fx = (xs[i] - minX) / cellSize - 0.5 + pad;
+    const fy = (ys[i] - minY) / cellSize - 0.5 + pad;
+    const col = Math.floor(fx);
+    const row = Math.floor(fy);
+    const tx = fx - col;
+    const ty = fy - row;
+    const w = weights[i];
+
+    add(col, row, w * (1 - tx) * (1 - ty));
+    add(col + 1, row, w * tx * (1 - ty));
+    add(col, row + 1, w * (1 - tx) * ty);
+    add(col + 1, row + 1, w * tx * ty);
+  }
+
+  return { data, width: paddedWidth, height: paddedHeight };
+}
+
+/**
+ * Convolve a padded grid with a symmetric separable kernel, rows then
+ * columns, cropping the padding
+ * Costs cells × taps × 2 whatever the number of points; rows without
+ * weight are skipped.
+ * @param {Object} binned - Padded grid from binPoints
+ * @param {Float64Array} taps - Kernel values at -span..span cells
+ * @param {number} width - Width of the cropped grid
+ * @param {number} height - Height of the cropped grid
+ * @param {Function} onProgress - Called with the fraction of rows done
+ * @param {Function} ResultArray - Typed array class of the result
+ * @returns {Float32Array} Cropped grid
+ */
+function convolveSeparable(binned, taps, width, height, onProgress = () => {}, ResultArray = Float32Array) {
+  const { data, width: paddedWidth, height: paddedHeight } = binned;
+  const totalRows = paddedHeight + height;
+  const progressStep = Math.max(1, Math.floor(totalRows / 20));
+
+  // Rows: every padded row, cropped columns
+  const rows = new Float64Array(paddedHeight * width);
+  const rowHasWeight = new Uint8Array(paddedHeight);
+  for (let row = 0; row < paddedHeight; row++) {
+    if (row % progressStep === 0) onProgress(row / totalRows);
+    const source = row * paddedWidth;
+    let hasWeight = false;
+    for (let col = 0; col < paddedWidth; col++) {
+      if (data[source + col] !== 0) {
+        hasWeight = true;
+        break;
+      }
+    }
+    if (!hasWeight) continue;
+
+    rowHasWeight[row] = 1;
+    const target = row * width;
+    for (let col = 0; col < width; col++) {
+      let sum = 0;
+      for (let k = 0; k < taps.length; k++) {
+        sum += data[source + col + k] * taps[k];
+      }
+      rows[target + col] = sum;
+    }
+  }
+
+  // Columns: cropped rows, summing whole rows at a time
+  const result = new ResultArray(width * height);
+  const line = new Float64Array(width);
+  for (let row = 0; row < height; row++) {
+    if ((paddedHeight + row) % progressStep === 0) onProgress((paddedHeight + row) / totalRows);
+    line.fill(0);
+    for (let k = 0; k < taps.length; k++) {
+      const sourceRow = row + k;
+      if (!rowHasWeight[sourceRow]) continue;
+      const source = sourceRow * width;
+      const tap = taps[k];
+      for (let col = 0; col < width; col++) {
+        line[col] += rows[source + col] * tap;
+      }
+    }
+    result.set(line, row * width);
+  }
+
+  return result;
+}
+
+/**
+ * Convolve a padded grid with a radial kernel stencil, cropping the padding
+ * Used for kernels that are not separable; each cell with weight adds the
+ * stencil around it, so the cost is cells with weight × stencil cells.
+ * @param {Object} binned - Padded grid from binPoints
+ * @param {Float64Array} stencil - Kernel values at offsets -span..span, row-major
+ * @param {number} width - Width of the cropped grid
+ * @param {number} height - Height of the cropped grid
+ * @param {Function} onProgress - Called with the fraction of rows done
+ * @returns {Float32Array} Cropped grid
+ */
+function convolveRadial(binned, stencil, width, height, onProgress = () => {}) {
+  const size = Math.round(Math.sqrt(stencil.length));
+  const span = (size - 1) / 2;
+  const { data, width: paddedWidth, height: paddedHeight } = binned;
+  const result = new Float32Array(width * height);
+  const progressStep = Math.max(1, Math.floor(paddedHeight / 20));
+
+  for (let row = 0; row < paddedHeight; row++) {
+    if (row % progressStep === 0) onProgress(row / paddedHeight);
+
+    // Binned row r lands on cropped rows r - 2 * span .. r
+    const rowFrom = Math.max(0, row - 2 * span);
+    const rowTo = Math.min(height - 1, row);
+
+    for (let col = 0; col < paddedWidth; col++) {
+      const value = data[row * paddedWidth + col];
+      if (value === 0) continue;
+
+      const colFrom = Math.max(0, col - 2 * span);
+      const colTo = Math.min(width - 1, col);
+
+      for (let target = rowFrom; target <= rowTo; target++) {
+        const stencilRow = (target - row + 2 * span) * size - (col - 2 * span);
+        const offset = target * width;
+        for (let c = colFrom; c <= colTo; c++) {
+          result[offset + c] += value * stencil[stencilRow + c];
+        }
+      }
+    }
   }
 
-  // Validate points
+  return result;
+}
+
+/**
+ * Kernel density of projected points over a grid
+ * Points are binned onto the grid padded by the kernel's support, so points
+ * just outside it still reach its edge cells. The Gaussian is then applied as
+ * two 1D convolutions and the other kernels as a 2D stencil.
+ * @param {Object} projected - { xs, ys, weights } from projectPoints
+ * @param {Object} grid - { minX, minY, width, height, cellSize }
+ * @param {string} kernel - Kernel id (see KERNELS)
+ * @param {number} bandwidth - Bandwidth in meters
+ * @param {Function} onProgress - Called with the fraction done
+ * @returns {Float32Array} Density per square meter
+ */
+function kernelGrid({ xs, ys, weights }, grid, kernel, bandwidth, onProgress = () => {}) {
+  const { width, height, cellSize } = grid;
+  const { support, constant, profile } = KERNELS[kernel];
+  const span = Math.floor(support * bandwidth / cellSize);
+  const binned = binPoints(xs, ys, weights, grid, span);
+  let gridData;
+
+  if (kernel === 'gaussian') {
+    const taps = new Float64Array(2 * span + 1);
+    for (let k = -span; k <= span; k++) {
+      taps[k + span] = profile(Math.abs(k * cellSize) / bandwidth);
+    }
+    gridData = convolveSeparable(binned, taps, width, height, onProgress);
+  } else {
+    const size = 2 * span + 1;
+    const stencil = new Float64Array(size * size);
+    for (let dy = -span; dy <= span; dy++) {
+      for (let dx = -span; dx <= span; dx++) {
+        const u = Math.hypot(dx, dy) * cellSize / bandwidth;
+        stencil[(dy + span) * size + dx + span] = u > support ? 0 : profile(u);
+      }
+    }
+    gridData = convolveRadial(binned, stencil, width, height, onProgress);
+  }
+
+  const scale = constant / (bandwidth * bandwidth);
+  for (let i = 0; i < gridData.length; i++) {
+    gridData[i] *= scale;
+  }
+  return gridData;
+}
+
+/**
+ * Project valid points to meters
+ * @param {Array} points - Array of objects with lat, lng, weight properties
+ * @returns {Object} { xs, ys, weights } typed arrays; points without a
+ * position or with a negative weight are left out
+ */
+function projectPoints(points) {
   const validPoints = points.filter(
     (p) =>
       p.lat !== undefined &&
@@ -186,143 +463,159 @@ function calculateWeightedKDE(points, bandwidth, cellSize, boundary = null) {
       p.weight >= 0
   );
 
-  if (validPoints.length === 0) {
+  const n = validPoints.length;
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+  const weights = new Float32Array(n);
+  validPoints.forEach((p, i) => {
+    const { x, y } = latLngToMeters(p.lat, p.lng);
+    xs[i] = x;
+    ys[i] = y;
+    weights[i] = p.weight;
+  });
+  return { xs, ys, weights };
+}
+
+/**
+ * Calculate Weighted Kernel Density Estimation
+ * Points are binned onto the grid (see binPoints). The Gaussian is then
+ * applied as two 1D convolutions truncated at KERNEL_CUTOFF bandwidths, and
+ * the other kernels as a 2D stencil, so the cost grows with the number of
+ * cells and the bandwidth, not with the number of points.
+ * Adaptive modes give each point its own bandwidth from a pilot estimate
+ * (see adaptiveFactors), and add up one convolution per bandwidth class.
+ * @param {Array} points - Array of objects with lat, lng, weight properties
+ * @param {number} bandwidth - Kernel bandwidth in meters
+ * @param {number} cellSize - Grid cell size in meters
+ * @param {Object} boundary - GeoJSON polygon for boundary clipping (optional)
+ * @param {Object} options - { kernel (see KERNELS, default 'gaussian'),
+ *   adaptive ('fixed', 'abramson' or 'knn', default 'fixed'), k (neighbors of
+ *   the knn mode, default 10), onProgress(fraction) } (optional)
+ * @returns {Object} Grid data (Float32Array, NaN outside the boundary) with min, max values
+ */
+function calculateWeightedKDE(points, bandwidth, cellSize, boundary = null, { kernel = 'gaussian', adaptive = 'fixed', k = 10, onProgress = () => {} } = {}) {
+  const empty = { gridData: new Float32Array(0), min: 0, max: 0, width: 0, height: 0, bounds: null };
+
+  if (!points || points.length === 0) {
+    console.warn('[WKDE] No points provided for density estimation');
+    return empty;
+  }
+
+  // Validate and project points once
+  const projected = projectPoints(points);
+  const { xs, ys, weights } = projected;
+  const n = xs.length;
+
+  if (n === 0) {
     console.warn('[WKDE] No valid points found');
-    return { gridData: [], min: 0, max: 0, width: 0, height: 0, bounds: null };
+    return empty;
   }
 
+  // Per-point bandwidth factors from the pilot estimate (adaptive modes only)
+  const factors = adaptive === 'fixed' || n < 2 ? null : adaptiveFactors(projected, adaptive, kernel, bandwidth, k);
+  if (factors) onProgress(PILOT_PROGRESS);
+
   // Parse boundary once
   const parsedBoundary = boundary ? parseBoundary(boundary) : null;
   if (boundary && !parsedBoundary) {
     console.warn('[WKDE] Could not parse boundary, clipping disabled');
   }
 
-  // Calculate grid extent based on boundary (if available) or points
-  let minLat, maxLat, minLng, maxLng;
-  
+  // Grid extent: the boundary, or the points padded by two of the largest bandwidths
+  let minX, maxX, minY, maxY;
   if (parsedBoundary) {
-    // Use boundary extent
     const { bbox } = parsedBoundary;
-    // Convert boundary bbox to meters
     const sw = latLngToMeters(bbox.minLat, bbox.minLng);
     const ne = latLngToMeters(bbox.maxLat, bbox.maxLng);
-    minLat = sw.y;
-    maxLat = ne.y;
-    minLng = sw.x;
-    maxLng = ne.x;
-    console.log('[WKDE] Using boundary extent for grid');
+    minX = sw.x;
+    minY = sw.y;
+    maxX = ne.x;
+    maxY = ne.y;
   } else {
-    // Use points extent
-    minLat = Infinity;
-    maxLat = -Infinity;
-    minLng = Infinity;
-    maxLng = -Infinity;
-
-    validPoints.forEach((p) => {
-      const { x, y } = latLngToMeters(p.lat, p.lng);
-      if (y < minLat) minLat = y;
-      if (y > maxLat) maxLat = y;
-      if (x < minLng) minLng = x;
-      if (x > maxLng) maxLng = x;
-    });
+    minX = Infinity;
+    maxX = -Infinity;
+    minY = Infinity;
+    maxY = -Infinity;
+    for (let i = 0; i < n; i++) {
+      if (xs[i] < minX) minX = xs[i];
+      if (xs[i] > maxX) maxX = xs[i];
+      if (ys[i] < minY) minY = ys[i];
+      if (ys[i] > maxY) maxY = ys[i];
+    }
+    const padding = bandwidth * 2 * (factors ? factors.reduce((a, b) => Math.max(a, b), 0) : 1);
+    minX -= padding;
+    maxX += padding;
+    minY -= padding;
+    maxY += padding;
   }
 
-  // Add padding based on bandwidth (only if using points, not boundary)
-  const padding = parsedBoundary ? 0 : bandwidth * 2;
-  minLat -= padding;
-  maxLat += padding;
-  minLng -= padding;
-  maxLng += padding;
-
-  // Calculate grid dimensions
-  const gridWidth = Math.ceil((maxLng - minLng) / cellSize);
-  const gridHeight = Math.ceil((maxLat - minLat) / cellSize);
-
-  // Validate grid size to prevent excessive memory usage
-  const MAX_CELLS = 500000; // ~700x700 grid
-  if (gridWidth * gridHeight > MAX_CELLS) {
-    console.warn('[WKDE] Grid too large, adjusting cell size');
-    const scale = Math.sqrt((gridWidth * gridHeight) / MAX_CELLS);
-    const adjustedCellSize = cellSize * scale;
-    return calculateWeightedKDE(points, bandwidth, adjustedCellSize, boundary);
+  // Grow the cells of grids too large to compute in one step
+  const requestedCells = ((maxX - minX) / cellSize) * ((maxY - minY) / cellSize);
+  if (requestedCells > MAX_CELLS) {
+    cellSize *= Math.sqrt(requestedCells / MAX_CELLS);
+    console.warn(`[WKDE] Grid too large, cell size raised to ${cellSize.toFixed(0)}m`);
   }
 
-  console.log(`[WKDE] Grid: ${gridWidth}x${gridHeight} cells, boundary: ${parsedBoundary ? 'enabled' : 'disabled'}`);
-
-  // Initialize grid with nulls (will be set to actual values)
-  const gridData = new Array(gridWidth * gridHeight).fill(null);
-
-  // Convert points to meter coordinates with weights
-  const pointsInMeters = validPoints.map((p) => ({
-    x: latLngToMeters(p.lat, p.lng).x,
-    y: latLngToMeters(p.lat, p.lng).y,
-    weight: p.weight,
-  }));
+  const width = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+  const height = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+  const grid = { minX, minY, width, height, cellSize };
+
+  let gridData;
+  if (factors) {
+    // One convolution per bandwidth class, added up
+    const classes = adaptiveClasses(factors);
+    gridData = new Float32Array(width * height);
+    classes.forEach(({ factor, indices }, c) => {
+      const members = {
+        xs: Float64Array.from(indices, (i) => xs[i]),
+        ys: Float64Array.from(indices, (i) => ys[i]),
+        weights: Float32Array.from(indices, (i) => weights[i])
+      };
+      const classGrid = kernelGrid(members, grid, kernel, bandwidth * factor, (fraction) => {
+        onProgress(PILOT_PROGRESS + (1 - PILOT_PROGRESS) * (c + fraction) / classes.length);
+      });
+      for (let i = 0; i < classGrid.length; i++) {
+        gridData[i] += classGrid[i];
+      }
+    });
+  } else {
+    gridData = kernelGrid(projected, grid, kernel, bandwidth, onProgress);
+  }
 
-  // Calculate kernel density for each grid cell
+  // Blank cells outside the boundary and find the range
+  const mask = parsedBoundary ? rasterizeBoundary(parsedBoundary, grid) : null;
   let minValue = Infinity;
   let maxValue = -Infinity;
   let validCells = 0;
-  let clippedCells = 0;
-
-  for (let row = 0; row < gridHeight; row++) {
-    for (let col = 0; col < gridWidth; col++) {
-      // Calculate cell center in meters
-      const cellX = minLng + col * cellSize + cellSize / 2;
-      const cellY = minLat + row * cellSize + cellSize / 2;
-
-      // Convert to lat/lng for boundary check
-      const { lat: cellLat, lng: cellLng } = metersToLatLng(cellX, cellY);
-
-      // Check boundary
-      if (parsedBoundary && !isPointInPolygon(cellLat, cellLng, parsedBoundary)) {
-        clippedCells++;
-        continue; // Leave as null
-      }
-
-      // Calculate weighted kernel density
-      let density = 0;
-      for (const point of pointsInMeters) {
-        const distance = Math.sqrt(
-          Math.pow(cellX - point.x, 2) + Math.pow(cellY - point.y, 2)
-        );
-        const kernelWeight = gaussianKernel(distance, bandwidth);
-        density += point.weight * kernelWeight;
-      }
-
-      // Normalize by bandwidth squared for area consistency
-      density = density / (bandwidth * bandwidth);
 
-      gridData[row * gridWidth + col] = density;
-
-      if (density < minValue) minValue = density;
-      if (density > maxValue) maxValue = density;
-      validCells++;
+  for (let i = 0; i < gridData.length; i++) {
+    if (mask && mask[i] === 0) {
+      gridData[i] = NaN;
+      continue;
     }
+
+    const density = gridData[i];
+    if (density < minValue) minValue = density;
+    if (density > maxValue) maxValue = density;
+    validCells++;
   }
 
   // If all cells are masked, return empty result
   if (validCells === 0) {
     console.warn('[WKDE] No valid cells within boundary');
-    return { gridData: [], min: 0, max: 0, width: 0, height: 0, bounds: null };
+    return empty;
   }
 
   // Calculate bounds in lat/lng for visualization
-  const sw = metersToLatLng(minLng, minLat);
-  const ne = metersToLatLng(maxLng, maxLat);
-
-  console.log(
-    `[WKDE] Calculated density grid: ${gridWidth}x${gridHeight} cells, ` +
-      `valid: ${validCells}, clipped: ${clippedCells}, ` +
-      `value range: ${minValue.toFixed(6)} - ${maxValue.toFixed(6)}`
-  );
+  const sw = metersToLatLng(minX, minY);
+  const ne = metersToLatLng(minX + width * cellSize, minY + height * cellSize);
 
   return {
     gridData,
     min: minValue,
     max: maxValue,
-    width: gridWidth,
-    height: gridHeight,
+    width,
+    height,
     bounds: {
       south: sw.lat,
       west: sw.lng,
@@ -330,7 +623,349 @@ function calculateWeightedKDE(points, bandwidth, cellSize, boundary = null) {
       east: ne.lng,
     },
     cellSize,
+    bandwidth,
+    kernel,
+    adaptive,
+  };
+}
+
+/**
+ * Weighted center, spread and effective size of projected points
+ * The effective size (sum of weights)² / sum of squared weights is the
+ * number of equally weighted points carrying the same information.
+ */
+function weightedSpread({ xs, ys, weights }) {
+  let total = 0, totalSquared = 0, sumX = 0, sumY = 0;
+  for (let i = 0; i < xs.length; i++) {
+    total += weights[i];
+    totalSquared += weights[i] * weights[i];
+    sumX += weights[i] * xs[i];
+    sumY += weights[i] * ys[i];
+  }
+  const meanX = sumX / total;
+  const meanY = sumY / total;
+
+  let varianceX = 0, varianceY = 0;
+  const distances = [];
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    varianceX += weights[i] * dx * dx;
+    varianceY += weights[i] * dy * dy;
+    distances.push({ d: Math.hypot(dx, dy), w: weights[i] });
+  }
+  varianceX /= total;
+  varianceY /= total;
+
+  // Weighted median distance to the center
+  distances.sort((a, b) => a.d - b.d);
+  let medianDistance = 0;
+  let cumulative = 0;
+  for (const { d, w } of distances) {
+    cumulative += w;
+    medianDistance = d;
+    if (cumulative >= total / 2) break;
+  }
+
+  return {
+    sdX: Math.sqrt(varianceX),
+    sdY: Math.sqrt(varianceY),
+    standardDistance: Math.sqrt(varianceX + varianceY),
+    medianDistance,
+    effectiveCount: (total * total) / totalSquared
+  };
+}
+
+/**
+ * Gaussian density at every point, per unit weight
+ * The densities are read from a binned grid of a quarter bandwidth. Binning
+ * a point and reading it back spreads its own kernel over its four cells;
+ * with leaveOneOut that share is known exactly and is subtracted.
+ * @param {Object} projected - { xs, ys, weights } from projectPoints
+ * @param {number} bandwidth - Gaussian bandwidth in meters
+ * @param {boolean} leaveOneOut - Leave each point out of its own density
+ * @returns {Float64Array} Density per square meter at each point
+ */
+function pointDensities({ xs, ys, weights }, bandwidth, leaveOneOut = false) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  let total = 0;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] < minX) minX = xs[i];
+    if (xs[i] > maxX) maxX = xs[i];
+    if (ys[i] < minY) minY = ys[i];
+    if (ys[i] > maxY) maxY = ys[i];
+    total += weights[i];
+  }
+
+  const cellSize = Math.max(bandwidth / 4, Math.sqrt(((maxX - minX) * (maxY - minY)) / MAX_CELLS));
+  const width = Math.floor((maxX - minX) / cellSize) + 2;
+  const height = Math.floor((maxY - minY) / cellSize) + 2;
+  const span = Math.floor(KERNEL_CUTOFF * bandwidth / cellSize);
+  const taps = new Float64Array(2 * span + 1);
+  for (let k = -span; k <= span; k++) {
+    const u = (k * cellSize) / bandwidth;
+    taps[k + span] = Math.exp(-0.5 * u * u);
+  }
+
+  const grid = { minX: minX - cellSize / 2, minY: minY - cellSize / 2, width, height, cellSize };
+  const density = convolveSeparable(binPoints(xs, ys, weights, grid, span), taps, width, height, undefined, Float64Array);
+  const neighbor = span > 0 ? taps[span + 1] : 0;
+  const normalization = 2 * Math.PI * bandwidth * bandwidth;
+  const densities = new Float64Array(xs.length);
+
+  for (let i = 0; i < xs.length; i++) {
+    const fx = (xs[i] - grid.minX) / cellSize - 0.5;
+    const fy = (ys[i] - grid.minY) / cellSize - 0.5;
+    const col = Math.max(0, Math.min(Math.floor(fx), width - 2));
+    const row = Math.max(0, Math.min(Math.floor(fy), height - 2));
+    const tx = fx - col;
+    const ty = fy - row;
+    const top = row * width + col;
+    const bottom = top + width;
+
+    let sum =
+      density[top] * (1 - tx) * (1 - ty) + density[top + 1] * tx * (1 - ty) +
+      density[bottom] * (1 - tx) * ty + density[bottom + 1] * tx * ty;
+    let others = total;
+    if (leaveOneOut) {
+      const selfX = ((1 - tx) * (1 - tx) + tx * tx) * taps[span] + 2 * tx * (1 - tx) * neighbor;
+      const selfY = ((1 - ty) * (1 - ty) + ty * ty) * taps[span] + 2 * ty * (1 - ty) * neighbor;
+      sum = Math.max(sum - weights[i] * selfX * selfY, 0);
+      others -= weights[i];
+    }
+    densities[i] = sum / (others * normalization);
+  }
+
+  return densities;
+}
+
+/**
+ * Leave-one-out log-likelihood of a Gaussian bandwidth, per unit weight
+ */
+function crossValidationScore(projected, bandwidth) {
+  const densities = pointDensities(projected, bandwidth, true);
+  const { weights } = projected;
+  let score = 0;
+  let total = 0;
+  for (let i = 0; i < densities.length; i++) {
+    score += weights[i] * Math.log(Math.max(densities[i], Number.MIN_VALUE));
+    total += weights[i];
+  }
+  return score / total;
+}
+
+/**
+ * Distance to the k-th nearest other point, approximately
+ * Points are counted on a fine grid and a summed-area table gives the count
+ * of any square of cells around a point. The square reaching k other points
+ * is found by bisection, and its area (interpolated between the last two
+ * squares) is returned as the radius of a disc of the same area.
+ * @param {Object} projected - { xs, ys } from projectPoints
+ * @param {number} k - Number of neighbors
+ * @returns {Float64Array} Distance in meters for each point
+ */
+function nearestNeighborDistances({ xs, ys }, k) {
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] < minX) minX = xs[i];
+    if (xs[i] > maxX) maxX = xs[i];
+    if (ys[i] < minY) minY = ys[i];
+    if (ys[i] > maxY) maxY = ys[i];
+  }
+
+  const cellSize = Math.max(Math.sqrt(((maxX - minX) * (maxY - minY)) / MAX_CELLS), 1);
+  const width = Math.floor((maxX - minX) / cellSize) + 1;
+  const height = Math.floor((maxY - minY) / cellSize) + 1;
+  const cellOf = (i) => [Math.floor((xs[i] - minX) / cellSize), Math.floor((ys[i] - minY) / cellSize)];
+
+  // Summed-area table of point counts, one row and column larger than the grid
+  const table = new Uint32Array((width + 1) * (height + 1));
+  for (let i = 0; i < xs.length; i++) {
+    const [col, row] = cellOf(i);
+    table[(row + 1) * (width + 1) + col + 1]++;
+  }
+  for (let row = 1; row <= height; row++) {
+    for (let col = 1; col <= width; col++) {
+      const index = row * (width + 1) + col;
+      table[index] += table[index - 1] + table[index - width - 1] - table[index - width - 2];
+    }
+  }
+
+  // Points in the square of cells within reach of (col, row), the point included
+  const countWithin = (col, row, reach) => {
+    const left = Math.max(0, col - reach);
+    const right = Math.min(width, col + reach + 1);
+    const bottom = Math.max(0, row - reach);
+    const top = Math.min(height, row + reach + 1);
+    return table[top * (width + 1) + right] - table[top * (width + 1) + left] -
+      table[bottom * (width + 1) + right] + table[bottom * (width + 1) + left];
   };
+
+  const needed = Math.min(k, xs.length - 1) + 1;
+  const maxReach = Math.max(width, height);
+  const distances = new Float64Array(xs.length);
+
+  for (let i = 0; i < xs.length; i++) {
+    const [col, row] = cellOf(i);
+    let low = -1;
+    let high = maxReach;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (countWithin(col, row, middle) >= needed) high = middle;
+      else low = middle;
+    }
+
+    const countBefore = low < 0 ? 1 : countWithin(col, row, low);
+    const countAt = countWithin(col, row, high);
+    const areaBefore = low < 0 ? 0 : Math.pow((2 * low + 1) * cellSize, 2);
+    const areaAt = Math.pow((2 * high + 1) * cellSize, 2);
+    const area = areaBefore + ((needed - countBefore) / Math.max(countAt - countBefore, 1)) * (areaAt - areaBefore);
+    distances[i] = Math.sqrt(area / Math.PI);
+  }
+
+  return distances;
+}
+
+/**
+ * Per-point bandwidth factors of an adaptive KDE
+ * Abramson's square-root law scales the bandwidth of each point by
+ * (pilot density / geometric mean of the pilot densities)^-1/2, so it
+ * narrows where votes are dense and widens where they are sparse.
+ * - abramson: the pilot is a fixed Gaussian KDE of the weighted points, with
+ *   the Gaussian bandwidth matching the global one
+ * - knn: the pilot is the nearest-neighbor density k / (π r_k²) of the votes
+ *   regardless of weight, which makes the factor r_k / geometric mean of r_k
+ * Factors are clamped to ADAPTIVE_MIN_FACTOR..ADAPTIVE_MAX_FACTOR.
+ * @param {Object} projected - { xs, ys, weights } from projectPoints
+ * @param {string} mode - 'abramson' or 'knn'
+ * @param {string} kernel - Kernel id (see KERNELS)
+ * @param {number} bandwidth - Global bandwidth in meters
+ * @param {number} k - Neighbors of the knn mode
+ * @returns {Float64Array} Factor of the global bandwidth for each point
+ */
+function adaptiveFactors(projected, mode, kernel, bandwidth, k) {
+  const { weights } = projected;
+  const pilot = mode === 'knn'
+    ? nearestNeighborDistances(projected, k).map((r) => 1 / Math.max(r * r, 1))
+    : pointDensities(projected, bandwidth / KERNELS[kernel].gaussianEquivalent);
+
+  // Weighted geometric mean, over points with a density
+  let logSum = 0;
+  let total = 0;
+  for (let i = 0; i < pilot.length; i++) {
+    if (pilot[i] > 0) {
+      logSum += weights[i] * Math.log(pilot[i]);
+      total += weights[i];
+    }
+  }
+  const geometricMean = total > 0 ? Math.exp(logSum / total) : 1;
+
+  return pilot.map((density) => {
+    const factor = density > 0 ? Math.sqrt(geometricMean / density) : ADAPTIVE_MAX_FACTOR;
+    return Math.min(ADAPTIVE_MAX_FACTOR, Math.max(ADAPTIVE_MIN_FACTOR, factor));
+  });
+}
+
+/**
+ * Group points by bandwidth factor rounded to a power of ADAPTIVE_CLASS_RATIO
+ * @param {Float64Array} factors - Factor of each point
+ * @returns {Array} [{ factor, indices }] for each class with points
+ */
+function adaptiveClasses(factors) {
+  const classes = new Map();
+  factors.forEach((factor, i) => {
+    const step = Math.round(Math.log(factor) / Math.log(ADAPTIVE_CLASS_RATIO));
+    if (!classes.has(step)) classes.set(step, []);
+    classes.get(step).push(i);
+  });
+  return [...classes.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([step, indices]) => ({ factor: Math.pow(ADAPTIVE_CLASS_RATIO, step), indices }));
+}
+
+/**
+ * Choose a bandwidth from the points
+ * - silverman: Silverman's rule in its spatial form,
+ *   0.9 × min(standard distance, √(1 / ln 2) × median distance) × n^-0.2
+ * - scott: Scott's rule for two dimensions, σ × n^(-1/6)
+ * - cv: the Gaussian bandwidth maximizing the leave-one-out likelihood,
+ *   by golden-section search between CV_MIN_BANDWIDTH and CV_MAX_BANDWIDTH
+ * All three give a Gaussian bandwidth, scaled by gaussianEquivalent for the
+ * other kernels; n is the effective number of points.
+ * @param {Array} points - Array of objects with lat, lng, weight properties
+ * @param {string} method - 'silverman', 'scott' or 'cv'
+ * @param {string} kernel - Kernel id (see KERNELS)
+ * @param {Object} options - { onProgress(fraction) } (optional)
+ * @returns {number|null} Bandwidth in meters, or null with fewer than 2 points
+ */
+function selectBandwidth(points, method, kernel = 'gaussian', { onProgress = () => {} } = {}) {
+  const projected = projectPoints(points);
+  if (projected.xs.length < 2) return null;
+
+  const spread = weightedSpread(projected);
+  let bandwidth;
+
+  if (method === 'scott') {
+    const sigma = Math.sqrt((spread.sdX * spread.sdX + spread.sdY * spread.sdY) / 2);
+    bandwidth = sigma * Math.pow(spread.effectiveCount, -1 / 6);
+  } else if (method === 'cv') {
+    // Golden-section search over the logarithm of the bandwidth
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = Math.log(CV_MIN_BANDWIDTH);
+    let high = Math.log(CV_MAX_BANDWIDTH);
+    let a = high - ratio * (high - low);
+    let b = low + ratio * (high - low);
+    let scoreA = crossValidationScore(projected, Math.exp(a));
+    let scoreB = crossValidationScore(projected, Math.exp(b));
+
+    for (let i = 0; i < CV_ITERATIONS; i++) {
+      onProgress(i / CV_ITERATIONS);
+      if (scoreA > scoreB) {
+        high = b;
+        b = a;
+        scoreB = scoreA;
+        a = high - ratio * (high - low);
+        scoreA = crossValidationScore(projected, Math.exp(a));
+      } else {
+        low = a;
+        a = b;
+        scoreA = scoreB;
+        b = low + ratio * (high - low);
+        scoreB = crossValidationScore(projected, Math.exp(b));
+      }
+    }
+    bandwidth = Math.exp((low + high) / 2);
+  } else {
+    const spreadDistance = Math.min(spread.standardDistance, Math.sqrt(1 / Math.LN2) * spread.medianDistance);
+    bandwidth = 0.9 * spreadDistance * Math.pow(spread.effectiveCount, -0.2);
+  }
+
+  onProgress(1);
+  return bandwidth > 0 ? bandwidth * KERNELS[kernel].gaussianEquivalent : null;
+}
+
+/**
+ * Difference of two KDE results computed on the same grid
+ * Each surface is scaled by its own maximum so categories with more votes
+ * do not dominate; the result maps -1..1 to 0..1 (0.5 = no difference).
+ * @param {Object} result - KDE result of the selected category
+ * @param {Object} compareResult - KDE result of the compared category (may be empty)
+ * @returns {Float32Array} Grid of 0-1 values, NaN outside the boundary
+ */
+function differenceGrid(result, compareResult) {
+  const hasCompare = compareResult.gridData.length > 0;
+  if (hasCompare && (compareResult.width !== result.width || compareResult.height !== result.height)) {
+    throw new Error('Comparison surfaces do not share a grid');
+  }
+
+  const max = result.max || 1;
+  const compareMax = compareResult.max || 1;
+
+  return result.gridData.map((value, i) => {
+    if (Number.isNaN(value)) return NaN;
+    const compareValue = hasCompare ? compareResult.gridData[i] || 0 : 0;
+    return (value / max - compareValue / compareMax + 1) / 2;
+  });
 }
 
-export { calculateWeightedKDE, normalizeGrid, gaussianKernel };
+export { calculateWeightedKDE, selectBandwidth, kernelDensity, normalizeGrid, differenceGrid, gaussianKernel, haversineDistance, latLngToMeters, metersToLatLng, parseBoundary, isPointInPolygon, rasterizeBoundary };
@@ -0,0 +1,192 @@
+/**
+ * Spatial Autocorrelation (Moran's I and LISA)
+ * Global Moran's I tells whether similar scores sit next to each other
+ * anywhere in the city; Local Indicators of Spatial Association (LISA)
+ * tell where. Both are tested by permutation rather than by a normal
+ * approximation, since vote scores are neither normal nor evenly spread.
+ */
+
+import { latLngToMeters } from './kde.js';
+import { distanceBandNeighbors, nearestNeighbors } from './getisOrd.js';
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ * A fixed seed keeps the p-values stable while the options are unchanged.
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Neighbor lists of the points, without the point itself
+ * @param {Array} points - Points with lat, lng
+ * @param {Object} options - { weights: 'distance' | 'knn', distance (meters), k }
+ * @returns {Array} Neighbor index lists
+ */
+function buildNeighbors(points, { weights = 'distance', distance = 1000, k = 8 } = {}) {
+  const projected = points.map((p) => latLngToMeters(p.lat, p.lng));
+  const lists = weights === 'knn' ? nearestNeighbors(projected, k) : distanceBandNeighbors(projected, distance);
+  return lists.map((list, i) => list.filter((j) => j !== i));
+}
+
+/**
+ * Spatial lag of standardized values: the mean over each point's neighbors
+ * (row-standardized weights); 0 for points without neighbors
+ */
+function spatialLag(z, neighbors) {
+  const lag = new Float64Array(z.length);
+  neighbors.forEach((list, i) => {
+    if (list.length === 0) return;
+    let sum = 0;
+    for (const j of list) sum += z[j];
+    lag[i] = sum / list.length;
+  });
+  return lag;
+}
+
+/**
+ * Moran's I of standardized values under row-standardized weights
+ * With unit variance this is the mean of z * lag over points with neighbors.
+ */
+function moranStatistic(z, neighbors, connected) {
+  const lag = spatialLag(z, neighbors);
+  let sum = 0;
+  for (let i = 0; i < z.length; i++) sum += z[i] * lag[i];
+  return sum / connected;
+}
+
+/**
+ * Pseudo p-value of a permutation test, folded to the tail the observed
+ * value lies in: (extremes + 1) / (permutations + 1)
+ */
+function pseudoPValue(atLeast, permutations) {
+  const extremes = Math.min(atLeast, permutations - atLeast);
+  return (extremes + 1) / (permutations + 1);
+}
+
+/**
+ * Compute global Moran's I and the LISA of every point
+ * Values are standardized and weights row-standardized, so the slope of the
+ * Moran scatterplot (spatial lag against value) equals I. The global test
+ * shuffles all values; each local test keeps the point's own value and
+ * draws its neighbors' values from the other points (conditional
+ * permutation). A point is in a cluster when its pseudo p-value is at most
+ * alpha: HH and LL are high or low values among similar neighbors, HL and
+ * LH are outliers; 'ns' is not significant or without neighbors.
+ * @param {Array} points - Array of objects with lat, lng, value properties
+ * @param {Object} options - { weights, distance, k, permutations, alpha, seed, onProgress(fraction) }
+ * @returns {Object} { global: { I, expected, z, p, permutations }, local: [{ z, lag, I, p, cluster }] }
+ */
+function calculateMoran(points, {
+  weights = 'distance',
+  distance = 1000,
+  k = 8,
+  permutations = 999,
+  alpha = 0.05,
+  seed = 1,
+  onProgress = () => {}
+} = {}) {
+  const n = points.length;
+  const empty = {
+    global: { I: 0, expected: 0, z: 0, p: 1, permutations },
+    local: points.map(() => ({ z: 0, lag: 0, I: 0, p: 1, cluster: 'ns' }))
+  };
+  if (n < 3) return empty;
+
+  const values = points.map((p) => p.value);
+  const mean = values.reduce((sum, x) => sum + x, 0) / n;
+  const s = Math.sqrt(values.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / n);
+  if (s === 0) return empty;
+
+  const z = Float64Array.from(values, (x) => (x - mean) / s);
+  const neighbors = buildNeighbors(points, { weights, distance, k });
+  const connected = neighbors.filter((list) => list.length > 0).length;
+  if (connected === 0) return empty;
+
+  const random = createRandom(seed);
+  const lag = spatialLag(z, neighbors);
+  const I = moranStatistic(z, neighbors, connected);
+
+  // Global test: Moran's I of shuffled values
+  const shuffled = Float64Array.from(z);
+  const samples = new Float64Array(permutations);
+  let globalAtLeast = 0;
+  for (let r = 0; r < permutations; r++) {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const swap = shuffled[i];
+      shuffled[i] = shuffled[j];
+      shuffled[j] = swap;
+    }
+    samples[r] = moranStatistic(shuffled, neighbors, connected);
+    if (samples[r] >= I) globalAtLeast++;
+  }
+  const sampleMean = samples.reduce((sum, x) => sum + x, 0) / permutations;
+  const sampleSd = Math.sqrt(samples.reduce((sum, x) => sum + (x - sampleMean) * (x - sampleMean), 0) / (permutations - 1));
+  onProgress(0.1);
+
+  // Local tests: other points' values are drawn from a pool of indices with a
+  // partial Fisher-Yates shuffle, after moving the point itself to the end
+  const pool = Int32Array.from({ length: n }, (_, i) => i);
+  const position = Int32Array.from(pool);
+  const swapPool = (a, b) => {
+    const indexA = pool[a];
+    const indexB = pool[b];
+    pool[a] = indexB;
+    pool[b] = indexA;
+    position[indexB] = a;
+    position[indexA] = b;
+  };
+  const progressStep = Math.max(1, Math.floor(n / 20));
+
+  const local = neighbors.map((list, i) => {
+    const localI = z[i] * lag[i];
+    const count = list.length;
+    if (count === 0) {
+      return { z: z[i], lag: 0, I: 0, p: 1, cluster: 'ns' };
+    }
+
+    swapPool(position[i], n - 1);
+    let atLeast = 0;
+    for (let r = 0; r < permutations; r++) {
+      let sum = 0;
+      for (let m = 0; m < count; m++) {
+        swapPool(m, m + Math.floor(random() * (n - 1 - m)));
+        sum += z[pool[m]];
+      }
+      if (z[i] * (sum / count) >= localI) atLeast++;
+    }
+
+    if (i % progressStep === 0) onProgress(0.1 + 0.9 * (i / n));
+
+    const p = pseudoPValue(atLeast, permutations);
+    let cluster = 'ns';
+    if (p <= alpha) {
+      cluster = `${z[i] >= 0 ? 'H' : 'L'}${lag[i] >= 0 ? 'H' : 'L'}`;
+    }
+    return { z: z[i], lag: lag[i], I: localI, p, cluster };
+  });
+  onProgress(1);
+
+  return {
+    global: {
+      I,
+      expected: -1 / (n - 1),
+      z: sampleSd > 0 ? (I - sampleMean) / sampleSd : 0,
+      p: pseudoPValue(globalAtLeast, permutations),
+      permutations
+    },
+    local
+  };
+}
+
+export { calculateMoran };
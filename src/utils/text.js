@@ -0,0 +1,68 @@
+/**
+ * Text Utilities
+ * Cleans free-text comments and tags before they are stored
+ */
+
+// Limits, mirrored by CHECK constraints in sql/schema.sql
+export const MAX_COMMENT_LENGTH = 500
+export const MAX_TAGS = 10
+export const MAX_TAG_LENGTH = 30
+
+/**
+ * Sanitize a vote comment
+ * Strips markup and control characters, collapses whitespace and
+ * truncates to MAX_COMMENT_LENGTH
+ * @param {string} text - Raw comment
+ * @returns {string|null} Clean comment, or null if empty
+ */
+export function sanitizeComment(text) {
+  if (typeof text !== 'string') {
+    return null
+  }
+
+  const clean = text
+    .replace(/<[^>]*>/g, '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_COMMENT_LENGTH)
+    .trim()
+
+  return clean || null
+}
+
+/**
+ * Normalize a single tag: lowercase, no leading '#', words joined by '-'
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag (empty if nothing usable is left)
+ */
+export function normalizeTag(tag) {
+  return String(tag)
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .slice(0, MAX_TAG_LENGTH)
+}
+
+/**
+ * Parse tags from a comma-separated string or an array
+ * Accepts both Latin and Persian commas
+ * @param {string|Array} input - Raw tags
+ * @returns {Array} Unique normalized tags, at most MAX_TAGS
+ */
+export function parseTags(input) {
+  if (!input) {
+    return []
+  }
+
+  const raw = Array.isArray(input) ? input : String(input).split(/[,،\n]/)
+  const tags = raw.map(normalizeTag).filter(Boolean)
+
+  return [...new Set(tags)].slice(0, MAX_TAGS)
+}
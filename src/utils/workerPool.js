@@ -0,0 +1,113 @@
+/**
+ * Worker Pool Utility
+ * Spreads jobs over a few web workers. Jobs wait in a queue until a worker
+ * is free, and queued jobs can be cancelled (map tiles scrolled out of view).
+ * Workers answer each job with a message carrying its id and a type of
+ * 'complete' or 'error'.
+ */
+
+// Leave a core for the main thread, and no more than four workers
+export function getDefaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2
+  return Math.max(1, Math.min(4, cores - 1))
+}
+
+/**
+ * Create a worker pool
+ * @param {Function} createWorker - Returns a new Worker
+ * @param {number} size - Number of workers
+ * @returns {Object} { run, broadcast, terminate }
+ */
+export function createWorkerPool(createWorker, size = getDefaultPoolSize()) {
+  const slots = Array.from({ length: size }, () => ({ worker: createWorker(), job: null }))
+  const queue = []
+  let nextId = 0
+  let isTerminated = false
+
+  // Hand queued jobs to idle workers
+  const dispatch = () => {
+    for (const slot of slots) {
+      if (slot.job || queue.length === 0) continue
+      const job = queue.shift()
+      slot.job = job
+      slot.worker.postMessage({ ...job.message, id: job.id }, job.transfer)
+    }
+  }
+
+  const finish = (slot, settle) => {
+    const job = slot.job
+    slot.job = null
+    settle(job)
+    dispatch()
+  }
+
+  slots.forEach(slot => {
+    slot.worker.onmessage = (e) => {
+      if (!slot.job || e.data.id !== slot.job.id) return
+      finish(slot, job => {
+        if (e.data.type === 'error') {
+          job.reject(new Error(e.data.error))
+        } else {
+          job.resolve(e.data)
+        }
+      })
+    }
+    slot.worker.onerror = (e) => {
+      if (!slot.job) return
+      finish(slot, job => job.reject(new Error(e.message)))
+    }
+  })
+
+  return {
+    /**
+     * Queue a job
+     * @param {Object} message - Message for the worker; the pool adds its id
+     * @param {Array} transfer - Buffers to transfer with the message
+     * @returns {Object} { promise, cancel }; the promise resolves with the
+     * worker's reply, or with null when the job is cancelled before it starts
+     */
+    run(message, transfer = []) {
+      let job
+      const promise = new Promise((resolve, reject) => {
+        job = { id: ++nextId, message, transfer, resolve, reject }
+      })
+
+      if (isTerminated) {
+        job.resolve(null)
+      } else {
+        queue.push(job)
+        dispatch()
+      }
+
+      const cancel = () => {
+        const index = queue.indexOf(job)
+        if (index !== -1) {
+          queue.splice(index, 1)
+          job.resolve(null)
+        }
+      }
+      return { promise, cancel }
+    },
+
+    /**
+     * Send a message to every worker, ahead of jobs queued later
+     * @param {Object} message - Message for the workers
+     */
+    broadcast(message) {
+      slots.forEach(slot => slot.worker.postMessage(message))
+    },
+
+    /**
+     * Stop every worker; queued jobs resolve with null
+     */
+    terminate() {
+      isTerminated = true
+      slots.forEach(slot => slot.worker.terminate())
+      queue.splice(0).forEach(job => job.resolve(null))
+      slots.forEach(slot => {
+        if (slot.job) slot.job.resolve(null)
+        slot.job = null
+      })
+    }
+  }
+}
@@ -1,108 +1,227 @@
 /**
- * Web Worker for favoribility IDW calculation
+ * Web Worker for favoribility IDW tiles
+ * Workers of a pool (see utils/workerPool.js) each receive the votes and
+ * boundary once per change ('data') and then render map tiles ('tile') as
+ * RGBA pixels. IDW is evaluated on a grid of samples spanning the tile,
+ * edges included so neighboring tiles meet seamlessly, and interpolated
+ * bilinearly in between; zooming in shrinks the tile and so refines the
+ * surface.
  */
 
-// IDW interpolation function
-function idwInterpolate(lat, lng, points, power = 2) {
-  if (!points || points.length === 0) return 0
+// Samples per tile edge; IDW runs (TILE_SAMPLES + 1)² times per tile
+const TILE_SAMPLES = 64
+
+// Alpha of pixels inside the boundary (85% opacity)
+const SURFACE_ALPHA = 220
+
+// Votes and boundary of the current surface
+let surface = null
+
+// Votes as typed arrays, read much faster than objects in the IDW loop
+function packPoints(points) {
+  return {
+    lats: Float64Array.from(points, p => p.lat),
+    lngs: Float64Array.from(points, p => p.lng),
+    scores: Float64Array.from(points, p => p.score)
+  }
+}
+
+// IDW interpolation function (power 2, distances in degrees)
+function idwInterpolate(lat, lng, { lats, lngs, scores }) {
+  if (lats.length === 0) return 0
 
   let numerator = 0
   let denominator = 0
 
-  for (const point of points) {
-    const distance = Math.sqrt(
-      Math.pow(lat - point.lat, 2) + Math.pow(lng - point.lng, 2)
-    )
+  for (let i = 0; i < lats.length; i++) {
+    const dLat = lat - lats[i]
+    const dLng = lng - lngs[i]
+    const distanceSquared = dLat * dLat + dLng * dLng
 
-    if (distance < 0.0001) {
-      return point.score
+    // Within 0.0001 degrees the vote's own score is used
+    if (distanceSquared < 1e-8) {
+      return scores[i]
     }
 
-    const weight = 1 / Math.pow(distance, power)
-    numerator += weight * point.score
+    const weight = 1 / distanceSquared
+    numerator += weight * scores[i]
     denominator += weight
   }
 
   return denominator > 0 ? numerator / denominator : 0
 }
 
-// Ray casting for point-in-polygon
-function isPointInBoundary(lat, lng, boundaryCoords) {
-  let inside = false
-  const n = boundaryCoords.length
+// Red (0) -> Yellow (2.5) -> Green (5)
+function favoribilityColor(score) {
+  const v = Math.max(0, Math.min(1, score / 5))
+
+  if (v < 0.5) {
+    const t = v * 2
+    return [255, Math.round(68 + t * (221 - 68)), Math.round(68 * (1 - t))]
+  }
+  const t = (v - 0.5) * 2
+  return [Math.round(255 - t * (255 - 68)), 221, Math.round(t * 68)]
+}
+
+// Purple (compared category higher) -> Light gray (equal) -> Green (selected category higher)
+function differenceColor(difference) {
+  const v = Math.max(0, Math.min(1, (difference + 5) / 10))
+  const low = [118, 42, 131]
+  const mid = [247, 247, 247]
+  const high = [27, 120, 55]
+
+  const [from, to, t] = v < 0.5 ? [low, mid, v * 2] : [mid, high, (v - 0.5) * 2]
+  return from.map((c, i) => Math.round(c + t * (to[i] - c)))
+}
+
+// Web Mercator: longitude and latitude of a position in world pixels
+function worldXToLng(x, worldSize) {
+  return (x / worldSize) * 360 - 180
+}
+
+function worldYToLat(y, worldSize) {
+  return Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / worldSize))) * 180 / Math.PI
+}
+
+function lngToWorldX(lng, worldSize) {
+  return ((lng + 180) / 360) * worldSize
+}
+
+/**
+ * Pixels of a tile inside the boundary, by scanlines over every ring (even-odd)
+ * @returns {Uint8Array|null} Mask, or null when no pixel is inside
+ */
+function boundaryMask(originX, originY, size, worldSize) {
+  const mask = new Uint8Array(size * size)
+  const crossings = []
+  let insideCount = 0
+
+  for (let py = 0; py < size; py++) {
+    const lat = worldYToLat(originY + py + 0.5, worldSize)
+
+    crossings.length = 0
+    for (const ring of surface.boundaryCoords) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i]
+        const [xj, yj] = ring[j]
+        if ((yi > lat) === (yj > lat)) continue
+        crossings.push(xi + (lat - yi) * (xj - xi) / (yj - yi))
+      }
+    }
+    crossings.sort((a, b) => a - b)
+
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const from = Math.max(0, Math.ceil(lngToWorldX(crossings[k], worldSize) - originX - 0.5))
+      const to = Math.min(size, Math.ceil(lngToWorldX(crossings[k + 1], worldSize) - originX - 0.5))
+      if (to > from) {
+        mask.fill(1, py * size + from, py * size + to)
+        insideCount += to - from
+      }
+    }
+  }
 
-  for (let i = 0, j = n - 1; i < n; j = i++) {
-    const xi = boundaryCoords[i][0]
-    const yi = boundaryCoords[i][1]
-    const xj = boundaryCoords[j][0]
-    const yj = boundaryCoords[j][1]
+  return insideCount > 0 ? mask : null
+}
 
-    const intersect =
-      ((yi > lat) !== (yj > lat)) &&
-      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)
+/**
+ * Render one tile
+ * @returns {Uint8ClampedArray|null} RGBA pixels, or null for an empty tile
+ */
+function renderTile({ x, y, z, size }) {
+  const worldSize = size * Math.pow(2, z)
+  const originX = x * size
+  const originY = y * size
+
+  // Tiles clear of the boundary's bounding box are empty
+  const { bbox } = surface
+  if (worldXToLng(originX + size, worldSize) < bbox.minLng || worldXToLng(originX, worldSize) > bbox.maxLng ||
+      worldYToLat(originY, worldSize) < bbox.minLat || worldYToLat(originY + size, worldSize) > bbox.maxLat) {
+    return null
+  }
 
-    if (intersect) inside = !inside
+  const mask = boundaryMask(originX, originY, size, worldSize)
+  if (!mask) return null
+
+  // IDW (or the difference of two) at the sample grid
+  const step = size / TILE_SAMPLES
+  const samples = new Float64Array((TILE_SAMPLES + 1) * (TILE_SAMPLES + 1))
+  for (let i = 0; i <= TILE_SAMPLES; i++) {
+    const lat = worldYToLat(originY + i * step, worldSize)
+    for (let j = 0; j <= TILE_SAMPLES; j++) {
+      const lng = worldXToLng(originX + j * step, worldSize)
+      const value = idwInterpolate(lat, lng, surface.points)
+      samples[i * (TILE_SAMPLES + 1) + j] = surface.comparePoints
+        ? value - idwInterpolate(lat, lng, surface.comparePoints)
+        : value
+    }
+  }
+
+  const colorFor = surface.comparePoints ? differenceColor : favoribilityColor
+  const pixels = new Uint8ClampedArray(size * size * 4)
+
+  for (let py = 0; py < size; py++) {
+    const fy = (py + 0.5) / step
+    const i = Math.min(Math.floor(fy), TILE_SAMPLES - 1)
+    const ty = fy - i
+
+    for (let px = 0; px < size; px++) {
+      if (!mask[py * size + px]) continue
+
+      const fx = (px + 0.5) / step
+      const j = Math.min(Math.floor(fx), TILE_SAMPLES - 1)
+      const tx = fx - j
+      const top = i * (TILE_SAMPLES + 1) + j
+      const bottom = top + TILE_SAMPLES + 1
+      const value =
+        samples[top] * (1 - tx) * (1 - ty) + samples[top + 1] * tx * (1 - ty) +
+        samples[bottom] * (1 - tx) * ty + samples[bottom + 1] * tx * ty
+
+      const [r, g, b] = colorFor(value)
+      const index = (py * size + px) * 4
+      pixels[index] = r
+      pixels[index + 1] = g
+      pixels[index + 2] = b
+      pixels[index + 3] = SURFACE_ALPHA
+    }
   }
 
-  return inside
+  return pixels
 }
 
 // Process message from main thread
 self.onmessage = function(e) {
-  const { 
-    type, 
-    points, 
-    boundaryCoords, 
-    bounds, 
-    resolution 
-  } = e.data
-
-  if (type === 'compute') {
-    const latStep = (bounds.north - bounds.south) / resolution
-    const lngStep = (bounds.east - bounds.west) / resolution
-    const resolutionPlusOne = resolution + 1
-
-    const cells = []
-
-    for (let i = 0; i < resolutionPlusOne; i++) {
-      // Report progress every 10%
-      if (i % Math.floor(resolutionPlusOne / 10) === 0) {
-        self.postMessage({
-          type: 'progress',
-          progress: Math.round((i / resolutionPlusOne) * 100)
-        })
+  const { type, id } = e.data
+
+  if (type === 'data') {
+    const { points, comparePoints, boundaryCoords } = e.data
+
+    // Bounding box of the boundary for quick tile rejection
+    let minLat = Infinity, maxLat = -Infinity
+    let minLng = Infinity, maxLng = -Infinity
+    for (const ring of boundaryCoords) {
+      for (const [lng, lat] of ring) {
+        minLat = Math.min(minLat, lat)
+        maxLat = Math.max(maxLat, lat)
+        minLng = Math.min(minLng, lng)
+        maxLng = Math.max(maxLng, lng)
       }
+    }
 
-      for (let j = 0; j < resolutionPlusOne; j++) {
-        const lat = bounds.south + i * latStep
-        const lng = bounds.west + j * lngStep
-
-        // Check boundary
-        let inside = false
-        for (const ring of boundaryCoords) {
-          if (isPointInBoundary(lat, lng, ring)) {
-            inside = true
-            break
-          }
-        }
-
-        if (inside) {
-          const favorability = idwInterpolate(lat, lng, points, 2)
-          cells.push({
-            lat,
-            lng,
-            latStep,
-            lngStep,
-            favorability
-          })
-        }
-      }
+    surface = {
+      points: packPoints(points),
+      comparePoints: comparePoints ? packPoints(comparePoints) : null,
+      boundaryCoords,
+      bbox: { minLat, maxLat, minLng, maxLng }
     }
+    return
+  }
 
-    // Send complete message with cells
-    self.postMessage({
-      type: 'complete',
-      cells
-    })
+  if (type === 'tile') {
+    try {
+      const pixels = surface ? renderTile(e.data) : null
+      self.postMessage({ type: 'complete', id, pixels }, pixels ? [pixels.buffer] : [])
+    } catch (error) {
+      self.postMessage({ type: 'error', id, error: error.message })
+    }
   }
 }
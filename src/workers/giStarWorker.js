@@ -0,0 +1,27 @@
+/**
+ * Web Worker for Getis-Ord Gi*
+ * The neighbor search takes seconds for tens of thousands of votes, so it
+ * runs off the main thread. The map starts one worker per run and
+ * terminates it when an option changes, so a replaced run never reports back.
+ */
+import { calculateGiStar } from '../utils/getisOrd.js'
+
+// Process message from main thread
+self.onmessage = function(e) {
+  const { type, points, options } = e.data
+
+  if (type === 'compute') {
+    try {
+      const result = calculateGiStar(points, {
+        ...options,
+        onProgress: (fraction) => {
+          self.postMessage({ type: 'progress', progress: Math.round(fraction * 100) })
+        }
+      })
+
+      self.postMessage({ type: 'complete', result })
+    } catch (error) {
+      self.postMessage({ type: 'error', error: error.message })
+    }
+  }
+}
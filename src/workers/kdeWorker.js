@@ -0,0 +1,56 @@
+/**
+ * Web Worker for the hotspot layer's weighted KDE
+ * Computes the surface (or the difference of two category surfaces) and
+ * its 0-1 normalized grid, and hands the grids back as transferred buffers.
+ * Unless the bandwidth method is 'manual', the bandwidth is first selected
+ * from the points (the compared surface uses the same one) and returned.
+ * Adaptive modes scale it per point from a pilot estimate of each surface.
+ * Each job carries an id that is echoed back; the layer drops replies to
+ * jobs it has replaced and terminates the worker to cancel a running one.
+ */
+import { calculateWeightedKDE, selectBandwidth, normalizeGrid, differenceGrid } from '../utils/kde.js'
+
+// Process message from main thread
+self.onmessage = function(e) {
+  const { type, id, points, comparePoints, cellSize, boundary, kernel, bandwidthMethod, adaptive, k } = e.data
+
+  if (type === 'compute') {
+    try {
+      // Cross-validation takes the first half of the progress bar, and the
+      // comparison surface the second half of the rest
+      const selectShare = bandwidthMethod === 'cv' ? 0.5 : 0
+      const share = (1 - selectShare) * (comparePoints ? 0.5 : 1)
+      const report = (offset, part) => (fraction) => {
+        self.postMessage({ type: 'progress', id, progress: Math.round((offset + fraction * part) * 100) })
+      }
+
+      let bandwidth = e.data.bandwidth
+      if (bandwidthMethod && bandwidthMethod !== 'manual') {
+        bandwidth = selectBandwidth(points, bandwidthMethod, kernel, { onProgress: report(0, selectShare) }) || bandwidth
+      }
+
+      const result = calculateWeightedKDE(points, bandwidth, cellSize, boundary, { kernel, adaptive, k, onProgress: report(selectShare, share) })
+
+      if (result.gridData.length === 0) {
+        self.postMessage({ type: 'complete', id, result: null })
+        return
+      }
+
+      let normalizedGrid
+      if (comparePoints) {
+        // Same boundary and parameters give both surfaces the same grid
+        const compareResult = calculateWeightedKDE(comparePoints, bandwidth, cellSize, boundary, { kernel, adaptive, k, onProgress: report(selectShare + share, share) })
+        normalizedGrid = differenceGrid(result, compareResult)
+      } else {
+        normalizedGrid = normalizeGrid(result.gridData, result.min, result.max, 0, 1)
+      }
+
+      self.postMessage(
+        { type: 'complete', id, result: { ...result, normalizedGrid, isComparison: !!comparePoints } },
+        [result.gridData.buffer, normalizedGrid.buffer]
+      )
+    } catch (error) {
+      self.postMessage({ type: 'error', id, error: error.message })
+    }
+  }
+}
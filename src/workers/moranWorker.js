@@ -0,0 +1,27 @@
+/**
+ * Web Worker for Moran's I and LISA
+ * The permutation tests take seconds for a few thousand votes, so they run
+ * off the main thread. The map starts one worker per run and terminates it
+ * when an option changes, so a replaced run never reports back.
+ */
+import { calculateMoran } from '../utils/moran.js'
+
+// Process message from main thread
+self.onmessage = function(e) {
+  const { type, points, options } = e.data
+
+  if (type === 'compute') {
+    try {
+      const result = calculateMoran(points, {
+        ...options,
+        onProgress: (fraction) => {
+          self.postMessage({ type: 'progress', progress: Math.round(fraction * 100) })
+        }
+      })
+
+      self.postMessage({ type: 'complete', result })
+    } catch (error) {
+      self.postMessage({ type: 'error', error: error.message })
+    }
+  }
+}
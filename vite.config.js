@@ -1,5 +1,122 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+
+// Local photo store used when VITE_PHOTO_STORAGE is "local" (see src/services/photos.js)
+const LOCAL_PHOTO_PREFIX = '/__photos/'
+const LOCAL_PHOTO_DIR = path.resolve('.local-photos')
+const MAX_LOCAL_PHOTO_BYTES = 10 * 1024 * 1024
+
+/**
+ * Dev-server stand-in for photo storage
+ * PUT /__photos/<voteId>/<file>.jpg writes to .local-photos/, GET serves it back
+ */
+function localPhotoStore() {
+  return {
+    name: 'local-photo-store',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        if (!req.url.startsWith(LOCAL_PHOTO_PREFIX)) {
+          return next()
+        }
+
+        const relative = decodeURIComponent(req.url.slice(LOCAL_PHOTO_PREFIX.length).split('?')[0])
+        const filePath = path.resolve(LOCAL_PHOTO_DIR, relative)
+
+        // Only plain <id>/<name>.jpg paths inside the photo directory
+        if (!/^[\w-]+\/[\w-]+\.jpg$/.test(relative) || !filePath.startsWith(LOCAL_PHOTO_DIR + path.sep)) {
+          res.statusCode = 400
+          return res.end('Invalid photo path')
+        }
+
+        if (req.method === 'PUT') {
+          const chunks = []
+          let size = 0
+          req.on('data', chunk => {
+            size += chunk.length
+            if (size > MAX_LOCAL_PHOTO_BYTES) {
+              res.statusCode = 413
+              res.end('Photo too large')
+              req.destroy()
+              return
+            }
+            chunks.push(chunk)
+          })
+          req.on('end', () => {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true })
+            fs.writeFileSync(filePath, Buffer.concat(chunks))
+            res.statusCode = 201
+            res.end()
+          })
+          return
+        }
+
+        if (req.method === 'GET' && fs.existsSync(filePath)) {
+          res.setHeader('Content-Type', 'image/jpeg')
+          return fs.createReadStream(filePath).pipe(res)
+        }
+
+        res.statusCode = 404
+        res.end()
+      })
+    }
+  }
+}
+
+/**
+ * Fill in the service worker's precache list and cache version at build time
+ * BUILD_FILES gets every emitted bundle and asset, and CACHE_VERSION a hash
+ * of all built files, so public/sw.js changes (and reinstalls) on every
+ * deploy that changes the app.
+ */
+function serviceWorkerManifest() {
+  let outDir
+  let buildFiles = []
+
+  return {
+    name: 'service-worker-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    generateBundle(options, bundle) {
+      buildFiles = Object.keys(bundle)
+        .filter(fileName => fileName !== 'index.html' && !fileName.endsWith('.map'))
+        .map(fileName => `/${fileName}`)
+        .sort()
+    },
+    closeBundle() {
+      const swPath = path.join(outDir, 'sw.js')
+      if (!fs.existsSync(swPath)) return
+
+      // Hash every built file except the worker itself, in a stable order
+      const hash = crypto.createHash('sha256')
+      const addFiles = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+          const entryPath = path.join(dir, entry.name)
+          if (entry.isDirectory()) {
+            addFiles(entryPath)
+          } else if (entryPath !== swPath) {
+            hash.update(path.relative(outDir, entryPath))
+            hash.update(fs.readFileSync(entryPath))
+          }
+        }
+      }
+      addFiles(outDir)
+
+      const source = fs.readFileSync(swPath, 'utf8')
+      const output = source
+        .replace("const CACHE_VERSION = 'dev'", `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}'`)
+        .replace('const BUILD_FILES = []', `const BUILD_FILES = ${JSON.stringify(buildFiles)}`)
+      if (output === source) {
+        throw new Error('[service-worker-manifest] Placeholders not found in sw.js')
+      }
+      fs.writeFileSync(swPath, output)
+    }
+  }
+}
 
 export default defineConfig({
   root: '.',
@@ -16,7 +133,7 @@ export default defineConfig({
   define: {
     'process.env': {}
   },
-  plugins: [react()],
+  plugins: [react(), localPhotoStore(), serviceWorkerManifest()],
   resolve: {
     alias: {
       '@': '/src'